@@ -39,15 +39,18 @@ module.exports = function (grunt) {
               'src/core/disposables/binarydisposable.js',
 
               // Schedulers
+              'src/core/concurrency/contextstorage.js',
               'src/core/concurrency/scheduleditem.js',
               'src/core/concurrency/scheduler.js',
               'src/core/concurrency/scheduler.recursive.js',
               'src/core/concurrency/scheduler.periodic.js',
               'src/core/concurrency/scheduleperiodicrecursive.js',
+              'src/core/concurrency/scheduler.instrumentation.js',
               'src/core/concurrency/immediatescheduler.js',
               'src/core/concurrency/currentthreadscheduler.js',
-              'src/core/concurrency/defaultscheduler.js',
               'src/core/internal/priorityqueue.js',
+              'src/core/concurrency/timerqueue.js',
+              'src/core/concurrency/defaultscheduler.js',
 
               // Observer
               'src/core/observer-lite.js',
@@ -58,6 +61,7 @@ module.exports = function (grunt) {
               'src/core/observable.js',
               'src/core/anonymousobservable.js',
               'src/core/perf/observablebase.js',
+              'src/core/internal/demand.js',
               'src/core/autodetachobserver.js',
               'src/core/linq/observable/create.js',
 
@@ -106,18 +110,25 @@ module.exports = function (grunt) {
               'src/core/internal/dontenums.js',
               'src/core/internal/isequal.js',
 
-              'src/core/concurrency/scheduleperiodicrecursive.js',
               'src/core/concurrency/virtualtimescheduler.js',
 
               'src/core/testing/reactivetest.js',
               'src/core/testing/recorded.js',
               'src/core/testing/subscription.js',
+              'src/core/headers/recordeddiffintro.js',
+              'src/modular/testing/recordeddiff.js',
+              'src/core/headers/recordeddiffoutro.js',
+              'src/core/testing/reactiveassert.js',
+              'src/core/testing/marbles.js',
               'src/core/testing/mockdisposable.js',
               'src/core/testing/mockobserver.js',
               'src/core/testing/mockpromise.js',
               'src/core/testing/hotobservable.js',
               'src/core/testing/coldobservable.js',
               'src/core/testing/testscheduler.js',
+              'src/core/testing/conformance.js',
+              'src/core/testing/properties.js',
+              'src/core/testing/adapters.js',
               'src/core/headers/suboutro.js'
             ],
             dest: 'dist/rx.core.testing.js'
@@ -148,15 +159,24 @@ module.exports = function (grunt) {
               'src/core/disposables/binarydisposable.js',
               'src/core/disposables/refcountdisposable.js',
               'src/core/disposables/scheduleddisposable.js',
+              'src/core/concurrency/contextstorage.js',
               'src/core/concurrency/scheduleditem.js',
               'src/core/concurrency/scheduler.js',
               'src/core/concurrency/scheduler.recursive.js',
               'src/core/concurrency/scheduler.periodic.js',
               'src/core/concurrency/scheduler.wrappers.js',
               'src/core/concurrency/scheduleperiodicrecursive.js',
+              'src/core/concurrency/scheduler.instrumentation.js',
               'src/core/concurrency/immediatescheduler.js',
               'src/core/concurrency/currentthreadscheduler.js',
+              'src/core/concurrency/timerqueue.js',
               'src/core/concurrency/defaultscheduler.js',
+              'src/core/concurrency/animationframescheduler.js',
+              'src/core/concurrency/asapscheduler.js',
+              'src/core/concurrency/priorityscheduler.js',
+              'src/core/concurrency/timeslicescheduler.js',
+              'src/core/internal/cronexpression.js',
+              'src/core/concurrency/scheduler.calendar.js',
               'src/core/concurrency/catchscheduler.js',
               'src/core/notification.js',
               'src/core/observer.js',
@@ -300,10 +320,13 @@ module.exports = function (grunt) {
 
               // Backpressure operators
               'src/core/backpressure/pausable.js',
+              'src/core/backpressure/boundedqueue.js',
               'src/core/backpressure/pausablebuffered.js',
               'src/core/backpressure/controlled.js',
               'src/core/backpressure/stopandwait.js',
               'src/core/backpressure/windowed.js',
+              'src/core/linq/observable/fromstream.js',
+              'src/core/linq/observable/tostream.js',
               'src/core/linq/observable/pipe.js',
 
               // Binding operators
@@ -365,6 +388,9 @@ module.exports = function (grunt) {
               'src/core/linq/observable/bufferwithtimeorcount.js', // windowwithtimeorcount, selectMany, toArray
               'src/core/linq/observable/timeinterval.js', // timeoutScheduler, defer, select
               'src/core/linq/observable/timestamp.js', // timeoutScheduler, select
+              'src/core/linq/observable/record.js', // timeoutScheduler
+              'src/core/linq/observable/replayrecording.js', // record, timeoutScheduler
+              'src/core/linq/observable/cron.js', // timeoutScheduler
               'src/core/linq/observable/sample.js', // AnonymousObservable, CompositeDisposable, interval, timeoutScheduler
               'src/core/linq/observable/timeout.js', // AnonymousObservable, timeoutScheduler, throw, SingleAssignmentDisposable, SerialDisposable, CompositeDisposable
               'src/core/linq/observable/generatewithabsolutetime.js', // timeoutScheduler, AnonymousObservable
@@ -394,14 +420,23 @@ module.exports = function (grunt) {
               'src/core/testing/reactivetest.js',
               'src/core/testing/recorded.js',
               'src/core/testing/subscription.js',
+              'src/core/headers/recordeddiffintro.js',
+              'src/modular/testing/recordeddiff.js',
+              'src/core/headers/recordeddiffoutro.js',
+              'src/core/testing/reactiveassert.js',
+              'src/core/testing/marbles.js',
               'src/core/testing/mockdisposable.js',
               'src/core/testing/mockobserver.js',
               'src/core/testing/mockpromise.js',
               'src/core/testing/hotobservable.js',
               'src/core/testing/coldobservable.js',
               'src/core/testing/testscheduler.js',
+              'src/core/testing/conformance.js',
+              'src/core/testing/properties.js',
+              'src/core/testing/adapters.js',
 
               'src/core/anonymousobservable.js',
+              'src/core/internal/demand.js',
               'src/core/autodetachobserver.js',
               'src/core/linq/groupedobservable.js',
               'src/core/subjects/innersubscription.js',
@@ -447,15 +482,24 @@ module.exports = function (grunt) {
               'src/core/disposables/binarydisposable.js',
               'src/core/disposables/refcountdisposable.js',
               'src/core/disposables/scheduleddisposable.js',
+              'src/core/concurrency/contextstorage.js',
               'src/core/concurrency/scheduleditem.js',
               'src/core/concurrency/scheduler.js',
               'src/core/concurrency/scheduler.recursive.js',
               'src/core/concurrency/scheduler.periodic.js',
               'src/core/concurrency/scheduler.wrappers.js',
               'src/core/concurrency/scheduleperiodicrecursive.js',
+              'src/core/concurrency/scheduler.instrumentation.js',
               'src/core/concurrency/immediatescheduler.js',
               'src/core/concurrency/currentthreadscheduler.js',
+              'src/core/concurrency/timerqueue.js',
               'src/core/concurrency/defaultscheduler.js',
+              'src/core/concurrency/animationframescheduler.js',
+              'src/core/concurrency/asapscheduler.js',
+              'src/core/concurrency/priorityscheduler.js',
+              'src/core/concurrency/timeslicescheduler.js',
+              'src/core/internal/cronexpression.js',
+              'src/core/concurrency/scheduler.calendar.js',
               'src/core/concurrency/catchscheduler.js',
               'src/core/notification.js',
               'src/core/observer.js',
@@ -596,10 +640,13 @@ module.exports = function (grunt) {
 
               // Backpressure operators
               'src/core/backpressure/pausable.js',
+              'src/core/backpressure/boundedqueue.js',
               'src/core/backpressure/pausablebuffered.js',
               'src/core/backpressure/controlled.js',
               'src/core/backpressure/stopandwait.js',
               'src/core/backpressure/windowed.js',
+              'src/core/linq/observable/fromstream.js',
+              'src/core/linq/observable/tostream.js',
               'src/core/linq/observable/pipe.js',
 
               // Binding operators
@@ -661,6 +708,9 @@ module.exports = function (grunt) {
               'src/core/linq/observable/bufferwithtimeorcount.js', // windowwithtimeorcount, selectMany, toArray
               'src/core/linq/observable/timeinterval.js', // timeoutScheduler, defer, select
               'src/core/linq/observable/timestamp.js', // timeoutScheduler, select
+              'src/core/linq/observable/record.js', // timeoutScheduler
+              'src/core/linq/observable/replayrecording.js', // record, timeoutScheduler
+              'src/core/linq/observable/cron.js', // timeoutScheduler
               'src/core/linq/observable/sample.js', // AnonymousObservable, CompositeDisposable, interval, timeoutScheduler
               'src/core/linq/observable/timeout.js', // AnonymousObservable, timeoutScheduler, throw, SingleAssignmentDisposable, SerialDisposable, CompositeDisposable
               'src/core/linq/observable/generatewithabsolutetime.js', // timeoutScheduler, AnonymousObservable
@@ -690,14 +740,23 @@ module.exports = function (grunt) {
               'src/core/testing/reactivetest.js',
               'src/core/testing/recorded.js',
               'src/core/testing/subscription.js',
+              'src/core/headers/recordeddiffintro.js',
+              'src/modular/testing/recordeddiff.js',
+              'src/core/headers/recordeddiffoutro.js',
+              'src/core/testing/reactiveassert.js',
+              'src/core/testing/marbles.js',
               'src/core/testing/mockdisposable.js',
               'src/core/testing/mockobserver.js',
               'src/core/testing/mockpromise.js',
               'src/core/testing/hotobservable.js',
               'src/core/testing/coldobservable.js',
               'src/core/testing/testscheduler.js',
+              'src/core/testing/conformance.js',
+              'src/core/testing/properties.js',
+              'src/core/testing/adapters.js',
 
               'src/core/anonymousobservable.js',
+              'src/core/internal/demand.js',
               'src/core/autodetachobserver.js',
               'src/core/linq/groupedobservable.js',
               'src/core/subjects/innersubscription.js',
@@ -741,17 +800,26 @@ module.exports = function (grunt) {
               'src/core/disposables/binarydisposable.js',
               'src/core/disposables/refcountdisposable.js',
               'src/core/disposables/scheduleddisposable.js',
+              'src/core/concurrency/contextstorage.js',
               'src/core/concurrency/scheduleditem.js',
               'src/core/concurrency/scheduler.js',
               'src/core/concurrency/scheduler.recursive.js',
               'src/core/concurrency/scheduler.periodic.js',
               'src/core/concurrency/scheduler.wrappers.js',
               'src/core/concurrency/scheduleperiodicrecursive.js',
+              'src/core/concurrency/scheduler.instrumentation.js',
               'src/core/concurrency/immediatescheduler.js',
               'src/core/concurrency/currentthreadscheduler.js',
+              'src/core/internal/priorityqueue.js',
+              'src/core/concurrency/timerqueue.js',
               'src/core/concurrency/defaultscheduler.js',
+              'src/core/concurrency/animationframescheduler.js',
+              'src/core/concurrency/asapscheduler.js',
+              'src/core/concurrency/priorityscheduler.js',
+              'src/core/concurrency/timeslicescheduler.js',
+              'src/core/internal/cronexpression.js',
+              'src/core/concurrency/scheduler.calendar.js',
               'src/core/concurrency/catchscheduler.js',
-              'src/core/internal/priorityqueue.js',
               'src/core/notification.js',
               'src/core/observer.js',
               'src/core/abstractobserver.js',
@@ -853,6 +921,7 @@ module.exports = function (grunt) {
               'src/core/linq/observable/transduce.js',
 
               'src/core/anonymousobservable.js',
+              'src/core/internal/demand.js',
               'src/core/autodetachobserver.js',
               'src/core/subjects/innersubscription.js',
               'src/core/subjects/subject.js',
@@ -893,17 +962,26 @@ module.exports = function (grunt) {
               'src/core/disposables/binarydisposable.js',
               'src/core/disposables/refcountdisposable.js',
               'src/core/disposables/scheduleddisposable.js',
+              'src/core/concurrency/contextstorage.js',
               'src/core/concurrency/scheduleditem.js',
               'src/core/concurrency/scheduler.js',
               'src/core/concurrency/scheduler.recursive.js',
               'src/core/concurrency/scheduler.periodic.js',
               'src/core/concurrency/scheduler.wrappers.js',
               'src/core/concurrency/scheduleperiodicrecursive.js',
+              'src/core/concurrency/scheduler.instrumentation.js',
               'src/core/concurrency/immediatescheduler.js',
               'src/core/concurrency/currentthreadscheduler.js',
+              'src/core/internal/priorityqueue.js',
+              'src/core/concurrency/timerqueue.js',
               'src/core/concurrency/defaultscheduler.js',
+              'src/core/concurrency/animationframescheduler.js',
+              'src/core/concurrency/asapscheduler.js',
+              'src/core/concurrency/priorityscheduler.js',
+              'src/core/concurrency/timeslicescheduler.js',
+              'src/core/internal/cronexpression.js',
+              'src/core/concurrency/scheduler.calendar.js',
               'src/core/concurrency/catchscheduler.js',
-              'src/core/internal/priorityqueue.js',
               'src/core/notification.js',
               'src/core/observer.js',
               'src/core/abstractobserver.js',
@@ -1004,6 +1082,7 @@ module.exports = function (grunt) {
               'src/core/linq/observable/transduce.js',
 
               'src/core/anonymousobservable.js',
+              'src/core/internal/demand.js',
               'src/core/autodetachobserver.js',
               'src/core/subjects/innersubscription.js',
               'src/core/subjects/subject.js',
@@ -1042,6 +1121,8 @@ module.exports = function (grunt) {
               'src/core/disposables/binarydisposable.js',
               'src/core/disposables/refcountdisposable.js',
 
+              'src/core/concurrency/contextstorage.js',
+
               'src/core/concurrency/scheduleditem.js',
               'src/core/concurrency/scheduler.js',
               'src/core/concurrency/scheduler.recursive.js',
@@ -1049,8 +1130,10 @@ module.exports = function (grunt) {
               'src/core/concurrency/immediatescheduler.js',
               'src/core/concurrency/currentthreadscheduler.js',
               'src/core/concurrency/scheduleperiodicrecursive.js',
-              'src/core/concurrency/defaultscheduler.js',
+              'src/core/concurrency/scheduler.instrumentation.js',
               'src/core/internal/priorityqueue.js',
+              'src/core/concurrency/timerqueue.js',
+              'src/core/concurrency/defaultscheduler.js',
 
               'src/core/notification.js',
               'src/core/observer-lite.js',
@@ -1162,14 +1245,18 @@ module.exports = function (grunt) {
 
               // Backpressure operators
               'src/core/backpressure/pausable.js',
+              'src/core/backpressure/boundedqueue.js',
               'src/core/backpressure/pausablebuffered.js',
               'src/core/backpressure/controlled.js',
+              'src/core/linq/observable/fromstream.js',
+              'src/core/linq/observable/tostream.js',
               'src/core/linq/observable/pipe.js',
 
               // Transducers
               'src/core/linq/observable/transduce.js',
 
               'src/core/anonymousobservable.js',
+              'src/core/internal/demand.js',
               'src/core/autodetachobserver.js',
               'src/core/subjects/innersubscription.js',
               'src/core/subjects/subject.js',
@@ -1214,6 +1301,8 @@ module.exports = function (grunt) {
               'src/core/disposables/binarydisposable.js',
               'src/core/disposables/refcountdisposable.js',
 
+              'src/core/concurrency/contextstorage.js',
+
               'src/core/concurrency/scheduleditem.js',
               'src/core/concurrency/scheduler.js',
               'src/core/concurrency/scheduler.recursive.js',
@@ -1221,8 +1310,10 @@ module.exports = function (grunt) {
               'src/core/concurrency/immediatescheduler.js',
               'src/core/concurrency/currentthreadscheduler.js',
               'src/core/concurrency/scheduleperiodicrecursive.js',
-              'src/core/concurrency/defaultscheduler.js',
+              'src/core/concurrency/scheduler.instrumentation.js',
               'src/core/internal/priorityqueue.js',
+              'src/core/concurrency/timerqueue.js',
+              'src/core/concurrency/defaultscheduler.js',
 
               'src/core/notification.js',
               'src/core/observer-lite.js',
@@ -1334,14 +1425,18 @@ module.exports = function (grunt) {
 
               // Backpressure operators
               'src/core/backpressure/pausable.js',
+              'src/core/backpressure/boundedqueue.js',
               'src/core/backpressure/pausablebuffered.js',
               'src/core/backpressure/controlled.js',
+              'src/core/linq/observable/fromstream.js',
+              'src/core/linq/observable/tostream.js',
               'src/core/linq/observable/pipe.js',
 
               // Transducers
               'src/core/linq/observable/transduce.js',
 
               'src/core/anonymousobservable.js',
+              'src/core/internal/demand.js',
               'src/core/autodetachobserver.js',
               'src/core/subjects/innersubscription.js',
               'src/core/subjects/subject.js',
@@ -1452,10 +1547,13 @@ module.exports = function (grunt) {
               // Backpressure operators
               'src/core/backpressure/pauser.js',
               'src/core/backpressure/pausable.js',
+              'src/core/backpressure/boundedqueue.js',
               'src/core/backpressure/pausablebuffered.js',
               'src/core/backpressure/controlled.js',
               'src/core/backpressure/stopandwait.js',
               'src/core/backpressure/windowed.js',
+              'src/core/linq/observable/fromstream.js',
+              'src/core/linq/observable/tostream.js',
               'src/core/linq/observable/pipe.js',
 
               'src/core/headers/suboutro.js'
@@ -1472,6 +1570,8 @@ module.exports = function (grunt) {
               // Backpressure operators
               'src/core/backpressure/stopandwait.js',
               'src/core/backpressure/windowed.js',
+              'src/core/linq/observable/fromstream.js',
+              'src/core/linq/observable/tostream.js',
               'src/core/linq/observable/pipe.js',
 
               'src/core/headers/suboutro.js'
@@ -1488,6 +1588,8 @@ module.exports = function (grunt) {
               // Backpressure operators
               'src/core/backpressure/stopandwait.js',
               'src/core/backpressure/windowed.js',
+              'src/core/linq/observable/fromstream.js',
+              'src/core/linq/observable/tostream.js',
               'src/core/linq/observable/pipe.js',
 
               'src/core/headers/suboutro.js'
@@ -1893,12 +1995,20 @@ module.exports = function (grunt) {
               'src/core/testing/reactivetest.js',
               'src/core/testing/recorded.js',
               'src/core/testing/subscription.js',
+              'src/core/headers/recordeddiffintro.js',
+              'src/modular/testing/recordeddiff.js',
+              'src/core/headers/recordeddiffoutro.js',
+              'src/core/testing/reactiveassert.js',
+              'src/core/testing/marbles.js',
               'src/core/testing/mockdisposable.js',
               'src/core/testing/mockobserver.js',
               'src/core/testing/mockpromise.js',
               'src/core/testing/hotobservable.js',
               'src/core/testing/coldobservable.js',
               'src/core/testing/testscheduler.js',
+              'src/core/testing/conformance.js',
+              'src/core/testing/properties.js',
+              'src/core/testing/adapters.js',
               'src/core/headers/suboutro.js'
             ],
             dest: 'dist/rx.testing.js'
@@ -1911,12 +2021,20 @@ module.exports = function (grunt) {
               'src/core/testing/reactivetest.js',
               'src/core/testing/recorded.js',
               'src/core/testing/subscription.js',
+              'src/core/headers/recordeddiffintro.js',
+              'src/modular/testing/recordeddiff.js',
+              'src/core/headers/recordeddiffoutro.js',
+              'src/core/testing/reactiveassert.js',
+              'src/core/testing/marbles.js',
               'src/core/testing/mockdisposable.js',
               'src/core/testing/mockobserver.js',
               'src/core/testing/mockpromise.js',
               'src/core/testing/hotobservable.js',
               'src/core/testing/coldobservable.js',
               'src/core/testing/testscheduler.js',
+              'src/core/testing/conformance.js',
+              'src/core/testing/properties.js',
+              'src/core/testing/adapters.js',
               'src/core/headers/suboutro.js'
             ],
             dest: 'modules/rx-lite-testing/rx.lite.testing.js'
@@ -1929,12 +2047,20 @@ module.exports = function (grunt) {
               'src/core/testing/reactivetest.js',
               'src/core/testing/recorded.js',
               'src/core/testing/subscription.js',
+              'src/core/headers/recordeddiffintro.js',
+              'src/modular/testing/recordeddiff.js',
+              'src/core/headers/recordeddiffoutro.js',
+              'src/core/testing/reactiveassert.js',
+              'src/core/testing/marbles.js',
               'src/core/testing/mockdisposable.js',
               'src/core/testing/mockobserver.js',
               'src/core/testing/mockpromise.js',
               'src/core/testing/hotobservable.js',
               'src/core/testing/coldobservable.js',
               'src/core/testing/testscheduler.js',
+              'src/core/testing/conformance.js',
+              'src/core/testing/properties.js',
+              'src/core/testing/adapters.js',
               'src/core/headers/suboutro.js'
             ],
             dest: 'modules/rx-lite-testing-compat/rx.lite.testing.compat.js'
@@ -1959,6 +2085,9 @@ module.exports = function (grunt) {
               'src/core/linq/observable/bufferwithtimeorcount.js', // windowwithtimeorcount, selectMany, toArray
               'src/core/linq/observable/timeinterval.js', // timeoutScheduler, defer, select
               'src/core/linq/observable/timestamp.js', // timeoutScheduler, select
+              'src/core/linq/observable/record.js', // timeoutScheduler
+              'src/core/linq/observable/replayrecording.js', // record, timeoutScheduler
+              'src/core/linq/observable/cron.js', // timeoutScheduler
               'src/core/linq/observable/sample.js', // AnonymousObservable, CompositeDisposable, interval, timeoutScheduler
               'src/core/linq/observable/timeout.js', // AnonymousObservable, timeoutScheduler, throw, SingleAssignmentDisposable, SerialDisposable, CompositeDisposable
               'src/core/linq/observable/generatewithabsolutetime.js', // timeoutScheduler, AnonymousObservable
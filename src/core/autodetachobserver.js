@@ -29,6 +29,10 @@
       result === errorObj && thrower(result.e);
     };
 
+    AutoDetachObserverPrototype.setProducer = function (producer) {
+      return !this.isStopped && setProducer(this.observer, producer);
+    };
+
     AutoDetachObserverPrototype.setDisposable = function (value) { this.m.setDisposable(value); };
     AutoDetachObserverPrototype.getDisposable = function () { return this.m.getDisposable(); };
 
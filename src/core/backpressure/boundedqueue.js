@@ -0,0 +1,92 @@
+  var overflowStrategies = { dropNewest: true, dropOldest: true, latest: true, error: true, pause: true };
+
+  /**
+   * Queue of the buffered values of a backpressure operator, bounded by the bufferSize option.
+   * When it is full, the overflowStrategy option decides what happens to a new value:
+   *  dropNewest - the new value is dropped
+   *  dropOldest - the oldest value is dropped to make room for the new one
+   *  latest     - every buffered value is dropped, and only the new one is kept
+   *  error      - the value is rejected, and the operator fails with a BufferOverflowError
+   *  pause      - the value is rejected, as the operator stops requesting values from its source once the buffer is full.
+   *               Sources which cannot be paused fail with a BufferOverflowError.
+   * The onHighWaterMark callback is called when the buffer fills up to highWaterMark values, and the onLowWaterMark callback
+   * is called when it drains back down to lowWaterMark values.
+   * @private
+   */
+  var BoundedQueue = Rx.internals.BoundedQueue = (function () {
+    function BoundedQueue(options) {
+      options || (options = {});
+      var bufferSize = options.bufferSize == null ? Infinity : options.bufferSize,
+        strategy = options.overflowStrategy || 'error';
+      if (!(bufferSize > 0)) { throw new ArgumentOutOfRangeError(); }
+      if (!overflowStrategies[strategy]) { throw new TypeError('Unknown overflow strategy: ' + strategy); }
+
+      this.bufferSize = bufferSize;
+      this.strategy = strategy;
+      this.highWaterMark = options.highWaterMark == null ? bufferSize : options.highWaterMark;
+      this.lowWaterMark = options.lowWaterMark || 0;
+      this._onHigh = options.onHighWaterMark;
+      this._onLow = options.onLowWaterMark;
+      this._isHigh = false;
+      this.items = [];
+      this.length = 0;
+    }
+
+    BoundedQueue.prototype._setLength = function () {
+      this.length = this.items.length;
+      if (!this._isHigh && this.length >= this.highWaterMark) {
+        this._isHigh = true;
+        this._onHigh && this._onHigh(this.length);
+      } else if (this._isHigh && this.length <= this.lowWaterMark) {
+        this._isHigh = false;
+        this._onLow && this._onLow(this.length);
+      }
+    };
+
+    /**
+     * Adds a value to the queue according to the overflow strategy.
+     * @returns {Boolean} false if the value was rejected because the queue is full, true otherwise, even when a value was dropped.
+     */
+    BoundedQueue.prototype.enqueue = function (x) {
+      if (this.length >= this.bufferSize) {
+        switch (this.strategy) {
+          case 'dropNewest':
+            return true;
+          case 'dropOldest':
+            this.items.shift();
+            break;
+          case 'latest':
+            this.items.length = 0;
+            break;
+          default:
+            return false;
+        }
+      }
+      this.items.push(x);
+      this._setLength();
+      return true;
+    };
+
+    /** Adds a value which does not count against the buffer size, such as the termination of the sequence. */
+    BoundedQueue.prototype.append = function (x) {
+      this.items.push(x);
+      this.length = this.items.length;
+    };
+
+    BoundedQueue.prototype.peek = function () {
+      return this.items[0];
+    };
+
+    BoundedQueue.prototype.dequeue = function () {
+      var x = this.items.shift();
+      this._setLength();
+      return x;
+    };
+
+    BoundedQueue.prototype.clear = function () {
+      this.items.length = 0;
+      this._setLength();
+    };
+
+    return BoundedQueue;
+  }());
@@ -1,8 +1,8 @@
   var ControlledObservable = (function (__super__) {
     inherits(ControlledObservable, __super__);
-    function ControlledObservable (source, enableQueue, scheduler) {
+    function ControlledObservable (source, enableQueue, scheduler, options) {
       __super__.call(this);
-      this.subject = new ControlledSubject(enableQueue, scheduler);
+      this.subject = new ControlledSubject(enableQueue, scheduler, options);
       this.source = source.multicast(this.subject).refCount();
     }
 
@@ -20,15 +20,17 @@
 
   var ControlledSubject = (function (__super__) {
     inherits(ControlledSubject, __super__);
-    function ControlledSubject(enableQueue, scheduler) {
+    function ControlledSubject(enableQueue, scheduler, options) {
       enableQueue == null && (enableQueue = true);
 
       __super__.call(this);
       this.subject = new Subject();
       this.enableQueue = enableQueue;
-      this.queue = enableQueue ? [] : null;
+      this.queue = enableQueue ? new BoundedQueue(options) : null;
       this.requestedCount = 0;
       this.requestedDisposable = null;
+      this.producer = null;
+      this.pendingCount = 0;
       this.error = null;
       this.hasFailed = false;
       this.hasCompleted = false;
@@ -45,7 +47,7 @@
           this.subject.onCompleted();
           this.disposeCurrentRequest();
         } else {
-          this.queue.push(Notification.createOnCompleted());
+          this.queue.append(Notification.createOnCompleted());
         }
       },
       onError: function (error) {
@@ -55,33 +57,55 @@
           this.subject.onError(error);
           this.disposeCurrentRequest();
         } else {
-          this.queue.push(Notification.createOnError(error));
+          this.queue.append(Notification.createOnError(error));
         }
       },
       onNext: function (value) {
+        if (this.hasFailed) { return; }
+        this.pendingCount > 0 && this.pendingCount--;
         if (this.requestedCount <= 0) {
-          this.enableQueue && this.queue.push(Notification.createOnNext(value));
+          this.enableQueue && !this.queue.enqueue(Notification.createOnNext(value)) && this._overflow();
         } else {
           (this.requestedCount-- === 0) && this.disposeCurrentRequest();
           this.subject.onNext(value);
         }
       },
+      _overflow: function () {
+        this.hasFailed = true;
+        this.error = new BufferOverflowError();
+        this.queue.clear();
+        this.subject.onError(this.error);
+        this.disposeCurrentRequest();
+      },
       _processRequest: function (numberOfItems) {
         if (this.enableQueue) {
-          while (this.queue.length > 0 && (numberOfItems > 0 || this.queue[0].kind !== 'N')) {
-            var first = this.queue.shift();
+          while (this.queue.length > 0 && (numberOfItems > 0 || this.queue.peek().kind !== 'N')) {
+            var first = this.queue.dequeue();
             first.accept(this.subject);
             if (first.kind === 'N') {
               numberOfItems--;
             } else {
               this.disposeCurrentRequest();
-              this.queue = [];
+              this.queue.clear();
             }
           }
         }
 
         return numberOfItems;
       },
+      setProducer: function (producer) {
+        // Pull-aware sources only produce the requested values, instead of the subject queueing them
+        this.producer = producer;
+        this._pull();
+        return true;
+      },
+      _pull: function () {
+        var count = this.requestedCount - this.pendingCount;
+        if (this.producer && count > 0) {
+          this.pendingCount += count;
+          this.producer.request(count);
+        }
+      },
       request: function (number) {
         this.disposeCurrentRequest();
         var self = this;
@@ -92,6 +116,7 @@
           var stopped = self.hasCompleted || self.hasFailed;
           if (!stopped && remaining > 0) {
             self.requestedCount = remaining;
+            self._pull();
 
             return disposableCreate(function () {
               self.requestedCount = 0;
@@ -120,17 +145,31 @@
    * @example
    * var source = Rx.Observable.interval(100).controlled();
    * source.request(3); // Reads 3 values
+   *
+   * var bounded = Rx.Observable.interval(100).controlled({ bufferSize: 100, overflowStrategy: 'dropOldest' });
    * @param {bool} enableQueue truthy value to determine if values should be queued pending the next request
    * @param {Scheduler} scheduler determines how the requests will be scheduled
+   * @param {Object} [options] Options of the queue, which can also be given instead of enableQueue, with the scheduler as a scheduler property:
+   *  bufferSize       - maximum number of queued values, which is unbounded by default
+   *  overflowStrategy - what happens to a value when the queue is full: 'dropNewest', 'dropOldest', 'latest', 'error' (the default, which fails with a BufferOverflowError) or 'pause'
+   *  highWaterMark    - queue length at which onHighWaterMark is called, which is bufferSize by default
+   *  lowWaterMark     - queue length at which onLowWaterMark is called once the high water mark was reached, which is 0 by default
+   *  onHighWaterMark  - function called with the queue length when it reaches the high water mark
+   *  onLowWaterMark   - function called with the queue length when it drains to the low water mark
    * @returns {Observable} The observable sequence which only propagates values on request.
    */
-  observableProto.controlled = function (enableQueue, scheduler) {
+  observableProto.controlled = function (enableQueue, scheduler, options) {
 
     if (enableQueue && isScheduler(enableQueue)) {
+      options = scheduler;
       scheduler = enableQueue;
       enableQueue = true;
+    } else if (enableQueue && typeof enableQueue === 'object') {
+      options = enableQueue;
+      scheduler = options.scheduler;
+      enableQueue = true;
     }
 
     if (enableQueue == null) {  enableQueue = true; }
-    return new ControlledObservable(this, enableQueue, scheduler);
+    return new ControlledObservable(this, enableQueue, scheduler, options);
   };
@@ -1,4 +1,4 @@
-  function combineLatestSource(source, subject, resultSelector) {
+  function combineLatestSource(source, subject, resultSelector, onProducer) {
     return new AnonymousObservable(function (o) {
       var hasValue = [false, false],
         hasValueAll = false,
@@ -9,8 +9,9 @@
       function next(x, i) {
         values[i] = x;
         hasValue[i] = true;
+        // An error which arrived while paused is yielded on resume, even if the source had no values
+        if (err && values[1]) { return o.onError(err); }
         if (hasValueAll || (hasValueAll = hasValue.every(identity))) {
-          if (err) { return o.onError(err); }
           var res = tryCatch(resultSelector).apply(null, values);
           if (res === errorObj) { return o.onError(res.e); }
           o.onNext(res);
@@ -18,39 +19,45 @@
         isDone && values[1] && o.onCompleted();
       }
 
-      return new BinaryDisposable(
-        source.subscribe(
+      // Subscribe to the subject first, so that the values of synchronous sources are not overwritten before it yields
+      var subjectSubscription = subject.subscribe(
           function (x) {
+            next(x, 1);
+          },
+          function (e) { o.onError(e); },
+          function () {
+            isDone = true;
+            next(true, 1);
+          });
+
+      return new BinaryDisposable(
+        source.subscribe({
+          onNext: function (x) {
             next(x, 0);
           },
-          function (e) {
+          onError: function (e) {
             if (values[1]) {
               o.onError(e);
             } else {
               err = e;
             }
           },
-          function () {
+          onCompleted: function () {
             isDone = true;
             values[1] && o.onCompleted();
-          }),
-        subject.subscribe(
-          function (x) {
-            next(x, 1);
           },
-          function (e) { o.onError(e); },
-          function () {
-            isDone = true;
-            next(true, 1);
-          })
+          setProducer: onProducer
+        }),
+        subjectSubscription
         );
     }, source);
   }
 
   var PausableBufferedObservable = (function (__super__) {
     inherits(PausableBufferedObservable, __super__);
-    function PausableBufferedObservable(source, pauser) {
+    function PausableBufferedObservable(source, pauser, options) {
       this.source = source;
+      this.options = options;
       this.controller = new Subject();
       this.paused = true;
 
@@ -64,9 +71,21 @@
     }
 
     PausableBufferedObservable.prototype._subscribe = function (o) {
-      var q = [], previousShouldFire;
+      var q = new BoundedQueue(this.options), previousShouldFire, producer = null, isStopped = false;
 
-      function drainQueue() { while (q.length > 0) { o.onNext(q.shift()); } }
+      function drainQueue() {
+        var count = q.length;
+        while (q.length > 0) { o.onNext(q.dequeue()); }
+        producer && count > 0 && producer.request(count);
+      }
+
+      // With the pause strategy, pull-aware sources are only asked for as many values as fit in the buffer
+      function onProducer(p) {
+        if (q.strategy !== 'pause') { return false; }
+        producer = p;
+        p.request(q.bufferSize);
+        return true;
+      }
 
       var subscription =
         combineLatestSource(
@@ -74,9 +93,11 @@
           this.pauser.startWith(!this.paused).distinctUntilChanged(),
           function (data, shouldFire) {
             return { data: data, shouldFire: shouldFire };
-          })
+          },
+          onProducer)
           .subscribe(
             function (results) {
+              if (isStopped) { return; }
               if (previousShouldFire !== undefined && results.shouldFire !== previousShouldFire) {
                 previousShouldFire = results.shouldFire;
                 // change in shouldFire
@@ -86,16 +107,21 @@
                 // new data
                 if (results.shouldFire) {
                   o.onNext(results.data);
-                } else {
-                  q.push(results.data);
+                  producer && producer.request(1);
+                } else if (!q.enqueue(results.data)) {
+                  isStopped = true;
+                  q.clear();
+                  o.onError(new BufferOverflowError());
                 }
               }
             },
             function (err) {
+              if (isStopped) { return; }
               drainQueue();
               o.onError(err);
             },
             function () {
+              if (isStopped) { return; }
               drainQueue();
               o.onCompleted();
             }
@@ -123,9 +149,12 @@
    * @example
    * var pauser = new Rx.Subject();
    * var source = Rx.Observable.interval(100).pausableBuffered(pauser);
+   * var bounded = Rx.Observable.interval(100).pausableBuffered(pauser, { bufferSize: 100, overflowStrategy: 'latest' });
    * @param {Observable} pauser The observable sequence used to pause the underlying sequence.
+   * @param {Object} [options] Options of the buffer, as for controlled: bufferSize, overflowStrategy, highWaterMark, lowWaterMark, onHighWaterMark and onLowWaterMark.
+   * With the 'pause' overflow strategy, pull-aware sources such as range or from only produce the values which fit in the buffer.
    * @returns {Observable} The observable sequence which is paused based upon the pauser.
    */
-  observableProto.pausableBuffered = function (pauser) {
-    return new PausableBufferedObservable(this, pauser);
+  observableProto.pausableBuffered = function (pauser, options) {
+    return new PausableBufferedObservable(this, pauser, options);
   };
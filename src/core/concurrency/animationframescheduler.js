@@ -0,0 +1,60 @@
+  /**
+   * Gets a scheduler that schedules work on the next animation frame, batching all actions due before the frame into one requestAnimationFrame callback.
+   * Falls back to a 16ms timer where requestAnimationFrame is not available.
+   */
+  var AnimationFrameScheduler = (function (__super__) {
+    var FRAME_TIME = 16;
+
+    var requestFrame = isFunction(root.requestAnimationFrame) ?
+      function (fn) { return root.requestAnimationFrame(fn); } :
+      function (fn) { return localSetTimeout(fn, FRAME_TIME); };
+
+    inherits(AnimationFrameScheduler, __super__);
+    function AnimationFrameScheduler() {
+      this._queue = [];
+      this._frameRequested = false;
+      __super__.call(this);
+    }
+
+    AnimationFrameScheduler.prototype._runFrame = function () {
+      var items = this._queue, error = null;
+      this._queue = [];
+      this._frameRequested = false;
+
+      // Actions scheduled while the frame runs go to the next frame
+      for (var i = 0, len = items.length; i < len; i++) {
+        if (items[i].isCancelled()) { continue; }
+        var result = tryCatch(invokeItem)(items[i]);
+        result === errorObj && error === null && (error = result);
+      }
+      error !== null && thrower(error.e);
+    };
+
+    function invokeItem(item) {
+      item.invoke();
+    }
+
+    AnimationFrameScheduler.prototype._enqueue = function (item) {
+      this._queue.push(item);
+      if (!this._frameRequested) {
+        this._frameRequested = true;
+        var self = this;
+        requestFrame(function () { self._runFrame(); });
+      }
+      return item.disposable;
+    };
+
+    AnimationFrameScheduler.prototype.schedule = function (state, action) {
+      return this._enqueue(new ScheduledItem(this, state, action, this.now()));
+    };
+
+    AnimationFrameScheduler.prototype._scheduleFuture = function (state, dueTime, action) {
+      var self = this, item = new ScheduledItem(this, state, action, this.now() + dueTime);
+      var id = localSetTimeout(function () { self._enqueue(item); }, dueTime);
+      return new BinaryDisposable(item.disposable, disposableCreate(function () { localClearTimeout(id); }));
+    };
+
+    return AnimationFrameScheduler;
+  }(Scheduler));
+
+  Scheduler.animationFrame = new AnimationFrameScheduler();
@@ -0,0 +1,76 @@
+  /**
+   * Gets a scheduler that schedules work as a microtask, after the current synchronous block but before any I/O or timer callback.
+   * Uses queueMicrotask, Promise.resolve().then or process.nextTick, whichever is available first, and falls back to the default scheduler.
+   */
+  var AsapScheduler = (function (__super__) {
+    var requestDrain = (function () {
+      if (isFunction(root.queueMicrotask)) {
+        return function (fn) { root.queueMicrotask(fn); };
+      }
+      if (isFunction(root.Promise) && isFunction(root.Promise.resolve)) {
+        return function (fn) { root.Promise.resolve().then(fn); };
+      }
+      if (typeof process !== 'undefined' && {}.toString.call(process) === '[object process]') {
+        return function (fn) { process.nextTick(fn); };
+      }
+      return function (fn) { scheduleMethod(fn); };
+    }());
+
+    inherits(AsapScheduler, __super__);
+    function AsapScheduler() {
+      this._queue = [];
+      this._isDraining = false;
+      __super__.call(this);
+    }
+
+    AsapScheduler.prototype._requestDrain = function () {
+      var self = this;
+      requestDrain(function () { self._drain(); });
+    };
+
+    AsapScheduler.prototype._drain = function () {
+      this._isDraining = true;
+
+      // Actions scheduled while draining run in the same drain, as further batches so that the actions which ran are released
+      while (this._queue.length > 0) {
+        var batch = this._queue;
+        this._queue = [];
+        for (var i = 0, len = batch.length; i < len; i++) {
+          if (batch[i].isCancelled()) { continue; }
+          var result = tryCatch(invokeItem)(batch[i]);
+          if (result === errorObj) {
+            this._isDraining = false;
+            this._queue = batch.slice(i + 1).concat(this._queue);
+            this._queue.length > 0 && this._requestDrain();
+            thrower(result.e);
+          }
+        }
+      }
+
+      this._isDraining = false;
+    };
+
+    function invokeItem(item) {
+      item.invoke();
+    }
+
+    // A drain is pending or running whenever the queue is not empty
+    AsapScheduler.prototype._enqueue = function (item) {
+      this._queue.push(item) === 1 && !this._isDraining && this._requestDrain();
+      return item.disposable;
+    };
+
+    AsapScheduler.prototype.schedule = function (state, action) {
+      return this._enqueue(new ScheduledItem(this, state, action, this.now()));
+    };
+
+    AsapScheduler.prototype._scheduleFuture = function (state, dueTime, action) {
+      var self = this, item = new ScheduledItem(this, state, action, this.now() + dueTime);
+      var id = localSetTimeout(function () { self._enqueue(item); }, dueTime);
+      return new BinaryDisposable(item.disposable, disposableCreate(function () { localClearTimeout(id); }));
+    };
+
+    return AsapScheduler;
+  }(Scheduler));
+
+  Scheduler.asap = new AsapScheduler();
@@ -46,7 +46,7 @@
       return this._recursiveWrapper;
     };
 
-    CatchScheduler.prototype.schedulePeriodic = function (state, period, action) {
+    CatchScheduler.prototype.schedulePeriodic = function (state, period, action, catchUp) {
       var self = this, failed = false, d = new SingleAssignmentDisposable();
 
       d.setDisposable(this._scheduler.schedulePeriodic(state, period, function (state1) {
@@ -59,7 +59,7 @@
           return null;
         }
         return res;
-      }));
+      }, catchUp));
 
       return d;
     };
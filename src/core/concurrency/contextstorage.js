@@ -0,0 +1,71 @@
+  /**
+   * Provider of the ambient context which schedulers capture when an action is scheduled and restore when it is executed,
+   * such as a Node.js AsyncLocalStorage or an Rx.ContextStorage. It needs a getStore() method which returns the current context,
+   * and a run(store, fn, ...args) method which calls fn with args and the given context as the current one.
+   * The context is not propagated when this is null.
+   */
+  Rx.config.contextProvider = null;
+
+  /**
+   * Creates a store for an ambient context, with the same API as the Node.js AsyncLocalStorage,
+   * which is propagated through the schedulers when it is set as Rx.config.contextProvider.
+   * Unlike AsyncLocalStorage it only follows synchronous calls and Rx schedulers, not promises or timers.
+   *
+   * @example
+   * var storage = Rx.config.contextProvider = new Rx.ContextStorage();
+   * storage.run({ requestId: 42 }, function () {
+   *   Rx.Observable.timer(100).subscribe(function () { console.log(storage.getStore().requestId); });
+   * });
+   * // => 42
+   */
+  var ContextStorage = Rx.ContextStorage = (function () {
+    function ContextStorage() {
+      this._store = undefined;
+    }
+
+    /**
+     * Gets the current context.
+     * @returns {Any} The current context, or undefined outside of run.
+     */
+    ContextStorage.prototype.getStore = function () {
+      return this._store;
+    };
+
+    /**
+     * Calls a function with the given context as the current one, and restores the previous context once it returns or throws.
+     * @param {Any} store The context.
+     * @param {Function} fn Function to call, with the rest of the arguments.
+     * @returns {Any} The result of the function.
+     */
+    ContextStorage.prototype.run = function (store, fn) {
+      var previous = this._store, args = [];
+      for (var i = 2, len = arguments.length; i < len; i++) { args.push(arguments[i]); }
+      this._store = store;
+      var result = tryCatch(fn).apply(null, args);
+      this._store = previous;
+      if (result === errorObj) { thrower(result.e); }
+      return result;
+    };
+
+    return ContextStorage;
+  }());
+
+  var noContext = {};
+
+  /**
+   * Captures the ambient context of the current Rx.config.contextProvider, to run an action in it later with invokeInContext.
+   * @private
+   */
+  var captureContext = Rx.internals.captureContext = function () {
+    var provider = Rx.config.contextProvider;
+    return provider ? provider.getStore() : noContext;
+  };
+
+  /**
+   * Invokes a scheduled action in the context captured when it was scheduled.
+   * @private
+   */
+  var invokeInContext = Rx.internals.invokeInContext = function (context, action, scheduler, state) {
+    var provider = Rx.config.contextProvider;
+    return provider && context !== noContext ? provider.run(context, action, scheduler, state) : action(scheduler, state);
+  };
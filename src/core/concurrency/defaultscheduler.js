@@ -146,14 +146,18 @@
    * Gets a scheduler that schedules work via a timed callback based upon platform.
    */
    var DefaultScheduler = (function (__super__) {
+     // Relative actions share a single host timer
+     var timerQueue = new TimerQueue(defaultNow, localSetTimeout, localClearTimeout);
+
      inherits(DefaultScheduler, __super__);
      function DefaultScheduler() {
        __super__.call(this);
      }
 
      function scheduleAction(disposable, action, scheduler, state) {
+       var context = captureContext();
        return function schedule() {
-         disposable.setDisposable(Disposable._fixup(action(scheduler, state)));
+         disposable.setDisposable(Disposable._fixup(invokeInContext(context, action, scheduler, state)));
        };
      }
 
@@ -169,18 +173,6 @@
        }
      };
 
-     function LocalClearDisposable(id) {
-       this._id = id;
-       this.isDisposed = false;
-     }
-
-     LocalClearDisposable.prototype.dispose = function () {
-       if (!this.isDisposed) {
-         this.isDisposed = true;
-         localClearTimeout(this._id);
-       }
-     };
-
     DefaultScheduler.prototype.schedule = function (state, action) {
       var disposable = new SingleAssignmentDisposable(),
           id = scheduleMethod(scheduleAction(disposable, action, this, state));
@@ -190,12 +182,13 @@
     DefaultScheduler.prototype._scheduleFuture = function (state, dueTime, action) {
       if (dueTime === 0) { return this.schedule(state, action); }
       var disposable = new SingleAssignmentDisposable(),
-          id = localSetTimeout(scheduleAction(disposable, action, this, state), dueTime);
-      return new BinaryDisposable(disposable, new LocalClearDisposable(id));
+          timer = timerQueue.add(dueTime, scheduleAction(disposable, action, this, state));
+      return new BinaryDisposable(disposable, timer);
     };
 
     function scheduleLongRunning(state, action, disposable) {
-      return function () { action(state, disposable); };
+      var context = captureContext();
+      return function () { invokeInContext(context, action, state, disposable); };
     }
 
     DefaultScheduler.prototype.scheduleLongRunning = function (state, action) {
@@ -208,3 +201,15 @@
   }(Scheduler));
 
   var defaultScheduler = Scheduler['default'] = Scheduler.async = new DefaultScheduler();
+
+  Rx.config.schedulerOverride = null;
+
+  /**
+   * Gets the scheduler used by time based operators when none is specified.
+   * This is Rx.config.schedulerOverride when it is set to a scheduler, such as a virtual time scheduler in tests, otherwise the default scheduler.
+   * @returns {Scheduler} The scheduler to use for time based operations.
+   */
+  var getDefaultScheduler = Scheduler.getDefault = function () {
+    var override = Rx.config.schedulerOverride;
+    return isScheduler(override) ? override : defaultScheduler;
+  };
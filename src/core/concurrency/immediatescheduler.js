@@ -1,12 +1,85 @@
+  /**
+   * Number of nested actions on the immediate scheduler past which further actions are queued on a trampoline instead of run on the stack,
+   * which keeps deep recursion such as scheduleRecursive from overflowing the stack. The guard is disabled when this is not a positive number.
+   */
+  Rx.config.maxRecursionDepth = 500;
+
+  /**
+   * Function called when the immediate scheduler starts queueing actions because of deep recursion, or null.
+   * It is given an object with the depth, the stack and the names of the observables and observers on the stack, innermost first.
+   */
+  Rx.config.onDeepRecursion = null;
+
   /** Gets a scheduler that schedules work immediately on the current thread. */
    var ImmediateScheduler = (function (__super__) {
+    var depth = 0, queue = null, drainDepth = 0, reOperator = /([A-Z]\w*(?:Observable|Observer))\b/;
+
+    function operatorChain(stack) {
+      var lines = stack.split('\n'), operators = [], seen = {};
+      for (var i = 0, len = lines.length; i < len; i++) {
+        var match = reOperator.exec(lines[i]);
+        if (match && !seen[match[1]]) {
+          seen[match[1]] = true;
+          operators.push(match[1]);
+        }
+      }
+      return operators;
+    }
+
+    function reportDeepRecursion() {
+      var onDeepRecursion = Rx.config.onDeepRecursion;
+      if (!isFunction(onDeepRecursion)) { return; }
+      // The operators are below the recursion, at the bottom of the stack
+      var stackTraceLimit = Error.stackTraceLimit;
+      Error.stackTraceLimit = Infinity;
+      var stack = new Error().stack || '';
+      Error.stackTraceLimit = stackTraceLimit;
+      onDeepRecursion({ depth: depth, stack: stack, operators: operatorChain(stack) });
+    }
+
+    function runTrampoline() {
+      while (queue.length > 0) {
+        var item = queue.shift();
+        if (!item.isCancelled()) {
+          depth++;
+          var result = tryCatch(item.invoke).call(item);
+          depth--;
+          if (result === errorObj) { return result; }
+        }
+      }
+    }
+
     inherits(ImmediateScheduler, __super__);
     function ImmediateScheduler() {
       __super__.call(this);
     }
 
     ImmediateScheduler.prototype.schedule = function (state, action) {
-      return disposableFixup(action(this, state));
+      var limit = Rx.config.maxRecursionDepth;
+      if (limit > 0 && depth >= limit) {
+        var si = new ScheduledItem(this, state, action, 0);
+        if (!queue) {
+          queue = [];
+          drainDepth = depth - 1;
+          reportDeepRecursion();
+        }
+        queue.push(si);
+        return si.disposable;
+      }
+
+      depth++;
+      var result = tryCatch(action)(this, state);
+      depth--;
+      if (result !== errorObj && queue && depth === drainDepth) {
+        var drained = runTrampoline();
+        queue = null;
+        drained === errorObj && thrower(drained.e);
+      }
+      if (result === errorObj) {
+        depth === drainDepth && (queue = null);
+        thrower(result.e);
+      }
+      return disposableFixup(result);
     };
 
     return ImmediateScheduler;
@@ -0,0 +1,136 @@
+  /**
+   * Scheduler which runs the actions of a base scheduler by priority, so that latency sensitive work runs before bulk work sharing the same event loop.
+   * Actions are aged while they wait, so that actions with a lower priority are not starved by a steady stream of actions with a higher priority.
+   */
+  var PriorityScheduler = Rx.PriorityScheduler = (function (__super__) {
+    inherits(PriorityScheduler, __super__);
+
+    /**
+     * Creates a scheduler which runs actions by priority on a base scheduler, one action per turn of the base scheduler.
+     *
+     * @constructor
+     * @param {Scheduler} [scheduler] Base scheduler to run the actions on, Rx.Scheduler.default if not specified.
+     * @param {Object} [options] An object with the aging time, that is the time after which a waiting action runs before new actions one priority level higher, 100ms by default,
+     * and the priority of the actions scheduled on the scheduler itself, 'normal' by default.
+     */
+    function PriorityScheduler(scheduler, options) {
+      if (!isScheduler(scheduler)) {
+        options = scheduler;
+        scheduler = defaultScheduler;
+      }
+      options || (options = {});
+      this._scheduler = scheduler;
+      this._aging = options.aging == null ? 100 : options.aging;
+      if (!(this._aging > 0)) { throw new ArgumentOutOfRangeError(); }
+      this._level = toPriorityLevel(options.priority == null ? 'normal' : options.priority);
+      this._queue = new PriorityQueue(1024);
+      this._drainScheduled = false;
+      this._lanes = {};
+      __super__.call(this);
+    }
+
+    /** Named priority levels, where a lower level runs first. */
+    PriorityScheduler.levels = { userInput: 0, normal: 1, background: 2 };
+
+    function toPriorityLevel(priority) {
+      var level = typeof priority === 'string' ? PriorityScheduler.levels[priority] : priority;
+      if (typeof level !== 'number' || !(level >= 0)) { throw new ArgumentOutOfRangeError(); }
+      return level;
+    }
+
+    var PrioritySchedulerPrototype = PriorityScheduler.prototype;
+
+    PrioritySchedulerPrototype.now = function () {
+      return this._scheduler.now();
+    };
+
+    PrioritySchedulerPrototype._scheduleDrain = function () {
+      if (this._drainScheduled) { return; }
+      this._drainScheduled = true;
+      this._scheduler.schedule(this, drain);
+    };
+
+    function drain(_, self) {
+      self._drainScheduled = false;
+      var queue = self._queue, item = null;
+      while (queue.length > 0 && item === null) {
+        item = queue.dequeue();
+        item.isCancelled() && (item = null);
+      }
+
+      // Run one action per turn, so that actions scheduled meanwhile are taken into account
+      queue.length > 0 && self._scheduleDrain();
+      item !== null && item.invoke();
+      return disposableEmpty;
+    }
+
+    // Actions are given the scheduler or view they were scheduled on, so that recursive scheduling keeps their priority
+    PrioritySchedulerPrototype._enqueue = function (scheduler, state, action) {
+      // Waiting for the aging time makes an action rank with actions one level higher
+      var item = new ScheduledItem(scheduler, state, action, this.now() + scheduler._level * this._aging);
+      this._queue.enqueue(item);
+      this._scheduleDrain();
+      return item.disposable;
+    };
+
+    PrioritySchedulerPrototype._scheduleAt = function (scheduler, state, dueTime, action) {
+      var self = this, d = new SerialDisposable();
+      d.setDisposable(this._scheduler.scheduleFuture(null, dueTime, function () {
+        d.setDisposable(self._enqueue(scheduler, state, action));
+        return disposableEmpty;
+      }));
+      return d;
+    };
+
+    PrioritySchedulerPrototype.schedule = function (state, action) {
+      return this._enqueue(this, state, action);
+    };
+
+    PrioritySchedulerPrototype._scheduleFuture = function (state, dueTime, action) {
+      return this._scheduleAt(this, state, dueTime, action);
+    };
+
+    /**
+     * Gets a view of the scheduler whose actions run with the given priority.
+     *
+     * @example
+     * var ui = scheduler.withPriority('userInput');
+     * var bulk = scheduler.withPriority(PriorityScheduler.levels.background);
+     *
+     * @param {String|Number} priority The name of one of PriorityScheduler.levels, or a non-negative priority level where a lower level runs first.
+     * @returns {Scheduler} A scheduler which schedules its actions with the given priority on the current instance.
+     */
+    PrioritySchedulerPrototype.withPriority = function (priority) {
+      var level = toPriorityLevel(priority);
+      return this._lanes[level] || (this._lanes[level] = new PriorityLane(this, level));
+    };
+
+    return PriorityScheduler;
+  }(Scheduler));
+
+  var PriorityLane = (function (__super__) {
+    inherits(PriorityLane, __super__);
+    function PriorityLane(scheduler, level) {
+      this._scheduler = scheduler;
+      this._level = level;
+      __super__.call(this);
+    }
+
+    PriorityLane.prototype.now = function () {
+      return this._scheduler.now();
+    };
+
+    PriorityLane.prototype.schedule = function (state, action) {
+      return this._scheduler._enqueue(this, state, action);
+    };
+
+    PriorityLane.prototype._scheduleFuture = function (state, dueTime, action) {
+      return this._scheduler._scheduleAt(this, state, dueTime, action);
+    };
+
+    PriorityLane.prototype.withPriority = function (priority) {
+      return this._scheduler.withPriority(priority);
+    };
+
+    return PriorityLane;
+  }(Scheduler));
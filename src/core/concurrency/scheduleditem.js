@@ -5,6 +5,7 @@
     this.dueTime = dueTime;
     this.comparer = comparer || defaultSubComparer;
     this.disposable = new SingleAssignmentDisposable();
+    this.context = captureContext();
   };
 
   ScheduledItem.prototype.invoke = function () {
@@ -20,5 +21,5 @@
   };
 
   ScheduledItem.prototype.invokeCore = function () {
-    return disposableFixup(this.action(this.scheduler, this.state));
+    return disposableFixup(invokeInContext(this.context, this.action, this.scheduler, this.state));
   };
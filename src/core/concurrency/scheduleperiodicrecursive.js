@@ -1,29 +1,52 @@
   var SchedulePeriodicRecursive = Rx.internals.SchedulePeriodicRecursive = (function () {
-    function createTick(self) {
-      return function tick(command, recurse) {
-        recurse(0, self._period);
+    var catchUpPolicies = { skip: true, burst: true, coalesce: true };
+
+    function tick(_, self) {
+      var now = +self._scheduler.now(), period = self._period, due = self._next, runs = 1;
+
+      // Ticks due a whole period ago or more were missed, for instance while the process was blocked
+      if (period > 0 && now - due >= period) {
+        var missed = Math.floor((now - due) / period);
+        self._catchUp === 'burst' && (runs += missed);
+        self._catchUp === 'skip' && (runs = 0);
+        due += missed * period;
+      }
+
+      // Due times are computed from the start time, so that late ticks do not accumulate drift
+      self._next = period > 0 ? due + period : now;
+      self._scheduleNext();
+
+      for (var i = 0; i < runs && !self._cancel.isDisposed; i++) {
         var state = tryCatch(self._action)(self._state);
         if (state === errorObj) {
           self._cancel.dispose();
           thrower(state.e);
         }
         self._state = state;
-      };
+      }
+      return disposableEmpty;
     }
 
-    function SchedulePeriodicRecursive(scheduler, state, period, action) {
+    function SchedulePeriodicRecursive(scheduler, state, period, action, catchUp) {
+      catchUp == null && (catchUp = 'coalesce');
+      if (!catchUpPolicies.hasOwnProperty(catchUp)) { throw new NotSupportedError('Unsupported catch-up policy ' + catchUp); }
       this._scheduler = scheduler;
       this._state = state;
-      this._period = period;
+      this._period = normalizeTime(period);
       this._action = action;
+      this._catchUp = catchUp;
     }
 
+    SchedulePeriodicRecursive.prototype._scheduleNext = function () {
+      this._cancel.setDisposable(this._scheduler.scheduleFuture(this, new Date(this._next), tick));
+    };
+
     SchedulePeriodicRecursive.prototype.start = function () {
-      var d = new SingleAssignmentDisposable();
-      this._cancel = d;
-      d.setDisposable(this._scheduler.scheduleRecursiveFuture(0, this._period, createTick(this)));
+      this._cancel = new SerialDisposable();
+      this._next = +this._scheduler.now() + this._period;
+      this._scheduleNext();
 
-      return d;
+      return this._cancel;
     };
 
     return SchedulePeriodicRecursive;
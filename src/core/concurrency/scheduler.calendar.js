@@ -0,0 +1,42 @@
+  /**
+   * Schedules an action at a date, waiting in steps of the longest host timer delay so that dates which are months away are not run early.
+   * @private
+   */
+  var scheduleAtDate = Rx.internals.scheduleAtDate = function (scheduler, state, dueTime, action) {
+    var d = new SerialDisposable();
+    dueTime = +dueTime;
+
+    function wait() {
+      if (dueTime - scheduler.now() > MAX_TIMER_DELAY) {
+        d.setDisposable(scheduler.scheduleFuture(null, MAX_TIMER_DELAY, function () {
+          wait();
+          return disposableEmpty;
+        }));
+      } else {
+        d.setDisposable(scheduler.scheduleFuture(state, new Date(dueTime), action));
+      }
+    }
+
+    wait();
+    return d;
+  };
+
+  (function (schedulerProto) {
+    /**
+     * Schedules an action to be executed at the first date after the scheduler's current time which matches a cron expression.
+     *
+     * @example
+     * 1 - scheduler.scheduleCalendar(null, '0 9 * * 1-5', function (scheduler, state) { ... });
+     * 2 - scheduler.scheduleCalendar(null, '30 2 * * *', function (scheduler, state) { ... }, { timeZone: 'Europe/Paris' });
+     *
+     * @param {Mixed} state State passed to the action to be executed.
+     * @param {String} expression Cron expression with the minute, hour, day of the month, month and day of the week fields, or a macro such as @daily.
+     * @param {Function} action Action to be executed.
+     * @param {Object} [options] An object with the IANA time zone or 'UTC' to match the expression in, the local time zone by default.
+     * @returns {Disposable} The disposable object used to cancel the scheduled action (best effort), which is empty when no date matches in the next 30 years.
+     */
+    schedulerProto.scheduleCalendar = function (state, expression, action, options) {
+      var dueTime = new CronExpression(expression, options).next(this.now());
+      return dueTime === null ? disposableEmpty : scheduleAtDate(this, state, dueTime, action);
+    };
+  }(Scheduler.prototype));
@@ -0,0 +1,176 @@
+  var Histogram = Rx.internals.Histogram = (function () {
+    var bounds = [0, 1, 2, 5, 10, 20, 50, 100, 200, 500, 1000, Infinity];
+
+    /** Histogram of times in milliseconds, with bucket upper bounds from 0 to 1000ms. */
+    function Histogram() {
+      this.count = 0;
+      this.min = Infinity;
+      this.max = -Infinity;
+      this._sum = 0;
+      this._counts = [];
+      for (var i = 0, len = bounds.length; i < len; i++) { this._counts.push(0); }
+    }
+
+    Histogram.prototype.record = function (value) {
+      this.count++;
+      this._sum += value;
+      value < this.min && (this.min = value);
+      value > this.max && (this.max = value);
+      var i = 0;
+      while (value > bounds[i]) { i++; }
+      this._counts[i]++;
+    };
+
+    Histogram.prototype.toJSON = function () {
+      var buckets = [];
+      for (var i = 0, len = bounds.length; i < len; i++) { buckets.push({ le: bounds[i], count: this._counts[i] }); }
+      return {
+        count: this.count,
+        min: this.count === 0 ? 0 : this.min,
+        max: this.count === 0 ? 0 : this.max,
+        mean: this.count === 0 ? 0 : this._sum / this.count,
+        buckets: buckets
+      };
+    };
+
+    return Histogram;
+  }());
+
+  (function (schedulerProto) {
+
+    function SchedulerInstrumentation(scheduler, hooks) {
+      this.scheduler = scheduler;
+      this.hooks = hooks || {};
+      this.scheduled = 0;
+      this.executed = 0;
+      this.cancelled = 0;
+      this.errors = 0;
+      this.queueDepth = 0;
+      this.maxQueueDepth = 0;
+      this.latency = new Histogram();
+      this.duration = new Histogram();
+    }
+
+    SchedulerInstrumentation.prototype._onSchedule = function (dueTime) {
+      var info = { scheduler: this.scheduler, scheduledAt: +this.scheduler.now(), dueTime: dueTime };
+      this.scheduled++;
+      ++this.queueDepth > this.maxQueueDepth && (this.maxQueueDepth = this.queueDepth);
+      this.hooks.onSchedule && this.hooks.onSchedule(info);
+      return info;
+    };
+
+    SchedulerInstrumentation.prototype._execute = function (info, action, scheduler, state) {
+      info.startTime = +this.scheduler.now();
+      info.latency = Math.max(0, info.startTime - info.dueTime);
+      this.latency.record(info.latency);
+
+      var result = tryCatch(action)(scheduler, state);
+      info.duration = +this.scheduler.now() - info.startTime;
+      this.duration.record(info.duration);
+      this.executed++;
+      if (result === errorObj) {
+        this.errors++;
+        this.hooks.onError && this.hooks.onError(result.e, info);
+        thrower(result.e);
+      }
+      this.hooks.onExecute && this.hooks.onExecute(info);
+      return result;
+    };
+
+    /**
+     * Schedules an action with the given original scheduling method, tracking it until it is executed or cancelled.
+     * @private
+     */
+    SchedulerInstrumentation.prototype.schedule = function (scheduleCore, state, dueTime, action) {
+      var self = this, info = this._onSchedule(dueTime), isDone = false;
+
+      function done() {
+        if (isDone) { return false; }
+        isDone = true;
+        self.queueDepth--;
+        return true;
+      }
+
+      var d = scheduleCore(state, function (scheduler, state1) {
+        done();
+        return self._execute(info, action, scheduler, state1);
+      });
+
+      return new BinaryDisposable(d, disposableCreate(function () { done() && self.cancelled++; }));
+    };
+
+    SchedulerInstrumentation.prototype.toJSON = function () {
+      return {
+        scheduled: this.scheduled,
+        executed: this.executed,
+        cancelled: this.cancelled,
+        errors: this.errors,
+        queueDepth: this.queueDepth,
+        maxQueueDepth: this.maxQueueDepth,
+        latency: this.latency.toJSON(),
+        duration: this.duration.toJSON()
+      };
+    };
+
+    /**
+     * Instruments the scheduler, so that getStats returns its queue depth, scheduling latency and action duration, and so that the given hooks are called.
+     * Virtual time schedulers are instrumented through scheduleAbsolute, other schedulers through schedule and scheduleFuture. Times are measured with the scheduler's clock.
+     *
+     * @example
+     * var d = Rx.Scheduler.default.instrument({ onExecute: function (info) { console.log(info.latency, info.duration); } });
+     *
+     * @param {Object} [hooks] An object with the optional hooks, each of which is given an object with the scheduler, scheduledAt, dueTime, and once executed the startTime, latency and duration:
+     *  onSchedule - function called when an action is scheduled
+     *  onExecute  - function called when an action completed
+     *  onError    - function called with the error when an action threw, before the error is rethrown
+     * @returns {Disposable} The disposable object used to remove the instrumentation, after which getStats keeps returning the last statistics.
+     */
+    schedulerProto.instrument = function (hooks) {
+      if (this.hasOwnProperty('_instrumentation') && this._instrumentation.isActive) { throw new Error('Scheduler is already instrumented'); }
+      var self = this, instrumentation = new SchedulerInstrumentation(this, hooks), originals = {};
+      instrumentation.isActive = true;
+      this._instrumentation = instrumentation;
+
+      function replace(name, method) {
+        originals[name] = self.hasOwnProperty(name) ? self[name] : null;
+        var original = self[name];
+        self[name] = function () {
+          var args = [function () { return original.apply(self, arguments); }];
+          for (var i = 0, len = arguments.length; i < len; i++) { args.push(arguments[i]); }
+          return method.apply(self, args);
+        };
+      }
+
+      if (isFunction(this.scheduleAbsolute)) {
+        // Virtual time schedulers schedule everything through scheduleAbsolute
+        replace('scheduleAbsolute', function (original, state, dueTime, action) {
+          return instrumentation.schedule(function (s, a) { return original(s, dueTime, a); }, state, +self.toAbsoluteTime(dueTime), action);
+        });
+      } else {
+        replace('schedule', function (original, state, action) {
+          return instrumentation.schedule(original, state, +self.now(), action);
+        });
+        // Leaves schedulers which cannot schedule future work recognizable, such as by schedulePeriodic
+        self._scheduleFuture !== schedulerProto._scheduleFuture && replace('_scheduleFuture', function (original, state, dueTime, action) {
+          return instrumentation.schedule(function (s, a) { return original(s, dueTime, a); }, state, +self.now() + dueTime, action);
+        });
+      }
+
+      return disposableCreate(function () {
+        for (var name in originals) {
+          originals[name] === null ? delete self[name] : (self[name] = originals[name]);
+        }
+        instrumentation.isActive = false;
+      });
+    };
+
+    /**
+     * Gets the statistics of the scheduler since it was instrumented. Statistics are opt-in: nothing is collected until instrument is called.
+     * @returns {Object} An object with the number of scheduled, executed, cancelled and failed actions, the current and maximum queue depth,
+     * and the latency and duration histograms, all of which are empty if the scheduler was never instrumented.
+     */
+    schedulerProto.getStats = function () {
+      return (this.hasOwnProperty('_instrumentation') ? this._instrumentation : new SchedulerInstrumentation(this)).toJSON();
+    };
+
+  }(Scheduler.prototype));
@@ -1,13 +1,24 @@
   (function (schedulerProto) {
 
+    function canScheduleFuture(scheduler) {
+      return scheduler.scheduleFuture !== schedulerProto.scheduleFuture || scheduler._scheduleFuture !== schedulerProto._scheduleFuture;
+    }
+
     /**
-     * Schedules a periodic piece of work by dynamically discovering the scheduler's capabilities. The periodic task will be scheduled using window.setInterval for the base implementation.
+     * Schedules a periodic piece of work. On schedulers which can schedule future work, the due time of each tick is computed from the start time using the scheduler's clock,
+     * so that the work does not drift and runs the same on the default scheduler and on virtual time schedulers.
+     * Other schedulers run the work with window.setInterval, without catch-up policies.
      * @param {Mixed} state Initial state passed to the action upon the first iteration.
      * @param {Number} period Period for running the work periodically.
      * @param {Function} action Action to be executed, potentially updating the state.
+     * @param {String} [catchUp] What to do with ticks which were missed by a whole period or more, for instance while the process was blocked:
+     * 'coalesce' runs the action once for all of them, 'burst' runs the action once for each of them, and 'skip' drops them and waits for the next tick. 'coalesce' by default.
      * @returns {Disposable} The disposable object used to cancel the scheduled recurring action (best effort).
      */
-    schedulerProto.schedulePeriodic = function(state, period, action) {
+    schedulerProto.schedulePeriodic = function(state, period, action, catchUp) {
+      if (canScheduleFuture(this)) {
+        return new SchedulePeriodicRecursive(this, state, period, action, catchUp).start();
+      }
       if (typeof root.setInterval === 'undefined') { throw new NotSupportedError(); }
       period = normalizeTime(period);
       var s = state, id = root.setInterval(function () { s = action(s); }, period);
@@ -0,0 +1,125 @@
+  // Longest delay of host timers, which clamp longer delays to 1ms
+  var MAX_TIMER_DELAY = 0x7fffffff;
+
+  /**
+   * Queue of timed actions which are run from a single host timer, armed for the earliest due time.
+   * Actions with the same due time run in the order they were added.
+   * Cancelled actions are only marked as such and are dropped from the heap when they are due or when the heap is compacted,
+   * so that disposing a timer is constant time.
+   *
+   * @private
+   * @param {Function} now Function which returns the current time in milliseconds.
+   * @param {Function} setTimer Function which calls a function after a number of milliseconds and returns a handle, such as setTimeout.
+   * @param {Function} clearTimer Function which cancels the handle returned by setTimer, such as clearTimeout.
+   */
+  var TimerQueue = Rx.internals.TimerQueue = (function () {
+
+    function TimerEntry(queue, dueTime, action) {
+      this._queue = queue;
+      this.dueTime = dueTime;
+      this.action = action;
+      this.isDisposed = false;
+    }
+
+    TimerEntry.prototype.compareTo = function (other) {
+      return this.dueTime - other.dueTime;
+    };
+
+    TimerEntry.prototype.dispose = function () {
+      if (!this.isDisposed) {
+        this.isDisposed = true;
+        this._queue._cancel();
+      }
+    };
+
+    function TimerQueue(now, setTimer, clearTimer) {
+      this._now = now;
+      this._setTimer = setTimer;
+      this._clearTimer = clearTimer;
+      this._heap = new PriorityQueue(16);
+      this._live = 0;
+      this._isArmed = false;
+      this._timer = null;
+      this._timerDueTime = 0;
+    }
+
+    var TimerQueuePrototype = TimerQueue.prototype;
+
+    /**
+     * Adds an action to run after the given number of milliseconds.
+     * @param {Number} dueTime Relative time in milliseconds after which to run the action.
+     * @param {Function} action Action to run.
+     * @returns {Disposable} The disposable object used to cancel the action.
+     */
+    TimerQueuePrototype.add = function (dueTime, action) {
+      var entry = new TimerEntry(this, this._now() + dueTime, action);
+      this._heap.enqueue(entry);
+      this._live++;
+      this._arm();
+      return entry;
+    };
+
+    TimerQueuePrototype._arm = function () {
+      if (this._live === 0) { return; }
+      var dueTime = this._heap.peek().dueTime;
+      if (this._isArmed) {
+        if (this._timerDueTime <= dueTime) { return; }
+        this._clearTimer(this._timer);
+      }
+      // Hosts clamp longer delays to 1ms, so far due times are reached in steps of the longest delay
+      var self = this, now = this._now(), delay = Math.min(Math.max(0, dueTime - now), MAX_TIMER_DELAY), timer;
+      this._isArmed = true;
+      this._timerDueTime = now + delay;
+      timer = this._setTimer(function () { self._run(); }, delay);
+      // Hosts without timers run the function synchronously
+      this._isArmed && (this._timer = timer);
+    };
+
+    TimerQueuePrototype._disarm = function () {
+      this._isArmed && this._clearTimer(this._timer);
+      this._isArmed = false;
+      this._timer = null;
+    };
+
+    TimerQueuePrototype._run = function () {
+      this._isArmed = false;
+      this._timer = null;
+      var heap = this._heap, now = this._now();
+      while (heap.length > 0 && heap.peek().dueTime <= now) {
+        var entry = heap.dequeue();
+        if (entry.isDisposed) { continue; }
+        entry.isDisposed = true;
+        this._live--;
+        var result = tryCatch(entry.action)();
+        if (result === errorObj) {
+          this._arm();
+          thrower(result.e);
+        }
+      }
+      this._arm();
+    };
+
+    TimerQueuePrototype._cancel = function () {
+      var heap = this._heap;
+      if (--this._live === 0) {
+        // Nothing left to run, so do not keep the host timer alive
+        this._disarm();
+        this._heap = new PriorityQueue(16);
+      } else if (heap.length > 32 && this._live * 2 < heap.length) {
+        this._compact();
+      }
+    };
+
+    TimerQueuePrototype._compact = function () {
+      var items = [], heap = new PriorityQueue(this._live);
+      for (var i = 0, len = this._heap.length; i < len; i++) {
+        this._heap.items[i].value.isDisposed || items.push(this._heap.items[i]);
+      }
+      // Re-enqueue in insertion order so that actions with the same due time keep their order
+      items.sort(function (x, y) { return x.id - y.id; });
+      for (var j = 0, jLen = items.length; j < jLen; j++) { heap.enqueue(items[j].value); }
+      this._heap = heap;
+    };
+
+    return TimerQueue;
+  }());
@@ -0,0 +1,85 @@
+  /**
+   * Scheduler which runs queued actions until a time budget is used, then yields to the host through a base scheduler and resumes on its next turn,
+   * so that long synchronous work such as Observable.range over a large range does not block the event loop.
+   */
+  var TimeSliceScheduler = Rx.TimeSliceScheduler = (function (__super__) {
+    inherits(TimeSliceScheduler, __super__);
+
+    /**
+     * Creates a scheduler which runs its actions in slices of the given time budget on turns of a base scheduler.
+     *
+     * @constructor
+     * @param {Number} [budget] Time in milliseconds for which to run actions before yielding, 8ms by default.
+     * @param {Scheduler} [scheduler] Base scheduler to yield to and resume on, Rx.Scheduler.default if not specified.
+     */
+    function TimeSliceScheduler(budget, scheduler) {
+      if (isScheduler(budget)) {
+        scheduler = budget;
+        budget = null;
+      }
+      this._budget = budget == null ? 8 : budget;
+      if (!(this._budget > 0)) { throw new ArgumentOutOfRangeError(); }
+      this._scheduler = scheduler || defaultScheduler;
+      this._queue = [];
+      this._sliceScheduled = false;
+      __super__.call(this);
+    }
+
+    var TimeSliceSchedulerPrototype = TimeSliceScheduler.prototype;
+
+    TimeSliceSchedulerPrototype.now = function () {
+      return this._scheduler.now();
+    };
+
+    TimeSliceSchedulerPrototype._scheduleSlice = function () {
+      if (this._sliceScheduled) { return; }
+      this._sliceScheduled = true;
+      this._scheduler.schedule(this, runSlice);
+    };
+
+    // Stays scheduled until the queue is empty, so that actions scheduled during the slice run in it while there is budget left
+    function runSlice(_, self) {
+      var queue = self._queue, end = self.now() + self._budget;
+
+      while (queue.length > 0) {
+        if (self.now() >= end) {
+          self._scheduler.schedule(self, runSlice);
+          return disposableEmpty;
+        }
+        var item = queue.shift();
+        if (item.isCancelled()) { continue; }
+        var result = tryCatch(invokeItem)(item);
+        if (result === errorObj) {
+          queue.length > 0 ? self._scheduler.schedule(self, runSlice) : (self._sliceScheduled = false);
+          thrower(result.e);
+        }
+      }
+      self._sliceScheduled = false;
+      return disposableEmpty;
+    }
+
+    function invokeItem(item) {
+      item.invoke();
+    }
+
+    TimeSliceSchedulerPrototype._enqueue = function (item) {
+      this._queue.push(item);
+      this._scheduleSlice();
+      return item.disposable;
+    };
+
+    TimeSliceSchedulerPrototype.schedule = function (state, action) {
+      return this._enqueue(new ScheduledItem(this, state, action, this.now()));
+    };
+
+    TimeSliceSchedulerPrototype._scheduleFuture = function (state, dueTime, action) {
+      var self = this, d = new SerialDisposable();
+      d.setDisposable(this._scheduler.scheduleFuture(null, dueTime, function () {
+        d.setDisposable(self.schedule(state, action));
+        return disposableEmpty;
+      }));
+      return d;
+    };
+
+    return TimeSliceScheduler;
+  }(Scheduler));
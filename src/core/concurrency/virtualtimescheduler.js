@@ -1,7 +1,37 @@
+  /**
+   * Creates a seeded pseudo random number generator, the Park-Miller minimal standard generator, so that a seed replays the same sequence everywhere.
+   * @param {Number} seed The seed.
+   * @returns {Function} A function which returns the next pseudo random number between 0 and 1.
+   */
+  var createRandom = Rx.internals.createRandom = function (seed) {
+    seed = Math.floor(Math.abs(seed)) % 2147483647 || 1;
+    function next() {
+      seed = seed * 16807 % 2147483647;
+      return (seed - 1) / 2147483646;
+    }
+    // The first outputs of nearby seeds are close to each other
+    for (var i = 0; i < 10; i++) { next(); }
+    return next;
+  };
+
   /** Provides a set of extension methods for virtual time scheduling. */
   var VirtualTimeScheduler = Rx.VirtualTimeScheduler = (function (__super__) {
     inherits(VirtualTimeScheduler, __super__);
 
+    /** Scheduled item which is ordered by a random key among the items due at the same time. */
+    function ShuffledItem(scheduler, state, action, dueTime, comparer, order) {
+      ScheduledItem.call(this, scheduler, state, action, dueTime, comparer);
+      this.order = order;
+    }
+
+    inherits(ShuffledItem, ScheduledItem);
+
+    ShuffledItem.prototype.compareTo = function (other) {
+      var c = this.comparer(this.dueTime, other.dueTime);
+      c === 0 && (c = this.order - (other.order || 0));
+      return c;
+    };
+
     /**
      * Creates a new virtual time scheduler with the specified initial clock value and absolute time comparer.
      *
@@ -14,6 +44,9 @@
       this.comparer = comparer;
       this.isEnabled = false;
       this.queue = new PriorityQueue(1024);
+      this.seed = null;
+      this.jitter = 0;
+      this._random = null;
       __super__.call(this);
     }
 
@@ -57,18 +90,6 @@
      */
     VirtualTimeSchedulerPrototype.toRelativeTime = notImplemented;
 
-    /**
-     * Schedules a periodic piece of work by dynamically discovering the scheduler's capabilities. The periodic task will be emulated using recursive scheduling.
-     * @param {Mixed} state Initial state passed to the action upon the first iteration.
-     * @param {Number} period Period for running the work periodically.
-     * @param {Function} action Action to be executed, potentially updating the state.
-     * @returns {Disposable} The disposable object used to cancel the scheduled recurring action (best effort).
-     */
-    VirtualTimeSchedulerPrototype.schedulePeriodic = function (state, period, action) {
-      var s = new SchedulePeriodicRecursive(this, state, period, action);
-      return s.start();
-    };
-
     /**
      * Schedules an action to be executed after dueTime.
      * @param {Mixed} state State passed to the action to be executed.
@@ -153,6 +174,45 @@
       this.clock = dt;
     };
 
+    /**
+     * Installs the scheduler as Rx.config.schedulerOverride, so that time based operators which are not given a scheduler run on it until uninstall is called.
+     * @returns {VirtualTimeScheduler} The current instance.
+     */
+    VirtualTimeSchedulerPrototype.install = function () {
+      if (Rx.config.schedulerOverride !== this) {
+        this._previousOverride = Rx.config.schedulerOverride;
+        Rx.config.schedulerOverride = this;
+      }
+      return this;
+    };
+
+    /**
+     * Uninstalls the scheduler from Rx.config.schedulerOverride, restoring the override which was set when it was installed.
+     */
+    VirtualTimeSchedulerPrototype.uninstall = function () {
+      if (Rx.config.schedulerOverride === this) {
+        Rx.config.schedulerOverride = this._previousOverride || null;
+        this._previousOverride = null;
+      }
+    };
+
+    /**
+     * Turns on the shuffle mode where actions due at the same time run in a random order instead of the order they were scheduled in,
+     * optionally moving their due time by up to the given jitter, to find ordering bugs which only show up with some interleavings.
+     * The same seed always gives the same interleaving, so a failing run can be reproduced.
+     *
+     * @param {Number} seed Seed of the random interleaving.
+     * @param {Number} [jitter] Maximum relative time by which due times are moved earlier or later, never before the current clock. Defaults to 0.
+     * @returns {VirtualTimeScheduler} The current instance.
+     */
+    VirtualTimeSchedulerPrototype.shuffle = function (seed, jitter) {
+      if (typeof seed !== 'number' || isNaN(seed)) { throw new Error('shuffle requires a numeric seed'); }
+      this.seed = seed;
+      this.jitter = jitter || 0;
+      this._random = createRandom(seed);
+      return this;
+    };
+
     /**
      * Gets the next scheduled item to be executed.
      * @returns {ScheduledItem} The next scheduled item.
@@ -184,7 +244,16 @@
         return action(scheduler, state1);
       }
 
-      var si = new ScheduledItem(this, state, run, dueTime, this.comparer);
+      var si;
+      if (this._random) {
+        if (this.jitter) {
+          var moved = this.add(dueTime, Math.round((this._random() * 2 - 1) * this.jitter));
+          dueTime = this.comparer(moved, this.clock) < 0 ? this.clock : moved;
+        }
+        si = new ShuffledItem(this, state, run, dueTime, this.comparer, this._random());
+      } else {
+        si = new ScheduledItem(this, state, run, dueTime, this.comparer);
+      }
       this.queue.enqueue(si);
 
       return si.disposable;
@@ -9,6 +9,7 @@
     CompositeDisposable = Rx.CompositeDisposable,
     immediateScheduler = Rx.Scheduler.immediate,
     defaultScheduler = Rx.Scheduler['default'],
+    getDefaultScheduler = Rx.Scheduler.getDefault,
     inherits = Rx.internals.inherits,
     isScheduler = Rx.Scheduler.isScheduler,
     isPromise = Rx.helpers.isPromise,
@@ -2,8 +2,10 @@
   var Observable = Rx.Observable,
     observableProto = Observable.prototype,
     AnonymousObservable = Rx.AnonymousObservable,
+    ObservableBase = Rx.ObservableBase,
     AbstractObserver = Rx.internals.AbstractObserver,
     CompositeDisposable = Rx.CompositeDisposable,
+    SingleAssignmentDisposable = Rx.SingleAssignmentDisposable,
     BinaryDisposable = Rx.BinaryDisposable,
     NAryDisposable = Rx.NAryDisposable,
     Notification = Rx.Notification,
@@ -14,8 +16,13 @@
     inherits = Rx.internals.inherits,
     addProperties = Rx.internals.addProperties,
     defaultScheduler = Rx.Scheduler['default'],
+    getDefaultScheduler = Rx.Scheduler.getDefault,
     currentThreadScheduler = Rx.Scheduler.currentThread,
     identity = Rx.helpers.identity,
     isScheduler = Rx.Scheduler.isScheduler,
     isFunction = Rx.helpers.isFunction,
-    checkDisposed = Rx.Disposable.checkDisposed;
+    checkDisposed = Rx.Disposable.checkDisposed,
+    ArgumentOutOfRangeError = Rx.ArgumentOutOfRangeError,
+    BufferOverflowError = Rx.BufferOverflowError,
+    NotSupportedError = Rx.NotSupportedError,
+    setProducer = Rx.internals.setProducer;
@@ -8,7 +8,6 @@
     SingleAssignmentDisposable = Rx.SingleAssignmentDisposable,
     Scheduler = Rx.Scheduler,
     ScheduledItem = Rx.internals.ScheduledItem,
-    SchedulePeriodicRecursive  = Rx.internals.SchedulePeriodicRecursive,
     PriorityQueue = Rx.internals.PriorityQueue,
     inherits = Rx.internals.inherits,
     notImplemented = Rx.helpers.notImplemented,
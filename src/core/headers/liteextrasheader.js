@@ -33,4 +33,7 @@
     noop = helpers.noop,
     isScheduler = Rx.Scheduler.isScheduler,
     observableFromPromise = Observable.fromPromise,
-    ArgumentOutOfRangeError = Rx.ArgumentOutOfRangeError;
+    ArgumentOutOfRangeError = Rx.ArgumentOutOfRangeError,
+    doneEnumerator = Rx.doneEnumerator,
+    PullProducer = internals.PullProducer,
+    setProducer = internals.setProducer;
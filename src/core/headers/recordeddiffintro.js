@@ -0,0 +1,3 @@
+  // The marble diff is shared with the modular package, whose CommonJS module is wrapped here
+  var recordedDiff = (function () {
+    var module = { exports: {} };
@@ -8,4 +8,5 @@
     disposableCreate = Disposable.create,
     CompositeDisposable = Rx.CompositeDisposable,
     inherits = Rx.internals.inherits,
+    createRandom = Rx.internals.createRandom,
     defaultComparer = Rx.internals.isEqual;
@@ -11,16 +11,22 @@
     observableThrow = Observable['throw'],
     observableFromArray = Observable.fromArray,
     defaultScheduler = Rx.Scheduler['default'],
+    getDefaultScheduler = Rx.Scheduler.getDefault,
     SingleAssignmentDisposable = Rx.SingleAssignmentDisposable,
     SerialDisposable = Rx.SerialDisposable,
     CompositeDisposable = Rx.CompositeDisposable,
     BinaryDisposable = Rx.BinaryDisposable,
     RefCountDisposable = Rx.RefCountDisposable,
+    disposableEmpty = Rx.Disposable.empty,
     Subject = Rx.Subject,
     addRef = Rx.internals.addRef,
     normalizeTime = Rx.Scheduler.normalize,
     helpers = Rx.helpers,
+    identity = helpers.identity,
     isPromise = helpers.isPromise,
     isFunction = helpers.isFunction,
     isScheduler = Rx.Scheduler.isScheduler,
-    observableFromPromise = Observable.fromPromise;
+    observableFromPromise = Observable.fromPromise,
+    ArgumentOutOfRangeError = Rx.ArgumentOutOfRangeError,
+    CronExpression = Rx.internals.CronExpression,
+    scheduleAtDate = Rx.internals.scheduleAtDate;
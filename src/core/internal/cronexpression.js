@@ -0,0 +1,159 @@
+  var CronExpression = Rx.internals.CronExpression = (function () {
+    var MINUTE = 60000, DAY = 86400000, MAX_YEARS = 30;
+
+    var macros = {
+      '@yearly': '0 0 1 1 *',
+      '@annually': '0 0 1 1 *',
+      '@monthly': '0 0 1 * *',
+      '@weekly': '0 0 * * 0',
+      '@daily': '0 0 * * *',
+      '@midnight': '0 0 * * *',
+      '@hourly': '0 * * * *'
+    };
+
+    var monthNames = { jan: 1, feb: 2, mar: 3, apr: 4, may: 5, jun: 6, jul: 7, aug: 8, sep: 9, oct: 10, nov: 11, dec: 12 },
+      dayNames = { sun: 0, mon: 1, tue: 2, wed: 3, thu: 4, fri: 5, sat: 6 };
+
+    // Minute, hour, day of the month, month and day of the week
+    var fieldRanges = [[0, 59, null], [0, 23, null], [1, 31, null], [1, 12, monthNames], [0, 7, dayNames]];
+
+    function invalid(expression) {
+      return new Error('Invalid cron expression "' + expression + '"');
+    }
+
+    function parseValue(text, range, expression) {
+      var names = range[2], name = text.toLowerCase();
+      if (names && names.hasOwnProperty(name)) { return names[name]; }
+      if (!/^\d+$/.test(text)) { throw invalid(expression); }
+      var value = +text;
+      if (value < range[0] || value > range[1]) { throw invalid(expression); }
+      return value;
+    }
+
+    function parseField(text, range, expression) {
+      var allowed = {}, parts = text.split(',');
+      for (var i = 0, len = parts.length; i < len; i++) {
+        var stepParts = parts[i].split('/'), bounds = stepParts[0], step = 1, from, to;
+        if (stepParts.length > 2) { throw invalid(expression); }
+        if (stepParts.length === 2) {
+          if (!/^\d+$/.test(stepParts[1]) || +stepParts[1] === 0) { throw invalid(expression); }
+          step = +stepParts[1];
+        }
+        if (bounds === '*') {
+          from = range[0];
+          to = range[1];
+        } else {
+          var rangeParts = bounds.split('-');
+          if (rangeParts.length > 2) { throw invalid(expression); }
+          from = parseValue(rangeParts[0], range, expression);
+          to = rangeParts.length === 2 ? parseValue(rangeParts[1], range, expression) : (stepParts.length === 2 ? range[1] : from);
+          if (to < from) { throw invalid(expression); }
+        }
+        for (var value = from; value <= to; value += step) { allowed[value] = true; }
+      }
+      return allowed;
+    }
+
+    function createOffset(timeZone) {
+      if (timeZone == null) {
+        return function (time) { return -new Date(time).getTimezoneOffset() * MINUTE; };
+      }
+      if (timeZone === 'UTC') {
+        return function () { return 0; };
+      }
+      if (!root.Intl || !root.Intl.DateTimeFormat) { throw new NotSupportedError('Time zones require Intl.DateTimeFormat'); }
+      var format = new root.Intl.DateTimeFormat('en-US', {
+        timeZone: timeZone, hour12: false,
+        year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric', second: 'numeric'
+      });
+      return function (time) {
+        var parts = format.formatToParts(new Date(time)), fields = {};
+        for (var i = 0, len = parts.length; i < len; i++) { fields[parts[i].type] = +parts[i].value; }
+        var wall = Date.UTC(fields.year, fields.month - 1, fields.day, fields.hour % 24, fields.minute, fields.second);
+        return wall - (time - time % 1000);
+      };
+    }
+
+    /**
+     * Parses a cron expression with the minute, hour, day of the month, month and day of the week fields, or one of the @yearly, @monthly, @weekly, @daily and @hourly macros.
+     * @param {String} expression The cron expression.
+     * @param {Object} [options] An object with the IANA time zone or 'UTC' to match the expression in, the local time zone by default.
+     */
+    function CronExpression(expression, options) {
+      var text = typeof expression === 'string' ? expression.replace(/^\s+|\s+$/g, '') : '';
+      text = macros[text.toLowerCase()] || text;
+      var fields = text.split(/\s+/);
+      if (fields.length !== 5) { throw invalid(expression); }
+
+      this.expression = expression;
+      this._minutes = parseField(fields[0], fieldRanges[0], expression);
+      this._hours = parseField(fields[1], fieldRanges[1], expression);
+      this._days = parseField(fields[2], fieldRanges[2], expression);
+      this._months = parseField(fields[3], fieldRanges[3], expression);
+      this._weekDays = parseField(fields[4], fieldRanges[4], expression);
+      this._weekDays[7] && (this._weekDays[0] = true);
+
+      // When both days are restricted, either of them matches
+      this._anyDay = fields[2].charAt(0) === '*';
+      this._anyWeekDay = fields[4].charAt(0) === '*';
+      this._offset = createOffset(options && options.timeZone);
+    }
+
+    CronExpression.prototype._dayMatches = function (wall) {
+      var day = this._days[wall.getUTCDate()], weekDay = this._weekDays[wall.getUTCDay()];
+      if (this._anyDay) { return weekDay; }
+      if (this._anyWeekDay) { return day; }
+      return day || weekDay;
+    };
+
+    function compareNumbers(x, y) { return x - y; }
+
+    // Converts a wall clock time to the first time after the given one which shows it
+    CronExpression.prototype._toTime = function (wall, after) {
+      var offset = this._offset, times = [],
+        withOffsetBefore = wall - offset(wall - DAY), withOffsetAfter = wall - offset(wall + DAY);
+      withOffsetBefore + offset(withOffsetBefore) === wall && times.push(withOffsetBefore);
+      withOffsetAfter !== withOffsetBefore && withOffsetAfter + offset(withOffsetAfter) === wall && times.push(withOffsetAfter);
+
+      // Wall clock times which are skipped when clocks go forward run at the offset before the jump, that is as much later after it
+      times.length === 0 && times.push(withOffsetBefore);
+      times.sort(compareNumbers);
+      for (var i = 0, len = times.length; i < len; i++) {
+        if (times[i] > after) { return times[i]; }
+      }
+      return null;
+    };
+
+    /**
+     * Gets the first time after the given time which matches the expression.
+     * @param {Date|Number} after The time to start searching after.
+     * @returns {Date} The first matching time, or null if there is none in the next 30 years.
+     */
+    CronExpression.prototype.next = function (after) {
+      after = +after;
+      var wall = after + this._offset(after), lastYear = new Date(wall).getUTCFullYear() + MAX_YEARS;
+      wall = wall - wall % MINUTE + MINUTE;
+
+      while (true) {
+        var date = new Date(wall), year = date.getUTCFullYear(), month = date.getUTCMonth(),
+          day = date.getUTCDate(), hour = date.getUTCHours();
+        if (year > lastYear) { return null; }
+
+        if (!this._months[month + 1]) {
+          wall = Date.UTC(year, month + 1, 1);
+        } else if (!this._dayMatches(date)) {
+          wall = Date.UTC(year, month, day + 1);
+        } else if (!this._hours[hour]) {
+          wall = Date.UTC(year, month, day, hour + 1);
+        } else if (!this._minutes[date.getUTCMinutes()]) {
+          wall += MINUTE;
+        } else {
+          var time = this._toTime(wall, after);
+          if (time !== null) { return new Date(time); }
+          wall += MINUTE;
+        }
+      }
+    };
+
+    return CronExpression;
+  }());
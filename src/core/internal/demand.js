@@ -0,0 +1,159 @@
+  /**
+   * Offers a producer to an observer, as part of the request(n) demand protocol in which observers ask their source for the number of values they want.
+   * An observer takes part in the protocol by implementing setProducer(producer), and returns true when it will call producer.request(n) for the values it wants,
+   * or false when the source has to produce all of its values, as it does without the protocol.
+   * @private
+   */
+  var setProducer = Rx.internals.setProducer = function (o, producer) {
+    return isFunction(o.setProducer) && o.setProducer(producer) === true;
+  };
+
+  /**
+   * Producer of the values of an iterator, which emits them on a scheduler as they are requested.
+   * @private
+   */
+  var PullProducer = Rx.internals.PullProducer = (function () {
+    function PullProducer(o, scheduler, it, fn) {
+      this._o = o;
+      this._scheduler = scheduler;
+      this._it = it;
+      this._fn = fn;
+      this._i = 0;
+      this._requested = 0;
+      this._next = null;
+      this._isEmitting = false;
+      this._d = new SerialDisposable();
+      this.isDisposed = false;
+    }
+
+    function terminate(self, notify, e) {
+      self.isDisposed = true;
+      notify.call(self._o, e);
+    }
+
+    // Emits one value per action, as the sources did with scheduleRecursive, and looks one value ahead so that the end is notified without demand
+    function step(self, recurse) {
+      if (self.isDisposed) { return; }
+      var o = self._o, next = self._next || tryCatch(self._it.next).call(self._it);
+      self._next = null;
+      if (next === errorObj) { return terminate(self, o.onError, next.e); }
+      if (next.done) { return terminate(self, o.onCompleted); }
+      if (self._requested === 0) {
+        self._next = next;
+        self._isEmitting = false;
+        return;
+      }
+
+      var value = next.value;
+      if (self._fn) {
+        value = tryCatch(self._fn)(value, self._i++);
+        if (value === errorObj) { return terminate(self, o.onError, value.e); }
+      }
+      self._requested--;
+      o.onNext(value);
+      recurse(self);
+    }
+
+    PullProducer.prototype._emit = function () {
+      this._isEmitting = true;
+      this._d.setDisposable(this._scheduler.scheduleRecursive(this, step));
+    };
+
+    /**
+     * Starts producing, which notifies the values requested so far, and the end of the sequence if it is empty.
+     * @returns {Disposable} The producer, which is disposed to stop producing.
+     */
+    PullProducer.prototype.start = function () {
+      this._isEmitting || this._emit();
+      return this;
+    };
+
+    /**
+     * Requests more values.
+     * @param {Number} n The number of values to produce, which may be Infinity.
+     */
+    PullProducer.prototype.request = function (n) {
+      if (this.isDisposed || !(n > 0)) { return; }
+      this._requested += n;
+      this._isEmitting || this._emit();
+    };
+
+    PullProducer.prototype.dispose = function () {
+      this.isDisposed = true;
+      this._d.dispose();
+    };
+
+    return PullProducer;
+  }());
+
+  /**
+   * Demand of an observer fed by several sources, such as the inner sequences of merge or the sources of zip.
+   * Requests are forwarded to each source, and the values which arrive beyond the demand of the observer are queued until it requests more.
+   * @private
+   */
+  var DemandQueue = Rx.internals.DemandQueue = (function () {
+    function DemandQueue(o) {
+      this._o = o;
+      this._producers = [];
+      this._requested = 0;
+      this._q = [];
+      this._isCompleted = false;
+      this.isPulled = setProducer(o, this);
+    }
+
+    DemandQueue.prototype.request = function (n) {
+      if (!(n > 0)) { return; }
+      this._requested += n;
+      var queued = this._q.length;
+      this._drain();
+      var missing = n - Math.min(queued, n);
+      if (missing > 0) {
+        for (var i = 0, len = this._producers.length; i < len; i++) { this._producers[i].request(missing); }
+      }
+    };
+
+    DemandQueue.prototype._drain = function () {
+      while (this._q.length > 0 && this._requested > 0) {
+        this._requested--;
+        this._o.onNext(this._q.shift());
+      }
+      this._isCompleted && this._q.length === 0 && this._o.onCompleted();
+    };
+
+    /**
+     * Adds the producer of a source, which is asked for the outstanding demand.
+     * @returns {Boolean} Whether the observer requests values, which is what the setProducer method of the source observer returns.
+     */
+    DemandQueue.prototype.add = function (producer) {
+      if (!this.isPulled) { return false; }
+      this._producers.push(producer);
+      this._requested > 0 && producer.request(this._requested);
+      return true;
+    };
+
+    DemandQueue.prototype.remove = function (producer) {
+      var idx = this._producers.indexOf(producer);
+      idx !== -1 && this._producers.splice(idx, 1);
+    };
+
+    DemandQueue.prototype.onNext = function (x) {
+      if (!this.isPulled) { return this._o.onNext(x); }
+      if (this._q.length === 0 && this._requested > 0) {
+        this._requested--;
+        this._o.onNext(x);
+      } else {
+        this._q.push(x);
+      }
+    };
+
+    DemandQueue.prototype.onError = function (e) {
+      this._o.onError(e);
+    };
+
+    DemandQueue.prototype.onCompleted = function () {
+      this._isCompleted = true;
+      this._drain();
+    };
+
+    return DemandQueue;
+  }());
@@ -19,6 +19,13 @@
   ArgumentOutOfRangeError.prototype = Object.create(Error.prototype);
   ArgumentOutOfRangeError.prototype.name = 'ArgumentOutOfRangeError';
 
+  var BufferOverflowError = Rx.BufferOverflowError = function () {
+    this.message = 'Buffer overflow';
+    Error.call(this);
+  };
+  BufferOverflowError.prototype = Object.create(Error.prototype);
+  BufferOverflowError.prototype.name = 'BufferOverflowError';
+
   var NotSupportedError = Rx.NotSupportedError = function (message) {
     this.message = message || 'This operation is not supported';
     Error.call(this);
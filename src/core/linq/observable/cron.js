@@ -0,0 +1,58 @@
+  var CronObservable = (function (__super__) {
+    inherits(CronObservable, __super__);
+    function CronObservable(cron, s) {
+      this._cron = cron;
+      this._s = s;
+      __super__.call(this);
+    }
+
+    function scheduleNext(state) {
+      state.disposable.setDisposable(scheduleAtDate(state.self._s, state, state.dueTime, tick));
+    }
+
+    function tick(_, state) {
+      state.o.onNext(state.dueTime);
+
+      // Occurrences which were missed while the process was blocked are skipped
+      var next = state.self._cron.next(Math.max(+state.dueTime, +state.self._s.now()));
+      if (next === null) {
+        state.o.onCompleted();
+      } else {
+        state.dueTime = next;
+        scheduleNext(state);
+      }
+      return disposableEmpty;
+    }
+
+    CronObservable.prototype.subscribeCore = function (o) {
+      var dueTime = this._cron.next(this._s.now());
+      if (dueTime === null) { return this._s.schedule(o, function (_, o) { o.onCompleted(); }); }
+      var state = { o: o, self: this, dueTime: dueTime, disposable: new SerialDisposable() };
+      scheduleNext(state);
+      return state.disposable;
+    };
+
+    return CronObservable;
+  }(ObservableBase));
+
+  /**
+   *  Returns an observable sequence that produces the date of each occurrence of a cron expression, computed from the scheduler's clock.
+   *  The expression has the minute, hour, day of the month, month and day of the week fields, each of which may be *, a value, a range, a list and have a step,
+   *  or is one of the @yearly, @monthly, @weekly, @daily and @hourly macros. Months and days of the week may also be given by their three letter English names.
+   *  Wall clock times which are skipped when clocks go forward run as much later after the jump, and times which repeat when clocks go back run once.
+   *
+   * @example
+   *  1 - res = Rx.Observable.cron('0 9 * * 1-5');
+   *  2 - res = Rx.Observable.cron('*\/15 * * * *', { timeZone: 'America/New_York' });
+   *  3 - res = Rx.Observable.cron('@daily', { timeZone: 'UTC' }, scheduler);
+   *
+   * @param {String} expression The cron expression.
+   * @param {Object} [options] An object with the IANA time zone or 'UTC' to match the expression in, the local time zone by default.
+   * @param {Scheduler} [scheduler] Scheduler to run the timer on. If not specified, the default scheduler is used.
+   * @returns {Observable} An observable sequence which produces the date of each occurrence, and completes when there is no occurrence in the next 30 years.
+   */
+  Observable.cron = function (expression, options, scheduler) {
+    isScheduler(options) && (scheduler = options, options = null);
+    isScheduler(scheduler) || (scheduler = getDefaultScheduler());
+    return new CronObservable(new CronExpression(expression, options), scheduler);
+  };
@@ -1,7 +1,7 @@
   var DebounceObservable = (function (__super__) {
     inherits(DebounceObservable, __super__);
     function DebounceObservable(source, dt, s) {
-      isScheduler(s) || (s = defaultScheduler);
+      isScheduler(s) || (s = getDefaultScheduler());
       this.source = source;
       this._dt = dt;
       this._s = s;
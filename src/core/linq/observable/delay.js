@@ -135,7 +135,7 @@
     var firstArg = arguments[0];
     if (typeof firstArg === 'number' || firstArg instanceof Date) {
       var dueTime = firstArg, scheduler = arguments[1];
-      isScheduler(scheduler) || (scheduler = defaultScheduler);
+      isScheduler(scheduler) || (scheduler = getDefaultScheduler());
       return dueTime instanceof Date ?
         observableDelayAbsolute(this, dueTime, scheduler) :
         observableDelayRelative(this, dueTime, scheduler);
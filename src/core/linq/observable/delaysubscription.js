@@ -35,6 +35,6 @@
    * @returns {Observable} Time-shifted sequence.
    */
   observableProto.delaySubscription = function (dueTime, scheduler) {
-    isScheduler(scheduler) || (scheduler = defaultScheduler);
+    isScheduler(scheduler) || (scheduler = getDefaultScheduler());
     return new DelaySubscription(this, dueTime, scheduler);
   };
@@ -0,0 +1,99 @@
+  var FromStreamObservable = (function (__super__) {
+    inherits(FromStreamObservable, __super__);
+    function FromStreamObservable(stream, objectMode, finishEventName) {
+      this._stream = stream;
+      this._objectMode = objectMode;
+      this._finishEventName = finishEventName;
+      __super__.call(this);
+    }
+
+    function isChunk(x) {
+      return typeof x === 'string' || (!!root.Buffer && root.Buffer.isBuffer(x)) || (!!root.Uint8Array && x instanceof root.Uint8Array);
+    }
+
+    function StreamSubscription(o, stream, objectMode, finishEventName) {
+      var self = this;
+      this._o = o;
+      this._stream = stream;
+      this._finishEventName = finishEventName;
+      this._requested = 0;
+      this.isPulled = false;
+      this.isDisposed = false;
+
+      this._onData = function (x) {
+        if (!objectMode && !isChunk(x)) { return self._terminate(o.onError, new TypeError('Invalid chunk, which is not a string or Buffer, outside of object mode')); }
+        self.isPulled && --self._requested <= 0 && stream.pause();
+        o.onNext(x);
+      };
+      this._onError = function (e) { self._terminate(o.onError, e); };
+      this._onFinish = function () { self._terminate(o.onCompleted); };
+    }
+
+    StreamSubscription.prototype.start = function () {
+      var stream = this._stream;
+      this.isPulled = setProducer(this._o, this);
+      stream.on('error', this._onError);
+      stream.on(this._finishEventName, this._onFinish);
+      stream.on('data', this._onData);
+      // Adding the data listener does not resume a stream which was paused explicitly
+      this.isPulled && this._requested <= 0 ? stream.pause() : stream.resume();
+      return this;
+    };
+
+    StreamSubscription.prototype.request = function (n) {
+      if (this.isDisposed || !(n > 0)) { return; }
+      this._requested += n;
+      this._stream.resume();
+    };
+
+    StreamSubscription.prototype._removeListeners = function () {
+      var stream = this._stream;
+      stream.removeListener('data', this._onData);
+      stream.removeListener('error', this._onError);
+      stream.removeListener(this._finishEventName, this._onFinish);
+    };
+
+    StreamSubscription.prototype._terminate = function (notify, e) {
+      if (this.isDisposed) { return; }
+      this.isDisposed = true;
+      this._removeListeners();
+      notify.call(this._o, e);
+    };
+
+    StreamSubscription.prototype.dispose = function () {
+      if (this.isDisposed) { return; }
+      this.isDisposed = true;
+      this._removeListeners();
+      isFunction(this._stream.destroy) && this._stream.destroy();
+    };
+
+    FromStreamObservable.prototype.subscribeCore = function (o) {
+      return new StreamSubscription(o, this._stream, this._objectMode, this._finishEventName).start();
+    };
+
+    return FromStreamObservable;
+  }(ObservableBase));
+
+  /**
+   * Converts a Node.js Readable stream to an observable sequence, which emits its chunks, fails with its errors and completes when it ends.
+   * The stream is destroyed when the subscription is disposed before the end of the stream.
+   * When the observer requests values, such as through controlled, the stream is paused once the requested values were emitted, and resumed on the next request.
+   *
+   * @example
+   * var source = Rx.Observable.fromStream(fs.createReadStream('file.txt')).controlled();
+   * source.subscribe(function (chunk) { console.log(chunk.length); });
+   * source.request(2); // Reads 2 chunks
+   *
+   * @param {Stream} stream A Node.js Readable stream.
+   * @param {Object} [options] An object with the following options:
+   *  objectMode      - whether the stream emits objects rather than strings or Buffers. Defaults to the readableObjectMode of the stream.
+   *                    Outside of object mode, other values fail the sequence with a TypeError.
+   *  finishEventName - the event which ends the stream. Defaults to 'end'.
+   * @returns {Observable} An observable sequence of the chunks of the stream.
+   */
+  Observable.fromStream = function (stream, options) {
+    if (!stream || !isFunction(stream.on)) { throw new TypeError('stream must be a Node.js Readable stream'); }
+    options || (options = {});
+    var objectMode = options.objectMode == null ? !!stream.readableObjectMode : !!options.objectMode;
+    return new FromStreamObservable(stream, objectMode, options.finishEventName || 'end');
+  };
@@ -28,7 +28,25 @@
       }
     }
 
+    function GenerateIterator(self) {
+      this._self = self;
+      this._state = self._initialState;
+      this._first = true;
+    }
+
+    GenerateIterator.prototype.next = function () {
+      this._first ? (this._first = false) : (this._state = this._self._itrFn(this._state));
+      return this._self._cndFn(this._state) ? { done: false, value: this._state } : doneEnumerator;
+    };
+
+    function resultSelector(self) {
+      return function (state) { return self._resFn(state); };
+    }
+
     GenerateObservable.prototype.subscribeCore = function (o) {
+      var producer = new PullProducer(o, this._s, new GenerateIterator(this), resultSelector(this));
+      if (setProducer(o, producer)) { return producer.start(); }
+
       var state = {
         o: o,
         self: this,
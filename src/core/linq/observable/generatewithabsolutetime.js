@@ -66,6 +66,6 @@
    * @returns {Observable} The generated sequence.
    */
   Observable.generateWithAbsoluteTime = function (initialState, condition, iterate, resultSelector, timeSelector, scheduler) {
-    isScheduler(scheduler) || (scheduler = defaultScheduler);
+    isScheduler(scheduler) || (scheduler = getDefaultScheduler());
     return new GenerateAbsoluteObservable(initialState, condition, iterate, resultSelector, timeSelector, scheduler);
   };
@@ -67,6 +67,6 @@
    * @returns {Observable} The generated sequence.
    */
   Observable.generateWithRelativeTime = function (initialState, condition, iterate, resultSelector, timeSelector, scheduler) {
-    isScheduler(scheduler) || (scheduler = defaultScheduler);
+    isScheduler(scheduler) || (scheduler = getDefaultScheduler());
     return new GenerateRelativeObservable(initialState, condition, iterate, resultSelector, timeSelector, scheduler);
   };
@@ -1,31 +1,158 @@
+  function isStdio(stream) {
+    var process = root.process;
+    return !!process && (stream === process.stdout || stream === process.stderr);
+  }
+
+  function isStream(x) {
+    return !!x && isFunction(x.on);
+  }
+
+  function prematureClose() {
+    var e = new Error('Premature close');
+    e.code = 'ERR_STREAM_PREMATURE_CLOSE';
+    return e;
+  }
+
+  /**
+   * Writes the values of the source into the destination stream, pausing the source while the destination is full.
+   * The done callback is called once, with the error and whether it came from the source, when either of them fails or the destination closes early,
+   * and without an error once the destination finished, or once the source completed when the destination is not ended.
+   * @private
+   */
+  function writeToStream(source, dest, end, done) {
+    var paused = source.pausableBuffered(), subscription = new SingleAssignmentDisposable(), isDone = false;
+    // The standard output and error streams cannot be ended
+    end = end && !isStdio(dest);
+
+    function onDrain() { paused.resume(); }
+    function onError(e) { finish(e, false); }
+    function onClose() { finish(prematureClose(), false); }
+    function onFinish() { finish(); }
+
+    function finish(e, isSourceError) {
+      if (isDone) { return; }
+      isDone = true;
+      dest.removeListener('drain', onDrain);
+      dest.removeListener('error', onError);
+      dest.removeListener('close', onClose);
+      dest.removeListener('finish', onFinish);
+      subscription.dispose();
+      done(e, isSourceError);
+    }
+
+    dest.on('drain', onDrain);
+    dest.on('error', onError);
+    dest.on('close', onClose);
+    end && dest.on('finish', onFinish);
+
+    subscription.setDisposable(paused.subscribe(
+      function (x) { !dest.write(x) && paused.pause(); },
+      function (e) { finish(e, true); },
+      function () { end ? dest.end() : finish(); }));
+
+    paused.resume();
+
+    return subscription;
+  }
+
   /**
    * Pipes the existing Observable sequence into a Node.js Stream.
+   * The subscription is disposed when the destination fails or closes, and errors of the sequence are emitted on the destination.
+   *
+   * @example
+   * Rx.Observable.range(0, 10).map(function (x) { return x + '\n'; }).pipe(process.stdout);
+   *
    * @param {Stream} dest The destination Node.js stream.
+   * @param {Object} [options] An object with the following options:
+   *  end - whether the destination is ended when the sequence completes. Defaults to true, except for the standard output and error streams.
    * @returns {Stream} The destination stream.
    */
-  observableProto.pipe = function (dest) {
-    var source = this.pausableBuffered();
+  observableProto.pipe = function (dest, options) {
+    options || (options = {});
+    writeToStream(this, dest, options.end !== false, function (e, isSourceError) {
+      if (!e) { return; }
+      if (isSourceError) { return dest.emit('error', e); }
+      // As with Node.js pipes, errors of the destination are thrown when nothing else listens to them
+      e.code !== 'ERR_STREAM_PREMATURE_CLOSE' && dest.listeners('error').length === 0 && thrower(e);
+    });
+    return dest;
+  };
+
+  /**
+   * Pipes the existing Observable sequence through a chain of Node.js streams, like stream.pipeline.
+   * When the sequence or any of the streams fails, or a stream closes early, the subscription is disposed and every stream is destroyed.
+   *
+   * @example
+   * Rx.Observable.range(0, 10)
+   *   .map(function (x) { return x + '\n'; })
+   *   .pipeline(zlib.createGzip(), fs.createWriteStream('file.gz'), function (err) {
+   *     console.log(err ? 'Failed' : 'Done');
+   *   });
+   *
+   * @param {...Stream} streams The streams to pipe the sequence through, the first of which receives the values of the sequence.
+   * @param {Object} [options] An object with the following options:
+   *  end - whether the last stream is ended when all the values were written to it. Defaults to true.
+   * @param {Function} [callback] Function which is called with the error of the pipeline, or without one once the last stream finished.
+   * @returns {Stream|Promise} The last stream if a callback was given, otherwise a promise which resolves once the last stream finished, with the Promise type from Rx.config.Promise.
+   */
+  observableProto.pipeline = function () {
+    var len = arguments.length, streams = new Array(len), callback, options = {};
+    for (var i = 0; i < len; i++) { streams[i] = arguments[i]; }
+    isFunction(streams[streams.length - 1]) && (callback = streams.pop());
+    streams.length && !isStream(streams[streams.length - 1]) && (options = streams.pop() || {});
+    if (!streams.length) { throw new TypeError('pipeline requires at least one destination stream'); }
+
+    if (!callback) {
+      var promiseCtor = Rx.config.Promise, source = this;
+      if (!promiseCtor) { throw new NotSupportedError('Promise type not provided nor in Rx.config.Promise'); }
+      return new promiseCtor(function (resolve, reject) {
+        source.pipeline.apply(source, streams.concat(options, function (e) { e ? reject(e) : resolve(); }));
+      });
+    }
 
-    function onDrain() {
-      source.resume();
+    var last = streams.length - 1, end = options.end !== false && !isStdio(streams[last]), listeners = [], isDone = false, subscription;
+
+    function done(e) {
+      if (isDone) { return; }
+      isDone = true;
+      for (var i = 0, len = listeners.length; i < len; i++) {
+        listeners[i][0].removeListener(listeners[i][1], listeners[i][2]);
+      }
+      subscription && subscription.dispose();
+      if (e) {
+        for (var j = 0; j <= last; j++) {
+          !isStdio(streams[j]) && isFunction(streams[j].destroy) && streams[j].destroy();
+        }
+      }
+      callback(e);
+    }
+
+    function listen(stream, name, fn) {
+      listeners.push([stream, name, fn]);
+      stream.on(name, fn);
     }
 
-    dest.addListener('drain', onDrain);
-
-    source.subscribe(
-      function (x) {
-        !dest.write(x) && source.pause();
-      },
-      function (err) {
-        dest.emit('error', err);
-      },
-      function () {
-        // Hack check because STDIO is not closable
-        !dest._isStdio && dest.end();
-        dest.removeListener('drain', onDrain);
+    function watch(stream, i) {
+      // Values leave the streams in between through their readable side, and the last stream is finished once it was ended
+      var completeEventName = i < last ? 'end' : 'finish', isComplete = false;
+      listen(stream, 'error', done);
+      listen(stream, 'close', function () { !isComplete && done(prematureClose()); });
+      listen(stream, completeEventName, function () {
+        isComplete = true;
+        (i === last || (!end && i === last - 1)) && done();
       });
+    }
 
-    source.resume();
+    for (var k = 0; k <= last; k++) {
+      watch(streams[k], k);
+      k < last && streams[k].pipe(streams[k + 1], { end: end || k + 1 < last });
+    }
 
-    return dest;
+    subscription = writeToStream(this, streams[0], end || last > 0, function (e) {
+      (e || last === 0) && done(e);
+    });
+    // The pipeline can fail while the first values are written
+    isDone && subscription.dispose();
+
+    return streams[last];
   };
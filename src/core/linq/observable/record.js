@@ -0,0 +1,71 @@
+  var identityCodec = { encode: identity, decode: identity };
+
+  function encodeRecord(kind, time, x, codec) {
+    var record = { time: time, kind: kind };
+    if (kind === 'N') {
+      record.value = codec.encode(x);
+    } else if (kind === 'E') {
+      x instanceof Error ? (record.error = { name: x.name, message: x.message }) : (record.value = codec.encode(x));
+    }
+    return JSON.stringify(record);
+  }
+
+  var RecordObservable = (function (__super__) {
+    inherits(RecordObservable, __super__);
+    function RecordObservable(source, codec, s) {
+      this.source = source;
+      this._codec = codec;
+      this._s = s;
+      __super__.call(this);
+    }
+
+    RecordObservable.prototype.subscribeCore = function (o) {
+      return this.source.subscribe(new RecordObserver(o, this._codec, this._s));
+    };
+
+    return RecordObservable;
+  }(ObservableBase));
+
+  var RecordObserver = (function (__super__) {
+    inherits(RecordObserver, __super__);
+    function RecordObserver(o, codec, s) {
+      this._o = o;
+      this._codec = codec;
+      this._s = s;
+      this._start = s.now();
+      __super__.call(this);
+    }
+
+    RecordObserver.prototype._record = function (kind, x) {
+      var line = tryCatch(encodeRecord)(kind, this._s.now() - this._start, x, this._codec);
+      if (line === errorObj) { return this._o.onError(line.e); }
+      this._o.onNext(line);
+      kind !== 'N' && this._o.onCompleted();
+    };
+
+    RecordObserver.prototype.next = function (x) { this._record('N', x); };
+    RecordObserver.prototype.error = function (e) { this._record('E', e); };
+    RecordObserver.prototype.completed = function () { this._record('C'); };
+
+    return RecordObserver;
+  }(AbstractObserver));
+
+  /**
+   *  Materializes each notification of an observable sequence into a JSON line with the time elapsed since the subscription,
+   *  so that the lines can be written to a file and replayed later with Rx.Observable.replayRecording.
+   *  Errors are recorded as a record, after which the sequence completes.
+   *
+   * @example
+   *  1 - res = source.record(); // produces '{"time":25,"kind":"N","value":42}'
+   *  2 - res = source.record({ encode: function (x) { return x.toISOString(); }, decode: function (s) { return new Date(s); } });
+   *  3 - res = source.record(null, Rx.Scheduler.default);
+   *
+   * @param {Object} [codec] An object with encode and decode functions which convert values to and from JSON values. If not specified, values are stored as they are.
+   * @param {Scheduler} [scheduler] Scheduler used to compute the times. If not specified, the default scheduler is used.
+   * @returns {Observable} An observable sequence of JSON lines, one per notification of the source sequence.
+   */
+  observableProto.record = function (codec, scheduler) {
+    isScheduler(codec) && (scheduler = codec, codec = null);
+    isScheduler(scheduler) || (scheduler = getDefaultScheduler());
+    return new RecordObservable(this, codec || identityCodec, scheduler);
+  };
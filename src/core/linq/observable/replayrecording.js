@@ -0,0 +1,101 @@
+  function parseRecord(line, index) {
+    var record = typeof line === 'string' ? tryCatch(JSON.parse)(line) : line;
+    if (record === errorObj || record == null || typeof record.time !== 'number' || !(record.kind === 'N' || record.kind === 'E' || record.kind === 'C')) {
+      throw new Error('Invalid recording at record ' + (index + 1));
+    }
+    return record;
+  }
+
+  function parseRecording(recording) {
+    var lines = typeof recording === 'string' ? recording.split(/\r?\n/) : recording, records = [];
+    for (var i = 0, len = lines.length; i < len; i++) {
+      if (typeof lines[i] === 'string' && /^\s*$/.test(lines[i])) { continue; }
+      var record = parseRecord(lines[i], i);
+      if (records.length > 0 && record.time < records[records.length - 1].time) {
+        throw new Error('Invalid recording at record ' + (i + 1) + ', times must not decrease');
+      }
+      records.push(record);
+      if (record.kind !== 'N') { break; }
+    }
+    return records;
+  }
+
+  function decodeValue(record, codec) {
+    return codec.decode(record.value);
+  }
+
+  function decodeError(record, codec) {
+    if (!record.error) { return codec.decode(record.value); }
+    var e = new Error(record.error.message);
+    e.name = record.error.name;
+    return e;
+  }
+
+  var ReplayRecordingObservable = (function (__super__) {
+    inherits(ReplayRecordingObservable, __super__);
+    function ReplayRecordingObservable(records, codec, speed, s) {
+      this._records = records;
+      this._codec = codec;
+      this._speed = speed;
+      this._s = s;
+      __super__.call(this);
+    }
+
+    function scheduleRecursive(state, recurse) {
+      var records = state.self._records, time = records[state.i].time;
+
+      // Records at the same time are replayed together
+      while (state.i < records.length && records[state.i].time === time) {
+        var record = records[state.i++];
+        switch (record.kind) {
+          case 'N':
+            var value = tryCatch(decodeValue)(record, state.self._codec);
+            if (value === errorObj) { return state.o.onError(value.e); }
+            state.o.onNext(value);
+            break;
+          case 'E':
+            var error = tryCatch(decodeError)(record, state.self._codec);
+            return state.o.onError(error === errorObj ? error.e : error);
+          case 'C':
+            return state.o.onCompleted();
+        }
+      }
+      state.i < records.length && recurse(state, dueTime(state, records[state.i]));
+    }
+
+    // Due times are absolute so that the original spacing does not drift
+    function dueTime(state, record) {
+      return new Date(state.start + record.time / state.self._speed);
+    }
+
+    ReplayRecordingObservable.prototype.subscribeCore = function (o) {
+      if (this._records.length === 0) { return disposableEmpty; }
+      var state = { o: o, self: this, i: 0, start: this._s.now() };
+      return this._s.scheduleRecursiveFuture(state, dueTime(state, this._records[0]), scheduleRecursive);
+    };
+
+    return ReplayRecordingObservable;
+  }(ObservableBase));
+
+  /**
+   *  Replays a recording made with Rx.Observable.prototype.record, notifying each record at its original time after the subscription, optionally sped up.
+   *  This is meant to reproduce the exact timing of a live sequence with a Rx.HistoricalScheduler or a Rx.TestScheduler.
+   *
+   * @example
+   *  1 - res = Rx.Observable.replayRecording(fs.readFileSync('session.jsonl', 'utf8'), scheduler);
+   *  2 - res = Rx.Observable.replayRecording(lines, scheduler, { speed: 10 });
+   *  3 - res = Rx.Observable.replayRecording([{ time: 10, kind: 'N', value: 42 }, { time: 20, kind: 'C' }], scheduler);
+   *
+   * @param {String|Array} recording The contents of a recording file, which has one JSON line per record, or an array of lines or parsed records.
+   * @param {Scheduler} [scheduler] Scheduler to replay the records on. If not specified, the default scheduler is used.
+   * @param {Object} [options] An object with the speed factor, which divides the time of each record, 1 by default,
+   * and the codec with encode and decode functions which was used for the recording.
+   * @returns {Observable} An observable sequence which replays the recorded notifications.
+   */
+  Observable.replayRecording = function (recording, scheduler, options) {
+    isScheduler(scheduler) || (options = scheduler, scheduler = getDefaultScheduler());
+    options || (options = {});
+    var speed = options.speed == null ? 1 : options.speed;
+    if (!(speed > 0)) { throw new ArgumentOutOfRangeError(); }
+    return new ReplayRecordingObservable(parseRecording(recording), options.codec || identityCodec, speed, scheduler);
+  };
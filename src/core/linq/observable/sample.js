@@ -80,7 +80,7 @@
    * @returns {Observable} Sampled observable sequence.
    */
   observableProto.sample = function (intervalOrSampler, scheduler) {
-    isScheduler(scheduler) || (scheduler = defaultScheduler);
+    isScheduler(scheduler) || (scheduler = getDefaultScheduler());
     return typeof intervalOrSampler === 'number' ?
       new SampleObservable(this, observableinterval(intervalOrSampler, scheduler)) :
       new SampleObservable(this, intervalOrSampler);
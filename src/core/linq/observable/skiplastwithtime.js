@@ -55,6 +55,6 @@
    * @returns {Observable} An observable sequence with the elements skipped during the specified duration from the end of the source sequence.
    */
   observableProto.skipLastWithTime = function (duration, scheduler) {
-    isScheduler(scheduler) || (scheduler = defaultScheduler);
+    isScheduler(scheduler) || (scheduler = getDefaultScheduler());
     return new SkipLastWithTimeObservable(this, duration, scheduler);
   };
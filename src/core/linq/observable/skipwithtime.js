@@ -51,6 +51,6 @@
    * @returns {Observable} An observable sequence with the elements skipped during the specified duration from the start of the source sequence.
    */
   observableProto.skipWithTime = function (duration, scheduler) {
-    isScheduler(scheduler) || (scheduler = defaultScheduler);
+    isScheduler(scheduler) || (scheduler = getDefaultScheduler());
     return new SkipWithTimeObservable(this, duration, scheduler);
   };
@@ -10,7 +10,7 @@
    */
   observableProto.takeLastBufferWithTime = function (duration, scheduler) {
     var source = this;
-    isScheduler(scheduler) || (scheduler = defaultScheduler);
+    isScheduler(scheduler) || (scheduler = getDefaultScheduler());
     return new AnonymousObservable(function (o) {
       var q = [];
       return source.subscribe(function (x) {
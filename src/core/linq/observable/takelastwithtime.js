@@ -56,6 +56,6 @@
    * @returns {Observable} An observable sequence with the elements taken during the specified duration from the end of the source sequence.
    */
   observableProto.takeLastWithTime = function (duration, scheduler) {
-    isScheduler(scheduler) || (scheduler = defaultScheduler);
+    isScheduler(scheduler) || (scheduler = getDefaultScheduler());
     return new TakeLastWithTimeObservable(this, duration, scheduler);
   };
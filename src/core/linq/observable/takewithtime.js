@@ -35,6 +35,6 @@
    * @returns {Observable} An observable sequence with the elements taken during the specified duration from the start of the source sequence.
    */
   observableProto.takeWithTime = function (duration, scheduler) {
-    isScheduler(scheduler) || (scheduler = defaultScheduler);
+    isScheduler(scheduler) || (scheduler = getDefaultScheduler());
     return new TakeWithTimeObservable(this, duration, scheduler);
   };
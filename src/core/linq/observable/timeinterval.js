@@ -45,6 +45,6 @@
    * @returns {Observable} An observable sequence with time interval information on values.
    */
   observableProto.timeInterval = function (scheduler) {
-    isScheduler(scheduler) || (scheduler = defaultScheduler);
+    isScheduler(scheduler) || (scheduler = getDefaultScheduler());
     return new TimeIntervalObservable(this, scheduler);
   };
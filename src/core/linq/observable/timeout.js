@@ -70,7 +70,7 @@
       other = observableThrow(new TimeoutError());
     }
     if (other instanceof Error) { other = observableThrow(other); }
-    isScheduler(scheduler) || (scheduler = defaultScheduler);
+    isScheduler(scheduler) || (scheduler = getDefaultScheduler());
     Observable.isObservable(other) || (other = observableThrow(new TimeoutError()));
     return new AnonymousObservable(function (o) {
       var id = 0,
@@ -0,0 +1,51 @@
+  function getReadable() {
+    var stream = typeof require === 'function' ? tryCatch(require)('stream') : errorObj;
+    if (stream === errorObj || !stream.Readable) { throw new NotSupportedError('toStream requires Node.js streams'); }
+    return stream.Readable;
+  }
+
+  /**
+   * Exposes the observable sequence as a Node.js Readable stream, which reads its values from the sequence as they are needed.
+   * The sequence is subscribed to on the first read, and each read of the stream requests one more value through controlled, so that pull-aware sources only produce the values which are read.
+   * Errors of the sequence destroy the stream with the error, and the stream ends when the sequence completes.
+   * Destroying the stream early disposes the subscription.
+   *
+   * @example
+   * Rx.Observable.range(0, 10).toStream({ encoder: function (x) { return x + '\n'; } }).pipe(process.stdout);
+   *
+   * @param {Object} [options] An object with the following options:
+   *  objectMode    - whether the stream is in object mode, in which the values are pushed as they are. Otherwise they have to be strings or Buffers. Defaults to false.
+   *  highWaterMark - the number of values in object mode, or bytes otherwise, which the stream buffers before it stops reading.
+   *  encoder       - function which converts each value to the chunk to push, such as JSON.stringify.
+   * @returns {Stream} A Node.js Readable stream of the values of the sequence.
+   */
+  observableProto.toStream = function (options) {
+    options || (options = {});
+    var Readable = getReadable(), source = this.controlled(), encoder = options.encoder, subscription = null, readableOptions = {
+      objectMode: !!options.objectMode,
+      read: function () {
+        subscription || subscribe();
+        source.request(1);
+      },
+      destroy: function (err, cb) {
+        subscription && subscription.dispose();
+        cb(err);
+      }
+    };
+    options.highWaterMark != null && (readableOptions.highWaterMark = options.highWaterMark);
+
+    var stream = new Readable(readableOptions);
+
+    function subscribe() {
+      subscription = source.subscribe(
+        function (x) {
+          var chunk = isFunction(encoder) ? tryCatch(encoder)(x) : x;
+          if (chunk === errorObj) { return stream.destroy(chunk.e); }
+          stream.push(chunk);
+        },
+        function (e) { stream.destroy(e); },
+        function () { stream.push(null); });
+    }
+
+    return stream;
+  };
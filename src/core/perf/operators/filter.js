@@ -25,6 +25,7 @@
       this.predicate = predicate;
       this.source = source;
       this.i = 0;
+      this._producer = null;
       AbstractObserver.call(this);
     }
 
@@ -33,7 +34,14 @@
       if (shouldYield === errorObj) {
         return this.o.onError(shouldYield.e);
       }
-      shouldYield && this.o.onNext(x);
+      // Values which are filtered out do not count against the demand
+      shouldYield ? this.o.onNext(x) : this._producer && this._producer.request(1);
+    };
+
+    InnerObserver.prototype.setProducer = function (producer) {
+      if (!setProducer(this.o, producer)) { return false; }
+      this._producer = producer;
+      return true;
     };
 
     InnerObserver.prototype.error = function (e) {
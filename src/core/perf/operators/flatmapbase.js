@@ -39,6 +39,8 @@ var FlatMapObservable = Rx.FlatMapObservable = (function(__super__) {
       this.o.onNext(this._wrapResult(result, x, i));
     };
 
+    InnerObserver.prototype.setProducer = function(producer) { return setProducer(this.o, producer); };
+
     InnerObserver.prototype.error = function(e) { this.o.onError(e); };
 
     InnerObserver.prototype.completed = function() { this.o.onCompleted(); };
@@ -27,8 +27,10 @@
 
     FromObservable.prototype.subscribeCore = function (o) {
       var list = Object(this._iterable),
-          it = getIterable(list);
+          it = getIterable(list),
+          producer = new PullProducer(o, this._scheduler, it, this._fn);
 
+      if (setProducer(o, producer)) { return producer.start(); }
       return this._scheduler.scheduleRecursive(0, createScheduleMethod(o, it, this._fn));
     };
 
@@ -19,6 +19,8 @@
     }
 
     FromArrayObservable.prototype.subscribeCore = function (o) {
+      var producer = new PullProducer(o, this._scheduler, new ArrayIterator(this._args));
+      if (setProducer(o, producer)) { return producer.start(); }
       return this._scheduler.scheduleRecursive(0, scheduleMethod(o, this._args));
     };
 
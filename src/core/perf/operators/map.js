@@ -34,6 +34,10 @@
       this.o.onNext(result);
     };
 
+    InnerObserver.prototype.setProducer = function (producer) {
+      return setProducer(this.o, producer);
+    };
+
     InnerObserver.prototype.error = function (e) {
       this.o.onError(e);
     };
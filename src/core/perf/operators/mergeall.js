@@ -18,7 +18,7 @@
 
   var MergeAllObserver = (function (__super__) {
     function MergeAllObserver(o, g) {
-      this.o = o;
+      this.o = new DemandQueue(o);
       this.g = g;
       this.done = false;
       __super__.call(this);
@@ -45,11 +45,16 @@
     function InnerObserver(parent, sad) {
       this.parent = parent;
       this.sad = sad;
+      this.producer = null;
       __super__.call(this);
     }
 
     inherits(InnerObserver, __super__);
 
+    InnerObserver.prototype.setProducer = function (producer) {
+      this.producer = producer;
+      return this.parent.o.add(producer);
+    };
     InnerObserver.prototype.next = function (x) {
       this.parent.o.onNext(x);
     };
@@ -57,6 +62,7 @@
       this.parent.o.onError(e);
     };
     InnerObserver.prototype.completed = function () {
+      this.producer && this.parent.o.remove(this.producer);
       this.parent.g.remove(this.sad);
       this.parent.done && this.parent.g.length === 1 && this.parent.o.onCompleted();
     };
@@ -19,12 +19,13 @@
 
   var MergeObserver = (function (__super__) {
     function MergeObserver(o, max, g) {
-      this.o = o;
+      this.o = new DemandQueue(o);
       this.max = max;
       this.g = g;
       this.done = false;
       this.q = [];
       this.activeCount = 0;
+      this.producer = null;
       __super__.call(this);
     }
 
@@ -45,25 +46,38 @@
         this.q.push(innerSource);
       }
     };
+    MergeObserver.prototype.setProducer = function (producer) {
+      // Pull the inner sequences as they are subscribed to, instead of queueing them
+      this.producer = producer;
+      producer.request(this.max);
+      return true;
+    };
     MergeObserver.prototype.error = function (e) { this.o.onError(e); };
     MergeObserver.prototype.completed = function () { this.done = true; this.activeCount === 0 && this.o.onCompleted(); };
 
     function InnerObserver(parent, sad) {
       this.parent = parent;
       this.sad = sad;
+      this.producer = null;
       __super__.call(this);
     }
 
     inherits(InnerObserver, __super__);
 
+    InnerObserver.prototype.setProducer = function (producer) {
+      this.producer = producer;
+      return this.parent.o.add(producer);
+    };
     InnerObserver.prototype.next = function (x) { this.parent.o.onNext(x); };
     InnerObserver.prototype.error = function (e) { this.parent.o.onError(e); };
     InnerObserver.prototype.completed = function () {
+      this.producer && this.parent.o.remove(this.producer);
       this.parent.g.remove(this.sad);
       if (this.parent.q.length > 0) {
         this.parent.handleSubscribe(this.parent.q.shift());
       } else {
         this.parent.activeCount--;
+        this.parent.producer && this.parent.producer.request(1);
         this.parent.done && this.parent.activeCount === 0 && this.parent.o.onCompleted();
       }
     };
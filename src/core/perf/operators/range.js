@@ -18,7 +18,19 @@
       };
     }
 
+    function RangeIterator(start, count) {
+      this._start = start;
+      this._count = count;
+      this._i = 0;
+    }
+
+    RangeIterator.prototype.next = function () {
+      return this._i < this._count ? { done: false, value: this._start + this._i++ } : doneEnumerator;
+    };
+
     RangeObservable.prototype.subscribeCore = function (o) {
+      var producer = new PullProducer(o, this.scheduler, new RangeIterator(this.start, this.rangeCount));
+      if (setProducer(o, producer)) { return producer.start(); }
       return this.scheduler.scheduleRecursive(
         0,
         loopRecursive(this.start, this.rangeCount, o)
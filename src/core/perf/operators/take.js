@@ -19,6 +19,17 @@
 
     inherits(TakeObserver, AbstractObserver);
 
+    function TakeProducer(producer, c) {
+      this._producer = producer;
+      this._r = c;
+    }
+
+    TakeProducer.prototype.request = function (n) {
+      var c = Math.min(n, this._r);
+      this._r -= c;
+      c > 0 && this._producer.request(c);
+    };
+
     TakeObserver.prototype.next = function (x) {
       if (this._r-- > 0) {
         this._o.onNext(x);
@@ -26,6 +37,12 @@
       }
     };
 
+    TakeObserver.prototype.setProducer = function (producer) {
+      // Only pull the values to take, even when the observer does not request values itself
+      setProducer(this._o, new TakeProducer(producer, this._c)) || producer.request(this._c);
+      return true;
+    };
+
     TakeObserver.prototype.error = function (e) { this._o.onError(e); };
     TakeObserver.prototype.completed = function () { this._o.onCompleted(); };
 
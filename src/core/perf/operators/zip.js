@@ -11,6 +11,7 @@
 
     ZipObservable.prototype.subscribeCore = function(observer) {
       var n = this._s.length,
+          dq = new DemandQueue(observer),
           subscriptions = new Array(n),
           done = arrayInitialize(n, falseFactory),
           q = arrayInitialize(n, emptyArrayFactory);
@@ -19,7 +20,7 @@
         var source = this._s[i], sad = new SingleAssignmentDisposable();
         subscriptions[i] = sad;
         isPromise(source) && (source = observableFromPromise(source));
-        sad.setDisposable(source.subscribe(new ZipObserver(observer, i, this, q, done)));
+        sad.setDisposable(source.subscribe(new ZipObserver(dq, i, this, q, done)));
       }
 
       return new NAryDisposable(subscriptions);
@@ -59,6 +60,10 @@
       }
     };
 
+    ZipObserver.prototype.setProducer = function (producer) {
+      return this._o.add(producer);
+    };
+
     ZipObserver.prototype.error = function (e) {
       this._o.onError(e);
     };
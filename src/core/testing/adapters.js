@@ -0,0 +1,74 @@
+  /**
+   * Wraps a marble test so that it is given a new test scheduler, which is flushed once the test returns,
+   * so that expectations set with expectObservable and expectSubscriptions are checked without further glue.
+   * The test is also given the arguments of the host test framework, such as the test context of node:test.
+   *
+   * 1 - it('maps', ReactiveTest.marbles(function (scheduler) { scheduler.expectObservable(...).toBe(...); }));
+   *
+   * @param {Function} test Function which is given a new test scheduler followed by the arguments of the test framework.
+   * @returns {Function} The test function to register with the test framework.
+   */
+  ReactiveTest.marbles = function (test) {
+    return function () {
+      var args = [new Rx.TestScheduler()];
+      for (var i = 0, len = arguments.length; i < len; i++) { args.push(arguments[i]); }
+      test.apply(this, args);
+      args[0].flush();
+    };
+  };
+
+  function addMarbles(it, wrap, only, skip) {
+    it.marbles = function (name, test) { return it(name, wrap(test)); };
+    only && (it.marbles.only = function (name, test) { return only.call(it, name, wrap(test)); });
+    skip && (it.marbles.skip = function (name, test) { return skip.call(it, name, wrap(test)); });
+    return it;
+  }
+
+  /**
+   * Adapters which add a marbles method to the it function of a test framework, along with marbles.only and marbles.skip,
+   * so that it.marbles(name, test) registers ReactiveTest.marbles(test).
+   *
+   * 1 - Rx.ReactiveTest.adapters.mocha(it);
+   * 2 - Rx.ReactiveTest.adapters.jasmine(it);
+   * 3 - Rx.ReactiveTest.adapters.node(require('node:test').it);
+   */
+  ReactiveTest.adapters = {
+    /**
+     * Adds marbles to the it function of Mocha. Failures are thrown as a ReactiveAssertionError, which Mocha shows as a diff.
+     * @param {Function} it The it function of Mocha.
+     * @returns {Function} The it function.
+     */
+    mocha: function (it) {
+      return addMarbles(it, ReactiveTest.marbles, it.only, it.skip);
+    },
+    /**
+     * Adds marbles to the it function of Jasmine, using fit and xit for marbles.only and marbles.skip.
+     * Failures are reported with the fail function of Jasmine as failed expectations.
+     * @param {Function} it The it function of Jasmine.
+     * @param {Object} [env] An object with the fit, xit and fail functions of Jasmine, the global ones by default.
+     * @returns {Function} The it function.
+     */
+    jasmine: function (it, env) {
+      env || (env = root);
+      function wrap(test) {
+        var marbleTest = ReactiveTest.marbles(test);
+        return function () {
+          try {
+            marbleTest.apply(this, arguments);
+          } catch (e) {
+            if (!(e instanceof ReactiveAssertionError)) { throw e; }
+            env.fail(e);
+          }
+        };
+      }
+      return addMarbles(it, wrap, env.fit, env.xit);
+    },
+    /**
+     * Adds marbles to the it or test function of node:test. Failures are thrown as a ReactiveAssertionError, whose actual and expected values are reported.
+     * @param {Function} it The it or test function of node:test.
+     * @returns {Function} The it function.
+     */
+    node: function (it) {
+      return addMarbles(it, ReactiveTest.marbles, it.only, it.skip);
+    }
+  };
@@ -6,6 +6,7 @@
       this.scheduler = scheduler;
       this.messages = messages;
       this.subscriptions = [];
+      scheduler._leakSources && scheduler._leakSources.push(this);
     }
 
     ColdObservable.prototype._subscribe = function (o) {
@@ -0,0 +1,194 @@
+  /** Observer which records the notifications that break the grammar or arrive after dispose. */
+  var GrammarObserver = (function (__super__) {
+    inherits(GrammarObserver, __super__);
+
+    function GrammarObserver(scheduler, violations) {
+      __super__.call(this);
+      this.scheduler = scheduler;
+      this.violations = violations;
+      this.terminatedAt = null;
+      this.isDisposed = false;
+      this._terminal = null;
+    }
+
+    var GrammarObserverPrototype = GrammarObserver.prototype;
+
+    GrammarObserverPrototype.check = function (kind) {
+      var at = ' at ' + this.scheduler.clock;
+      this.isDisposed && this.violations.push(kind + ' after dispose' + at);
+      this._terminal !== null && this.violations.push(kind + ' after ' + this._terminal + at);
+    };
+
+    GrammarObserverPrototype.onNext = function () {
+      this.check('onNext');
+    };
+
+    GrammarObserverPrototype.onError = function () {
+      this.check('onError');
+      this.terminate('onError');
+    };
+
+    GrammarObserverPrototype.onCompleted = function () {
+      this.check('onCompleted');
+      this.terminate('onCompleted');
+    };
+
+    GrammarObserverPrototype.terminate = function (kind) {
+      if (this._terminal !== null) { return; }
+      this._terminal = kind;
+      this.isDisposed || (this.terminatedAt = this.scheduler.clock);
+    };
+
+    return GrammarObserver;
+  })(Observer);
+
+  /** Source which notifies all of its messages while it is being subscribed to. */
+  var SyncObservable = (function (__super__) {
+    inherits(SyncObservable, __super__);
+
+    function SyncObservable(scheduler, notifications) {
+      __super__.call(this);
+      this.scheduler = scheduler;
+      this.notifications = notifications;
+      this.subscriptions = [];
+    }
+
+    SyncObservable.prototype._subscribe = function (o) {
+      var observable = this;
+      this.subscriptions.push(new Subscription(this.scheduler.clock));
+      var index = this.subscriptions.length - 1;
+      for (var i = 0, len = this.notifications.length; i < len; i++) {
+        this.notifications[i].accept(o);
+      }
+      return disposableCreate(function () {
+        observable.subscriptions[index] = new Subscription(observable.subscriptions[index].subscribe, observable.scheduler.clock);
+      });
+    };
+
+    return SyncObservable;
+  })(Observable);
+
+  function syncNotifications(values, terminal) {
+    var notifications = [];
+    for (var i = 0, len = values.length; i < len; i++) { notifications.push(Notification.createOnNext(values[i])); }
+    notifications.push(terminal);
+    return notifications;
+  }
+
+  function marbleValues(values) {
+    return { a: values[0], b: values[1], c: values[2] };
+  }
+
+  var conformanceScenarios = {
+    'synchronous': function (scheduler, values) {
+      return { source: new SyncObservable(scheduler, syncNotifications(values, Notification.createOnCompleted())) };
+    },
+    'synchronous error': function (scheduler, values, error) {
+      return { source: new SyncObservable(scheduler, syncNotifications(values, Notification.createOnError(error))) };
+    },
+    'asynchronous': function (scheduler, values) {
+      return { source: scheduler.createColdObservable('-a-b-c-|', marbleValues(values)) };
+    },
+    'asynchronous error': function (scheduler, values, error) {
+      return { source: scheduler.createColdObservable('-a-b-#', marbleValues(values), error) };
+    },
+    'empty': function (scheduler) {
+      return { source: scheduler.createColdObservable('-|') };
+    },
+    'never': function (scheduler) {
+      return { source: scheduler.createColdObservable('-') };
+    },
+    'early disposal': function (scheduler, values) {
+      return {
+        source: scheduler.createColdObservable('-a-b-c-a-b-c-|', marbleValues(values)),
+        disposed: ReactiveTest.subscribed + 4 * ReactiveTest.frameTimeFactor
+      };
+    }
+  };
+
+  function runScenario(factory, scenario, values, error, disposalDelay) {
+    var scheduler = new Rx.TestScheduler(),
+      violations = [],
+      observer = new GrammarObserver(scheduler, violations),
+      setup = conformanceScenarios[scenario](scheduler, values, error),
+      disposed = setup.disposed || ReactiveTest.disposed,
+      observable,
+      subscription;
+
+    scheduler.scheduleAbsolute(null, ReactiveTest.created, function () {
+      try {
+        observable = factory(setup.source, scheduler);
+      } catch (e) {
+        violations.push('Operator factory threw ' + e);
+      }
+      return disposableEmpty;
+    });
+
+    scheduler.scheduleAbsolute(null, ReactiveTest.subscribed, function () {
+      try {
+        observable && (subscription = observable.subscribe(observer));
+      } catch (e) {
+        violations.push('Subscribe threw ' + e + ' at ' + scheduler.clock);
+      }
+      return disposableEmpty;
+    });
+
+    scheduler.scheduleAbsolute(null, disposed, function () {
+      observer.isDisposed = true;
+      subscription && subscription.dispose();
+      return disposableEmpty;
+    });
+
+    scheduler.start();
+
+    // Upstream has to be disposed once the operator terminates or is disposed
+    var time = (observer.terminatedAt === null ? disposed : observer.terminatedAt) + disposalDelay,
+      leaks = scheduler.getLeaks(time);
+    for (var i = 0, len = leaks.length; i < len; i++) {
+      violations.push('Upstream ' + leaks[i].message);
+    }
+    if (setup.source instanceof SyncObservable) {
+      for (var j = 0, jLen = setup.source.subscriptions.length; j < jLen; j++) {
+        var s = setup.source.subscriptions[j];
+        s.subscribe <= time && s.unsubscribe > time &&
+          violations.push('Upstream synchronous source subscribed at ' + s.subscribe + ' is still open at ' + time);
+      }
+    }
+
+    for (var k = 0, kLen = violations.length; k < kLen; k++) {
+      violations[k] = scenario + ': ' + violations[k];
+    }
+    return violations;
+  }
+
+  /**
+   * Drives an operator through synchronous, asynchronous, erroring and early disposal scenarios on a test scheduler, and reports each violation of the Rx contract:
+   * notifications which do not follow the onNext* (onError | onCompleted)? grammar, notifications after dispose,
+   * and upstream subscriptions which are still open once the operator terminated or was disposed.
+   *
+   * 1 - ReactiveTest.checkConformance(function (source) { return source.map(function (x) { return x + 1; }); });
+   * 2 - ReactiveTest.checkConformance(function (source, scheduler) { return source.delay(10, scheduler); }, { values: ['a', 'b', 'c'] });
+   *
+   * @param {Function} factory Function which applies the operator to the given source observable and returns the resulting sequence. It is also given the test scheduler of the scenario.
+   * @param {Object} [options] An object with the three values notified by the source, 1, 2 and 3 by default, the error of the erroring scenarios,
+   * the names of the scenarios to run, all of ReactiveTest.conformanceScenarios by default, and the disposal delay in ticks allowed for operators which dispose upstream through a scheduler, 0 by default.
+   * @returns {Array} An array of messages describing each violation, prefixed with the scenario name, which is empty when the operator conforms.
+   */
+  ReactiveTest.checkConformance = function (factory, options) {
+    if (typeof factory !== 'function') { throw new Error('checkConformance requires an operator factory function'); }
+    options || (options = {});
+    var values = options.values || [1, 2, 3],
+      error = options.error === undefined ? new Error('conformance') : options.error,
+      scenarios = options.scenarios || ReactiveTest.conformanceScenarios,
+      disposalDelay = options.disposalDelay || 0,
+      violations = [];
+
+    for (var i = 0, len = scenarios.length; i < len; i++) {
+      if (!conformanceScenarios.hasOwnProperty(scenarios[i])) { throw new Error('Unknown conformance scenario "' + scenarios[i] + '"'); }
+      violations.push.apply(violations, runScenario(factory, scenarios[i], values, error, disposalDelay));
+    }
+    return violations;
+  };
+
+  /** Names of the scenarios run by ReactiveTest.checkConformance. */
+  ReactiveTest.conformanceScenarios = ['synchronous', 'synchronous error', 'asynchronous', 'asynchronous error', 'empty', 'never', 'early disposal'];
@@ -7,6 +7,7 @@
       this.scheduler = scheduler;
       this.messages = messages;
       this.subscriptions = [];
+      scheduler._leakSources && scheduler._leakSources.push(this);
       this.observers = [];
       for (var i = 0, len = this.messages.length; i < len; i++) {
         message = this.messages[i];
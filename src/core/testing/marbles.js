@@ -0,0 +1,133 @@
+  /** Number of virtual time ticks represented by a single frame of a marble diagram. */
+  ReactiveTest.frameTimeFactor = 10;
+
+  /**
+   * Parses a marble diagram into the timestamped notification messages consumed by hot and cold test observables.
+   *
+   * Each character of the diagram is one frame of ReactiveTest.frameTimeFactor ticks:
+   *  '-' or ' ' - a frame where nothing happens
+   *  '^'        - the subscription point, which is laid out at the origin time (at most one)
+   *  '|'        - OnCompleted notification
+   *  '#'        - OnError notification with the given error
+   *  '(' ')'    - groups notifications which all happen on the frame of the opening parenthesis
+   *  otherwise  - OnNext notification with the value of the character in the values map, or the character itself
+   *
+   * 1 - ReactiveTest.parseMarbles('--a--b--|', { a: 1, b: 2 });
+   * 2 - ReactiveTest.parseMarbles('-a-^-(bc)-#', null, new Error());
+   *
+   * @param {String} marbles Marble diagram to parse.
+   * @param {Object} [values] Map from marble characters to the values they stand for.
+   * @param {Any} [error] Error surfaced by the '#' marker, 'error' by default.
+   * @param {Number} [origin] Virtual time of the '^' marker or of the first frame, ReactiveTest.subscribed by default.
+   * @returns {Array} Array of Recorded notification messages.
+   */
+  ReactiveTest.parseMarbles = function (marbles, values, error, origin) {
+    if (marbles.indexOf('!') !== -1) {
+      throw new Error('Conventional marble diagrams cannot have the unsubscription marker "!"');
+    }
+    if (marbles.indexOf('^') !== marbles.lastIndexOf('^')) {
+      throw new Error('Marble diagrams can only have one subscription marker "^"');
+    }
+    origin == null && (origin = ReactiveTest.subscribed);
+    error === undefined && (error = 'error');
+
+    var factor = ReactiveTest.frameTimeFactor,
+      offset = Math.max(marbles.indexOf('^'), 0),
+      messages = [],
+      inGroup = false,
+      groupTime;
+
+    for (var i = 0, len = marbles.length; i < len; i++) {
+      var c = marbles.charAt(i), time = origin + (i - offset) * factor, notification = null;
+      switch (c) {
+        case '-':
+        case ' ':
+        case '^':
+          break;
+        case '(':
+          if (inGroup) { throw new Error('Marble diagrams cannot have nested groups'); }
+          inGroup = true;
+          groupTime = time;
+          break;
+        case ')':
+          if (!inGroup) { throw new Error('Marble diagram has an unmatched ")" at frame ' + i); }
+          inGroup = false;
+          break;
+        case '|':
+          notification = Notification.createOnCompleted();
+          break;
+        case '#':
+          notification = Notification.createOnError(error);
+          break;
+        default:
+          notification = Notification.createOnNext(values == null ? c : values[c]);
+          break;
+      }
+      notification && messages.push(new Recorded(inGroup ? groupTime : time, notification));
+    }
+    if (inGroup) { throw new Error('Marble diagram has an unmatched "("'); }
+
+    return messages;
+  };
+
+  /**
+   * Parses a subscription marble diagram into a Subscription object.
+   *
+   * Each character of the diagram is one frame of ReactiveTest.frameTimeFactor ticks, with the first frame laid out at the origin time:
+   *  '-' or ' ' - a frame where nothing happens
+   *  '^'        - the subscription, or the first frame if omitted
+   *  '!'        - the unsubscription, or never if omitted
+   *  '(' ')'    - groups markers which all happen on the frame of the opening parenthesis
+   *
+   * 1 - ReactiveTest.parseSubscriptionMarbles('^-----!');
+   * 2 - ReactiveTest.parseSubscriptionMarbles('---^---');
+   *
+   * @param {String} marbles Subscription marble diagram to parse.
+   * @param {Number} [origin] Virtual time of the first frame, ReactiveTest.subscribed by default.
+   * @returns {Subscription} Subscription object with the parsed subscription and unsubscription time.
+   */
+  ReactiveTest.parseSubscriptionMarbles = function (marbles, origin) {
+    origin == null && (origin = ReactiveTest.subscribed);
+
+    var factor = ReactiveTest.frameTimeFactor,
+      subscribe = null,
+      unsubscribe = null,
+      inGroup = false,
+      groupTime;
+
+    for (var i = 0, len = marbles.length; i < len; i++) {
+      var c = marbles.charAt(i), time = origin + i * factor;
+      switch (c) {
+        case '-':
+        case ' ':
+          break;
+        case '(':
+          if (inGroup) { throw new Error('Marble diagrams cannot have nested groups'); }
+          inGroup = true;
+          groupTime = time;
+          break;
+        case ')':
+          if (!inGroup) { throw new Error('Marble diagram has an unmatched ")" at frame ' + i); }
+          inGroup = false;
+          break;
+        case '^':
+          if (subscribe !== null) { throw new Error('Subscription marble diagrams can only have one subscription marker "^"'); }
+          subscribe = inGroup ? groupTime : time;
+          break;
+        case '!':
+          if (unsubscribe !== null) { throw new Error('Subscription marble diagrams can only have one unsubscription marker "!"'); }
+          unsubscribe = inGroup ? groupTime : time;
+          break;
+        default:
+          throw new Error('Subscription marble diagrams can only have "^" and "!" markers, found "' + c + '" at frame ' + i);
+      }
+    }
+    if (inGroup) { throw new Error('Marble diagram has an unmatched "("'); }
+
+    subscribe === null && (subscribe = origin);
+    if (unsubscribe !== null && unsubscribe < subscribe) {
+      throw new Error('Subscription marble diagram has the unsubscription marker "!" before the subscription marker "^"');
+    }
+
+    return new Subscription(subscribe, unsubscribe === null ? undefined : unsubscribe);
+  };
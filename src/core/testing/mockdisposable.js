@@ -2,6 +2,7 @@
     this.scheduler = scheduler;
     this.disposes = [];
     this.disposes.push(this.scheduler.clock);
+    scheduler._leakSources && scheduler._leakSources.push(this);
   };
 
   MockDisposable.prototype.dispose = function () {
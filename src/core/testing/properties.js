@@ -0,0 +1,220 @@
+  function randomInteger(random, min, max) {
+    return min + Math.floor(random() * (max - min + 1));
+  }
+
+  function defaultValue(random) {
+    return randomInteger(random, 0, 99);
+  }
+
+  function defaultShrinkValue(value) {
+    if (typeof value !== 'number' || value === 0) { return []; }
+    var half = value > 0 ? Math.floor(value / 2) : Math.ceil(value / 2);
+    return half === 0 ? [0] : [0, half];
+  }
+
+  function withRecord(records, index, record) {
+    var copy = records.slice(0);
+    record === null ? copy.splice(index, 1) : (copy[index] = record);
+    return copy;
+  }
+
+  /**
+   * Creates a generator of random but valid sequences of Recorded notification messages for hot or cold test observables,
+   * which are ordered by time and have at most one terminal notification at the end.
+   *
+   * 1 - ReactiveTest.recordedGenerator();
+   * 2 - ReactiveTest.recordedGenerator({ maxLength: 5, value: function (random) { return random() < 0.5 ? 'a' : 'b'; } });
+   *
+   * @param {Object} [options] An object with the following optional properties:
+   *  value       - function which is given a random number generator and returns a value, an integer between 0 and 99 by default
+   *  shrinkValue - function which returns an array of smaller candidates for a value, halving numbers towards 0 by default
+   *  maxLength   - maximum number of OnNext notifications, 10 by default
+   *  minTime     - earliest time, 1 for cold and ReactiveTest.subscribed + 1 for hot sequences by default
+   *  maxTime     - latest time, minTime + 300 by default
+   *  cold        - whether the times are offsets from the subscription time, false by default
+   *  error       - the error of OnError notifications, 'error' by default
+   * @returns {Object} A generator whose generate(random) method returns an array of Recorded messages,
+   * and whose shrink(records) method returns an array of simpler candidates for the given array.
+   */
+  ReactiveTest.recordedGenerator = function (options) {
+    options || (options = {});
+    var value = options.value || defaultValue,
+      shrinkValue = options.shrinkValue || (options.value ? function () { return []; } : defaultShrinkValue),
+      maxLength = options.maxLength == null ? 10 : options.maxLength,
+      cold = !!options.cold,
+      minTime = options.minTime == null ? (cold ? 1 : ReactiveTest.subscribed + 1) : options.minTime,
+      maxTime = options.maxTime == null ? minTime + 300 : options.maxTime,
+      error = options.error === undefined ? 'error' : options.error;
+
+    if (maxTime < minTime) { throw new Error('recordedGenerator requires minTime to be at most maxTime'); }
+
+    return {
+      cold: cold,
+      generate: function (random) {
+        var length = randomInteger(random, 0, maxLength), times = [], records = [], i;
+        for (i = 0; i <= length; i++) { times.push(randomInteger(random, minTime, maxTime)); }
+        times.sort(function (x, y) { return x - y; });
+
+        for (i = 0; i < length; i++) {
+          records.push(new Recorded(times[i], Notification.createOnNext(value(random))));
+        }
+
+        // About half complete, a fifth error and the rest never terminate
+        var terminal = random();
+        terminal < 0.5 && records.push(new Recorded(times[length], Notification.createOnCompleted()));
+        terminal >= 0.5 && terminal < 0.7 && records.push(new Recorded(times[length], Notification.createOnError(error)));
+        return records;
+      },
+      shrink: function (records) {
+        var candidates = [], i, len = records.length, last = records[len - 1];
+
+        // Drop the terminal notification, then each OnNext notification
+        last && last.value.kind !== 'N' && candidates.push(records.slice(0, len - 1));
+        for (i = 0; i < len; i++) {
+          records[i].value.kind === 'N' && candidates.push(withRecord(records, i, null));
+        }
+
+        // Move each notification to the time of the previous one
+        for (i = 0; i < len; i++) {
+          var earlier = i === 0 ? minTime : records[i - 1].time;
+          earlier < records[i].time && candidates.push(withRecord(records, i, new Recorded(earlier, records[i].value)));
+        }
+
+        // Simplify each value
+        for (i = 0; i < len; i++) {
+          if (records[i].value.kind !== 'N') { continue; }
+          var values = shrinkValue(records[i].value.value);
+          for (var j = 0, jLen = values.length; j < jLen; j++) {
+            candidates.push(withRecord(records, i, new Recorded(records[i].time, Notification.createOnNext(values[j]))));
+          }
+        }
+        return candidates;
+      }
+    };
+  };
+
+  function holds(property, inputs) {
+    try {
+      return { ok: property.apply(null, [new Rx.TestScheduler()].concat(inputs)) !== false };
+    } catch (e) {
+      return { ok: false, error: e };
+    }
+  }
+
+  function shrinkInputs(generators, property, inputs, failure, maxShrinks) {
+    var steps = 0, shrunk = true;
+    while (shrunk && steps < maxShrinks) {
+      shrunk = false;
+      for (var i = 0, len = inputs.length; i < len && !shrunk; i++) {
+        var candidates = generators[i].shrink(inputs[i]);
+        for (var j = 0, jLen = candidates.length; j < jLen && !shrunk; j++) {
+          var next = inputs.slice(0);
+          next[i] = candidates[j];
+          var result = holds(property, next);
+          if (!result.ok) {
+            inputs = next;
+            failure = result;
+            shrunk = true;
+            steps++;
+          }
+        }
+      }
+    }
+    return { inputs: inputs, failure: failure, steps: steps };
+  }
+
+  /**
+   * Checks a property against many random sequences of Recorded messages, and shrinks the first failing sequences to a minimal counterexample.
+   * The property fails when it returns false or throws. When it fails, throws an Error which has the seed of the failing run, the counterexample and the error of the property.
+   *
+   * 1 - ReactiveTest.checkProperty([ReactiveTest.recordedGenerator()], function (scheduler, records) { ... });
+   * 2 - ReactiveTest.checkProperty([gen, gen], function (scheduler, xsRecords, ysRecords) { ... }, { runs: 500, seed: 42 });
+   *
+   * @param {Array} generators The generators of each sequence given to the property, as created by ReactiveTest.recordedGenerator.
+   * @param {Function} property Function which is given a new test scheduler and a generated array of Recorded messages for each generator.
+   * @param {Object} [options] An object with the number of runs, 100 by default, the seed of the first run, random by default, and the maximum number of shrinking steps, 1000 by default.
+   */
+  ReactiveTest.checkProperty = function (generators, property, options) {
+    options || (options = {});
+    var runs = options.runs == null ? 100 : options.runs,
+      seed = options.seed == null ? Math.floor(Math.random() * 2147483646) + 1 : options.seed,
+      maxShrinks = options.maxShrinks == null ? 1000 : options.maxShrinks;
+
+    for (var i = 0; i < runs; i++) {
+      var runSeed = seed + i, random = createRandom(runSeed), inputs = [];
+      for (var j = 0, len = generators.length; j < len; j++) { inputs.push(generators[j].generate(random)); }
+
+      var result = holds(property, inputs);
+      if (result.ok) { continue; }
+
+      var shrunk = shrinkInputs(generators, property, inputs, result, maxShrinks), lines = [];
+      for (var k = 0, kLen = shrunk.inputs.length; k < kLen; k++) { lines.push('  [' + shrunk.inputs[k].toString() + ']'); }
+      var innerError = shrunk.failure.error,
+        error = new Error('Run ' + (i + 1) + ' of ' + runs + ' failed with seed ' + runSeed +
+          ', shrunk in ' + shrunk.steps + ' steps to:\n' + lines.join('\n') +
+          (innerError ? '\n' + (innerError.message || innerError) : ''));
+      error.seed = runSeed;
+      error.counterexample = shrunk.inputs;
+      error.innerError = innerError;
+      throw error;
+    }
+  };
+
+  function sameMessages(actual, expected) {
+    if (actual.length !== expected.length) { return false; }
+    for (var i = 0, len = actual.length; i < len; i++) {
+      if (!expected[i].equals(actual[i])) { return false; }
+    }
+    return true;
+  }
+
+  // Messages at the same time may come in any order
+  function sameMessagesIgnoringOrder(actual, expected) {
+    if (actual.length !== expected.length) { return false; }
+    var unmatched = expected.slice(0);
+    for (var i = 0, len = actual.length; i < len; i++) {
+      var found = false;
+      for (var j = 0, jLen = unmatched.length; j < jLen && !found; j++) {
+        if (unmatched[j].equals(actual[i])) {
+          unmatched.splice(j, 1);
+          found = true;
+        }
+      }
+      if (!found) { return false; }
+    }
+    return true;
+  }
+
+  function runFactory(factory, generators, inputs) {
+    var scheduler = new Rx.TestScheduler(), sources = [];
+    for (var i = 0, len = inputs.length; i < len; i++) {
+      sources.push(generators[i].cold ? scheduler.createColdObservable(inputs[i]) : scheduler.createHotObservable(inputs[i]));
+    }
+    sources.push(scheduler);
+    return scheduler.startScheduler(function () { return factory.apply(null, sources); }).messages;
+  }
+
+  /**
+   * Checks that two ways of building an observable sequence notify the same messages for many random source sequences, like the map fusion law
+   * source.map(f).map(g) and source.map(function (x) { return g(f(x)); }), and shrinks the first failing sources to a minimal counterexample.
+   *
+   * 1 - ReactiveTest.checkEquivalence([gen], function (xs) { return xs.map(f).map(g); }, function (xs) { return xs.map(function (x) { return g(f(x)); }); });
+   * 2 - ReactiveTest.checkEquivalence([gen, gen], function (xs, ys) { return xs.merge(ys); }, function (xs, ys) { return ys.merge(xs); }, { ignoreSameTimeOrder: true });
+   *
+   * @param {Array} generators The generators of each source sequence, which is a hot or a cold test observable depending on the generator.
+   * @param {Function} left Function which is given the source sequences and the test scheduler, and returns an observable sequence.
+   * @param {Function} right Function which is given the source sequences and the test scheduler, and returns an observable sequence.
+   * @param {Object} [options] The options of ReactiveTest.checkProperty, and whether messages at the same time may come in any order, false by default.
+   */
+  ReactiveTest.checkEquivalence = function (generators, left, right, options) {
+    var ignoreSameTimeOrder = !!(options && options.ignoreSameTimeOrder);
+    ReactiveTest.checkProperty(generators, function () {
+      var inputs = Array.prototype.slice.call(arguments, 1),
+        leftMessages = runFactory(left, generators, inputs),
+        rightMessages = runFactory(right, generators, inputs);
+      var same = ignoreSameTimeOrder ? sameMessagesIgnoringOrder : sameMessages;
+      if (!same(leftMessages, rightMessages)) {
+        throw new Error('Left: [' + leftMessages.toString() + '] Right: [' + rightMessages.toString() + ']');
+      }
+    }, options);
+  };
@@ -0,0 +1,72 @@
+  function isPredicate(value) {
+    return value != null && typeof value.predicate === 'function';
+  }
+
+  function recordsEqual(actual, expected) {
+    if (actual.length !== expected.length) { return false; }
+    for (var i = 0, len = expected.length; i < len; i++) {
+      var e = expected[i], a = actual[i];
+      // Allow for predicates
+      var isOk = isPredicate(e.value) ? e.time === a.time && e.value.equals(a.value) : defaultComparer(e, a);
+      if (!isOk) { return false; }
+    }
+    return true;
+  }
+
+  function predicateEquals(predicate, notification) {
+    return predicate.equals(notification);
+  }
+
+  function itemLines(items) {
+    var lines = new Array(items.length);
+    for (var i = 0, len = items.length; i < len; i++) { lines[i] = items[i].toString(); }
+    return lines.join('\n');
+  }
+
+  /**
+   * Error thrown when recorded messages or subscriptions are not the expected ones.
+   * Its message renders the differences as marble timelines, and its actual and expected properties list one item per line,
+   * so that test frameworks such as Mocha and node:test show them as a diff.
+   *
+   * @constructor
+   * @param {Array} failures An array of objects with the actual and expected arrays of Recorded messages or Subscription objects.
+   */
+  var ReactiveAssertionError = Rx.ReactiveAssertionError = function (failures) {
+    var messages = [], actual = [], expected = [];
+    for (var i = 0, len = failures.length; i < len; i++) {
+      var a = failures[i].actual, e = failures[i].expected;
+      messages.push('Expected: [' + e.toString() + '] Actual: [' + a.toString() + ']\n' + recordedDiff.format(a, e, predicateEquals));
+      actual.push(itemLines(a));
+      expected.push(itemLines(e));
+    }
+    this.message = messages.join('\n\n');
+    this.actual = actual.join('\n\n');
+    this.expected = expected.join('\n\n');
+    this.showDiff = true;
+    this.code = 'ERR_ASSERTION';
+    this.operator = 'deepStrictEqual';
+    // Error.call does not fill in the stack of the instance, which test frameworks report
+    if (typeof Error.captureStackTrace === 'function') {
+      Error.captureStackTrace(this, ReactiveAssertionError);
+    } else {
+      this.stack = new Error(this.message).stack;
+    }
+  };
+  ReactiveAssertionError.prototype = Object.create(Error.prototype);
+  ReactiveAssertionError.prototype.name = 'ReactiveAssertionError';
+
+  /**
+   * Checks that the actual Recorded messages or Subscription objects are the expected ones, and throws a ReactiveAssertionError otherwise.
+   * Expected OnNext and OnError messages may be created with predicates.
+   *
+   * 1 - ReactiveTest.assertEqual(results.messages, [onNext(210, 1), onCompleted(250)]);
+   * 2 - ReactiveTest.assertEqual(xs.subscriptions, [subscribe(200, 250)]);
+   *
+   * @param {Array} actual The actual Recorded messages or Subscription objects.
+   * @param {Array} expected The expected Recorded messages or Subscription objects.
+   */
+  ReactiveTest.assertEqual = function (actual, expected) {
+    if (!recordsEqual(actual, expected)) {
+      throw new ReactiveAssertionError([{ actual: actual, expected: expected }]);
+    }
+  };
@@ -9,6 +9,12 @@ OnNextPredicate.prototype.equals = function (other) {
   return this.predicate(other.value);
 };
 
+OnNextPredicate.prototype.kind = 'N';
+
+OnNextPredicate.prototype.toString = function () {
+  return 'OnNext(<predicate>)';
+};
+
 function OnErrorPredicate(predicate) {
   this.predicate = predicate;
 }
@@ -20,6 +26,12 @@ OnErrorPredicate.prototype.equals = function (other) {
   return this.predicate(other.error);
 };
 
+OnErrorPredicate.prototype.kind = 'E';
+
+OnErrorPredicate.prototype.toString = function () {
+  return 'OnError(<predicate>)';
+};
+
 var ReactiveTest = Rx.ReactiveTest = {
   /** Default virtual time used for creation of observable sequences in unit tests. */
   created: 100,
@@ -27,6 +39,8 @@ var ReactiveTest = Rx.ReactiveTest = {
   subscribed: 200,
   /** Default virtual time used to dispose subscriptions in unit tests. */
   disposed: 1000,
+  /** Whether startScheduler throws when a test observable subscription or mock disposable is still open after the disposed time. */
+  failOnLeaks: false,
 
   /**
    * Factory method for an OnNext notification record at a given time with a given value or a predicate function.
@@ -6,8 +6,23 @@
       return x > y ? 1 : (x < y ? -1 : 0);
     }
 
+    function leakSourceName(source) {
+      if (source instanceof HotObservable) { return 'HotObservable'; }
+      if (source instanceof ColdObservable) { return 'ColdObservable'; }
+      return 'MockDisposable';
+    }
+
+    function createLeak(name, source, subscription, time) {
+      var message = name + (source.messages ? ' [' + source.messages.toString() + ']' : '') +
+        (source.subscriptions ? ' subscribed at ' : ' created at ') + subscription.subscribe +
+        ' is still open at ' + time;
+      return { source: source, subscription: subscription, time: time, message: message };
+    }
+
     function TestScheduler() {
       __super__.call(this, 0, baseComparer);
+      this._flushTests = [];
+      this._leakSources = [];
     }
 
     /**
@@ -53,17 +68,21 @@
     /**
      * Starts the test scheduler and uses the specified virtual times to invoke the factory function, subscribe to the resulting sequence, and dispose the subscription.
      *
-     * @param create Factory method to create an observable sequence.
-     * @param created Virtual time at which to invoke the factory to create an observable sequence.
-     * @param subscribed Virtual time at which to subscribe to the created observable sequence.
-     * @param disposed Virtual time at which to dispose the subscription.
-     * @return Observer with timestamped recordings of notification messages that were received during the virtual time window when the subscription to the source sequence was active.
+     * @param createFn Factory method to create an observable sequence.
+     * @param [settings] An object with the following settings:
+     *  created - virtual time at which to invoke the factory to create an observable sequence, ReactiveTest.created by default.
+     *  subscribed - virtual time at which to subscribe to the created observable sequence, ReactiveTest.subscribed by default.
+     *  disposed - virtual time at which to dispose the subscription, ReactiveTest.disposed by default.
+     *  failOnLeaks - whether to throw when a subscription is still open after the disposed time, ReactiveTest.failOnLeaks by default.
+     * @return Observer with timestamped recordings of notification messages that were received during the virtual time window when the subscription to the source sequence was active,
+     * and with the leaks found after the disposed time.
      */
     TestScheduler.prototype.startScheduler = function (createFn, settings) {
       settings || (settings = {});
       settings.created == null && (settings.created = ReactiveTest.created);
       settings.subscribed == null && (settings.subscribed = ReactiveTest.subscribed);
       settings.disposed == null && (settings.disposed = ReactiveTest.disposed);
+      settings.failOnLeaks == null && (settings.failOnLeaks = ReactiveTest.failOnLeaks);
 
       var observer = this.createObserver(), source, subscription;
 
@@ -84,17 +103,138 @@
 
       this.start();
 
+      var leaks = observer.leaks = this.getLeaks(settings.disposed);
+      if (settings.failOnLeaks && leaks.length > 0) {
+        var messages = new Array(leaks.length);
+        for (var i = 0, len = leaks.length; i < len; i++) { messages[i] = leaks[i].message; }
+        throw new Error('Subscriptions leaked after disposal at ' + settings.disposed + ':\n' + messages.join('\n'));
+      }
+
       return observer;
     };
 
     /**
-     * Creates a hot observable using the specified timestamped notification messages either as an array or arguments.
-     * @param messages Notifications to surface through the created sequence at their specified absolute virtual times.
+     * Finds the subscriptions to hot and cold test observables and the mock disposables created with this scheduler which were opened at or before the given virtual time and are still open after it.
+     *
+     * @param {Number} [time] Virtual time to check, the current clock by default.
+     * @returns {Array} An array of leaks, each with the leaking source, the Subscription for when it was opened and closed, the virtual time checked and a descriptive message.
+     */
+    TestScheduler.prototype.getLeaks = function (time) {
+      time == null && (time = this.clock);
+      var leaks = [], counts = {};
+      for (var i = 0, len = this._leakSources.length; i < len; i++) {
+        var source = this._leakSources[i], name = leakSourceName(source);
+        counts[name] = (counts[name] || 0) + 1;
+        name += ' #' + counts[name];
+        if (source.subscriptions) {
+          for (var j = 0, jLen = source.subscriptions.length; j < jLen; j++) {
+            var s = source.subscriptions[j];
+            s.subscribe <= time && s.unsubscribe > time && leaks.push(createLeak(name, source, s, time));
+          }
+        } else {
+          var lifetime = new Subscription(source.disposes[0], source.disposes[1]);
+          lifetime.subscribe <= time && lifetime.unsubscribe > time && leaks.push(createLeak(name, source, lifetime, time));
+        }
+      }
+      return leaks;
+    };
+
+    /**
+     * Subscribes to the observable sequence and records its notifications so they can be checked against a marble diagram when the scheduler is flushed.
+     *
+     * 1 - scheduler.expectObservable(xs.map(f)).toBe('--a--|', { a: 1 });
+     * 2 - scheduler.expectObservable(xs, '^---!').toBe('--a-');
+     *
+     * @param {Observable} observable Observable sequence to subscribe to.
+     * @param {String} [unsubscriptionMarbles] Subscription marble diagram for when to subscribe and dispose, subscribing at ReactiveTest.subscribed and never disposing by default.
+     * @returns {Object} An object whose toBe(marbles, [values], [error]) method sets the expected notifications, either as a marble diagram or an array of Recorded messages.
+     */
+    TestScheduler.prototype.expectObservable = function (observable, unsubscriptionMarbles) {
+      var observer = this.createObserver(),
+        subscription = ReactiveTest.parseSubscriptionMarbles(unsubscriptionMarbles || ''),
+        flushTest = { ready: false, actual: observer.messages, expected: null },
+        disposable;
+
+      this.scheduleAbsolute(null, subscription.subscribe, function () {
+        disposable = observable.subscribe(observer);
+        return disposableEmpty;
+      });
+
+      subscription.unsubscribe !== Number.MAX_VALUE && this.scheduleAbsolute(null, subscription.unsubscribe, function () {
+        disposable.dispose();
+        return disposableEmpty;
+      });
+
+      this._flushTests.push(flushTest);
+
+      return {
+        toBe: function (marbles, values, error) {
+          flushTest.ready = true;
+          flushTest.expected = Array.isArray(marbles) ? marbles : ReactiveTest.parseMarbles(marbles, values, error);
+        }
+      };
+    };
+
+    /**
+     * Checks the subscriptions of a hot or cold test observable against subscription marble diagrams when the scheduler is flushed.
+     *
+     * 1 - scheduler.expectSubscriptions(xs.subscriptions).toBe('^---!');
+     * 2 - scheduler.expectSubscriptions(xs.subscriptions).toBe(['^---!', '--^-!']);
+     *
+     * @param {Array} subscriptions The subscriptions array of a hot or cold test observable.
+     * @returns {Object} An object whose toBe(marbles) method sets the expected subscriptions, either as a subscription marble diagram or an array of diagrams or Subscription objects.
+     */
+    TestScheduler.prototype.expectSubscriptions = function (subscriptions) {
+      var flushTest = { ready: false, actual: subscriptions, expected: null };
+
+      this._flushTests.push(flushTest);
+
+      return {
+        toBe: function (marbles) {
+          Array.isArray(marbles) || (marbles = [marbles]);
+          var expected = new Array(marbles.length);
+          for (var i = 0, len = marbles.length; i < len; i++) {
+            expected[i] = typeof marbles[i] === 'string' ? ReactiveTest.parseSubscriptionMarbles(marbles[i]) : marbles[i];
+          }
+          flushTest.ready = true;
+          flushTest.expected = expected;
+        }
+      };
+    };
+
+    /**
+     * Runs the scheduler until there is no more work scheduled, then checks every expectation set with expectObservable and expectSubscriptions.
+     * Throws a ReactiveAssertionError describing each expectation which was not met.
+     */
+    TestScheduler.prototype.flush = function () {
+      this.start();
+
+      var flushTests = this._flushTests, failures = [];
+      this._flushTests = [];
+      for (var i = 0, len = flushTests.length; i < len; i++) {
+        var flushTest = flushTests[i];
+        flushTest.ready && !recordsEqual(flushTest.actual, flushTest.expected) && failures.push(flushTest);
+      }
+
+      if (failures.length > 0) { throw new ReactiveAssertionError(failures); }
+    };
+
+    /**
+     * Creates a hot observable using the specified timestamped notification messages either as an array, arguments or a marble diagram.
+     *
+     * 1 - scheduler.createHotObservable(onNext(210, 1), onCompleted(250));
+     * 2 - scheduler.createHotObservable('--^-a--|', { a: 1 });
+     *
+     * @param messages Notifications to surface through the created sequence at their specified absolute virtual times, or a marble diagram whose '^' marker is at ReactiveTest.subscribed.
+     * @param [values] Map from marble characters to values when a marble diagram is given.
+     * @param [error] Error surfaced by the '#' marker when a marble diagram is given.
      * @return Hot observable sequence that can be used to assert the timing of subscriptions and notifications.
      */
     TestScheduler.prototype.createHotObservable = function () {
       var len = arguments.length, args;
-      if (Array.isArray(arguments[0])) {
+      if (typeof arguments[0] === 'string') {
+        args = ReactiveTest.parseMarbles(arguments[0], arguments[1], arguments[2]);
+      } else if (Array.isArray(arguments[0])) {
         args = arguments[0];
       } else {
         args = new Array(len);
@@ -104,13 +244,22 @@
     };
 
     /**
-     * Creates a cold observable using the specified timestamped notification messages either as an array or arguments.
-     * @param messages Notifications to surface through the created sequence at their specified virtual time offsets from the sequence subscription time.
+     * Creates a cold observable using the specified timestamped notification messages either as an array, arguments or a marble diagram.
+     *
+     * 1 - scheduler.createColdObservable(onNext(10, 1), onCompleted(50));
+     * 2 - scheduler.createColdObservable('-a--|', { a: 1 });
+     *
+     * @param messages Notifications to surface through the created sequence at their specified virtual time offsets from the sequence subscription time, or a marble diagram starting at the subscription time.
+     * @param [values] Map from marble characters to values when a marble diagram is given.
+     * @param [error] Error surfaced by the '#' marker when a marble diagram is given.
      * @return Cold observable sequence that can be used to assert the timing of subscriptions and notifications.
      */
     TestScheduler.prototype.createColdObservable = function () {
       var len = arguments.length, args;
-      if (Array.isArray(arguments[0])) {
+      if (typeof arguments[0] === 'string') {
+        if (arguments[0].indexOf('^') !== -1) { throw new Error('Cold observable marble diagrams cannot have the subscription marker "^"'); }
+        args = ReactiveTest.parseMarbles(arguments[0], arguments[1], arguments[2], 0);
+      } else if (Array.isArray(arguments[0])) {
         args = arguments[0];
       } else {
         args = new Array(len);
@@ -147,5 +296,35 @@
       return new MockObserver(this);
     };
 
+    /**
+     * Runs a test several times, each time with a new test scheduler in shuffle mode with another seed, so that actions due at the same time run in different orders.
+     * When a run fails, throws an Error which has the seed of the failing run, so it can be replayed with new Rx.TestScheduler().shuffle(seed, jitter).
+     *
+     * 1 - Rx.TestScheduler.fuzz(function (scheduler) { ... });
+     * 2 - Rx.TestScheduler.fuzz(function (scheduler) { ... }, { runs: 500, seed: 42, jitter: 5 });
+     *
+     * @param {Function} test Test to run, which is given the test scheduler and the seed of the run.
+     * @param {Object} [options] An object with the number of runs, 100 by default, the seed of the first run, random by default, and the jitter of due times, 0 by default.
+     */
+    TestScheduler.fuzz = function (test, options) {
+      options || (options = {});
+      var runs = options.runs == null ? 100 : options.runs,
+        seed = options.seed == null ? Math.floor(Math.random() * 2147483646) + 1 : options.seed,
+        jitter = options.jitter || 0;
+
+      for (var i = 0; i < runs; i++) {
+        var runSeed = seed + i;
+        try {
+          test(new TestScheduler().shuffle(runSeed, jitter), runSeed);
+        } catch (e) {
+          var error = new Error('Run ' + (i + 1) + ' of ' + runs + ' failed with shuffle seed ' + runSeed +
+            (jitter ? ' and jitter ' + jitter : '') + ': ' + (e && e.message || e));
+          error.seed = runSeed;
+          error.innerError = e;
+          throw error;
+        }
+      }
+    };
+
     return TestScheduler;
   })(VirtualTimeScheduler);
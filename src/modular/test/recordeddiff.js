@@ -0,0 +1,152 @@
+'use strict';
+/* jshint undef: true, unused: true */
+
+var test = require('tape');
+var reactiveAssert = require('../testing/reactiveassert');
+var recordedDiff = require('../testing/recordeddiff');
+var ReactiveTest = require('../testing/reactivetest');
+var onNext = ReactiveTest.onNext,
+  onError = ReactiveTest.onError,
+  onCompleted = ReactiveTest.onCompleted,
+  subscribe = ReactiveTest.subscribe;
+
+function types(entries) {
+  return entries.map(function (entry) { return entry.type + '@' + entry.time; });
+}
+
+test('recordedDiff#diff equal sequences', function (t) {
+  var entries = recordedDiff.diff(
+    [onNext(210, 1), onCompleted(250)],
+    [onNext(210, 1), onCompleted(250)]
+  );
+
+  t.equal(entries.length, 0);
+
+  t.end();
+});
+
+test('recordedDiff#diff missing and extra', function (t) {
+  var entries = recordedDiff.diff(
+    [onNext(210, 1), onNext(230, 3), onCompleted(250)],
+    [onNext(210, 1), onNext(220, 2), onCompleted(250)]
+  );
+
+  t.deepEqual(types(entries), ['missing@220', 'extra@230']);
+
+  t.end();
+});
+
+test('recordedDiff#diff wrong value', function (t) {
+  var entries = recordedDiff.diff(
+    [onNext(210, 1), onNext(220, 42), onCompleted(250)],
+    [onNext(210, 1), onNext(220, 2), onCompleted(250)]
+  );
+
+  t.deepEqual(types(entries), ['wrong value@220']);
+  t.equal(entries[0].expected.value.value, 2);
+  t.equal(entries[0].actual.value.value, 42);
+
+  t.end();
+});
+
+test('recordedDiff#diff wrong time', function (t) {
+  var entries = recordedDiff.diff(
+    [onNext(210, 1), onCompleted(260)],
+    [onNext(210, 1), onCompleted(250)]
+  );
+
+  t.deepEqual(types(entries), ['wrong time@250']);
+  t.equal(entries[0].actual.time, 260);
+
+  t.end();
+});
+
+test('recordedDiff#diff different kinds at the same time', function (t) {
+  var error = new Error();
+
+  var entries = recordedDiff.diff(
+    [onError(250, error)],
+    [onCompleted(250)]
+  );
+
+  t.deepEqual(types(entries), ['missing@250', 'extra@250']);
+
+  t.end();
+});
+
+test('recordedDiff#diff predicates', function (t) {
+  var entries = recordedDiff.diff(
+    [onNext(210, 1), onNext(220, 3)],
+    [onNext(210, function (n) { return n.value === 1; }), onNext(220, function (n) { return n.value === 2; })]
+  );
+
+  t.deepEqual(types(entries), ['wrong value@220']);
+
+  t.end();
+});
+
+test('recordedDiff#timelines', function (t) {
+  var rendered = recordedDiff.timelines(
+    [onNext(210, 'a'), onNext(220, 'c'), onCompleted(250)],
+    [onNext(210, 'a'), onNext(220, 'b'), onNext(220, 'x'), onCompleted(250)]
+  );
+
+  t.equal(rendered,
+    'time     | 210 220   250\n' +
+    'expected | a   (b x) |\n' +
+    'actual   | a   c     |'
+  );
+
+  t.end();
+});
+
+test('recordedDiff#format', function (t) {
+  var message = recordedDiff.format(
+    [onNext(210, 'a'), onError(240, 'error')],
+    [onNext(210, 'a'), onCompleted(250)]
+  );
+
+  t.equal(message,
+    'time     | 210 240 250\n' +
+    'expected | a   -   |\n' +
+    'actual   | a   #   -\n' +
+    '\n' +
+    '@240 extra: OnError(error)\n' +
+    '@250 missing: OnCompleted()'
+  );
+
+  t.equal(recordedDiff.format([onNext(210, 'a')], [onNext(210, 'a')]), '');
+
+  t.end();
+});
+
+test('recordedDiff#format subscriptions', function (t) {
+  var message = recordedDiff.format(
+    [subscribe(200, 300), subscribe(400)],
+    [subscribe(200, 250)]
+  );
+
+  t.equal(message,
+    '[0] expected (200, 250), actual (200, 300)\n' +
+    '[1] extra: (400, Infinite)'
+  );
+
+  t.end();
+});
+
+test('reactiveAssert reports the diff on failure', function (t) {
+  var comments = [], results = [];
+  var fake = {
+    comment: function (msg) { comments.push(msg); },
+    ok: function (isOk) { results.push(isOk); }
+  };
+
+  reactiveAssert(fake, [onNext(210, 1), onCompleted(250)], [onNext(210, 1), onCompleted(250)]);
+  reactiveAssert(fake, [onNext(210, 1)], [onNext(210, 2)]);
+
+  t.deepEqual(results, [true, false]);
+  t.equal(comments.length, 1);
+  t.ok(comments[0].indexOf('@210 wrong value: expected OnNext(2), actual OnNext(1)') !== -1);
+
+  t.end();
+});
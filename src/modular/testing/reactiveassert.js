@@ -1,6 +1,7 @@
 'use strict';
 
 var isEqual = require('../internal/isequal');
+var recordedDiff = require('./recordeddiff');
 
 function createMessage(actual, expected) {
   return 'Expected: [' + expected.toString() + '] Actual: [' + actual.toString() + ']';
@@ -9,9 +10,9 @@ function createMessage(actual, expected) {
 module.exports = function assertEqual (t, actual, expected) {
   var i, isOk = true;
   if (expected.length !== actual.length) {
-    return t.ok(false, 'Not equal length.'  + createMessage(actual, expected));
+    isOk = false;
   }
-  for (i = 0; i < expected.length; i++) {
+  for (i = 0; isOk && i < expected.length; i++) {
     var e = expected[i], a = actual[i];
     // ALlow for predicates
     if (e.value && typeof e.value.predicate === 'function') {
@@ -19,10 +20,9 @@ module.exports = function assertEqual (t, actual, expected) {
     } else {
       isOk = isEqual(e, a);
     }
-
-    if (!isOk) {
-      break;
-    }
   }
-  t.ok(isOk, createMessage(actual, expected));
+  if (!isOk) {
+    t.comment(recordedDiff.format(actual, expected));
+  }
+  t.ok(isOk, expected.length !== actual.length ? 'Not equal length.' + createMessage(actual, expected) : createMessage(actual, expected));
 };
@@ -15,6 +15,12 @@ OnNextPredicate.prototype.equals = function (other) {
   return this.predicate(other.value);
 };
 
+OnNextPredicate.prototype.kind = 'N';
+
+OnNextPredicate.prototype.toString = function () {
+  return 'OnNext(<predicate>)';
+};
+
 function OnErrorPredicate(predicate) {
   this.predicate = predicate;
 }
@@ -26,6 +32,12 @@ OnErrorPredicate.prototype.equals = function (other) {
   return this.predicate(other.error);
 };
 
+OnErrorPredicate.prototype.kind = 'E';
+
+OnErrorPredicate.prototype.toString = function () {
+  return 'OnError(<predicate>)';
+};
+
 module.exports = {
   /** Default virtual time used for creation of observable sequences in unit tests. */
   created: 100,
@@ -0,0 +1,203 @@
+'use strict';
+
+function isPredicate(value) {
+  return value != null && typeof value.predicate === 'function';
+}
+
+function isRecorded(record) {
+  return record != null && typeof record.time === 'number' && record.value != null;
+}
+
+// Predicates are handed the actual notification, as in reactiveassert
+function callPredicate(predicate, notification) {
+  return predicate.predicate(notification);
+}
+
+function notificationEquals(e, a, matches) {
+  return isPredicate(e.value) ? matches(e.value, a.value) : e.comparer(e.value, a.value);
+}
+
+function recordedEquals(e, a, matches) {
+  return isPredicate(e.value) ? e.time === a.time && matches(e.value, a.value) : e.equals(a);
+}
+
+function token(notification) {
+  if (isPredicate(notification)) { return '?'; }
+  switch (notification.kind) {
+    case 'N': return String(notification.value);
+    case 'E': return '#';
+    case 'C': return '|';
+  }
+  return String(notification);
+}
+
+function pad(s, width) {
+  while (s.length < width) { s += ' '; }
+  return s;
+}
+
+function frameTimes(actual, expected) {
+  var seen = {}, times = [], i, len;
+  for (i = 0, len = expected.length; i < len; i++) {
+    seen[expected[i].time] || (seen[expected[i].time] = true, times.push(expected[i].time));
+  }
+  for (i = 0, len = actual.length; i < len; i++) {
+    seen[actual[i].time] || (seen[actual[i].time] = true, times.push(actual[i].time));
+  }
+  return times.sort(function (x, y) { return x - y; });
+}
+
+function frameTokens(messages, time) {
+  var tokens = [];
+  for (var i = 0, len = messages.length; i < len; i++) {
+    messages[i].time === time && tokens.push(token(messages[i].value));
+  }
+  if (tokens.length === 0) { return '-'; }
+  return tokens.length === 1 ? tokens[0] : '(' + tokens.join(' ') + ')';
+}
+
+/**
+ * Renders the expected and actual messages as side by side marble timelines with one column per virtual time.
+ *
+ * @param {Array} actual Actual Recorded messages.
+ * @param {Array} expected Expected Recorded messages.
+ * @returns {String} The rendered timelines.
+ */
+function timelines(actual, expected) {
+  var times = frameTimes(actual, expected),
+    rows = [['time'], ['expected'], ['actual']];
+
+  for (var i = 0, len = times.length; i < len; i++) {
+    var column = [String(times[i]), frameTokens(expected, times[i]), frameTokens(actual, times[i])],
+      width = Math.max(column[0].length, column[1].length, column[2].length);
+    for (var j = 0; j < 3; j++) { rows[j].push(pad(column[j], width)); }
+  }
+
+  var lines = new Array(3);
+  for (var k = 0; k < 3; k++) {
+    rows[k][0] = pad(rows[k][0], 8) + ' |';
+    lines[k] = rows[k].join(' ').replace(/\s+$/, '');
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Computes the per frame differences between expected and actual Recorded messages.
+ * Each difference has a type of 'missing', 'extra', 'wrong value' or 'wrong time', the virtual time it happens at,
+ * and the expected and/or actual Recorded message.
+ *
+ * @param {Array} actual Actual Recorded messages.
+ * @param {Array} expected Expected Recorded messages.
+ * @param {Function} [matches] Function which tells whether an expected predicate matches an actual notification, by default calling the predicate with the notification.
+ * @returns {Array} The differences, ordered by virtual time.
+ */
+function diff(actual, expected, matches) {
+  var missing = expected.slice(0), extra = actual.slice(0), entries = [], i, j;
+  matches || (matches = callPredicate);
+
+  // Drop everything which is matched exactly
+  for (i = 0; i < missing.length; i++) {
+    for (j = 0; j < extra.length; j++) {
+      if (recordedEquals(missing[i], extra[j], matches)) {
+        missing.splice(i--, 1);
+        extra.splice(j, 1);
+        break;
+      }
+    }
+  }
+
+  // Same notification at another time
+  for (i = 0; i < missing.length; i++) {
+    for (j = 0; j < extra.length; j++) {
+      if (notificationEquals(missing[i], extra[j], matches)) {
+        entries.push({ type: 'wrong time', time: missing[i].time, expected: missing[i], actual: extra[j] });
+        missing.splice(i--, 1);
+        extra.splice(j, 1);
+        break;
+      }
+    }
+  }
+
+  // Same kind of notification at the same time
+  for (i = 0; i < missing.length; i++) {
+    for (j = 0; j < extra.length; j++) {
+      if (missing[i].time === extra[j].time && missing[i].value.kind === extra[j].value.kind) {
+        entries.push({ type: 'wrong value', time: missing[i].time, expected: missing[i], actual: extra[j] });
+        missing.splice(i--, 1);
+        extra.splice(j, 1);
+        break;
+      }
+    }
+  }
+
+  for (i = 0; i < missing.length; i++) {
+    entries.push({ type: 'missing', time: missing[i].time, expected: missing[i], actual: null });
+  }
+  for (j = 0; j < extra.length; j++) {
+    entries.push({ type: 'extra', time: extra[j].time, expected: null, actual: extra[j] });
+  }
+
+  return entries.sort(function (x, y) { return x.time - y.time; });
+}
+
+function describe(entry) {
+  var prefix = '@' + entry.time + ' ' + entry.type + ': ';
+  switch (entry.type) {
+    case 'missing':
+      return prefix + entry.expected.value.toString();
+    case 'extra':
+      return prefix + entry.actual.value.toString();
+    case 'wrong value':
+      return prefix + 'expected ' + entry.expected.value.toString() + ', actual ' + entry.actual.value.toString();
+    default:
+      return prefix + entry.expected.value.toString() + ' expected @' + entry.expected.time + ', actual @' + entry.actual.time;
+  }
+}
+
+function describeItems(actual, expected) {
+  var lines = [];
+  for (var i = 0, len = Math.max(actual.length, expected.length); i < len; i++) {
+    var e = expected[i], a = actual[i];
+    if (e === undefined) {
+      lines.push('[' + i + '] extra: ' + a.toString());
+    } else if (a === undefined) {
+      lines.push('[' + i + '] missing: ' + e.toString());
+    } else if (!(typeof e.equals === 'function' ? e.equals(a) : e === a)) {
+      lines.push('[' + i + '] expected ' + e.toString() + ', actual ' + a.toString());
+    }
+  }
+  return lines;
+}
+
+/**
+ * Renders a readable description of how the actual messages differ from the expected ones.
+ * Recorded messages are shown as side by side marble timelines followed by the per frame differences,
+ * other items such as Subscription objects are compared by position.
+ *
+ * @param {Array} actual Actual Recorded messages or Subscription objects.
+ * @param {Array} expected Expected Recorded messages or Subscription objects.
+ * @param {Function} [matches] Function which tells whether an expected predicate matches an actual notification, as for diff.
+ * @returns {String} The rendered differences, or an empty string if there are none.
+ */
+function format(actual, expected, matches) {
+  var i, len, recorded = true, lines;
+  for (i = 0, len = actual.length; i < len && recorded; i++) { recorded = isRecorded(actual[i]); }
+  for (i = 0, len = expected.length; i < len && recorded; i++) { recorded = isRecorded(expected[i]); }
+
+  if (!recorded) {
+    lines = describeItems(actual, expected);
+    return lines.length === 0 ? '' : lines.join('\n');
+  }
+
+  var entries = diff(actual, expected, matches);
+  if (entries.length === 0) { return ''; }
+  lines = [timelines(actual, expected), ''];
+  for (i = 0, len = entries.length; i < len; i++) { lines.push(describe(entries[i])); }
+  return lines.join('\n');
+}
+
+module.exports = {
+  diff: diff,
+  format: format,
+  timelines: timelines
+};
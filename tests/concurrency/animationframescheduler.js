@@ -0,0 +1,91 @@
+(function () {
+  /* jshint undef: true, unused: true */
+  /* globals QUnit, test, Rx, ok, equal, asyncTest, start */
+
+  QUnit.module('animationFrameScheduler');
+
+  var AnimationFrameScheduler = Rx.Scheduler.animationFrame;
+
+  test('animationFrame now', function () {
+    var res = AnimationFrameScheduler.now() - new Date().getTime();
+    ok(res < 1000);
+  });
+
+  asyncTest('animationFrame schedule action', 1, function () {
+    AnimationFrameScheduler.schedule(null, function () {
+      ok(true);
+      start();
+    });
+  });
+
+  asyncTest('animationFrame batches actions into one frame', 2, function () {
+    var order = [];
+
+    AnimationFrameScheduler.schedule(1, function (s, x) { order.push(x); });
+    AnimationFrameScheduler.schedule(2, function (s, x) {
+      order.push(x);
+      // Scheduled during the frame, so runs on the next one
+      s.schedule(4, function (s2, y) {
+        order.push(y);
+        equal(order.join(), '1,2,3,4');
+        start();
+      });
+    });
+    AnimationFrameScheduler.schedule(3, function (s, x) {
+      order.push(x);
+      equal(order.join(), '1,2,3');
+    });
+  });
+
+  asyncTest('animationFrame schedule action cancel', 1, function () {
+    var set = false;
+    var d = AnimationFrameScheduler.schedule(null, function () { set = true; });
+
+    d.dispose();
+
+    setTimeout(function () {
+      ok(!set);
+      start();
+    }, 100);
+  });
+
+  asyncTest('animationFrame schedule relative', 1, function () {
+    var startTime = +new Date();
+
+    AnimationFrameScheduler.scheduleFuture(null, 100, function () {
+      var endTime = +new Date();
+      ok(endTime - startTime > 90, endTime - startTime);
+      start();
+    });
+  });
+
+  asyncTest('animationFrame schedule relative cancel', 1, function () {
+    var set = false;
+    var d = AnimationFrameScheduler.scheduleFuture(null, 50, function () { set = true; });
+
+    d.dispose();
+
+    setTimeout(function () {
+      ok(!set);
+      start();
+    }, 150);
+  });
+
+  asyncTest('animationFrame schedulePeriodic', 2, function () {
+    var startTime = +new Date(), count = 0;
+
+    var d = AnimationFrameScheduler.schedulePeriodic(0, 20, function (i) {
+      count++;
+      if (++i === 3) {
+        d.dispose();
+        ok(+new Date() - startTime >= 55);
+        setTimeout(function () {
+          equal(count, 3);
+          start();
+        }, 100);
+      }
+      return i;
+    });
+  });
+
+}());
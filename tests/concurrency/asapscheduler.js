@@ -0,0 +1,144 @@
+(function () {
+  /* jshint undef: true, unused: true */
+  /* globals QUnit, test, Rx, ok, equal, asyncTest, start */
+
+  QUnit.module('asapScheduler');
+
+  var AsapScheduler = Rx.Scheduler.asap;
+
+  test('asap now', function () {
+    var res = AsapScheduler.now() - new Date().getTime();
+    ok(res < 1000);
+  });
+
+  asyncTest('asap schedule action', 1, function () {
+    AsapScheduler.schedule(null, function () {
+      ok(true);
+      start();
+    });
+  });
+
+  asyncTest('asap runs after the current block and before timers', 1, function () {
+    var order = [];
+
+    setTimeout(function () {
+      order.push('timeout');
+      equal(order.join(), 'sync,1,2,3,timeout');
+      start();
+    }, 0);
+
+    AsapScheduler.schedule(1, function (s, x) { order.push(x); });
+    AsapScheduler.schedule(2, function (s, x) {
+      order.push(x);
+      // Scheduled while draining, so runs in the same drain
+      s.schedule(3, function (s2, y) { order.push(y); });
+    });
+
+    order.push('sync');
+  });
+
+  asyncTest('asap runs a burst of actions in order in one drain', 2, function () {
+    var results = [], timerFired = false;
+
+    setTimeout(function () { timerFired = true; }, 0);
+
+    for (var i = 0; i < 10000; i++) {
+      AsapScheduler.schedule(i, function (s, x) { results.push(x); });
+    }
+    AsapScheduler.schedule(null, function (s) {
+      s.schedule(null, function () {
+        var inOrder = true;
+        for (var j = 0; j < 10000 && inOrder; j++) { inOrder = results[j] === j; }
+        ok(inOrder && results.length === 10000);
+        ok(!timerFired);
+        start();
+      });
+    });
+  });
+
+  asyncTest('asap releases the actions which ran during a recursive run', 2, function () {
+    var count = 0, maxQueueLength = 0;
+
+    Rx.Observable.range(0, 10000, AsapScheduler).subscribe(
+      function () {
+        count++;
+        maxQueueLength = Math.max(maxQueueLength, AsapScheduler._queue.length);
+      },
+      function () { },
+      function () {
+        equal(count, 10000);
+        ok(maxQueueLength <= 1);
+        start();
+      });
+  });
+
+  asyncTest('asap schedule action cancel', 2, function () {
+    var order = [];
+    var d = AsapScheduler.schedule(1, function (s, x) { order.push(x); });
+    AsapScheduler.schedule(2, function (s, x) { order.push(x); });
+
+    d.dispose();
+
+    setTimeout(function () {
+      equal(order.join(), '2');
+      ok(d.isDisposed);
+      start();
+    }, 0);
+  });
+
+  asyncTest('asap schedule relative', 1, function () {
+    var startTime = +new Date();
+
+    AsapScheduler.scheduleFuture(null, 100, function () {
+      var endTime = +new Date();
+      ok(endTime - startTime > 90, endTime - startTime);
+      start();
+    });
+  });
+
+  asyncTest('asap schedule relative cancel', 1, function () {
+    var set = false;
+    var d = AsapScheduler.scheduleFuture(null, 10, function () { set = true; });
+
+    d.dispose();
+
+    setTimeout(function () {
+      ok(!set);
+      start();
+    }, 50);
+  });
+
+  asyncTest('asap with observeOn', 2, function () {
+    var results = [];
+
+    Rx.Observable.of(1, 2, 3)
+      .observeOn(AsapScheduler)
+      .subscribe(function (x) {
+        results.push(x);
+      }, null, function () {
+        equal(results.join(), 'sync,1,2,3');
+        start();
+      });
+
+    results.push('sync');
+    equal(results.join(), 'sync');
+  });
+
+  asyncTest('asap with subscribeOn', 2, function () {
+    var subscribed = false;
+
+    Rx.Observable.create(function (o) {
+      subscribed = true;
+      o.onNext(42);
+      o.onCompleted();
+    })
+      .subscribeOn(AsapScheduler)
+      .subscribe(function (x) {
+        equal(x, 42);
+      }, null, function () {
+        ok(subscribed);
+        start();
+      });
+  });
+
+}());
@@ -0,0 +1,105 @@
+(function () {
+  'use strict';
+  /* jshint undef: true, unused: true */
+  /* globals QUnit, test, asyncTest, start, Rx, equal, raises */
+
+  QUnit.module('ContextStorage');
+
+  var Observable = Rx.Observable,
+    Scheduler = Rx.Scheduler,
+    ContextStorage = Rx.ContextStorage;
+
+  function withProvider(provider, fn) {
+    Rx.config.contextProvider = provider;
+    try {
+      fn();
+    } finally {
+      Rx.config.contextProvider = null;
+    }
+  }
+
+  test('ContextStorage run restores the previous store', function () {
+    var storage = new ContextStorage(), ex = new Error();
+
+    equal(storage.getStore(), undefined);
+
+    var result = storage.run('a', function (x, y) {
+      equal(storage.getStore(), 'a');
+      storage.run('b', function () { equal(storage.getStore(), 'b'); });
+      equal(storage.getStore(), 'a');
+      return x + y;
+    }, 1, 2);
+
+    equal(result, 3);
+    equal(storage.getStore(), undefined);
+
+    raises(function () {
+      storage.run('c', function () { throw ex; });
+    });
+    equal(storage.getStore(), undefined);
+  });
+
+  test('currentThread restores the context of each action', function () {
+    var storage = new ContextStorage(), stores = [];
+
+    withProvider(storage, function () {
+      storage.run('outer', function () {
+        Scheduler.currentThread.schedule(null, function (s) {
+          storage.run('inner', function () {
+            s.schedule(null, function () { stores.push(storage.getStore()); });
+          });
+          s.schedule(null, function () { stores.push(storage.getStore()); });
+        });
+      });
+    });
+
+    equal(stores.join(), 'inner,outer');
+  });
+
+  test('virtual time restores the context of each action', function () {
+    var storage = new ContextStorage(), scheduler = new Rx.HistoricalScheduler(0), stores = [];
+
+    withProvider(storage, function () {
+      storage.run('a', function () {
+        Observable.interval(10, scheduler).take(2).subscribe(function () { stores.push(storage.getStore()); });
+      });
+      storage.run('b', function () {
+        Observable.timer(15, scheduler).subscribe(function () { stores.push(storage.getStore()); });
+      });
+
+      scheduler.start();
+    });
+
+    equal(stores.join(), 'a,b,a');
+  });
+
+  test('context is not propagated without a provider', function () {
+    var storage = new ContextStorage(), scheduler = new Rx.HistoricalScheduler(0), store = 'none';
+
+    storage.run('a', function () {
+      scheduler.scheduleFuture(null, 10, function () { store = storage.getStore(); });
+    });
+
+    scheduler.start();
+
+    equal(store, undefined);
+  });
+
+  asyncTest('default scheduler restores the context', 1, function () {
+    var storage = new ContextStorage(), stores = [];
+
+    Rx.config.contextProvider = storage;
+    storage.run('a', function () {
+      Scheduler.default.schedule(null, function () { stores.push(storage.getStore()); });
+    });
+    storage.run('b', function () {
+      Scheduler.default.scheduleFuture(null, 10, function () {
+        stores.push(storage.getStore());
+        Rx.config.contextProvider = null;
+        equal(stores.join(), 'a,b');
+        start();
+      });
+    });
+  });
+
+}());
@@ -1,6 +1,6 @@
 (function () {
   /* jshint undef: true, unused: true */
-  /* globals QUnit, test, Rx, ok, equal */
+  /* globals QUnit, test, asyncTest, start, Rx, ok, equal, deepEqual */
   QUnit.module('currentThreadScheduler');
 
   var Scheduler = Rx.Scheduler;
@@ -82,4 +82,19 @@
     ok(!ran2);
   });
 
+  asyncTest('current thread schedule periodic', 1, function () {
+    var states = [], d;
+
+    d = Scheduler.currentThread.schedulePeriodic(0, 1, function (x) {
+      states.push(x);
+      states.length === 3 && d.dispose();
+      return x + 1;
+    });
+
+    setTimeout(function () {
+      deepEqual(states, [0, 1, 2]);
+      start();
+    }, 50);
+  });
+
 }());
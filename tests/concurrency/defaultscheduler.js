@@ -1,6 +1,6 @@
 (function () {
   /* jshint undef: true, unused: true */
-  /* globals QUnit, test, Rx, ok, asyncTest, start */
+  /* globals QUnit, test, Rx, ok, equal, asyncTest, start */
 
   QUnit.module('defaultScheduler');
 
@@ -40,4 +40,45 @@
     }, 400);
   });
 
+  asyncTest('default schedulePeriodic does not drift', 3, function () {
+    var startTime = +new Date(), n = 0;
+
+    var d = DefaultScheduler.schedulePeriodic(0, 50, function (i) {
+      n++;
+      // Block for 20ms on each tick
+      var blocked = +new Date();
+      while (+new Date() - blocked < 20) { }
+      if (i === 3) {
+        d.dispose();
+        var elapsed = +new Date() - startTime;
+        ok(elapsed >= 200 && elapsed < 250, elapsed);
+        setTimeout(function () {
+          equal(n, 4);
+          ok(d.isDisposed);
+          start();
+        }, 100);
+      }
+      return i + 1;
+    });
+  });
+
+  asyncTest('default instrument measures latency and duration', 4, function () {
+    var instrumentation = DefaultScheduler.instrument();
+
+    DefaultScheduler.scheduleFuture(null, 20, function () {
+      var blocked = +new Date();
+      while (+new Date() - blocked < 10) { }
+    });
+
+    setTimeout(function () {
+      instrumentation.dispose();
+      var stats = DefaultScheduler.getStats();
+      equal(stats.executed, 1);
+      equal(stats.queueDepth, 0);
+      ok(stats.latency.min >= 0, stats.latency.min);
+      ok(stats.duration.max >= 10, stats.duration.max);
+      start();
+    }, 100);
+  });
+
 }());
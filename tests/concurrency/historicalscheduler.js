@@ -1,7 +1,7 @@
 (function () {
   'use strict';
   /* jshint undef: true, unused: true */
-  /* globals QUnit, test, Rx, equal, ok */
+  /* globals QUnit, test, Rx, equal, ok, raises */
 
   QUnit.module('HistoricalScheduler');
 
@@ -343,4 +343,69 @@
     arrayEquals(res, [1,2]);
   });
 
+  function runPeriodic(catchUp) {
+    var s = new HistoricalScheduler(), times = [];
+
+    var d = s.schedulePeriodic(0, 100, function (i) {
+      times.push(s.clock);
+      // The first tick blocks for 250ms
+      i === 0 && s.sleep(250);
+      i === 4 && d.dispose();
+      return i + 1;
+    }, catchUp);
+
+    s.start();
+
+    return times.join();
+  }
+
+  test('schedulePeriodic does not drift', function () {
+    var s = new HistoricalScheduler(), times = [];
+
+    var d = s.schedulePeriodic(0, 100, function (i) {
+      times.push(s.clock);
+      // Each tick takes 30ms
+      s.sleep(30);
+      i === 3 && d.dispose();
+      return i + 1;
+    });
+
+    s.start();
+
+    equal(times.join(), '100,200,300,400');
+  });
+
+  test('schedulePeriodic coalesces missed ticks by default', function () {
+    equal(runPeriodic(), '100,350,400,500,600');
+    equal(runPeriodic('coalesce'), '100,350,400,500,600');
+  });
+
+  test('schedulePeriodic bursts missed ticks', function () {
+    equal(runPeriodic('burst'), '100,350,350,400,500');
+  });
+
+  test('schedulePeriodic skips missed ticks', function () {
+    equal(runPeriodic('skip'), '100,400,500,600,700');
+  });
+
+  test('schedulePeriodic period of zero', function () {
+    var s = new HistoricalScheduler(), n = 0;
+
+    var d = s.schedulePeriodic(0, 0, function (i) {
+      n++;
+      i === 2 && d.dispose();
+      return i + 1;
+    }, 'skip');
+
+    s.start();
+
+    equal(n, 3);
+  });
+
+  test('schedulePeriodic unsupported catch-up policy', function () {
+    raises(function () {
+      new HistoricalScheduler().schedulePeriodic(0, 100, function () { }, 'drop');
+    }, Rx.NotSupportedError);
+  });
+
 }());
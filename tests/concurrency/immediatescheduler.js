@@ -1,7 +1,7 @@
 (function () {
   'use strict';
   /* jshint undef: true, unused: true */
-  /* globals QUnit, test, Rx, ok, equal */
+  /* globals QUnit, test, Rx, ok, equal, raises */
 
   QUnit.module('immediateScheduler');
 
@@ -48,4 +48,87 @@
     equal(43, yy);
   });
 
+  function withRecursionLimit(limit, fn) {
+    var previous = Rx.config.maxRecursionDepth;
+    Rx.config.maxRecursionDepth = limit;
+    try {
+      fn();
+    } finally {
+      Rx.config.maxRecursionDepth = previous;
+    }
+  }
+
+  test('immediateScheduler trampolines past the recursion limit', function () {
+    var results = [];
+
+    withRecursionLimit(2, function () {
+      scheduler.schedule(null, function (s) {
+        results.push('a1');
+        s.schedule(null, function (s2) {
+          results.push('b1');
+          s2.schedule(null, function () { results.push('c'); });
+          s2.schedule(null, function () { results.push('d'); }).dispose();
+          results.push('b2');
+        });
+        results.push('a2');
+      });
+    });
+
+    equal(results.join(), 'a1,b1,b2,c,a2');
+  });
+
+  test('immediateScheduler deep scheduleRecursive does not overflow the stack', function () {
+    var n = 0;
+
+    scheduler.scheduleRecursive(0, function (i, recurse) {
+      n = i;
+      i < 100000 && recurse(i + 1);
+    });
+
+    equal(n, 100000);
+  });
+
+  test('immediateScheduler trampoline error', function () {
+    var ex = new Error(), ran = false;
+
+    withRecursionLimit(1, function () {
+      raises(function () {
+        scheduler.schedule(null, function (s) {
+          s.schedule(null, function () { throw ex; });
+        });
+      });
+
+      scheduler.schedule(null, function (s) {
+        s.schedule(null, function () { ran = true; });
+      });
+    });
+
+    ok(ran);
+  });
+
+  test('immediateScheduler reports deep recursion', function () {
+    var reports = [], count = 0;
+
+    Rx.config.onDeepRecursion = function (info) { reports.push(info); };
+    try {
+      Rx.Observable.create(function (o) {
+        return scheduler.scheduleRecursive(0, function (i, recurse) {
+          if (i < 1000) {
+            o.onNext(i);
+            recurse(i + 1);
+          } else {
+            o.onCompleted();
+          }
+        });
+      }).subscribe(function () { count++; });
+    } finally {
+      Rx.config.onDeepRecursion = null;
+    }
+
+    equal(count, 1000);
+    equal(reports.length, 1);
+    equal(reports[0].depth, Rx.config.maxRecursionDepth);
+    ok(reports[0].operators.indexOf('AnonymousObservable') !== -1);
+  });
+
 }());
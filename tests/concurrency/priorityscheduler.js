@@ -0,0 +1,156 @@
+(function () {
+  /* jshint undef: true, unused: true */
+  /* globals QUnit, test, Rx, equal, ok, raises */
+
+  QUnit.module('PriorityScheduler');
+
+  var PriorityScheduler = Rx.PriorityScheduler,
+    TestScheduler = Rx.TestScheduler,
+    onNext = Rx.ReactiveTest.onNext,
+    onCompleted = Rx.ReactiveTest.onCompleted;
+
+  function push(order) {
+    return function (s, x) { order.push(x); };
+  }
+
+  test('PriorityScheduler runs actions by priority', function () {
+    var scheduler = new TestScheduler(), order = [];
+    var ps = new PriorityScheduler(scheduler);
+
+    ps.withPriority('background').schedule('a', push(order));
+    ps.schedule('b', push(order));
+    ps.withPriority('userInput').schedule('c', push(order));
+    ps.withPriority(PriorityScheduler.levels.normal).schedule('d', push(order));
+
+    scheduler.start();
+
+    equal(order.join(), 'c,b,d,a');
+  });
+
+  test('PriorityScheduler runs higher priority actions scheduled meanwhile first', function () {
+    var scheduler = new TestScheduler(), order = [];
+    var ps = new PriorityScheduler(scheduler), ui = ps.withPriority('userInput');
+
+    ps.schedule('a', function (s, x) {
+      order.push(x);
+      ui.schedule('c', push(order));
+    });
+    ps.schedule('b', push(order));
+
+    scheduler.start();
+
+    equal(order.join(), 'a,c,b');
+  });
+
+  test('PriorityScheduler ages waiting actions', function () {
+    function run(aging) {
+      var scheduler = new TestScheduler(), order = [];
+      var ps = new PriorityScheduler(scheduler, { aging: aging });
+
+      ps.withPriority('background').schedule('bg', push(order));
+      ps.withPriority('userInput').scheduleRecursive(0, function (i, recurse) {
+        order.push(i);
+        // Each action takes 50ms, so there is always user input waiting
+        scheduler.sleep(50);
+        i < 9 && recurse(i + 1);
+      });
+
+      scheduler.start();
+      return order.join();
+    }
+
+    equal(run(100), '0,1,2,3,bg,4,5,6,7,8,9');
+    equal(run(10000), '0,1,2,3,4,5,6,7,8,9,bg');
+  });
+
+  test('PriorityScheduler recursive scheduling keeps the priority', function () {
+    var scheduler = new TestScheduler(), order = [];
+    var ps = new PriorityScheduler(scheduler), ui = ps.withPriority('userInput');
+
+    ui.schedule('a', function (s, x) {
+      order.push(x);
+      equal(s, ui);
+      ps.schedule('c', push(order));
+      s.schedule('b', push(order));
+    });
+
+    scheduler.start();
+
+    equal(order.join(), 'a,b,c');
+  });
+
+  test('PriorityScheduler cancel', function () {
+    var scheduler = new TestScheduler(), order = [];
+    var ps = new PriorityScheduler(scheduler);
+
+    var d = ps.withPriority('userInput').schedule('a', push(order));
+    ps.schedule('b', push(order));
+    var df = ps.scheduleFuture('c', 100, push(order));
+
+    d.dispose();
+    scheduler.advanceTo(50);
+    df.dispose();
+    scheduler.start();
+
+    equal(order.join(), 'b');
+  });
+
+  test('PriorityScheduler schedule relative', function () {
+    var scheduler = new TestScheduler(), order = [];
+    var ps = new PriorityScheduler(scheduler), bg = ps.withPriority('background');
+
+    bg.scheduleFuture('a', 100, function (s, x) {
+      order.push(x + scheduler.clock);
+    });
+    ps.withPriority('userInput').scheduleFuture('b', 100, function (s, x) {
+      order.push(x + scheduler.clock);
+    });
+
+    scheduler.start();
+
+    equal(order.join(), 'b101,a102');
+  });
+
+  test('PriorityScheduler with observeOn', function () {
+    var scheduler = new TestScheduler();
+    var ps = new PriorityScheduler(scheduler);
+
+    var xs = scheduler.createHotObservable(
+      onNext(210, 1),
+      onNext(220, 2),
+      onCompleted(230)
+    );
+
+    var results = scheduler.startScheduler(function () {
+      return xs.observeOn(ps.withPriority('background'));
+    });
+
+    results.messages.assertEqual(
+      onNext(211, 1),
+      onNext(221, 2),
+      onCompleted(231)
+    );
+  });
+
+  test('PriorityScheduler withPriority', function () {
+    var ps = new PriorityScheduler();
+
+    equal(ps.withPriority('userInput'), ps.withPriority(0));
+    equal(ps.withPriority('userInput').withPriority('background'), ps.withPriority(2));
+    ok(ps.withPriority(5) instanceof Rx.Scheduler);
+    equal(ps.withPriority('normal').now(), ps.now());
+
+    raises(function () {
+      ps.withPriority('urgent');
+    }, Rx.ArgumentOutOfRangeError);
+
+    raises(function () {
+      ps.withPriority(-1);
+    }, Rx.ArgumentOutOfRangeError);
+
+    raises(function () {
+      return new PriorityScheduler({ aging: 0 });
+    }, Rx.ArgumentOutOfRangeError);
+  });
+
+}());
@@ -1,7 +1,7 @@
 (function () {
   'use strict';
   /* jshint undef: true, unused: true */
-  /* globals QUnit, test, Rx, ok, equal */
+  /* globals QUnit, test, Rx, ok, equal, deepEqual, raises */
   QUnit.module('Scheduler');
 
   var Scheduler = Rx.Scheduler,
@@ -209,4 +209,137 @@
     equal(err, ex);
   });
 
+  test('scheduleCalendar runs at the next matching date', function () {
+    var scheduler = new Rx.HistoricalScheduler(Date.parse('2021-01-01T10:00:00Z')), times = [];
+
+    // 2021-01-01 is a Friday
+    scheduler.scheduleCalendar(42, '0 9 * * 1-5', function (s, x) {
+      equal(x, 42);
+      times.push(new Date(s.now()).toISOString());
+    }, { timeZone: 'UTC' });
+
+    scheduler.start();
+
+    equal(times.join(), '2021-01-04T09:00:00.000Z');
+  });
+
+  test('scheduleCalendar cancel and impossible dates', function () {
+    var scheduler = new Rx.HistoricalScheduler(Date.parse('2021-01-01T10:00:00Z')), n = 0;
+
+    scheduler.scheduleCalendar(null, '@daily', function () { n++; }).dispose();
+    scheduler.scheduleCalendar(null, '0 0 30 2 *', function () { n++; });
+
+    scheduler.start();
+
+    equal(n, 0);
+  });
+
+  test('scheduleCalendar waits for dates months away in steps of the longest host delay', function () {
+    var scheduler = new Rx.HistoricalScheduler(Date.parse('2021-06-01T00:00:00Z')), times = [], delays = [],
+      scheduleFuture = scheduler.scheduleFuture;
+
+    scheduler.scheduleFuture = function (state, dueTime) {
+      delays.push(dueTime instanceof Date ? dueTime - scheduler.now() : dueTime);
+      return scheduleFuture.apply(scheduler, arguments);
+    };
+
+    scheduler.scheduleCalendar(null, '0 0 1 1 *', function (s) {
+      times.push(new Date(s.now()).toISOString());
+    }, { timeZone: 'UTC' });
+
+    scheduler.start();
+
+    equal(times.join(), '2022-01-01T00:00:00.000Z');
+    equal(delays.length, 9);
+    ok(Math.max.apply(null, delays) <= 0x7fffffff);
+  });
+
+  test('instrument virtual time latency and duration', function () {
+    var scheduler = new Rx.HistoricalScheduler(0);
+
+    scheduler.instrument();
+
+    scheduler.scheduleFuture(null, 10, function (s) { s.sleep(15); });
+    scheduler.scheduleAbsolute(null, 20, function () { });
+
+    scheduler.start();
+
+    var stats = scheduler.getStats();
+    equal(stats.scheduled, 2);
+    equal(stats.executed, 2);
+    equal(stats.queueDepth, 0);
+    equal(stats.maxQueueDepth, 2);
+    equal(stats.latency.count, 2);
+    equal(stats.latency.max, 5);
+    equal(stats.duration.max, 15);
+    equal(stats.duration.buckets[5].le, 20);
+    equal(stats.duration.buckets[5].count, 1);
+  });
+
+  test('instrument hooks', function () {
+    var scheduler = new Rx.HistoricalScheduler(0), calls = [], ex = new Error();
+
+    scheduler.instrument({
+      onSchedule: function (info) { calls.push('schedule@' + info.dueTime); },
+      onExecute: function (info) { calls.push('execute@' + info.startTime); },
+      onError: function (e, info) { calls.push('error@' + info.startTime); equal(e, ex); }
+    });
+
+    scheduler.scheduleFuture(null, 10, function () { });
+    scheduler.scheduleFuture(null, 20, function () { throw ex; });
+
+    raises(function () { scheduler.start(); });
+
+    equal(calls.join(), 'schedule@10,schedule@20,execute@10,error@20');
+    equal(scheduler.getStats().errors, 1);
+  });
+
+  test('instrument cancel', function () {
+    var scheduler = new Rx.HistoricalScheduler(0);
+
+    scheduler.instrument();
+
+    var d = scheduler.scheduleFuture(null, 10, function () { ok(false); });
+    d.dispose();
+    d.dispose();
+
+    scheduler.start();
+
+    var stats = scheduler.getStats();
+    equal(stats.cancelled, 1);
+    equal(stats.executed, 0);
+    equal(stats.queueDepth, 0);
+  });
+
+  test('instrument current thread queue depth and dispose', function () {
+    var scheduler = Scheduler.currentThread, depth;
+
+    var empty = scheduler.getStats();
+    deepEqual([empty.scheduled, empty.executed, empty.queueDepth, empty.maxQueueDepth, empty.latency.count, empty.duration.count], [0, 0, 0, 0, 0, 0]);
+
+    var instrumentation = scheduler.instrument();
+    try {
+      raises(function () { scheduler.instrument(); });
+
+      scheduler.schedule(null, function (s) {
+        s.schedule(null, function () { });
+        s.schedule(null, function () { });
+        s.schedule(null, function () { });
+        depth = s.getStats().queueDepth;
+      });
+    } finally {
+      instrumentation.dispose();
+    }
+
+    equal(depth, 3);
+    equal(scheduler.hasOwnProperty('schedule'), false);
+
+    scheduler.schedule(null, function () { });
+
+    var stats = scheduler.getStats();
+    equal(stats.scheduled, 4);
+    equal(stats.executed, 4);
+    equal(stats.maxQueueDepth, 3);
+  });
+
 }());
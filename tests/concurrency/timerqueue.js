@@ -0,0 +1,147 @@
+(function () {
+  'use strict';
+  /* jshint undef: true, unused: true */
+  /* globals QUnit, test, asyncTest, start, Rx, equal, raises */
+
+  QUnit.module('TimerQueue');
+
+  var TimerQueue = Rx.internals.TimerQueue;
+
+  function FakeHost() {
+    this.time = 0;
+    this.timers = [];
+    this.armed = 0;
+  }
+
+  FakeHost.prototype.create = function () {
+    var host = this;
+    return new TimerQueue(
+      function () { return host.time; },
+      function (fn, delay) {
+        host.armed++;
+        var timer = { fn: fn, dueTime: host.time + delay, isCleared: false };
+        host.timers.push(timer);
+        return timer;
+      },
+      function (timer) { timer.isCleared = true; }
+    );
+  };
+
+  FakeHost.prototype.pending = function () {
+    var pending = [];
+    for (var i = 0; i < this.timers.length; i++) {
+      this.timers[i].isCleared || pending.push(this.timers[i]);
+    }
+    return pending;
+  };
+
+  FakeHost.prototype.advance = function (time) {
+    var pending;
+    while ((pending = this.pending()).length > 0 && pending[0].dueTime <= time) {
+      pending[0].isCleared = true;
+      this.time = pending[0].dueTime;
+      pending[0].fn();
+    }
+    this.time = time;
+  };
+
+  test('TimerQueue uses a single host timer', function () {
+    var host = new FakeHost(), queue = host.create(), results = [];
+
+    queue.add(30, function () { results.push(30); });
+    queue.add(10, function () { results.push(10); });
+    queue.add(20, function () { results.push(20); });
+
+    equal(host.armed, 2);
+    equal(host.pending().length, 1);
+    equal(host.pending()[0].dueTime, 10);
+
+    host.advance(25);
+    equal(results.join(), '10,20');
+    equal(host.pending().length, 1);
+
+    host.advance(100);
+    equal(results.join(), '10,20,30');
+    equal(host.pending().length, 0);
+  });
+
+  test('TimerQueue keeps the order of equal due times', function () {
+    var host = new FakeHost(), queue = host.create(), results = [], timers = [];
+
+    for (var i = 0; i < 100; i++) {
+      timers.push(queue.add(10, (function (x) { return function () { results.push(x); }; }(i))));
+    }
+    // Compacts the heap
+    for (var j = 0; j < 100; j++) {
+      j % 10 === 0 || timers[j].dispose();
+    }
+
+    host.advance(10);
+
+    equal(results.join(), '0,10,20,30,40,50,60,70,80,90');
+  });
+
+  test('TimerQueue dispose', function () {
+    var host = new FakeHost(), queue = host.create(), results = [];
+
+    var d1 = queue.add(10, function () { results.push(1); });
+    var d2 = queue.add(20, function () { results.push(2); });
+
+    d1.dispose();
+    d1.dispose();
+    equal(host.pending().length, 1);
+
+    // Nothing left, so the host timer is cleared
+    d2.dispose();
+    equal(host.pending().length, 0);
+
+    queue.add(5, function () { results.push(3); });
+    host.advance(100);
+
+    equal(results.join(), '3');
+  });
+
+  test('TimerQueue rearms after an error', function () {
+    var host = new FakeHost(), queue = host.create(), ex = new Error(), results = [];
+
+    queue.add(10, function () { throw ex; });
+    queue.add(20, function () { results.push(20); });
+
+    raises(function () { host.advance(10); });
+
+    host.advance(20);
+    equal(results.join(), '20');
+  });
+
+  test('TimerQueue reaches far due times in steps of the longest host delay', function () {
+    var host = new FakeHost(), queue = host.create(), results = [], day = 24 * 60 * 60 * 1000, maxDelay = 0x7fffffff;
+
+    queue.add(40 * day, function () { results.push(40); });
+
+    equal(host.pending()[0].dueTime, maxDelay);
+
+    host.advance(maxDelay);
+    equal(results.length, 0);
+    equal(host.armed, 2);
+    equal(host.pending()[0].dueTime, 40 * day);
+
+    host.advance(40 * day);
+    equal(results.join(), '40');
+  });
+
+  asyncTest('default scheduleFuture keeps the order of equal due times', 1, function () {
+    var results = [];
+
+    for (var i = 0; i < 5; i++) {
+      Rx.Scheduler.default.scheduleFuture(i, 20, function (s, x) { results.push(x); });
+    }
+    Rx.Scheduler.default.scheduleFuture(null, 10, function () { results.push('first'); });
+    Rx.Scheduler.default.scheduleFuture(null, 15, function () { results.push('cancelled'); }).dispose();
+
+    setTimeout(function () {
+      equal(results.join(), 'first,0,1,2,3,4');
+      start();
+    }, 100);
+  });
+
+}());
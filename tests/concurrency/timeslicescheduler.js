@@ -0,0 +1,130 @@
+(function () {
+  /* jshint undef: true, unused: true */
+  /* globals QUnit, test, Rx, equal, ok, raises, asyncTest, start */
+
+  QUnit.module('TimeSliceScheduler');
+
+  var TimeSliceScheduler = Rx.TimeSliceScheduler,
+    TestScheduler = Rx.TestScheduler,
+    Observable = Rx.Observable,
+    onNext = Rx.ReactiveTest.onNext,
+    onCompleted = Rx.ReactiveTest.onCompleted;
+
+  test('TimeSliceScheduler runs actions until the budget is used', function () {
+    var scheduler = new TestScheduler(), times = [];
+    var ts = new TimeSliceScheduler(8, scheduler);
+
+    function work() {
+      times.push(scheduler.clock);
+      scheduler.sleep(3);
+    }
+
+    for (var i = 0; i < 5; i++) { ts.schedule(null, work); }
+
+    scheduler.start();
+
+    equal(times.join(), '1,4,7,11,14');
+  });
+
+  test('TimeSliceScheduler runs recursive actions in slices', function () {
+    var scheduler = new TestScheduler();
+    var ts = new TimeSliceScheduler(2, scheduler);
+
+    var results = scheduler.startScheduler(function () {
+      return Observable.range(0, 4, ts).tap(function () { scheduler.sleep(1); });
+    });
+
+    results.messages.assertEqual(
+      onNext(202, 0),
+      onNext(203, 1),
+      onNext(205, 2),
+      onNext(206, 3),
+      onCompleted(207)
+    );
+  });
+
+  test('TimeSliceScheduler cancel', function () {
+    var scheduler = new TestScheduler(), order = [];
+    var ts = new TimeSliceScheduler(scheduler);
+
+    var d = ts.schedule('a', function (s, x) { order.push(x); });
+    ts.schedule('b', function (s, x) { order.push(x); });
+    var df = ts.scheduleFuture('c', 100, function (s, x) { order.push(x); });
+
+    d.dispose();
+    df.dispose();
+    scheduler.start();
+
+    equal(order.join(), 'b');
+  });
+
+  test('TimeSliceScheduler schedule relative', function () {
+    var scheduler = new TestScheduler(), time;
+    var ts = new TimeSliceScheduler(scheduler);
+
+    ts.scheduleFuture(null, 100, function () { time = scheduler.clock; });
+
+    scheduler.start();
+
+    equal(time, 101);
+  });
+
+  test('TimeSliceScheduler schedule periodic', function () {
+    var scheduler = new TestScheduler(), times = [];
+    var ts = new TimeSliceScheduler(scheduler);
+
+    var d = ts.schedulePeriodic(0, 100, function (i) {
+      times.push(scheduler.clock);
+      i === 2 && d.dispose();
+      return i + 1;
+    });
+
+    scheduler.start();
+
+    equal(times.join(), '101,201,301');
+  });
+
+  test('TimeSliceScheduler resumes after an error', function () {
+    var scheduler = new TestScheduler(), order = [], error = new Error();
+    var ts = new TimeSliceScheduler(scheduler);
+
+    ts.schedule(null, function () { throw error; });
+    ts.schedule('a', function (s, x) { order.push(x); });
+
+    raises(function () {
+      scheduler.start();
+    });
+
+    scheduler.stop();
+    scheduler.start();
+
+    equal(order.join(), 'a');
+  });
+
+  test('TimeSliceScheduler budget', function () {
+    raises(function () {
+      return new TimeSliceScheduler(0);
+    }, Rx.ArgumentOutOfRangeError);
+
+    ok(new TimeSliceScheduler() instanceof Rx.Scheduler);
+  });
+
+  asyncTest('TimeSliceScheduler yields to the host', 2, function () {
+    var fired = false, firedBeforeEnd = false, count = 0;
+
+    setTimeout(function () { fired = true; }, 0);
+
+    Observable.range(0, 100000, new TimeSliceScheduler(1)).subscribe(
+      function () {
+        count++;
+        firedBeforeEnd = firedBeforeEnd || fired;
+      },
+      function () { },
+      function () {
+        equal(count, 100000);
+        ok(firedBeforeEnd);
+        start();
+      });
+  });
+
+}());
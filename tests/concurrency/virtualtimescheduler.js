@@ -1,7 +1,7 @@
 (function () {
 
   /* jshint undef: true, unused: true */
-  /* globals QUnit, test, Rx, equal, ok */
+  /* globals QUnit, test, Rx, equal, ok, raises */
 
   QUnit.module('VirtualTimeScheduler');
 
@@ -70,4 +70,74 @@
     }
   });
 
+  test('Virtual install and uninstall', function () {
+    var scheduler1 = new VirtualSchedulerTestScheduler(),
+      scheduler2 = new VirtualSchedulerTestScheduler();
+
+    equal(Rx.Scheduler.getDefault(), Rx.Scheduler['default']);
+
+    equal(scheduler1.install(), scheduler1);
+    equal(Rx.config.schedulerOverride, scheduler1);
+    equal(Rx.Scheduler.getDefault(), scheduler1);
+
+    scheduler2.install();
+    equal(Rx.Scheduler.getDefault(), scheduler2);
+
+    scheduler2.uninstall();
+    equal(Rx.Scheduler.getDefault(), scheduler1);
+
+    scheduler1.uninstall();
+    equal(Rx.config.schedulerOverride, null);
+    equal(Rx.Scheduler.getDefault(), Rx.Scheduler['default']);
+  });
+
+  test('Virtual uninstall when not installed', function () {
+    var scheduler1 = new VirtualSchedulerTestScheduler(),
+      scheduler2 = new VirtualSchedulerTestScheduler();
+
+    scheduler1.install();
+    scheduler2.uninstall();
+    equal(Rx.Scheduler.getDefault(), scheduler1);
+
+    scheduler1.uninstall();
+    equal(Rx.Scheduler.getDefault(), Rx.Scheduler['default']);
+  });
+
+  function shuffledOrder(seed) {
+    var scheduler = new VirtualSchedulerTestScheduler().shuffle(seed), order = [];
+
+    for (var i = 0; i < 10; i++) {
+      (function (i) {
+        scheduler.scheduleAbsolute(null, 'a', function () { order.push(i); });
+      }(i));
+    }
+    scheduler.scheduleAbsolute(null, 'b', function () { order.push('b'); });
+
+    scheduler.start();
+
+    return order;
+  }
+
+  test('Virtual shuffle permutes actions due at the same time', function () {
+    var order = shuffledOrder(42);
+
+    equal(order.length, 11);
+    equal(order[10], 'b');
+    equal(order.slice(0, 10).sort().join(), '0,1,2,3,4,5,6,7,8,9');
+    ok(order.join() !== '0,1,2,3,4,5,6,7,8,9,b');
+  });
+
+  test('Virtual shuffle replays the same order for a seed', function () {
+    equal(shuffledOrder(7).join(), shuffledOrder(7).join());
+    ok(shuffledOrder(7).join() !== shuffledOrder(8).join());
+  });
+
+  test('Virtual shuffle requires a seed', function () {
+    var scheduler = new VirtualSchedulerTestScheduler();
+
+    raises(function () {
+      scheduler.shuffle();
+    });
+  });
+
 }());
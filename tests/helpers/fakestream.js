@@ -0,0 +1,68 @@
+(function (window) {
+  'use strict';
+
+  /**
+   * Fake Node.js stream, which records the written chunks and reports that it is full once it holds highWaterMark of them.
+   * @param {Object} [options] An object with the objectMode and highWaterMark of the stream.
+   */
+  function FakeStream(options) {
+    options || (options = {});
+    this.readableObjectMode = !!options.objectMode;
+    this.highWaterMark = options.highWaterMark || Infinity;
+    this.handlers = {};
+    this.chunks = [];
+    this.isPaused = false;
+    this.ended = false;
+    this.destroyed = false;
+  }
+
+  FakeStream.prototype.on = function (name, fn) {
+    (this.handlers[name] || (this.handlers[name] = [])).push(fn);
+    return this;
+  };
+
+  FakeStream.prototype.removeListener = function (name, fn) {
+    var listeners = this.handlers[name] || [], idx = listeners.indexOf(fn);
+    idx !== -1 && listeners.splice(idx, 1);
+    return this;
+  };
+
+  FakeStream.prototype.listeners = function (name) {
+    return this.handlers[name] || [];
+  };
+
+  FakeStream.prototype.listenerCount = function (name) {
+    return this.listeners(name).length;
+  };
+
+  FakeStream.prototype.emit = function (name, x) {
+    var listeners = this.listeners(name).slice();
+    for (var i = 0; i < listeners.length; i++) { listeners[i](x); }
+  };
+
+  FakeStream.prototype.pause = function () { this.isPaused = true; };
+  FakeStream.prototype.resume = function () { this.isPaused = false; };
+
+  FakeStream.prototype.write = function (x) {
+    this.chunks.push(x);
+    return this.chunks.length < this.highWaterMark;
+  };
+
+  FakeStream.prototype.drain = function () {
+    this.chunks.length = 0;
+    this.emit('drain');
+  };
+
+  FakeStream.prototype.end = function () {
+    this.ended = true;
+    this.emit('finish');
+    this.emit('close');
+  };
+
+  FakeStream.prototype.destroy = function () {
+    this.destroyed = true;
+    this.emit('close');
+  };
+
+  window.FakeStream = FakeStream;
+}(this));
@@ -0,0 +1,69 @@
+QUnit.module('CronExpression');
+
+var CronExpression = Rx.internals.CronExpression;
+
+function nextCron(expression, after, timeZone) {
+  var next = new CronExpression(expression, { timeZone: timeZone || 'UTC' }).next(Date.parse(after));
+  return next && next.toISOString();
+}
+
+test('CronExpression every weekday at 09:00', function () {
+  // 2021-01-01 is a Friday
+  equal(nextCron('0 9 * * 1-5', '2021-01-01T08:00:00Z'), '2021-01-01T09:00:00.000Z');
+  equal(nextCron('0 9 * * 1-5', '2021-01-01T09:00:00Z'), '2021-01-04T09:00:00.000Z');
+});
+
+test('CronExpression lists, ranges, steps and names', function () {
+  equal(nextCron('*/15 * * * *', '2021-01-01T10:16:30Z'), '2021-01-01T10:30:00.000Z');
+  equal(nextCron('5,10-12 * * * *', '2021-01-01T10:10:00Z'), '2021-01-01T10:11:00.000Z');
+  equal(nextCron('0 12/6 * * *', '2021-01-01T13:00:00Z'), '2021-01-01T18:00:00.000Z');
+  equal(nextCron('0 0 1 jul,DEC *', '2021-01-01T00:00:00Z'), '2021-07-01T00:00:00.000Z');
+  equal(nextCron('0 0 * * sun', '2021-01-01T00:00:00Z'), '2021-01-03T00:00:00.000Z');
+  equal(nextCron('0 0 * * 7', '2021-01-01T00:00:00Z'), '2021-01-03T00:00:00.000Z');
+});
+
+test('CronExpression matches either restricted day', function () {
+  // The 13th or any Friday
+  equal(nextCron('0 0 13 * 5', '2021-01-01T00:00:00Z'), '2021-01-08T00:00:00.000Z');
+  equal(nextCron('0 0 13 * 5', '2021-01-08T00:00:00Z'), '2021-01-13T00:00:00.000Z');
+});
+
+test('CronExpression macros', function () {
+  equal(nextCron('@hourly', '2021-01-01T10:30:00Z'), '2021-01-01T11:00:00.000Z');
+  equal(nextCron('@daily', '2021-01-01T10:30:00Z'), '2021-01-02T00:00:00.000Z');
+  equal(nextCron('@weekly', '2021-01-01T10:30:00Z'), '2021-01-03T00:00:00.000Z');
+  equal(nextCron('@monthly', '2021-01-01T10:30:00Z'), '2021-02-01T00:00:00.000Z');
+  equal(nextCron('@yearly', '2021-01-01T10:30:00Z'), '2022-01-01T00:00:00.000Z');
+});
+
+test('CronExpression leap days and impossible dates', function () {
+  equal(nextCron('0 0 29 2 *', '2021-01-01T00:00:00Z'), '2024-02-29T00:00:00.000Z');
+  equal(nextCron('0 0 30 2 *', '2021-01-01T00:00:00Z'), null);
+});
+
+test('CronExpression time zones', function () {
+  equal(nextCron('0 9 * * *', '2021-01-01T00:00:00Z', 'America/New_York'), '2021-01-01T14:00:00.000Z');
+  equal(nextCron('0 9 * * *', '2021-07-01T00:00:00Z', 'America/New_York'), '2021-07-01T13:00:00.000Z');
+});
+
+test('CronExpression times skipped when clocks go forward', function () {
+  // Clocks go from 02:00 to 03:00 on 2021-03-14 in New York
+  equal(nextCron('30 2 * * *', '2021-03-13T12:00:00Z', 'America/New_York'), '2021-03-14T07:30:00.000Z');
+  equal(nextCron('30 2 * * *', '2021-03-14T07:30:00Z', 'America/New_York'), '2021-03-15T06:30:00.000Z');
+});
+
+test('CronExpression times repeated when clocks go back', function () {
+  // Clocks go from 02:00 back to 01:00 on 2021-11-07 in New York
+  equal(nextCron('30 1 * * *', '2021-11-06T12:00:00Z', 'America/New_York'), '2021-11-07T05:30:00.000Z');
+  equal(nextCron('30 1 * * *', '2021-11-07T05:30:00Z', 'America/New_York'), '2021-11-08T06:30:00.000Z');
+});
+
+test('CronExpression invalid expressions', function () {
+  var invalid = ['', '* * * *', '* * * * * *', '60 * * * *', '* 24 * * *', '* * 0 * *', '* * * 13 *', '* * * * 8',
+    '*/0 * * * *', '5-1 * * * *', 'a * * * *', '* * * foo *', '1/2/3 * * * *', '@never'];
+  for (var i = 0; i < invalid.length; i++) {
+    raises(function () {
+      return new CronExpression(invalid[i]);
+    });
+  }
+});
@@ -0,0 +1,154 @@
+QUnit.module('Demand');
+
+function RequestingObserver(initialRequest) {
+  this.initialRequest = initialRequest;
+  this.producer = null;
+  this.values = [];
+  this.completed = false;
+  this.error = null;
+}
+
+RequestingObserver.prototype.setProducer = function (producer) {
+  this.producer = producer;
+  this.initialRequest > 0 && producer.request(this.initialRequest);
+  return true;
+};
+RequestingObserver.prototype.onNext = function (x) { this.values.push(x); };
+RequestingObserver.prototype.onError = function (e) { this.error = e; };
+RequestingObserver.prototype.onCompleted = function () { this.completed = true; };
+
+function naturals(counter) {
+  return Rx.Observable.generate(0, function () { return true; }, function (x) { return x + 1; }, function (x) {
+    counter && counter.count++;
+    return x;
+  });
+}
+
+test('Demand range only produces requested values', function () {
+  var o = new RequestingObserver(3);
+
+  Rx.Observable.range(1, 5).subscribe(o);
+  deepEqual(o.values, [1, 2, 3]);
+  ok(!o.completed);
+
+  o.producer.request(10);
+  deepEqual(o.values, [1, 2, 3, 4, 5]);
+  ok(o.completed);
+});
+
+test('Demand empty sources complete without demand', function () {
+  var o = new RequestingObserver(0);
+
+  Rx.Observable.from([]).subscribe(o);
+  deepEqual(o.values, []);
+  ok(o.completed);
+});
+
+test('Demand observers without setProducer get every value', function () {
+  var values = [];
+
+  Rx.Observable.fromArray([1, 2, 3]).subscribe(function (x) { values.push(x); });
+  deepEqual(values, [1, 2, 3]);
+});
+
+test('Demand from maps requested values only', function () {
+  var o = new RequestingObserver(2), calls = 0;
+
+  Rx.Observable.from([1, 2, 3, 4], function (x) { calls++; return x * 10; }).subscribe(o);
+  deepEqual(o.values, [10, 20]);
+  equal(calls, 2);
+});
+
+test('Demand map and filter propagate demand', function () {
+  var o = new RequestingObserver(3), counter = { count: 0 };
+
+  naturals(counter)
+    .map(function (x) { return x * 2; })
+    .filter(function (x) { return x % 3 === 0; })
+    .subscribe(o);
+
+  deepEqual(o.values, [0, 6, 12]);
+  equal(counter.count, 7);
+
+  o.producer.request(1);
+  deepEqual(o.values, [0, 6, 12, 18]);
+});
+
+test('Demand take only pulls the values it takes', function () {
+  var counter = { count: 0 }, values = [];
+
+  naturals(counter).take(3).subscribe(function (x) { values.push(x); });
+
+  deepEqual(values, [0, 1, 2]);
+  equal(counter.count, 3);
+});
+
+test('Demand take caps downstream requests', function () {
+  var o = new RequestingObserver(2), counter = { count: 0 };
+
+  naturals(counter).take(3).subscribe(o);
+  deepEqual(o.values, [0, 1]);
+
+  o.producer.request(10);
+  deepEqual(o.values, [0, 1, 2]);
+  ok(o.completed);
+  equal(counter.count, 3);
+});
+
+test('Demand flatMap queues inner values beyond demand', function () {
+  var o = new RequestingObserver(4);
+
+  Rx.Observable.range(0, 2)
+    .flatMap(function (x) { return naturals().map(function (y) { return x + ':' + y; }); })
+    .subscribe(o);
+
+  equal(o.values.length, 4);
+
+  o.producer.request(2);
+  equal(o.values.length, 6);
+});
+
+test('Demand concatMap projects sources as they are needed', function () {
+  var o = new RequestingObserver(3), projected = 0;
+
+  Rx.Observable.range(0, 3)
+    .concatMap(function (x) { projected++; return Rx.Observable.range(x * 10, 2); })
+    .subscribe(o);
+
+  deepEqual(o.values, [0, 1, 10]);
+  equal(projected, 2);
+
+  o.producer.request(10);
+  deepEqual(o.values, [0, 1, 10, 11, 20, 21]);
+  ok(o.completed);
+});
+
+test('Demand merge forwards demand to each source', function () {
+  var o = new RequestingObserver(3), counter = { count: 0 };
+
+  Rx.Observable.merge(naturals(counter), naturals(counter)).subscribe(o);
+
+  equal(o.values.length, 3);
+  equal(counter.count, 6);
+});
+
+test('Demand zip forwards demand to each source', function () {
+  var o = new RequestingObserver(2), first = { count: 0 }, second = { count: 0 };
+
+  naturals(first).zip(naturals(second), function (x, y) { return x + y; }).subscribe(o);
+  deepEqual(o.values, [0, 2]);
+  equal(first.count, 2);
+  equal(second.count, 2);
+
+  o.producer.request(1);
+  deepEqual(o.values, [0, 2, 4]);
+});
+
+test('Demand iterator errors are sent to the observer', function () {
+  var o = new RequestingObserver(5), error = new Error();
+
+  Rx.Observable.generate(0, function () { return true; }, function () { throw error; }, function (x) { return x; }).subscribe(o);
+
+  deepEqual(o.values, [0]);
+  equal(o.error, error);
+});
@@ -1,12 +1,13 @@
 (function () {
   /* jshint undef: true, unused: true */
-  /* globals QUnit, test, Rx */
+  /* globals QUnit, test, Rx, deepEqual, equal, ok */
   QUnit.module('Controlled');
 
   var TestScheduler = Rx.TestScheduler,
     onNext = Rx.ReactiveTest.onNext,
     onError = Rx.ReactiveTest.onError,
-    onCompleted = Rx.ReactiveTest.onCompleted;
+    onCompleted = Rx.ReactiveTest.onCompleted,
+    subscribe = Rx.ReactiveTest.subscribe;
 
   test('controlled gets some values', function () {
     var subscription;
@@ -855,4 +856,87 @@
     );
   });
 
+  test('controlled pulls requested values from pull-aware sources', function () {
+    var produced = 0, values = [];
+
+    var source = Rx.Observable.from({ length: 1000 }, function (_, i) {
+      produced++;
+      return i;
+    }).controlled();
+
+    source.subscribe(function (x) { values.push(x); });
+
+    source.request(2);
+    deepEqual(values, [0, 1]);
+    equal(produced, 2);
+
+    source.request(3);
+    deepEqual(values, [0, 1, 2, 3, 4]);
+    equal(produced, 5);
+  });
+
+  test('controlled bounded queue drops oldest values', function () {
+    var marks = [];
+
+    var scheduler = new TestScheduler();
+
+    var results = scheduler.createObserver();
+
+    var source = scheduler.createHotObservable(
+      onNext(210, 1),
+      onNext(220, 2),
+      onNext(230, 3),
+      onNext(240, 4),
+      onCompleted(500)
+    ).controlled({
+      bufferSize: 2,
+      overflowStrategy: 'dropOldest',
+      onHighWaterMark: function (length) { marks.push('high:' + length); },
+      onLowWaterMark: function (length) { marks.push('low:' + length); }
+    });
+
+    scheduler.scheduleAbsolute(null, 200, function () {
+      source.subscribe(results);
+    });
+
+    scheduler.scheduleAbsolute(null, 300, function () {
+      source.request(5);
+    });
+
+    scheduler.start();
+
+    results.messages.assertEqual(
+      onNext(300, 3),
+      onNext(300, 4),
+      onCompleted(500)
+    );
+    deepEqual(marks, ['high:2', 'low:0']);
+  });
+
+  test('controlled bounded queue fails on overflow', function () {
+    var scheduler = new TestScheduler();
+
+    var results = scheduler.createObserver();
+
+    var xs = scheduler.createHotObservable(
+      onNext(210, 1),
+      onNext(220, 2),
+      onNext(230, 3),
+      onCompleted(500)
+    );
+
+    var source = xs.controlled({ bufferSize: 2 });
+
+    scheduler.scheduleAbsolute(null, 200, function () {
+      source.subscribe(results);
+    });
+
+    scheduler.start();
+
+    equal(results.messages.length, 1);
+    equal(results.messages[0].time, 230);
+    ok(results.messages[0].value.error instanceof Rx.BufferOverflowError);
+    xs.subscriptions.assertEqual(subscribe(200, 230));
+  });
+
 }());
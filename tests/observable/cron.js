@@ -0,0 +1,95 @@
+(function () {
+  'use strict';
+  /* jshint undef: true, unused: true */
+  /* globals QUnit, test, Rx, raises, equal */
+  QUnit.module('cron');
+
+  var Observable = Rx.Observable,
+    HistoricalScheduler = Rx.HistoricalScheduler,
+    TestScheduler = Rx.TestScheduler,
+    onCompleted = Rx.ReactiveTest.onCompleted;
+
+  function isoStrings(dates) {
+    var strings = [];
+    for (var i = 0; i < dates.length; i++) { strings.push(dates[i].toISOString()); }
+    return strings.join();
+  }
+
+  test('cron produces the date of each occurrence', function () {
+    var scheduler = new HistoricalScheduler(Date.parse('2021-01-01T08:00:00Z')), dates = [], nows = [];
+
+    Observable.cron('0 9 * * 1-5', { timeZone: 'UTC' }, scheduler)
+      .take(3)
+      .subscribe(function (x) {
+        dates.push(x);
+        nows.push(new Date(scheduler.now()));
+      });
+
+    scheduler.start();
+
+    equal(isoStrings(dates), '2021-01-01T09:00:00.000Z,2021-01-04T09:00:00.000Z,2021-01-05T09:00:00.000Z');
+    equal(isoStrings(nows), isoStrings(dates));
+  });
+
+  test('cron time zone across clocks going forward', function () {
+    var scheduler = new HistoricalScheduler(Date.parse('2021-03-13T00:00:00Z')), dates = [];
+
+    Observable.cron('0 9 * * *', { timeZone: 'America/New_York' }, scheduler)
+      .take(2)
+      .subscribe(function (x) { dates.push(x); });
+
+    scheduler.start();
+
+    equal(isoStrings(dates), '2021-03-13T14:00:00.000Z,2021-03-14T13:00:00.000Z');
+  });
+
+  test('cron skips occurrences missed while blocked', function () {
+    var scheduler = new HistoricalScheduler(Date.parse('2021-01-01T00:00:00Z')), dates = [];
+
+    Observable.cron('@hourly', { timeZone: 'UTC' }, scheduler)
+      .take(3)
+      .subscribe(function (x) {
+        dates.push(x);
+        dates.length === 1 && scheduler.sleep(150 * 60000);
+      });
+
+    scheduler.start();
+
+    equal(isoStrings(dates), '2021-01-01T01:00:00.000Z,2021-01-01T04:00:00.000Z,2021-01-01T05:00:00.000Z');
+  });
+
+  test('cron waits for occurrences months away', function () {
+    var scheduler = new HistoricalScheduler(Date.parse('2021-06-01T00:00:00Z')), dates = [], nows = [];
+
+    Observable.cron('0 0 1 1 *', { timeZone: 'UTC' }, scheduler)
+      .take(2)
+      .subscribe(function (x) {
+        dates.push(x);
+        nows.push(new Date(scheduler.now()));
+      });
+
+    scheduler.start();
+
+    equal(isoStrings(dates), '2022-01-01T00:00:00.000Z,2023-01-01T00:00:00.000Z');
+    equal(isoStrings(nows), isoStrings(dates));
+  });
+
+  test('cron completes when there is no occurrence', function () {
+    var scheduler = new TestScheduler();
+
+    var results = scheduler.startScheduler(function () {
+      return Observable.cron('0 0 30 2 *', scheduler);
+    });
+
+    results.messages.assertEqual(
+      onCompleted(201)
+    );
+  });
+
+  test('cron invalid expression', function () {
+    raises(function () {
+      return Observable.cron('0 9 * *');
+    });
+  });
+
+}());
@@ -0,0 +1,110 @@
+(function () {
+  'use strict';
+  /* jshint undef: true, unused: true */
+  /* globals QUnit, test, Rx, FakeStream, equal, ok, deepEqual, raises */
+  QUnit.module('fromStream');
+
+  test('fromStream emits chunks and completes on end', function () {
+    var stream = new FakeStream(), values = [], completed = false;
+
+    Rx.Observable.fromStream(stream).subscribe(
+      function (x) { values.push(x); },
+      function () { },
+      function () { completed = true; });
+
+    ok(!stream.isPaused);
+    stream.emit('data', 'a');
+    stream.emit('data', 'b');
+    stream.emit('end');
+
+    deepEqual(values, ['a', 'b']);
+    ok(completed);
+    equal(stream.listenerCount('data'), 0);
+    ok(!stream.destroyed);
+  });
+
+  test('fromStream propagates errors', function () {
+    var stream = new FakeStream(), error = new Error(), actual;
+
+    Rx.Observable.fromStream(stream).subscribe(function () { }, function (e) { actual = e; });
+
+    stream.emit('error', error);
+
+    equal(actual, error);
+    equal(stream.listenerCount('error'), 0);
+  });
+
+  test('fromStream finish event name', function () {
+    var stream = new FakeStream(), completed = false;
+
+    Rx.Observable.fromStream(stream, { finishEventName: 'close' }).subscribe(function () { }, function () { }, function () { completed = true; });
+
+    stream.emit('end');
+    ok(!completed);
+
+    stream.emit('close');
+    ok(completed);
+  });
+
+  test('fromStream destroys the stream on dispose', function () {
+    var stream = new FakeStream();
+
+    var subscription = Rx.Observable.fromStream(stream).subscribe(function () { });
+    subscription.dispose();
+
+    ok(stream.destroyed);
+    equal(stream.listenerCount('data'), 0);
+  });
+
+  test('fromStream fails on objects outside of object mode', function () {
+    var stream = new FakeStream(), values = [], error;
+
+    Rx.Observable.fromStream(stream).subscribe(function (x) { values.push(x); }, function (e) { error = e; });
+
+    stream.emit('data', { a: 1 });
+
+    deepEqual(values, []);
+    ok(error instanceof TypeError);
+  });
+
+  test('fromStream emits objects in object mode', function () {
+    var stream = new FakeStream({ objectMode: true }), values = [];
+
+    Rx.Observable.fromStream(stream).subscribe(function (x) { values.push(x); });
+
+    stream.emit('data', { a: 1 });
+
+    deepEqual(values, [{ a: 1 }]);
+  });
+
+  test('fromStream pauses and resumes the stream on demand', function () {
+    var stream = new FakeStream(), values = [];
+
+    var source = Rx.Observable.fromStream(stream).controlled();
+    source.subscribe(function (x) { values.push(x); });
+
+    ok(stream.isPaused);
+
+    source.request(2);
+    ok(!stream.isPaused);
+
+    stream.emit('data', 'a');
+    ok(!stream.isPaused);
+    stream.emit('data', 'b');
+    ok(stream.isPaused);
+    deepEqual(values, ['a', 'b']);
+
+    source.request(1);
+    ok(!stream.isPaused);
+    stream.emit('data', 'c');
+    ok(stream.isPaused);
+    deepEqual(values, ['a', 'b', 'c']);
+  });
+
+  test('fromStream throws without a stream', function () {
+    raises(function () {
+      Rx.Observable.fromStream(null);
+    }, TypeError);
+  });
+
+}());
@@ -1,6 +1,6 @@
 (function () {
   /* jshint undef: true, unused: true */
-  /* globals QUnit, test, Rx, raises */
+  /* globals QUnit, test, asyncTest, start, Rx, raises, deepEqual */
 
   QUnit.module('interval');
 
@@ -83,4 +83,16 @@
     raises(function () { return scheduler.start(); });
   });
 
+  asyncTest('interval on a scheduler which cannot schedule future work', 1, function () {
+    var values = [];
+
+    Observable.interval(1, Rx.Scheduler.currentThread).take(3).subscribe(
+      function (x) { values.push(x); },
+      function () { },
+      function () {
+        deepEqual(values, [0, 1, 2]);
+        start();
+      });
+  });
+
 }());
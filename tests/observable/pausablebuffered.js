@@ -1,7 +1,7 @@
 (function () {
   'use strict';
   /* jshint undef: true, unused: true */
-  /* globals QUnit, test, Rx */
+  /* globals QUnit, test, Rx, equal, ok, deepEqual, raises */
   QUnit.module('PausableBuffered');
 
   var TestScheduler = Rx.TestScheduler,
@@ -555,4 +555,197 @@
     );
   });
 
+  function pausedHotSource(scheduler) {
+    return scheduler.createHotObservable(
+      onNext(210, 1),
+      onNext(220, 2),
+      onNext(230, 3),
+      onNext(240, 4),
+      onNext(250, 5),
+      onCompleted(500)
+    );
+  }
+
+  function runBounded(overflowStrategy, marks) {
+    var scheduler = new TestScheduler();
+
+    var controller = new Subject();
+
+    var xs = pausedHotSource(scheduler);
+
+    var results = scheduler.startScheduler(function () {
+      return xs.pausableBuffered(controller, {
+        bufferSize: 3,
+        overflowStrategy: overflowStrategy,
+        highWaterMark: 2,
+        onHighWaterMark: function (length) { marks && marks.push('high:' + length); },
+        onLowWaterMark: function (length) { marks && marks.push('low:' + length); }
+      });
+    });
+
+    return results;
+  }
+
+  test('pausableBuffered bounded drops newest values', function () {
+    var scheduler = new TestScheduler();
+
+    var controller = new Subject();
+
+    var xs = pausedHotSource(scheduler);
+
+    scheduler.scheduleAbsolute(null, 300, function () {
+      controller.onNext(true);
+    });
+
+    var results = scheduler.startScheduler(function () {
+      return xs.pausableBuffered(controller, { bufferSize: 3, overflowStrategy: 'dropNewest' });
+    });
+
+    results.messages.assertEqual(
+      onNext(300, 1),
+      onNext(300, 2),
+      onNext(300, 3),
+      onCompleted(500)
+    );
+  });
+
+  test('pausableBuffered bounded drops oldest values', function () {
+    var scheduler = new TestScheduler();
+
+    var controller = new Subject();
+
+    var xs = pausedHotSource(scheduler);
+
+    scheduler.scheduleAbsolute(null, 300, function () {
+      controller.onNext(true);
+    });
+
+    var results = scheduler.startScheduler(function () {
+      return xs.pausableBuffered(controller, { bufferSize: 3, overflowStrategy: 'dropOldest' });
+    });
+
+    results.messages.assertEqual(
+      onNext(300, 3),
+      onNext(300, 4),
+      onNext(300, 5),
+      onCompleted(500)
+    );
+  });
+
+  test('pausableBuffered bounded keeps the latest value', function () {
+    var scheduler = new TestScheduler();
+
+    var controller = new Subject();
+
+    var xs = pausedHotSource(scheduler);
+
+    scheduler.scheduleAbsolute(null, 300, function () {
+      controller.onNext(true);
+    });
+
+    var results = scheduler.startScheduler(function () {
+      return xs.pausableBuffered(controller, { bufferSize: 3, overflowStrategy: 'latest' });
+    });
+
+    results.messages.assertEqual(
+      onNext(300, 4),
+      onNext(300, 5),
+      onCompleted(500)
+    );
+  });
+
+  test('pausableBuffered bounded fails on overflow', function () {
+    var marks = [];
+
+    var results = runBounded('error', marks);
+
+    equal(results.messages.length, 1);
+    equal(results.messages[0].time, 240);
+    ok(results.messages[0].value.error instanceof Rx.BufferOverflowError);
+    deepEqual(marks, ['high:2', 'low:0']);
+  });
+
+  test('pausableBuffered bounded fails on overflow when the source cannot be paused', function () {
+    var results = runBounded('pause');
+
+    equal(results.messages.length, 1);
+    ok(results.messages[0].value.error instanceof Rx.BufferOverflowError);
+  });
+
+  test('pausableBuffered bounded pauses pull-aware sources', function () {
+    var produced = 0, values = [];
+
+    var pauser = new Rx.Pauser();
+
+    Rx.Observable.range(0, 10)
+      .map(function (x) { produced++; return x; })
+      .pausableBuffered(pauser, { bufferSize: 3, overflowStrategy: 'pause' })
+      .subscribe(function (x) { values.push(x); });
+
+    equal(produced, 3);
+
+    pauser.resume();
+    deepEqual(values, [0, 1, 2, 3, 4, 5, 6, 7, 8, 9]);
+  });
+
+  test('pausableBuffered bounded calls the water mark callbacks', function () {
+    var marks = [];
+
+    var scheduler = new TestScheduler();
+
+    var controller = new Subject();
+
+    var xs = pausedHotSource(scheduler);
+
+    scheduler.scheduleAbsolute(null, 300, function () {
+      controller.onNext(true);
+    });
+
+    scheduler.startScheduler(function () {
+      return xs.pausableBuffered(controller, {
+        bufferSize: 5,
+        highWaterMark: 4,
+        lowWaterMark: 1,
+        onHighWaterMark: function (length) { marks.push('high:' + length); },
+        onLowWaterMark: function (length) { marks.push('low:' + length); }
+      });
+    });
+
+    deepEqual(marks, ['high:4', 'low:1']);
+  });
+
+  test('pausableBuffered yields an error without values on resume', function () {
+    var scheduler = new TestScheduler();
+
+    var controller = new Subject();
+
+    var error = new Error();
+
+    var xs = scheduler.createHotObservable(
+      onError(230, error)
+    );
+
+    scheduler.scheduleAbsolute(null, 300, function () {
+      controller.onNext(true);
+    });
+
+    var results = scheduler.startScheduler(function () {
+      return xs.pausableBuffered(controller);
+    });
+
+    results.messages.assertEqual(
+      onError(300, error)
+    );
+  });
+
+  test('pausableBuffered bounded throws on invalid options', function () {
+    raises(function () {
+      Rx.Observable.never().pausableBuffered(new Subject(), { bufferSize: 0 }).subscribe();
+    }, Rx.ArgumentOutOfRangeError);
+
+    raises(function () {
+      Rx.Observable.never().pausableBuffered(new Subject(), { bufferSize: 1, overflowStrategy: 'unknown' }).subscribe();
+    }, TypeError);
+  });
+
 }());
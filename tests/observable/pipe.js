@@ -0,0 +1,157 @@
+(function () {
+  'use strict';
+  /* jshint undef: true, unused: true */
+  /* globals QUnit, test, asyncTest, start, Rx, FakeStream, equal, ok, deepEqual, require */
+  QUnit.module('pipe');
+
+  test('pipe writes the values and ends the destination', function () {
+    var dest = new FakeStream();
+
+    equal(Rx.Observable.range(0, 3).pipe(dest), dest);
+
+    deepEqual(dest.chunks, [0, 1, 2]);
+    ok(dest.ended);
+    equal(dest.listenerCount('drain'), 0);
+    equal(dest.listenerCount('close'), 0);
+  });
+
+  test('pipe pauses while the destination is full', function () {
+    var dest = new FakeStream({ highWaterMark: 2 }), subject = new Rx.Subject();
+
+    subject.pipe(dest);
+
+    subject.onNext(1);
+    subject.onNext(2);
+    subject.onNext(3);
+    deepEqual(dest.chunks, [1, 2]);
+
+    dest.drain();
+    deepEqual(dest.chunks, [3]);
+  });
+
+  test('pipe does not end the destination with end false', function () {
+    var dest = new FakeStream();
+
+    Rx.Observable.range(0, 3).pipe(dest, { end: false });
+
+    deepEqual(dest.chunks, [0, 1, 2]);
+    ok(!dest.ended);
+    equal(dest.listenerCount('drain'), 0);
+  });
+
+  test('pipe emits errors of the sequence on the destination', function () {
+    var dest = new FakeStream(), error = new Error(), actual;
+
+    dest.on('error', function (e) { actual = e; });
+    Rx.Observable['throw'](error).pipe(dest);
+
+    equal(actual, error);
+    ok(!dest.ended);
+    equal(dest.listenerCount('drain'), 0);
+  });
+
+  test('pipe disposes the subscription when the destination fails', function () {
+    var dest = new FakeStream(), subject = new Rx.Subject();
+
+    dest.on('error', function () { });
+    subject.pipe(dest);
+    ok(subject.hasObservers());
+
+    dest.emit('error', new Error());
+    ok(!subject.hasObservers());
+    equal(dest.listenerCount('drain'), 0);
+    equal(dest.listenerCount('error'), 1);
+  });
+
+  test('pipe disposes the subscription when the destination closes', function () {
+    var dest = new FakeStream(), subject = new Rx.Subject();
+
+    subject.pipe(dest);
+    dest.destroy();
+
+    ok(!subject.hasObservers());
+    equal(dest.listenerCount('drain'), 0);
+  });
+
+  test('pipeline calls back once the destination finished', function () {
+    var dest = new FakeStream(), calls = [];
+
+    equal(Rx.Observable.range(0, 3).pipeline(dest, function (e) { calls.push(e); }), dest);
+
+    deepEqual(dest.chunks, [0, 1, 2]);
+    deepEqual(calls, [undefined]);
+  });
+
+  test('pipeline destroys the destination when the sequence fails', function () {
+    var dest = new FakeStream(), error = new Error(), actual;
+
+    Rx.Observable['throw'](error).pipeline(dest, function (e) { actual = e; });
+
+    equal(actual, error);
+    ok(dest.destroyed);
+  });
+
+  test('pipeline reports a destination which closes early', function () {
+    var dest = new FakeStream(), subject = new Rx.Subject(), actual;
+
+    subject.pipeline(dest, function (e) { actual = e; });
+    dest.destroy();
+
+    equal(actual.code, 'ERR_STREAM_PREMATURE_CLOSE');
+    ok(!subject.hasObservers());
+  });
+
+  test('pipeline calls back on completion with end false', function () {
+    var dest = new FakeStream(), completed = false;
+
+    Rx.Observable.range(0, 3).pipeline(dest, { end: false }, function (e) { completed = !e; });
+
+    ok(completed);
+    ok(!dest.ended);
+  });
+
+  var hasStreams = typeof require === 'function' && !!require('stream').Transform;
+
+  if (!hasStreams) { return; }
+
+  var stream = require('stream');
+
+  function upperCase() {
+    return new stream.Transform({
+      objectMode: true,
+      transform: function (x, _, cb) { cb(null, x.toUpperCase()); }
+    });
+  }
+
+  function collect(values) {
+    return new stream.Writable({
+      objectMode: true,
+      write: function (x, _, cb) { values.push(x); setTimeout(cb, 1); }
+    });
+  }
+
+  asyncTest('pipeline pipes through chained streams', 1, function () {
+    var values = [];
+
+    Rx.Observable.from(['a', 'b', 'c']).pipeline(upperCase(), collect(values), function (e) {
+      deepEqual([e, values], [undefined, ['A', 'B', 'C']]);
+      start();
+    });
+  });
+
+  asyncTest('pipeline tears down the chain when a stream fails', 1, function () {
+    var error = new Error(), subject = new Rx.Subject(), failing = new stream.Transform({
+      objectMode: true,
+      transform: function (x, _, cb) { x === 2 ? cb(error) : cb(null, x); }
+    }), dest = collect([]);
+
+    subject.pipeline(failing, dest, function (e) {
+      deepEqual([e, subject.hasObservers(), dest.destroyed], [error, false, true]);
+      start();
+    });
+
+    subject.onNext(1);
+    subject.onNext(2);
+  });
+
+}());
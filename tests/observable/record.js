@@ -0,0 +1,124 @@
+(function () {
+  'use strict';
+  /* jshint undef: true, unused: true */
+  /* globals QUnit, test, Rx, equal */
+  QUnit.module('record');
+
+  var TestScheduler = Rx.TestScheduler,
+    onNext = Rx.ReactiveTest.onNext,
+    onCompleted = Rx.ReactiveTest.onCompleted;
+
+  test('record regular', function () {
+    var scheduler = new TestScheduler();
+
+    var xs = scheduler.createHotObservable(
+      onNext(150, 1),
+      onNext(210, 2),
+      onNext(230, 3),
+      onCompleted(260)
+    );
+
+    var results = scheduler.startScheduler(function () {
+      return xs.record(scheduler);
+    });
+
+    results.messages.assertEqual(
+      onNext(210, '{"time":10,"kind":"N","value":2}'),
+      onNext(230, '{"time":30,"kind":"N","value":3}'),
+      onNext(260, '{"time":60,"kind":"C"}'),
+      onCompleted(260)
+    );
+  });
+
+  test('record error', function () {
+    var scheduler = new TestScheduler();
+
+    var error = new TypeError('woops');
+
+    var xs = scheduler.createHotObservable(
+      onNext(210, 'a'),
+      Rx.ReactiveTest.onError(250, error)
+    );
+
+    var results = scheduler.startScheduler(function () {
+      return xs.record(scheduler);
+    });
+
+    results.messages.assertEqual(
+      onNext(210, '{"time":10,"kind":"N","value":"a"}'),
+      onNext(250, '{"time":50,"kind":"E","error":{"name":"TypeError","message":"woops"}}'),
+      onCompleted(250)
+    );
+  });
+
+  test('record error which is not an Error', function () {
+    var scheduler = new TestScheduler();
+
+    var xs = scheduler.createColdObservable(
+      Rx.ReactiveTest.onError(20, { code: 42 })
+    );
+
+    var results = scheduler.startScheduler(function () {
+      return xs.record(scheduler);
+    });
+
+    results.messages.assertEqual(
+      onNext(220, '{"time":20,"kind":"E","value":{"code":42}}'),
+      onCompleted(220)
+    );
+  });
+
+  test('record codec', function () {
+    var scheduler = new TestScheduler();
+
+    var xs = scheduler.createHotObservable(
+      onNext(210, new Date(Date.UTC(2016, 0, 1))),
+      onCompleted(220)
+    );
+
+    var codec = {
+      encode: function (x) { return x.getTime(); },
+      decode: function (x) { return new Date(x); }
+    };
+
+    var results = scheduler.startScheduler(function () {
+      return xs.record(codec, scheduler);
+    });
+
+    results.messages.assertEqual(
+      onNext(210, '{"time":10,"kind":"N","value":1451606400000}'),
+      onNext(220, '{"time":20,"kind":"C"}'),
+      onCompleted(220)
+    );
+  });
+
+  test('record codec throws', function () {
+    var scheduler = new TestScheduler();
+
+    var error = new Error();
+
+    var xs = scheduler.createHotObservable(
+      onNext(210, 1),
+      onCompleted(220)
+    );
+
+    var results = scheduler.startScheduler(function () {
+      return xs.record({ encode: function () { throw error; } }, scheduler);
+    });
+
+    results.messages.assertEqual(
+      Rx.ReactiveTest.onError(210, error)
+    );
+  });
+
+  test('record never', function () {
+    var scheduler = new TestScheduler();
+
+    var results = scheduler.startScheduler(function () {
+      return Rx.Observable.never().record(scheduler);
+    });
+
+    equal(results.messages.length, 0);
+  });
+
+}());
@@ -0,0 +1,194 @@
+(function () {
+  'use strict';
+  /* jshint undef: true, unused: true */
+  /* globals QUnit, test, Rx, raises, equal */
+  QUnit.module('replayRecording');
+
+  var Observable = Rx.Observable,
+    TestScheduler = Rx.TestScheduler,
+    onNext = Rx.ReactiveTest.onNext,
+    onError = Rx.ReactiveTest.onError,
+    onCompleted = Rx.ReactiveTest.onCompleted,
+    subscribe = Rx.ReactiveTest.subscribe;
+
+  test('replayRecording lines', function () {
+    var scheduler = new TestScheduler();
+
+    var recording = '{"time":10,"kind":"N","value":1}\n' +
+      '{"time":30,"kind":"N","value":2}\n' +
+      '\n' +
+      '{"time":30,"kind":"N","value":3}\r\n' +
+      '{"time":60,"kind":"C"}\n';
+
+    var results = scheduler.startScheduler(function () {
+      return Observable.replayRecording(recording, scheduler);
+    });
+
+    results.messages.assertEqual(
+      onNext(210, 1),
+      onNext(230, 2),
+      onNext(230, 3),
+      onCompleted(260)
+    );
+  });
+
+  test('replayRecording records', function () {
+    var scheduler = new TestScheduler();
+
+    var results = scheduler.startScheduler(function () {
+      return Observable.replayRecording([
+        { time: 0, kind: 'N', value: 'a' },
+        '{"time":20,"kind":"N","value":"b"}'
+      ], scheduler);
+    });
+
+    // The test scheduler runs actions due now at the next tick
+    results.messages.assertEqual(
+      onNext(201, 'a'),
+      onNext(220, 'b')
+    );
+  });
+
+  test('replayRecording error', function () {
+    var scheduler = new TestScheduler();
+
+    var results = scheduler.startScheduler(function () {
+      return Observable.replayRecording([
+        '{"time":10,"kind":"N","value":1}',
+        '{"time":40,"kind":"E","error":{"name":"TypeError","message":"woops"}}',
+        '{"time":50,"kind":"N","value":2}'
+      ], scheduler);
+    });
+
+    equal(results.messages.length, 2);
+    equal(results.messages[1].time, 240);
+    equal(results.messages[1].value.error.name, 'TypeError');
+    equal(results.messages[1].value.error.message, 'woops');
+  });
+
+  test('replayRecording speed', function () {
+    var scheduler = new TestScheduler();
+
+    var results = scheduler.startScheduler(function () {
+      return Observable.replayRecording([
+        { time: 20, kind: 'N', value: 1 },
+        { time: 60, kind: 'N', value: 2 },
+        { time: 100, kind: 'C' }
+      ], scheduler, { speed: 2 });
+    });
+
+    results.messages.assertEqual(
+      onNext(210, 1),
+      onNext(230, 2),
+      onCompleted(250)
+    );
+  });
+
+  test('replayRecording dispose', function () {
+    var scheduler = new TestScheduler();
+
+    var results = scheduler.startScheduler(function () {
+      return Observable.replayRecording([
+        { time: 100, kind: 'N', value: 1 },
+        { time: 500, kind: 'N', value: 2 },
+        { time: 900, kind: 'C' }
+      ], scheduler);
+    }, { disposed: 400 });
+
+    results.messages.assertEqual(
+      onNext(300, 1)
+    );
+  });
+
+  test('replayRecording codec', function () {
+    var scheduler = new TestScheduler();
+
+    var codec = {
+      encode: function (x) { return x.getTime(); },
+      decode: function (x) { return new Date(x); }
+    };
+
+    var results = scheduler.startScheduler(function () {
+      return Observable.replayRecording('{"time":10,"kind":"N","value":1451606400000}', scheduler, { codec: codec });
+    });
+
+    equal(results.messages[0].value.value.getTime(), Date.UTC(2016, 0, 1));
+  });
+
+  test('replayRecording codec throws', function () {
+    var scheduler = new TestScheduler();
+
+    var error = new Error();
+
+    var results = scheduler.startScheduler(function () {
+      return Observable.replayRecording('{"time":10,"kind":"N","value":1}', scheduler, {
+        codec: { decode: function () { throw error; } }
+      });
+    });
+
+    results.messages.assertEqual(
+      onError(210, error)
+    );
+  });
+
+  test('replayRecording round trip', function () {
+    var scheduler = new TestScheduler();
+
+    var xs = scheduler.createColdObservable(
+      onNext(10, 'a'),
+      onNext(25, 'b'),
+      onNext(25, 'c'),
+      onCompleted(70)
+    );
+
+    var lines = [];
+    xs.record(scheduler).subscribe(function (line) { lines.push(line); });
+    scheduler.start();
+
+    var results = scheduler.startScheduler(function () {
+      return Observable.replayRecording(lines.join('\n'), scheduler);
+    }, { created: 1000, subscribed: 1100, disposed: 2000 });
+
+    results.messages.assertEqual(
+      onNext(1110, 'a'),
+      onNext(1125, 'b'),
+      onNext(1125, 'c'),
+      onCompleted(1170)
+    );
+    xs.subscriptions.assertEqual(subscribe(0, 70));
+  });
+
+  test('replayRecording HistoricalScheduler', function () {
+    var start = Date.UTC(2016, 0, 1);
+    var scheduler = new Rx.HistoricalScheduler(start);
+    var times = [];
+
+    Observable.replayRecording('{"time":1000,"kind":"N","value":1}\n{"time":3000,"kind":"C"}', scheduler)
+      .subscribe(function () { times.push(scheduler.now() - start); }, null, function () { times.push(scheduler.now() - start); });
+
+    scheduler.start();
+
+    equal(times.join(), '1000,3000');
+  });
+
+  test('replayRecording invalid', function () {
+    var scheduler = new TestScheduler();
+
+    raises(function () {
+      Observable.replayRecording('{"time":10,"kind":"N","value":1}\nnot json', scheduler);
+    });
+
+    raises(function () {
+      Observable.replayRecording([{ time: 10, kind: 'X' }], scheduler);
+    });
+
+    raises(function () {
+      Observable.replayRecording([{ time: 20, kind: 'N', value: 1 }, { time: 10, kind: 'C' }], scheduler);
+    });
+
+    raises(function () {
+      Observable.replayRecording([], scheduler, { speed: 0 });
+    });
+  });
+
+}());
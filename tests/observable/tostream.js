@@ -0,0 +1,83 @@
+(function () {
+  'use strict';
+  /* jshint undef: true, unused: true */
+  /* globals QUnit, test, asyncTest, start, Rx, equal, ok, deepEqual, raises, require */
+  QUnit.module('toStream');
+
+  var hasStreams = typeof require === 'function' && !!require('stream').Readable;
+
+  if (!hasStreams) {
+    test('toStream requires Node.js streams', function () {
+      raises(function () {
+        Rx.Observable.range(0, 3).toStream();
+      }, Rx.NotSupportedError);
+    });
+    return;
+  }
+
+  asyncTest('toStream pushes the values and ends', 1, function () {
+    var values = [];
+
+    Rx.Observable.range(0, 3).toStream({ objectMode: true })
+      .on('data', function (x) { values.push(x); })
+      .on('end', function () {
+        deepEqual(values, [0, 1, 2]);
+        start();
+      });
+  });
+
+  asyncTest('toStream encodes the values', 1, function () {
+    var chunks = [];
+
+    Rx.Observable.range(0, 3).toStream({ encoder: function (x) { return x + ','; } })
+      .on('data', function (x) { chunks.push(String(x)); })
+      .on('end', function () {
+        equal(chunks.join(''), '0,1,2,');
+        start();
+      });
+  });
+
+  asyncTest('toStream destroys the stream on error', 1, function () {
+    var error = new Error();
+
+    Rx.Observable['throw'](error).toStream({ objectMode: true })
+      .on('data', function () { })
+      .on('error', function (e) {
+        equal(e, error);
+        start();
+      });
+  });
+
+  asyncTest('toStream only reads the values it needs', 1, function () {
+    var produced = 0, values = [];
+
+    var stream = Rx.Observable.range(0, 1000)
+      .map(function (x) { produced++; return x; })
+      .toStream({ objectMode: true, highWaterMark: 2 });
+
+    stream.on('data', function (x) {
+      values.push(x);
+      values.length === 5 && stream.destroy();
+    });
+    stream.on('close', function () {
+      ok(produced < 10);
+      start();
+    });
+  });
+
+  asyncTest('toStream disposes the subscription when destroyed', 1, function () {
+    var disposed = false;
+
+    var stream = Rx.Observable.create(function (o) {
+      o.onNext('a');
+      return function () { disposed = true; };
+    }).toStream();
+
+    stream.on('data', function () { stream.destroy(); });
+    stream.on('close', function () {
+      ok(disposed);
+      start();
+    });
+  });
+
+}());
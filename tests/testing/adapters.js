@@ -0,0 +1,104 @@
+(function () {
+  'use strict';
+  /* jshint undef: true, unused: true */
+  /* globals QUnit, test, Rx, equal, ok, raises */
+  QUnit.module('ReactiveTest adapters');
+
+  var ReactiveTest = Rx.ReactiveTest;
+
+  // Registers tests like the it function of a test framework, and runs them on demand
+  function fakeIt() {
+    var tests = [];
+    function it(name, fn) { tests.push({ name: name, fn: fn, kind: 'it' }); }
+    it.only = function (name, fn) { tests.push({ name: name, fn: fn, kind: 'only' }); };
+    it.skip = function (name, fn) { tests.push({ name: name, fn: fn, kind: 'skip' }); };
+    it.tests = tests;
+    return it;
+  }
+
+  function passing(scheduler) {
+    var xs = scheduler.createHotObservable('-a-b-|');
+    scheduler.expectObservable(xs.map(function (x) { return x + x; })).toBe('-x-y-|', { x: 'aa', y: 'bb' });
+  }
+
+  function failing(scheduler) {
+    var xs = scheduler.createHotObservable('-a-b-|');
+    scheduler.expectObservable(xs).toBe('-a-c-|');
+  }
+
+  test('marbles flushes a new test scheduler', function () {
+    var schedulers = [], context = {};
+
+    var fn = ReactiveTest.marbles(function (scheduler, arg) {
+      schedulers.push(scheduler);
+      equal(this, context);
+      equal(arg, 'arg');
+      passing(scheduler);
+    });
+
+    fn.call(context, 'arg');
+    fn.call(context, 'arg');
+
+    ok(schedulers[0] instanceof Rx.TestScheduler);
+    ok(schedulers[0] !== schedulers[1]);
+    equal(schedulers[0].clock, 250);
+  });
+
+  test('marbles throws a ReactiveAssertionError', function () {
+    raises(function () {
+      ReactiveTest.marbles(failing)();
+    }, Rx.ReactiveAssertionError);
+  });
+
+  test('mocha adapter registers marble tests', function () {
+    var it = ReactiveTest.adapters.mocha(fakeIt());
+
+    it.marbles('passes', passing);
+    it.marbles.only('only', passing);
+    it.marbles.skip('skip', passing);
+    it.marbles('fails', failing);
+
+    equal(it.tests.length, 4);
+    equal(it.tests[1].kind, 'only');
+    equal(it.tests[2].kind, 'skip');
+    it.tests[0].fn();
+    raises(function () { it.tests[3].fn(); }, Rx.ReactiveAssertionError);
+  });
+
+  test('node adapter registers marble tests', function () {
+    var it = ReactiveTest.adapters.node(fakeIt()), t = {};
+
+    it.marbles('passes', function (scheduler, context) {
+      equal(context, t);
+      passing(scheduler);
+    });
+
+    it.tests[0].fn(t);
+    equal(typeof it.marbles.only, 'function');
+  });
+
+  test('jasmine adapter reports failures with fail', function () {
+    var failures = [], registered = [];
+    var env = {
+      fail: function (e) { failures.push(e); },
+      fit: function (name) { registered.push('fit ' + name); },
+      xit: function (name) { registered.push('xit ' + name); }
+    };
+    var it = ReactiveTest.adapters.jasmine(fakeIt(), env);
+
+    it.marbles('passes', passing);
+    it.marbles('fails', failing);
+    it.marbles('throws', function () { throw new TypeError(); });
+    it.marbles.only('only', passing);
+    it.marbles.skip('skip', passing);
+
+    it.tests[0].fn();
+    it.tests[1].fn();
+    raises(function () { it.tests[2].fn(); }, TypeError);
+
+    equal(failures.length, 1);
+    ok(failures[0].message.indexOf('@230 wrong value: expected OnNext(c), actual OnNext(b)') !== -1);
+    equal(registered.join(), 'fit only,xit skip');
+  });
+
+}());
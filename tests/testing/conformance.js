@@ -0,0 +1,119 @@
+(function () {
+  'use strict';
+  /* jshint undef: true, unused: true */
+  /* globals QUnit, test, Rx, raises, equal, ok */
+  QUnit.module('conformance');
+
+  var Observable = Rx.Observable,
+    checkConformance = Rx.ReactiveTest.checkConformance;
+
+  // Bypasses the auto detaching observer so that broken operators can be written
+  function UncheckedObservable(subscribe) {
+    Observable.call(this);
+    this._subscribe = subscribe;
+  }
+
+  Rx.internals.inherits(UncheckedObservable, Observable);
+
+  function hasViolation(violations, text) {
+    for (var i = 0, len = violations.length; i < len; i++) {
+      if (violations[i].indexOf(text) !== -1) { return true; }
+    }
+    return false;
+  }
+
+  test('checkConformance built-in operators', function () {
+    var operators = {
+      map: function (xs) { return xs.map(function (x) { return x * 2; }); },
+      filter: function (xs) { return xs.filter(function (x) { return x > 1; }); },
+      take: function (xs) { return xs.take(2); },
+      scan: function (xs) { return xs.scan(function (acc, x) { return acc + x; }); },
+      delay: function (xs, scheduler) { return xs.delay(10, scheduler); },
+      debounce: function (xs, scheduler) { return xs.debounce(10, scheduler); },
+      flatMap: function (xs) { return xs.flatMap(function (x) { return Observable.just(x); }); },
+      takeUntil: function (xs) { return xs.takeUntil(Observable.never()); },
+      share: function (xs) { return xs.share(); }
+    };
+
+    for (var name in operators) {
+      var violations = checkConformance(operators[name]);
+      equal(violations.length, 0, name + ' ' + violations.join('\n'));
+    }
+  });
+
+  test('checkConformance disposal delay', function () {
+    var subscribeOn = function (xs, scheduler) { return xs.subscribeOn(scheduler); };
+
+    ok(hasViolation(checkConformance(subscribeOn), 'never: Upstream ColdObservable #1 [] subscribed at 201 is still open at 1000'));
+    equal(checkConformance(subscribeOn, { disposalDelay: 1 }).length, 0);
+  });
+
+  test('checkConformance reports notifications after termination', function () {
+    var violations = checkConformance(function (xs) {
+      return new UncheckedObservable(function (o) {
+        return xs.subscribe(
+          function (x) { o.onNext(x); },
+          function (e) { o.onError(e); o.onCompleted(); },
+          function () { o.onCompleted(); o.onNext(42); });
+      });
+    }, { scenarios: ['asynchronous', 'asynchronous error'] });
+
+    // Nothing disposes upstream on termination either
+    equal(violations.length, 4);
+    ok(hasViolation(violations, 'asynchronous: onNext after onCompleted at 270'));
+    ok(hasViolation(violations, 'asynchronous error: onCompleted after onError at 250'));
+  });
+
+  test('checkConformance reports notifications after dispose', function () {
+    var violations = checkConformance(function (xs, scheduler) {
+      return new UncheckedObservable(function (o) {
+        var subscription = xs.subscribe(o);
+        return Rx.Disposable.create(function () {
+          subscription.dispose();
+          scheduler.scheduleFuture(null, 10, function () { o.onNext(42); });
+        });
+      });
+    }, { scenarios: ['early disposal'] });
+
+    equal(violations.length, 1);
+    equal(violations[0], 'early disposal: onNext after dispose at 250');
+  });
+
+  test('checkConformance reports upstream which is not disposed', function () {
+    var violations = checkConformance(function (xs) {
+      // Completes without disposing upstream
+      return Observable.create(function (o) {
+        xs.subscribe(function (x) { o.onNext(x); o.onCompleted(); });
+      });
+    }, { scenarios: ['synchronous', 'asynchronous', 'early disposal'] });
+
+    equal(violations.length, 3);
+    ok(hasViolation(violations, 'synchronous: Upstream synchronous source subscribed at 200 is still open at 200'));
+    ok(hasViolation(violations, 'asynchronous: Upstream ColdObservable #1'));
+    ok(hasViolation(violations, 'subscribed at 200 is still open at 210'));
+  });
+
+  test('checkConformance reports a throwing factory', function () {
+    var violations = checkConformance(function () { throw new Error('boom'); }, { scenarios: ['never'] });
+
+    equal(violations.length, 1);
+    equal(violations[0], 'never: Operator factory threw Error: boom');
+  });
+
+  test('checkConformance values and error', function () {
+    var values = [], errors = [];
+
+    checkConformance(function (xs) {
+      return xs.tap(function (x) { values.push(x); }, function (e) { errors.push(e); });
+    }, { values: ['x', 'y', 'z'], error: 'oops', scenarios: ['asynchronous error'] });
+
+    equal(values.join(), 'x,y');
+    equal(errors.join(), 'oops');
+  });
+
+  test('checkConformance invalid arguments', function () {
+    raises(function () { checkConformance(); });
+    raises(function () { checkConformance(function (xs) { return xs; }, { scenarios: ['sideways'] }); });
+  });
+
+}());
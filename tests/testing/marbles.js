@@ -0,0 +1,153 @@
+(function () {
+  'use strict';
+  /* jshint undef: true, unused: true */
+  /* globals QUnit, test, Rx, raises, equal, ok */
+  QUnit.module('marbles');
+
+  var TestScheduler = Rx.TestScheduler,
+    ReactiveTest = Rx.ReactiveTest,
+    parseMarbles = ReactiveTest.parseMarbles,
+    parseSubscriptionMarbles = ReactiveTest.parseSubscriptionMarbles,
+    onNext = ReactiveTest.onNext,
+    onError = ReactiveTest.onError,
+    onCompleted = ReactiveTest.onCompleted,
+    subscribe = ReactiveTest.subscribe;
+
+  test('parseMarbles values and completion', function () {
+    parseMarbles('--a--b--|', { a: 1, b: 2 }).assertEqual(
+      onNext(220, 1),
+      onNext(250, 2),
+      onCompleted(280)
+    );
+  });
+
+  test('parseMarbles without values uses characters', function () {
+    parseMarbles('-a-b-|').assertEqual(
+      onNext(210, 'a'),
+      onNext(230, 'b'),
+      onCompleted(250)
+    );
+  });
+
+  test('parseMarbles error', function () {
+    var error = new Error();
+
+    parseMarbles('-a-#', null, error).assertEqual(
+      onNext(210, 'a'),
+      onError(230, error)
+    );
+
+    parseMarbles('#').assertEqual(
+      onError(200, 'error')
+    );
+  });
+
+  test('parseMarbles subscription marker', function () {
+    parseMarbles('-a-^-b-|').assertEqual(
+      onNext(180, 'a'),
+      onNext(220, 'b'),
+      onCompleted(240)
+    );
+  });
+
+  test('parseMarbles groups', function () {
+    parseMarbles('-(ab)-(c|)').assertEqual(
+      onNext(210, 'a'),
+      onNext(210, 'b'),
+      onNext(260, 'c'),
+      onCompleted(260)
+    );
+  });
+
+  test('parseMarbles origin', function () {
+    parseMarbles('a-|', null, null, 0).assertEqual(
+      onNext(0, 'a'),
+      onCompleted(20)
+    );
+  });
+
+  test('parseMarbles frame time factor', function () {
+    var factor = ReactiveTest.frameTimeFactor;
+    ReactiveTest.frameTimeFactor = 1;
+    try {
+      parseMarbles('-a-|').assertEqual(
+        onNext(201, 'a'),
+        onCompleted(203)
+      );
+    } finally {
+      ReactiveTest.frameTimeFactor = factor;
+    }
+  });
+
+  test('parseMarbles invalid diagrams', function () {
+    raises(function () { parseMarbles('-a-!'); });
+    raises(function () { parseMarbles('-^-^-'); });
+    raises(function () { parseMarbles('-((a))-'); });
+    raises(function () { parseMarbles('-(a-'); });
+    raises(function () { parseMarbles('-a)-'); });
+  });
+
+  test('parseSubscriptionMarbles', function () {
+    ok(parseSubscriptionMarbles('^-----!').equals(subscribe(200, 260)));
+    ok(parseSubscriptionMarbles('--^--').equals(subscribe(220)));
+    ok(parseSubscriptionMarbles('---!').equals(subscribe(200, 230)));
+    ok(parseSubscriptionMarbles('-(^!)').equals(subscribe(210, 210)));
+    ok(parseSubscriptionMarbles('^-!', 0).equals(subscribe(0, 20)));
+  });
+
+  test('parseSubscriptionMarbles invalid diagrams', function () {
+    raises(function () { parseSubscriptionMarbles('^-a-!'); });
+    raises(function () { parseSubscriptionMarbles('^-^-!'); });
+    raises(function () { parseSubscriptionMarbles('^-!-!'); });
+    raises(function () { parseSubscriptionMarbles('-!-^-'); });
+  });
+
+  test('createHotObservable marbles', function () {
+    var scheduler = new TestScheduler();
+
+    var xs = scheduler.createHotObservable('-a-^-b-c-|', { a: 1, b: 2, c: 3 });
+
+    var results = scheduler.startScheduler(function () {
+      return xs.map(function (x) { return x * 10; });
+    });
+
+    results.messages.assertEqual(
+      onNext(220, 20),
+      onNext(240, 30),
+      onCompleted(260)
+    );
+
+    xs.subscriptions.assertEqual(
+      parseSubscriptionMarbles('^-----!')
+    );
+  });
+
+  test('createColdObservable marbles', function () {
+    var scheduler = new TestScheduler();
+
+    var xs = scheduler.createColdObservable('-a-b-#', { a: 1, b: 2 }, 'boom');
+
+    var results = scheduler.startScheduler(function () {
+      return xs;
+    });
+
+    results.messages.assertEqual(
+      onNext(210, 1),
+      onNext(230, 2),
+      onError(250, 'boom')
+    );
+
+    xs.subscriptions.assertEqual(
+      subscribe(200, 1000)
+    );
+  });
+
+  test('createColdObservable marbles disallow subscription marker', function () {
+    var scheduler = new TestScheduler();
+
+    raises(function () {
+      scheduler.createColdObservable('-^-a-|');
+    });
+  });
+
+}());
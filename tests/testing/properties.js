@@ -0,0 +1,147 @@
+(function () {
+  'use strict';
+  /* jshint undef: true, unused: true */
+  /* globals QUnit, test, Rx, raises, equal, ok */
+  QUnit.module('properties');
+
+  var ReactiveTest = Rx.ReactiveTest,
+    recordedGenerator = ReactiveTest.recordedGenerator,
+    checkProperty = ReactiveTest.checkProperty,
+    checkEquivalence = ReactiveTest.checkEquivalence,
+    onNext = ReactiveTest.onNext;
+
+  function f(x) { return x + 1; }
+  function g(x) { return x * 2; }
+
+  test('recordedGenerator generates valid sequences', function () {
+    var generator = recordedGenerator({ maxLength: 5 }), random = Rx.internals.createRandom(1);
+
+    for (var i = 0; i < 50; i++) {
+      var records = generator.generate(random);
+      ok(records.length <= 6);
+      for (var j = 0; j < records.length; j++) {
+        ok(records[j].time >= 201 && records[j].time <= 501);
+        j > 0 && ok(records[j].time >= records[j - 1].time);
+        j < records.length - 1 && equal(records[j].value.kind, 'N');
+      }
+    }
+  });
+
+  test('recordedGenerator is deterministic for a seed', function () {
+    var generator = recordedGenerator();
+
+    equal(
+      generator.generate(Rx.internals.createRandom(3)).toString(),
+      generator.generate(Rx.internals.createRandom(3)).toString()
+    );
+  });
+
+  test('recordedGenerator shrinks', function () {
+    var generator = recordedGenerator(),
+      candidates = generator.shrink([onNext(210, 4), ReactiveTest.onCompleted(250)]),
+      rendered = [];
+
+    for (var i = 0; i < candidates.length; i++) { rendered.push(candidates[i].toString()); }
+
+    equal(rendered.join(' / '),
+      'OnNext(4)@210 / ' +
+      'OnCompleted()@250 / ' +
+      'OnNext(4)@201,OnCompleted()@250 / ' +
+      'OnNext(4)@210,OnCompleted()@210 / ' +
+      'OnNext(0)@210,OnCompleted()@250 / ' +
+      'OnNext(2)@210,OnCompleted()@250'
+    );
+  });
+
+  test('recordedGenerator invalid times', function () {
+    raises(function () { recordedGenerator({ minTime: 300, maxTime: 200 }); });
+  });
+
+  test('checkEquivalence map fusion', function () {
+    checkEquivalence([recordedGenerator()], function (xs) {
+      return xs.map(f).map(g);
+    }, function (xs) {
+      return xs.map(function (x) { return g(f(x)); });
+    }, { seed: 1 });
+
+    ok(true);
+  });
+
+  test('checkEquivalence filter fusion on cold sequences', function () {
+    function even(x) { return x % 2 === 0; }
+    function small(x) { return x < 50; }
+
+    checkEquivalence([recordedGenerator({ cold: true })], function (xs) {
+      return xs.filter(even).filter(small);
+    }, function (xs) {
+      return xs.filter(function (x) { return even(x) && small(x); });
+    }, { seed: 1 });
+
+    ok(true);
+  });
+
+  test('checkEquivalence merge commutativity', function () {
+    var generator = recordedGenerator();
+
+    checkEquivalence([generator, generator], function (xs, ys) {
+      return xs.merge(ys);
+    }, function (xs, ys) {
+      return ys.merge(xs);
+    }, { seed: 1, ignoreSameTimeOrder: true });
+
+    ok(true);
+  });
+
+  test('checkProperty shrinks to a minimal counterexample', function () {
+    var error;
+
+    try {
+      checkEquivalence([recordedGenerator()], function (xs) {
+        return xs.take(3);
+      }, function (xs) {
+        return xs;
+      }, { seed: 1 });
+    } catch (e) {
+      error = e;
+    }
+
+    ok(error);
+    ok(error.message.indexOf('failed with seed ' + error.seed) !== -1);
+    equal(error.counterexample.length, 1);
+    error.counterexample[0].assertEqual(
+      onNext(201, 0),
+      onNext(201, 0),
+      onNext(201, 0)
+    );
+    ok(error.innerError);
+  });
+
+  test('checkProperty fails when the property returns false', function () {
+    var error;
+
+    try {
+      checkProperty([recordedGenerator()], function (scheduler, records) {
+        return records.length < 2;
+      }, { seed: 1 });
+    } catch (e) {
+      error = e;
+    }
+
+    equal(error.counterexample[0].length, 2);
+    equal(error.innerError, undefined);
+  });
+
+  test('checkProperty passes a test scheduler', function () {
+    var runs = 0;
+
+    checkProperty([recordedGenerator()], function (scheduler, records) {
+      runs++;
+      var xs = scheduler.createHotObservable(records);
+      var results = scheduler.startScheduler(function () { return xs; });
+      return results.messages.length === records.length;
+    }, { runs: 20, seed: 1 });
+
+    equal(runs, 20);
+  });
+
+}());
@@ -0,0 +1,112 @@
+(function () {
+  'use strict';
+  /* jshint undef: true, unused: true */
+  /* globals QUnit, test, Rx, equal, ok */
+  QUnit.module('ReactiveAssert');
+
+  var ReactiveTest = Rx.ReactiveTest,
+    ReactiveAssertionError = Rx.ReactiveAssertionError,
+    onNext = ReactiveTest.onNext,
+    onError = ReactiveTest.onError,
+    onCompleted = ReactiveTest.onCompleted,
+    subscribe = ReactiveTest.subscribe;
+
+  function assertionError(actual, expected) {
+    try {
+      ReactiveTest.assertEqual(actual, expected);
+    } catch (e) {
+      return e;
+    }
+  }
+
+  test('assertEqual passes on equal messages', function () {
+    equal(assertionError([onNext(210, 1), onCompleted(250)], [onNext(210, 1), onCompleted(250)]), undefined);
+    equal(assertionError([onNext(210, 2)], [onNext(210, function (x) { return x === 2; })]), undefined);
+    equal(assertionError([subscribe(200, 250)], [subscribe(200, 250)]), undefined);
+  });
+
+  test('assertEqual renders marble timelines', function () {
+    var e = assertionError(
+      [onNext(210, 'a'), onError(240, 'error')],
+      [onNext(210, 'a'), onCompleted(250)]
+    );
+
+    ok(e instanceof ReactiveAssertionError);
+    ok(e instanceof Error);
+    equal(e.name, 'ReactiveAssertionError');
+    equal(e.message,
+      'Expected: [OnNext(a)@210,OnCompleted()@250] Actual: [OnNext(a)@210,OnError(error)@240]\n' +
+      'time     | 210 240 250\n' +
+      'expected | a   -   |\n' +
+      'actual   | a   #   -\n' +
+      '\n' +
+      '@240 extra: OnError(error)\n' +
+      '@250 missing: OnCompleted()'
+    );
+  });
+
+  test('assertEqual fills in the stack', function () {
+    var e = assertionError([onNext(210, 1)], [onNext(210, 2)]);
+
+    equal(typeof e.stack, 'string');
+    ok(e.stack.indexOf('ReactiveAssertionError') !== -1);
+    ok(e.stack.indexOf('assertionError') !== -1);
+  });
+
+  test('assertEqual reports predicates which do not match', function () {
+    var e = assertionError([onNext(210, 1)], [onNext(210, function (x) { return x === 2; })]);
+
+    ok(e.message.indexOf('@210 wrong value: expected OnNext(<predicate>), actual OnNext(1)') !== -1);
+  });
+
+  test('assertEqual reports wrong values and times', function () {
+    var e = assertionError(
+      [onNext(210, 1), onNext(220, 42), onCompleted(260)],
+      [onNext(210, 1), onNext(220, 2), onCompleted(250)]
+    );
+
+    ok(e.message.indexOf('@220 wrong value: expected OnNext(2), actual OnNext(42)') !== -1);
+    ok(e.message.indexOf('@250 wrong time: OnCompleted() expected @250, actual @260') !== -1);
+  });
+
+  test('assertEqual sets actual and expected for diffs', function () {
+    var e = assertionError([onNext(210, 1)], [onNext(210, 2), onCompleted(250)]);
+
+    equal(e.actual, 'OnNext(1)@210');
+    equal(e.expected, 'OnNext(2)@210\nOnCompleted()@250');
+    equal(e.showDiff, true);
+    equal(e.code, 'ERR_ASSERTION');
+  });
+
+  test('assertEqual compares subscriptions by position', function () {
+    var e = assertionError([subscribe(200, 300), subscribe(400)], [subscribe(200, 250)]);
+
+    equal(e.message,
+      'Expected: [(200, 250)] Actual: [(200, 300),(400, Infinite)]\n' +
+      '[0] expected (200, 250), actual (200, 300)\n' +
+      '[1] extra: (400, Infinite)'
+    );
+  });
+
+  test('flush throws a ReactiveAssertionError for each failed expectation', function () {
+    var scheduler = new Rx.TestScheduler(), error;
+
+    var xs = scheduler.createHotObservable('-a-|');
+
+    scheduler.expectObservable(xs).toBe('-b-|');
+    scheduler.expectObservable(xs).toBe('-a-|');
+    scheduler.expectSubscriptions(xs.subscriptions).toBe(['^', '^-!']);
+
+    try {
+      scheduler.flush();
+    } catch (e) {
+      error = e;
+    }
+
+    ok(error instanceof ReactiveAssertionError);
+    ok(error.message.indexOf('@210 wrong value: expected OnNext(b), actual OnNext(a)') !== -1);
+    ok(error.message.indexOf('[1] expected (200, 220), actual (200, Infinite)') !== -1);
+    equal(error.expected, 'OnNext(b)@210\nOnCompleted()@230\n\n(200, Infinite)\n(200, 220)');
+  });
+
+}());
@@ -0,0 +1,292 @@
+(function () {
+  'use strict';
+  /* jshint undef: true, unused: true */
+  /* globals QUnit, test, Rx, raises, equal, ok */
+  QUnit.module('TestScheduler');
+
+  var Observable = Rx.Observable,
+    TestScheduler = Rx.TestScheduler,
+    onNext = Rx.ReactiveTest.onNext,
+    onCompleted = Rx.ReactiveTest.onCompleted,
+    subscribe = Rx.ReactiveTest.subscribe;
+
+  function leakyMap(source) {
+    // Forgets to dispose the upstream subscription
+    return Observable.create(function (o) {
+      source.subscribe(o);
+      return Rx.Disposable.empty;
+    });
+  }
+
+  test('expectObservable toBe marbles', function () {
+    var scheduler = new TestScheduler();
+
+    var xs = scheduler.createHotObservable('-a-^-b-c-|', { a: 1, b: 2, c: 3 });
+
+    scheduler.expectObservable(xs.map(function (x) { return x * 10; })).toBe('--x-y-|', { x: 20, y: 30 });
+
+    scheduler.flush();
+
+    ok(true);
+  });
+
+  test('expectObservable toBe recorded messages', function () {
+    var scheduler = new TestScheduler();
+
+    var xs = scheduler.createColdObservable('-a-|');
+
+    scheduler.expectObservable(xs).toBe([
+      onNext(210, 'a'),
+      onCompleted(230)
+    ]);
+
+    scheduler.flush();
+
+    ok(true);
+  });
+
+  test('expectObservable with unsubscription marbles', function () {
+    var scheduler = new TestScheduler();
+
+    var xs = scheduler.createHotObservable('^-a-b-c-|');
+
+    scheduler.expectObservable(xs, '^--!').toBe('--a-');
+    scheduler.expectObservable(xs, '---^---!').toBe('----b-c');
+    scheduler.expectSubscriptions(xs.subscriptions).toBe(['^--!', '---^---!']);
+
+    scheduler.flush();
+
+    ok(true);
+  });
+
+  test('expectObservable checks several streams in one run', function () {
+    var scheduler = new TestScheduler();
+
+    var xs = scheduler.createHotObservable('-a--b-|');
+    var ys = scheduler.createColdObservable('--c|');
+
+    scheduler.expectObservable(xs).toBe('-a--b-|');
+    scheduler.expectObservable(xs.merge(ys)).toBe('-ac-b-|');
+    scheduler.expectObservable(Observable.never()).toBe('-');
+
+    scheduler.flush();
+
+    ok(true);
+  });
+
+  test('expectSubscriptions toBe Subscription objects', function () {
+    var scheduler = new TestScheduler();
+
+    var xs = scheduler.createColdObservable('--a--|');
+
+    scheduler.expectObservable(xs).toBe('--a--|');
+    scheduler.expectSubscriptions(xs.subscriptions).toBe([subscribe(200)]);
+
+    scheduler.flush();
+
+    ok(true);
+  });
+
+  test('flush throws on notification mismatch', function () {
+    var scheduler = new TestScheduler();
+
+    var xs = scheduler.createHotObservable('-a-|');
+
+    scheduler.expectObservable(xs).toBe('-b-|');
+
+    raises(function () {
+      scheduler.flush();
+    });
+  });
+
+  test('flush throws on subscription mismatch', function () {
+    var scheduler = new TestScheduler();
+
+    var xs = scheduler.createHotObservable('-a-|');
+
+    scheduler.expectObservable(xs, '^-!').toBe('-a');
+    scheduler.expectSubscriptions(xs.subscriptions).toBe('^--!');
+
+    raises(function () {
+      scheduler.flush();
+    });
+  });
+
+  test('flush ignores expectations without toBe', function () {
+    var scheduler = new TestScheduler();
+
+    var xs = scheduler.createHotObservable('-a-|');
+
+    scheduler.expectObservable(xs);
+    scheduler.expectSubscriptions(xs.subscriptions);
+
+    scheduler.flush();
+
+    ok(true);
+  });
+
+  test('install runs default scheduled operators in virtual time', function () {
+    var scheduler = new TestScheduler().install();
+
+    try {
+      var xs = scheduler.createHotObservable('-a-b-----c-|');
+
+      scheduler.expectObservable(Observable.interval(20).take(3)).toBe('--0-1-(2|)', { 0: 0, 1: 1, 2: 2 });
+      scheduler.expectObservable(xs.debounce(30)).toBe('------b----(c|)');
+      scheduler.expectObservable(Observable.timer(50).timeout(30)).toBe('---#', null, new Rx.TimeoutError());
+
+      scheduler.flush();
+    } finally {
+      scheduler.uninstall();
+    }
+
+    ok(true);
+  });
+
+  test('startScheduler reports no leaks', function () {
+    var scheduler = new TestScheduler();
+
+    var xs = scheduler.createHotObservable('-a-b-|');
+    var ys = scheduler.createColdObservable('-c-');
+
+    var results = scheduler.startScheduler(function () {
+      return xs.merge(ys);
+    }, { failOnLeaks: true });
+
+    equal(results.leaks.length, 0);
+  });
+
+  test('startScheduler reports leaked subscriptions', function () {
+    var scheduler = new TestScheduler();
+
+    var xs = scheduler.createHotObservable('-a-b-');
+    var ys = scheduler.createColdObservable('-c-');
+
+    var results = scheduler.startScheduler(function () {
+      return leakyMap(xs).merge(ys);
+    }, { disposed: 500 });
+
+    equal(results.leaks.length, 1);
+    equal(results.leaks[0].source, xs);
+    equal(results.leaks[0].time, 500);
+    ok(results.leaks[0].subscription.equals(subscribe(200)));
+    equal(results.leaks[0].message, 'HotObservable #1 [OnNext(a)@210,OnNext(b)@230] subscribed at 200 is still open at 500');
+  });
+
+  test('startScheduler reports leaked mock disposables', function () {
+    var scheduler = new TestScheduler(), disposable;
+
+    var results = scheduler.startScheduler(function () {
+      return Observable.create(function () {
+        disposable = new Rx.MockDisposable(scheduler);
+        return Rx.Disposable.empty;
+      });
+    });
+
+    equal(results.leaks.length, 1);
+    equal(results.leaks[0].source, disposable);
+    equal(results.leaks[0].message, 'MockDisposable #1 created at 200 is still open at 1000');
+  });
+
+  test('startScheduler failOnLeaks throws', function () {
+    var scheduler = new TestScheduler();
+
+    var xs = scheduler.createColdObservable('-a-b-');
+
+    raises(function () {
+      scheduler.startScheduler(function () {
+        return leakyMap(xs);
+      }, { failOnLeaks: true });
+    });
+  });
+
+  test('getLeaks ignores subscriptions opened after the time', function () {
+    var scheduler = new TestScheduler();
+
+    var xs = scheduler.createHotObservable('-a-b-');
+
+    scheduler.scheduleAbsolute(null, 300, function () {
+      xs.subscribe(function () { });
+    });
+
+    scheduler.start();
+
+    equal(scheduler.getLeaks(250).length, 0);
+    equal(scheduler.getLeaks(300).length, 1);
+    equal(scheduler.getLeaks().length, 1);
+  });
+
+  test('fuzz runs the test with shuffled schedulers', function () {
+    var seeds = [];
+
+    TestScheduler.fuzz(function (scheduler, seed) {
+      equal(scheduler.seed, seed);
+
+      var xs = scheduler.createHotObservable('-a-b-|');
+      var ys = scheduler.createHotObservable('-c-d-|');
+
+      var results = scheduler.startScheduler(function () {
+        return xs.merge(ys).toArray().map(function (x) { return x.sort().join(''); });
+      });
+
+      results.messages.assertEqual(
+        onNext(250, 'abcd'),
+        onCompleted(250)
+      );
+
+      seeds.push(seed);
+    }, { runs: 5, seed: 100 });
+
+    equal(seeds.join(), '100,101,102,103,104');
+  });
+
+  test('fuzz reports the seed of a failing interleaving', function () {
+    var error;
+
+    try {
+      TestScheduler.fuzz(function (scheduler) {
+        var xs = scheduler.createHotObservable('-a-|');
+        var ys = scheduler.createHotObservable('-b-|');
+
+        // Depends on the order of notifications at the same time
+        scheduler.expectObservable(xs.merge(ys)).toBe([
+          onNext(210, 'a'),
+          onNext(210, 'b'),
+          onCompleted(230)
+        ]);
+
+        scheduler.flush();
+      }, { runs: 50, seed: 1 });
+    } catch (e) {
+      error = e;
+    }
+
+    ok(error);
+    ok(error.seed >= 1 && error.seed <= 50);
+    ok(error.message.indexOf('shuffle seed ' + error.seed) !== -1);
+
+    var scheduler = new TestScheduler().shuffle(error.seed);
+    var xs = scheduler.createHotObservable('-a-|');
+    var ys = scheduler.createHotObservable('-b-|');
+
+    var results = scheduler.startScheduler(function () {
+      return xs.merge(ys);
+    });
+
+    equal(results.messages[0].value.value, 'b');
+  });
+
+  test('fuzz jitter keeps due times within the tolerance', function () {
+    TestScheduler.fuzz(function (scheduler) {
+      var xs = scheduler.createColdObservable('-a-|');
+
+      var results = scheduler.startScheduler(function () {
+        return xs;
+      });
+
+      var offset = results.messages[0].time - xs.subscriptions[0].subscribe;
+      ok(offset >= 5 && offset <= 15, 'onNext at ' + offset + ' from subscription');
+    }, { runs: 10, seed: 5, jitter: 5 });
+  });
+
+}());
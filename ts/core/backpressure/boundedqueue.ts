@@ -0,0 +1,29 @@
+module Rx {
+    // Options of the bounded buffers of controlled and pausableBuffered
+    export interface BufferOptions {
+        bufferSize?: number;
+        overflowStrategy?: string;
+        highWaterMark?: number;
+        lowWaterMark?: number;
+        onHighWaterMark?: (length: number) => void;
+        onLowWaterMark?: (length: number) => void;
+    }
+
+    export interface ControlledOptions extends BufferOptions {
+        scheduler?: IScheduler;
+    }
+
+    export var BufferOverflowError: internals.BufferOverflowErrorStatic;
+}
+
+(function() {
+    var options: Rx.BufferOptions = {
+        bufferSize: 10,
+        overflowStrategy: 'dropOldest',
+        highWaterMark: 8,
+        lowWaterMark: 2,
+        onHighWaterMark: function (length: number) { },
+        onLowWaterMark: function (length: number) { }
+    };
+    var e: Rx.internals.BufferOverflowError = new Rx.BufferOverflowError();
+});
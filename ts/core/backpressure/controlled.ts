@@ -1,5 +1,6 @@
 /// <reference path="../disposables/disposable.ts" />
 /// <reference path="../concurrency/scheduler.ts" />
+/// <reference path="./boundedqueue.ts" />
 module Rx {
     export interface Observable<T> {
         /**
@@ -9,9 +10,11 @@ module Rx {
         * source.request(3); // Reads 3 values
         * @param {bool} enableQueue truthy value to determine if values should be queued pending the next request
         * @param {Scheduler} scheduler determines how the requests will be scheduled
+        * @param {Object} [options] Options of the queue: bufferSize, overflowStrategy, highWaterMark, lowWaterMark, onHighWaterMark and onLowWaterMark.
         * @returns {Observable} The observable sequence which only propagates values on request.
         */
-        controlled(enableQueue?: boolean, scheduler?: IScheduler): ControlledObservable<T>;
+        controlled(enableQueue?: boolean, scheduler?: IScheduler, options?: BufferOptions): ControlledObservable<T>;
+        controlled(options: ControlledOptions): ControlledObservable<T>;
     }
 
     export interface ControlledObservable<T> extends Observable<T> {
@@ -22,6 +25,7 @@ module Rx {
 (function() {
     var o: Rx.Observable<string>;
     var c = o.controlled();
+    c = o.controlled({ bufferSize: 10, overflowStrategy: 'dropNewest', scheduler: Rx.Scheduler.currentThread });
 
     var d: Rx.IDisposable = c.request();
     d = c.request();
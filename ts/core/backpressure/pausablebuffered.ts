@@ -1,4 +1,5 @@
 /// <reference path="./pausable.ts" />
+/// <reference path="./boundedqueue.ts" />
 module Rx {
     export interface Observable<T> {
         /**
@@ -8,9 +9,10 @@ module Rx {
          * var pauser = new Rx.Subject();
          * var source = Rx.Observable.interval(100).pausableBuffered(pauser);
          * @param {Observable} pauser The observable sequence used to pause the underlying sequence.
+         * @param {Object} [options] Options of the buffer, as for controlled: bufferSize, overflowStrategy, highWaterMark, lowWaterMark, onHighWaterMark and onLowWaterMark.
          * @returns {Observable} The observable sequence which is paused based upon the pauser.
          */
-        pausableBuffered(pauser?: Observable<boolean>): PausableObservable<T>;
+        pausableBuffered(pauser?: Observable<boolean>, options?: BufferOptions): PausableObservable<T>;
     }
 }
 
@@ -19,4 +21,5 @@ module Rx {
     var b: Rx.Observable<boolean>;
     var c = o.pausableBuffered();
     var c = o.pausableBuffered(b);
+    var c = o.pausableBuffered(b, { bufferSize: 10, overflowStrategy: 'latest' });
 })
@@ -0,0 +1,16 @@
+/// <reference path="./scheduler.ts" />
+module Rx {
+    export interface SchedulerStatic {
+        /**
+         * Gets a scheduler that schedules work on the next animation frame, batching all actions due before the frame into one requestAnimationFrame callback.
+         * Falls back to a 16ms timer where requestAnimationFrame is not available.
+         */
+        animationFrame: IScheduler;
+    }
+}
+
+(function() {
+    var s : Rx.IScheduler;
+    s = Rx.Scheduler.animationFrame;
+    s.schedulePeriodic(0, 0, (i: number) => i + 1);
+})
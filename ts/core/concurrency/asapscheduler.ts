@@ -0,0 +1,16 @@
+/// <reference path="./scheduler.ts" />
+module Rx {
+    export interface SchedulerStatic {
+        /**
+         * Gets a scheduler that schedules work as a microtask, after the current synchronous block but before any I/O or timer callback.
+         * Uses queueMicrotask, Promise.resolve().then or process.nextTick, whichever is available first, and falls back to the default scheduler.
+         */
+        asap: IScheduler;
+    }
+}
+
+(function() {
+    var s : Rx.IScheduler;
+    s = Rx.Scheduler.asap;
+    s.schedule(0, (sc: Rx.IScheduler, x: number) => Rx.Disposable.empty);
+})
@@ -0,0 +1,43 @@
+module Rx {
+    /** Provider of the ambient context which schedulers capture when an action is scheduled and restore when it is executed, such as a Node.js AsyncLocalStorage. */
+    export interface ContextProvider {
+        getStore(): any;
+        run<TResult>(store: any, fn: (...args: any[]) => TResult, ...args: any[]): TResult;
+    }
+
+    /**
+     * Store for an ambient context, with the same API as the Node.js AsyncLocalStorage,
+     * which is propagated through the schedulers when it is set as Rx.config.contextProvider.
+     */
+    export interface ContextStorage<T> extends ContextProvider {
+        /**
+         * Gets the current context.
+         * @returns {Any} The current context, or undefined outside of run.
+         */
+        getStore(): T;
+
+        /**
+         * Calls a function with the given context as the current one, and restores the previous context once it returns or throws.
+         * @param {Any} store The context.
+         * @param {Function} fn Function to call, with the rest of the arguments.
+         * @returns {Any} The result of the function.
+         */
+        run<TResult>(store: T, fn: (...args: any[]) => TResult, ...args: any[]): TResult;
+    }
+
+    export var ContextStorage: {
+        new <T>(): ContextStorage<T>;
+    };
+
+    export module config {
+        /** Provider of the ambient context which the schedulers propagate, or null to not propagate it. */
+        export var contextProvider: ContextProvider;
+    }
+}
+
+(function() {
+    var storage = new Rx.ContextStorage<string>();
+    Rx.config.contextProvider = storage;
+    var n : number = storage.run('a', (x: number) => x + 1, 1);
+    var s : string = storage.getStore();
+})
@@ -3,6 +3,18 @@ module Rx {
     export interface SchedulerStatic {
         default: IScheduler;
         async: IScheduler;
+
+        /**
+         * Gets the scheduler used by time based operators when none is specified.
+         * This is Rx.config.schedulerOverride when it is set to a scheduler, such as a virtual time scheduler in tests, otherwise the default scheduler.
+         * @returns {Scheduler} The scheduler to use for time based operations.
+         */
+        getDefault(): IScheduler;
+    }
+
+    export module config {
+        /** Scheduler used by time based operators when none is specified instead of the default scheduler. */
+        export var schedulerOverride: IScheduler;
     }
 }
 
@@ -10,4 +22,6 @@ module Rx {
     var s : Rx.IScheduler;
     s = Rx.Scheduler.async;
     s = Rx.Scheduler.default;
+    s = Rx.Scheduler.getDefault();
+    Rx.config.schedulerOverride = s;
 })
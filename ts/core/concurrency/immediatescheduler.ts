@@ -3,9 +3,24 @@ module Rx {
     export interface SchedulerStatic {
         immediate: IScheduler;
     }
+
+    export interface DeepRecursionInfo {
+        depth: number;
+        stack: string;
+        operators: string[];
+    }
+
+    export module config {
+        /** Number of nested actions on the immediate scheduler past which further actions are queued on a trampoline instead of run on the stack. */
+        export var maxRecursionDepth: number;
+        /** Function called when the immediate scheduler starts queueing actions because of deep recursion, or null. */
+        export var onDeepRecursion: (info: DeepRecursionInfo) => void;
+    }
 }
 
 (function() {
     var s : Rx.IScheduler;
     s = Rx.Scheduler.immediate;
+    Rx.config.maxRecursionDepth = 1000;
+    Rx.config.onDeepRecursion = (info) => console.log(info.depth, info.operators.join(' < '));
 })
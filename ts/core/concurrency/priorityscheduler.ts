@@ -0,0 +1,38 @@
+/// <reference path="./scheduler.ts" />
+module Rx {
+    export interface PriorityScheduler extends IScheduler {
+        /**
+         * Gets a view of the scheduler whose actions run with the given priority.
+         * @param {String|Number} priority The name of one of PriorityScheduler.levels, or a non-negative priority level where a lower level runs first.
+         * @returns {Scheduler} A scheduler which schedules its actions with the given priority on the current instance.
+         */
+        withPriority(priority: string | number): PriorityScheduler;
+    }
+
+    export interface PrioritySchedulerOptions {
+        /** Time after which a waiting action runs before new actions one priority level higher, 100ms by default. */
+        aging?: number;
+        /** Priority of the actions scheduled on the scheduler itself, 'normal' by default. */
+        priority?: string | number;
+    }
+
+    export var PriorityScheduler: {
+        /**
+         * Creates a scheduler which runs actions by priority on a base scheduler, one action per turn of the base scheduler.
+         * @constructor
+         * @param {Scheduler} [scheduler] Base scheduler to run the actions on, Rx.Scheduler.default if not specified.
+         * @param {Object} [options] An object with the aging time and the priority of the actions scheduled on the scheduler itself.
+         */
+        new (scheduler?: IScheduler, options?: PrioritySchedulerOptions): PriorityScheduler;
+        new (options?: PrioritySchedulerOptions): PriorityScheduler;
+
+        /** Named priority levels, where a lower level runs first. */
+        levels: { userInput: number; normal: number; background: number; };
+    };
+}
+
+(function() {
+    var s: Rx.PriorityScheduler = new Rx.PriorityScheduler(Rx.Scheduler.default, { aging: 50 });
+    s = new Rx.PriorityScheduler({ priority: 'background' });
+    var ui: Rx.IScheduler = s.withPriority('userInput').withPriority(Rx.PriorityScheduler.levels.normal);
+})
@@ -0,0 +1,22 @@
+/// <reference path="../disposables/disposable.ts" />
+/// <reference path="../internal/cronexpression.ts" />
+module Rx {
+    export interface IScheduler {
+        /**
+         * Schedules an action to be executed at the first date after the scheduler's current time which matches a cron expression.
+         * @param {Mixed} state State passed to the action to be executed.
+         * @param {String} expression Cron expression with the minute, hour, day of the month, month and day of the week fields, or a macro such as @daily.
+         * @param {Function} action Action to be executed.
+         * @param {Object} [options] An object with the IANA time zone or 'UTC' to match the expression in, the local time zone by default.
+         * @returns {Disposable} The disposable object used to cancel the scheduled action (best effort), which is empty when no date matches in the next 30 years.
+         */
+        scheduleCalendar<TState>(state: TState, expression: string, action: (scheduler: IScheduler, state: TState) => IDisposable | void, options?: CronOptions): IDisposable;
+    }
+}
+
+(function() {
+    var s : Rx.IScheduler;
+
+    var d : Rx.IDisposable = s.scheduleCalendar('state', '0 9 * * 1-5', (sc, x) => Rx.Disposable.empty);
+    d = s.scheduleCalendar('state', '@daily', (sc, x) => Rx.Disposable.empty, { timeZone: 'Europe/Paris' });
+})
@@ -0,0 +1,60 @@
+/// <reference path="../disposables/disposable.ts" />
+module Rx {
+    export interface SchedulerActionInfo {
+        scheduler: IScheduler;
+        scheduledAt: number;
+        dueTime: number;
+        startTime?: number;
+        latency?: number;
+        duration?: number;
+    }
+
+    export interface SchedulerHooks {
+        onSchedule?: (info: SchedulerActionInfo) => void;
+        onExecute?: (info: SchedulerActionInfo) => void;
+        onError?: (error: any, info: SchedulerActionInfo) => void;
+    }
+
+    export interface HistogramStats {
+        count: number;
+        min: number;
+        max: number;
+        mean: number;
+        buckets: { le: number; count: number; }[];
+    }
+
+    export interface SchedulerStats {
+        scheduled: number;
+        executed: number;
+        cancelled: number;
+        errors: number;
+        queueDepth: number;
+        maxQueueDepth: number;
+        latency: HistogramStats;
+        duration: HistogramStats;
+    }
+
+    export interface IScheduler {
+        /**
+         * Instruments the scheduler, so that getStats returns its queue depth, scheduling latency and action duration, and so that the given hooks are called.
+         * @param {Object} [hooks] An object with the optional onSchedule, onExecute and onError hooks.
+         * @returns {Disposable} The disposable object used to remove the instrumentation.
+         */
+        instrument(hooks?: SchedulerHooks): IDisposable;
+
+        /**
+         * Gets the statistics of the scheduler since it was instrumented. Statistics are opt-in: nothing is collected until instrument is called.
+         * @returns {Object} The statistics, which are empty if the scheduler was never instrumented.
+         */
+        getStats(): SchedulerStats;
+    }
+}
+
+(function() {
+    var s : Rx.IScheduler;
+
+    var d : Rx.IDisposable = s.instrument();
+    d = s.instrument({ onExecute: (info) => info.latency, onError: (e, info) => info.duration });
+    var stats : Rx.SchedulerStats = s.getStats();
+    var n : number = stats.latency.buckets[0].le;
+})
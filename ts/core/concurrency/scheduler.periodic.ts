@@ -2,13 +2,16 @@
 module Rx {
     export interface IScheduler {
         /**
-         * Schedules a periodic piece of work by dynamically discovering the scheduler's capabilities. The periodic task will be scheduled using window.setInterval for the base implementation.
+         * Schedules a periodic piece of work. The due time of each tick is computed from the start time using the scheduler's clock,
+         * so that the work does not drift and runs the same on the default scheduler and on virtual time schedulers.
          * @param {Mixed} state Initial state passed to the action upon the first iteration.
          * @param {Number} period Period for running the work periodically.
          * @param {Function} action Action to be executed, potentially updating the state.
+         * @param {String} [catchUp] What to do with ticks which were missed by a whole period or more, for instance while the process was blocked:
+         * 'coalesce' runs the action once for all of them, 'burst' runs the action once for each of them, and 'skip' drops them and waits for the next tick. 'coalesce' by default.
          * @returns {Disposable} The disposable object used to cancel the scheduled recurring action (best effort).
          */
-        schedulePeriodic<TState>(state: TState, period: number, action: (state: TState) => TState): IDisposable;
+        schedulePeriodic<TState>(state: TState, period: number, action: (state: TState) => TState, catchUp?: string): IDisposable;
     }
 }
 
@@ -16,4 +19,5 @@ module Rx {
     var s : Rx.IScheduler;
 
     var d : Rx.IDisposable = s.schedulePeriodic('state', 100, (s) => s);
+    d = s.schedulePeriodic('state', 100, (s) => s, 'burst');
 })
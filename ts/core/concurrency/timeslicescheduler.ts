@@ -0,0 +1,22 @@
+/// <reference path="./scheduler.ts" />
+module Rx {
+    export interface TimeSliceScheduler extends IScheduler {
+    }
+
+    export var TimeSliceScheduler: {
+        /**
+         * Creates a scheduler which runs its actions in slices of the given time budget on turns of a base scheduler.
+         * @constructor
+         * @param {Number} [budget] Time in milliseconds for which to run actions before yielding, 8ms by default.
+         * @param {Scheduler} [scheduler] Base scheduler to yield to and resume on, Rx.Scheduler.default if not specified.
+         */
+        new (budget?: number, scheduler?: IScheduler): TimeSliceScheduler;
+        new (scheduler: IScheduler): TimeSliceScheduler;
+    };
+}
+
+(function() {
+    var s: Rx.TimeSliceScheduler = new Rx.TimeSliceScheduler(8, Rx.Scheduler.default);
+    s = new Rx.TimeSliceScheduler(Rx.Scheduler.default);
+    Rx.Observable.range(0, 1000000, s);
+})
@@ -0,0 +1,36 @@
+module Rx {
+    export interface CronOptions {
+        /** The IANA time zone or 'UTC' to match the expression in, the local time zone by default. */
+        timeZone?: string;
+    }
+
+    export module internals {
+        export interface CronExpression {
+            expression: string;
+
+            /**
+             * Gets the first time after the given time which matches the expression.
+             * @param {Date|Number} after The time to start searching after.
+             * @returns {Date} The first matching time, or null if there is none in the next 30 years.
+             */
+            next(after: Date | number): Date;
+        }
+
+        interface CronExpressionStatic {
+            /**
+             * Parses a cron expression with the minute, hour, day of the month, month and day of the week fields, or one of the @yearly, @monthly, @weekly, @daily and @hourly macros.
+             * @param {String} expression The cron expression.
+             * @param {Object} [options] An object with the IANA time zone or 'UTC' to match the expression in, the local time zone by default.
+             */
+            new (expression: string, options?: CronOptions): CronExpression;
+        }
+
+        export var CronExpression: CronExpressionStatic;
+    }
+}
+
+(function() {
+    var cron = new Rx.internals.CronExpression('0 9 * * 1-5', { timeZone: 'UTC' });
+    var d: Date = cron.next(new Date());
+    d = cron.next(0);
+})
@@ -0,0 +1,33 @@
+/// <reference path="../disposables/disposable.ts" />
+/// <reference path="../concurrency/scheduler.ts" />
+/// <reference path="../observer-lite.ts" />
+module Rx {
+    export module internals {
+        // Producer of the request(n) demand protocol, which observers are given through their setProducer method
+        export interface Producer {
+            request(n: number): void;
+        }
+
+        export var setProducer: <T>(o: IObserver<T>, producer: Producer) => boolean;
+
+        export interface PullProducer<T> extends Producer, IDisposable {
+            start(): PullProducer<T>;
+        }
+
+        interface PullProducerStatic {
+            new <T>(o: IObserver<T>, scheduler: IScheduler, iterator: any, fn?: (value: any, index: number) => T): PullProducer<T>;
+        }
+
+        export var PullProducer: PullProducerStatic;
+    }
+}
+
+(function() {
+    var o: Rx.IObserver<number>;
+    var it: any;
+    var p = new Rx.internals.PullProducer<number>(o, Rx.Scheduler.currentThread, it);
+    var b: boolean = Rx.internals.setProducer(o, p);
+    p = p.start();
+    p.request(2);
+    p.dispose();
+});
@@ -9,6 +9,9 @@ module Rx {
         export interface ArgumentOutOfRangeError extends Error { message: string; }
         export interface ArgumentOutOfRangeErrorStatic { new (): ArgumentOutOfRangeError; }
 
+        export interface BufferOverflowError extends Error { message: string; }
+        export interface BufferOverflowErrorStatic { new (): BufferOverflowError; }
+
         export interface NotSupportedError extends Error { message: string; }
         export interface NotSupportedErrorStatic { new (): NotSupportedError; }
 
@@ -0,0 +1,36 @@
+/// <reference path="../../observable.ts" />
+/// <reference path="../../concurrency/scheduler.ts" />
+/// <reference path="../../internal/cronexpression.ts" />
+module Rx {
+    export interface ObservableStatic {
+        /**
+         *  Returns an observable sequence that produces the date of each occurrence of a cron expression, computed from the scheduler's clock.
+         *
+         * @example
+         *  1 - res = Rx.Observable.cron('0 9 * * 1-5');
+         *  2 - res = Rx.Observable.cron('@daily', { timeZone: 'UTC' }, scheduler);
+         *
+         * @param {String} expression The cron expression.
+         * @param {Object} [options] An object with the IANA time zone or 'UTC' to match the expression in, the local time zone by default.
+         * @param {Scheduler} [scheduler] Scheduler to run the timer on. If not specified, the default scheduler is used.
+         * @returns {Observable} An observable sequence which produces the date of each occurrence, and completes when there is no occurrence in the next 30 years.
+         */
+        cron(expression: string, options?: CronOptions, scheduler?: IScheduler): Observable<Date>;
+        /**
+         *  Returns an observable sequence that produces the date of each occurrence of a cron expression, computed from the scheduler's clock.
+         *
+         * @param {String} expression The cron expression.
+         * @param {Scheduler} scheduler Scheduler to run the timer on.
+         * @returns {Observable} An observable sequence which produces the date of each occurrence, and completes when there is no occurrence in the next 30 years.
+         */
+        cron(expression: string, scheduler: IScheduler): Observable<Date>;
+    }
+}
+
+(function () {
+    var s : Rx.IScheduler;
+    var o : Rx.Observable<Date>;
+    o = Rx.Observable.cron('0 9 * * 1-5');
+    o = Rx.Observable.cron('0 9 * * 1-5', { timeZone: 'America/New_York' }, s);
+    o = Rx.Observable.cron('@hourly', s);
+});
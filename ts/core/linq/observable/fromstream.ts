@@ -0,0 +1,26 @@
+/// <reference path="../../observable.ts" />
+module Rx {
+    export interface FromStreamOptions {
+        objectMode?: boolean;
+        finishEventName?: string;
+    }
+
+    export interface ObservableStatic {
+        /**
+         * Converts a Node.js Readable stream to an observable sequence, which emits its chunks, fails with its errors and completes when it ends.
+         * The stream is destroyed when the subscription is disposed before the end of the stream.
+         * When the observer requests values, such as through controlled, the stream is paused once the requested values were emitted, and resumed on the next request.
+         * @param {Stream} stream A Node.js Readable stream.
+         * @param {Object} [options] An object with the objectMode and finishEventName options.
+         * @returns {Observable} An observable sequence of the chunks of the stream.
+         */
+        fromStream<T>(stream: { on: (name: string, cb: (e: any) => any) => any; removeListener: (name: string, cb: (e: any) => any) => any }, options?: FromStreamOptions): Observable<T>;
+        // TODO: Add link to node.d.ts some where
+    }
+}
+
+(function () {
+    var stream: any;
+    var o: Rx.Observable<string> = Rx.Observable.fromStream<string>(stream);
+    o = Rx.Observable.fromStream<string>(stream, { objectMode: false, finishEventName: 'close' });
+});
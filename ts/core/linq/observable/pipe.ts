@@ -1,12 +1,35 @@
 /// <reference path="../../observable.ts" />
 module Rx {
+    export interface PipeOptions {
+        end?: boolean;
+    }
+
     export interface Observable<T> {
         /**
         * Pipes the existing Observable sequence into a Node.js Stream.
+        * The subscription is disposed when the destination fails or closes, and errors of the sequence are emitted on the destination.
         * @param {Stream} dest The destination Node.js stream.
+        * @param {Object} [options] An object with the end option, whether the destination is ended when the sequence completes.
         * @returns {Stream} The destination stream.
         */
-        pipe<TDest>(dest: TDest): TDest;
+        pipe<TDest>(dest: TDest, options?: PipeOptions): TDest;
         // TODO: Add link to node.d.ts some where
+
+        /**
+        * Pipes the existing Observable sequence through a chain of Node.js streams, like stream.pipeline.
+        * When the sequence or any of the streams fails, or a stream closes early, the subscription is disposed and every stream is destroyed.
+        * @param {...Stream} streams The streams to pipe the sequence through, followed by the optional options and callback.
+        * @returns {Stream|Promise} The last stream if a callback was given, otherwise a promise which resolves once the last stream finished.
+        */
+        pipeline(...streams: any[]): any;
     }
 }
+
+(function () {
+    var o: Rx.Observable<string>;
+    var stream: any;
+    stream = o.pipe(stream);
+    stream = o.pipe(stream, { end: false });
+    stream = o.pipeline(stream, stream, { end: false }, (err: any) => { });
+    var p: Rx.IPromise<void> = o.pipeline(stream);
+});
@@ -0,0 +1,57 @@
+/// <reference path="../../observable.ts"/>
+/// <reference path="../../concurrency/scheduler.ts" />
+module Rx {
+    export interface RecordingCodec<T> {
+        /** Converts a value to a JSON value. */
+        encode(value: T): any;
+        /** Converts a JSON value back to a value. */
+        decode(value: any): T;
+    }
+
+    export interface RecordedNotification {
+        time: number;
+        kind: string;
+        value?: any;
+        error?: { name: string; message: string; };
+    }
+
+    export interface Observable<T> {
+        /**
+        *  Materializes each notification of an observable sequence into a JSON line with the time elapsed since the subscription,
+        *  so that the lines can be written to a file and replayed later with Rx.Observable.replayRecording.
+        *  Errors are recorded as a record, after which the sequence completes.
+        *
+        * @example
+        *  1 - res = source.record(); // produces '{"time":25,"kind":"N","value":42}'
+        *  2 - res = source.record({ encode: function (x) { return x.toISOString(); }, decode: function (s) { return new Date(s); } });
+        *  3 - res = source.record(null, Rx.Scheduler.default);
+        *
+        * @param {Object} [codec] An object with encode and decode functions which convert values to and from JSON values. If not specified, values are stored as they are.
+        * @param {Scheduler} [scheduler] Scheduler used to compute the times. If not specified, the default scheduler is used.
+        * @returns {Observable} An observable sequence of JSON lines, one per notification of the source sequence.
+        */
+        record(codec?: RecordingCodec<T>, scheduler?: IScheduler): Observable<string>;
+        /**
+        *  Materializes each notification of an observable sequence into a JSON line with the time elapsed since the subscription,
+        *  so that the lines can be written to a file and replayed later with Rx.Observable.replayRecording.
+        *  Errors are recorded as a record, after which the sequence completes.
+        *
+        * @example
+        *  1 - res = source.record(); // produces '{"time":25,"kind":"N","value":42}'
+        *  2 - res = source.record({ encode: function (x) { return x.toISOString(); }, decode: function (s) { return new Date(s); } });
+        *  3 - res = source.record(null, Rx.Scheduler.default);
+        *
+        * @param {Scheduler} [scheduler] Scheduler used to compute the times. If not specified, the default scheduler is used.
+        * @returns {Observable} An observable sequence of JSON lines, one per notification of the source sequence.
+        */
+        record(scheduler: IScheduler): Observable<string>;
+    }
+}
+
+(function () {
+    var o : Rx.Observable<Date>;
+    var r : Rx.Observable<string>;
+    r = o.record();
+    r = o.record(Rx.Scheduler.async);
+    r = o.record({ encode: (x: Date) => x.getTime(), decode: (x: number) => new Date(x) }, Rx.Scheduler.async);
+});
@@ -0,0 +1,47 @@
+/// <reference path="../../observable.ts" />
+/// <reference path="../../concurrency/scheduler.ts" />
+/// <reference path="./record.ts" />
+module Rx {
+    export interface ReplayRecordingOptions<T> {
+        /** The speed factor, which divides the time of each record, 1 by default. */
+        speed?: number;
+        /** The codec which was used for the recording. */
+        codec?: RecordingCodec<T>;
+    }
+
+    export interface ObservableStatic {
+        /**
+         *  Replays a recording made with Rx.Observable.prototype.record, notifying each record at its original time after the subscription, optionally sped up.
+         *  This is meant to reproduce the exact timing of a live sequence with a Rx.HistoricalScheduler or a Rx.TestScheduler.
+         *
+         * @example
+         *  1 - res = Rx.Observable.replayRecording(fs.readFileSync('session.jsonl', 'utf8'), scheduler);
+         *  2 - res = Rx.Observable.replayRecording(lines, scheduler, { speed: 10 });
+         *  3 - res = Rx.Observable.replayRecording([{ time: 10, kind: 'N', value: 42 }, { time: 20, kind: 'C' }], scheduler);
+         *
+         * @param {String|Array} recording The contents of a recording file, which has one JSON line per record, or an array of lines or parsed records.
+         * @param {Scheduler} [scheduler] Scheduler to replay the records on. If not specified, the default scheduler is used.
+         * @param {Object} [options] An object with the speed factor, which divides the time of each record, 1 by default,
+         * and the codec with encode and decode functions which was used for the recording.
+         * @returns {Observable} An observable sequence which replays the recorded notifications.
+         */
+        replayRecording<T>(recording: string | Array<string | RecordedNotification>, scheduler?: IScheduler, options?: ReplayRecordingOptions<T>): Observable<T>;
+        /**
+         *  Replays a recording made with Rx.Observable.prototype.record, notifying each record at its original time after the subscription, optionally sped up.
+         *
+         * @param {String|Array} recording The contents of a recording file, which has one JSON line per record, or an array of lines or parsed records.
+         * @param {Object} [options] An object with the speed factor, which divides the time of each record, 1 by default,
+         * and the codec with encode and decode functions which was used for the recording.
+         * @returns {Observable} An observable sequence which replays the recorded notifications.
+         */
+        replayRecording<T>(recording: string | Array<string | RecordedNotification>, options?: ReplayRecordingOptions<T>): Observable<T>;
+    }
+}
+
+(function () {
+    var s : Rx.IScheduler;
+    var o : Rx.Observable<number>;
+    o = Rx.Observable.replayRecording<number>('{"time":10,"kind":"N","value":42}', s);
+    o = Rx.Observable.replayRecording<number>(['{"time":10,"kind":"N","value":42}', { time: 20, kind: 'C' }], s, { speed: 10 });
+    o = Rx.Observable.replayRecording<number>('', { speed: 2, codec: { encode: (x: number) => x, decode: (x: any) => +x } });
+});
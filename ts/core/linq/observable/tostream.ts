@@ -0,0 +1,26 @@
+/// <reference path="../../observable.ts" />
+module Rx {
+    export interface ToStreamOptions<T> {
+        objectMode?: boolean;
+        highWaterMark?: number;
+        encoder?: (value: T) => any;
+    }
+
+    export interface Observable<T> {
+        /**
+         * Exposes the observable sequence as a Node.js Readable stream, which reads its values from the sequence as they are needed.
+         * The sequence is subscribed to on the first read, and each read of the stream requests one more value through controlled.
+         * Errors of the sequence destroy the stream with the error, and the stream ends when the sequence completes.
+         * @param {Object} [options] An object with the objectMode, highWaterMark and encoder options.
+         * @returns {Stream} A Node.js Readable stream of the values of the sequence.
+         */
+        toStream(options?: ToStreamOptions<T>): any;
+        // TODO: Add link to node.d.ts some where
+    }
+}
+
+(function () {
+    var o: Rx.Observable<number>;
+    var stream: any = o.toStream();
+    stream = o.toStream({ objectMode: true, highWaterMark: 16, encoder: (x: number) => x + '\n' });
+});
@@ -5,6 +5,8 @@
 module Rx {
     export interface MockObserver<T> extends Observer<T> {
         messages: Recorded[];
+        /** The leaks found after the disposed time when returned from TestScheduler.prototype.startScheduler. */
+        leaks?: TestLeak[];
     }
 
     interface MockObserverStatic extends ObserverStatic {
@@ -0,0 +1,32 @@
+/// <reference path="./reactivetest.ts" />
+module Rx {
+    export interface ReactiveAssertionError extends Error {
+        message: string;
+        /** The actual Recorded messages or Subscription objects, one per line. */
+        actual: string;
+        /** The expected Recorded messages or Subscription objects, one per line. */
+        expected: string;
+        showDiff: boolean;
+        code: string;
+        operator: string;
+    }
+
+    export interface ReactiveAssertionErrorStatic {
+        /**
+         * Error thrown when recorded messages or subscriptions are not the expected ones.
+         * Its message renders the differences as marble timelines, and its actual and expected properties list one item per line,
+         * so that test frameworks such as Mocha and node:test show them as a diff.
+         *
+         * @constructor
+         * @param {Array} failures An array of objects with the actual and expected arrays of Recorded messages or Subscription objects.
+         */
+        new (failures: { actual: any[]; expected: any[]; }[]): ReactiveAssertionError;
+    }
+
+    export var ReactiveAssertionError: ReactiveAssertionErrorStatic;
+}
+
+(function () {
+    var e: Rx.ReactiveAssertionError = new Rx.ReactiveAssertionError([{ actual: [Rx.ReactiveTest.onNext(210, 1)], expected: [] }]);
+    var s: string = e.actual + e.expected + e.message;
+});
@@ -9,6 +9,8 @@ module Rx {
         subscribed: number;
         /** Default virtual time used to dispose subscriptions in unit tests. */
         disposed: number;
+        /** Whether startScheduler throws when a test observable subscription or mock disposable is still open after the disposed time. */
+        failOnLeaks: boolean;
 
         /**
          * Factory method for an OnNext notification record at a given time with a given value or a predicate function.
@@ -70,6 +72,173 @@ module Rx {
          * @return Subscription object.
          */
         subscribe(subscribeAt: number, unsubscribeAt?: number): Subscription;
+
+        /** Number of virtual time ticks represented by a single frame of a marble diagram. */
+        frameTimeFactor: number;
+
+        /**
+         * Parses a marble diagram into the timestamped notification messages consumed by hot and cold test observables.
+         *
+         * 1 - ReactiveTest.parseMarbles('--a--b--|', { a: 1, b: 2 });
+         * 2 - ReactiveTest.parseMarbles('-a-^-(bc)-#', null, new Error());
+         *
+         * @param {String} marbles Marble diagram to parse.
+         * @param {Object} [values] Map from marble characters to the values they stand for.
+         * @param {Any} [error] Error surfaced by the '#' marker, 'error' by default.
+         * @param {Number} [origin] Virtual time of the '^' marker or of the first frame, ReactiveTest.subscribed by default.
+         * @returns {Array} Array of Recorded notification messages.
+         */
+        parseMarbles(marbles: string, values?: { [key: string]: any }, error?: any, origin?: number): Recorded[];
+
+        /**
+         * Parses a subscription marble diagram into a Subscription object.
+         *
+         * 1 - ReactiveTest.parseSubscriptionMarbles('^-----!');
+         * 2 - ReactiveTest.parseSubscriptionMarbles('---^---');
+         *
+         * @param {String} marbles Subscription marble diagram to parse.
+         * @param {Number} [origin] Virtual time of the first frame, ReactiveTest.subscribed by default.
+         * @returns {Subscription} Subscription object with the parsed subscription and unsubscription time.
+         */
+        parseSubscriptionMarbles(marbles: string, origin?: number): Subscription;
+
+        /**
+         * Drives an operator through synchronous, asynchronous, erroring and early disposal scenarios on a test scheduler, and reports each violation of the Rx contract:
+         * notifications which do not follow the onNext* (onError | onCompleted)? grammar, notifications after dispose,
+         * and upstream subscriptions which are still open once the operator terminated or was disposed.
+         *
+         * 1 - ReactiveTest.checkConformance(function (source) { return source.map(function (x) { return x + 1; }); });
+         * 2 - ReactiveTest.checkConformance(function (source, scheduler) { return source.delay(10, scheduler); }, { values: ['a', 'b', 'c'] });
+         *
+         * @param {Function} factory Function which applies the operator to the given source observable and returns the resulting sequence. It is also given the test scheduler of the scenario.
+         * @param {Object} [options] An object with the three values notified by the source, 1, 2 and 3 by default, the error of the erroring scenarios,
+         * the names of the scenarios to run, all of ReactiveTest.conformanceScenarios by default, and the disposal delay in ticks allowed for operators which dispose upstream through a scheduler, 0 by default.
+         * @returns {Array} An array of messages describing each violation, prefixed with the scenario name, which is empty when the operator conforms.
+         */
+        checkConformance(factory: (source: Observable<any>, scheduler: TestScheduler) => Observable<any>, options?: ConformanceOptions): string[];
+
+        /** Names of the scenarios run by ReactiveTest.checkConformance. */
+        conformanceScenarios: string[];
+
+        /**
+         * Checks that the actual Recorded messages or Subscription objects are the expected ones, and throws a ReactiveAssertionError otherwise.
+         * Expected OnNext and OnError messages may be created with predicates.
+         *
+         * @param {Array} actual The actual Recorded messages or Subscription objects.
+         * @param {Array} expected The expected Recorded messages or Subscription objects.
+         */
+        assertEqual(actual: Recorded[], expected: Recorded[]): void;
+        assertEqual(actual: Subscription[], expected: Subscription[]): void;
+
+        /**
+         * Wraps a marble test so that it is given a new test scheduler, which is flushed once the test returns,
+         * so that expectations set with expectObservable and expectSubscriptions are checked without further glue.
+         * The test is also given the arguments of the host test framework, such as the test context of node:test.
+         *
+         * @param {Function} test Function which is given a new test scheduler followed by the arguments of the test framework.
+         * @returns {Function} The test function to register with the test framework.
+         */
+        marbles(test: (scheduler: TestScheduler, ...args: any[]) => void): (...args: any[]) => void;
+
+        /**
+         * Adapters which add a marbles method to the it function of a test framework, along with marbles.only and marbles.skip,
+         * so that it.marbles(name, test) registers ReactiveTest.marbles(test).
+         */
+        adapters: {
+            /** Adds marbles to the it function of Mocha. Failures are thrown as a ReactiveAssertionError, which Mocha shows as a diff. */
+            mocha<T extends Function>(it: T): T & MarblesIt;
+            /** Adds marbles to the it function of Jasmine, using fit and xit for marbles.only and marbles.skip. Failures are reported with the fail function of Jasmine. */
+            jasmine<T extends Function>(it: T, env?: { fit?: Function; xit?: Function; fail: (error: any) => void; }): T & MarblesIt;
+            /** Adds marbles to the it or test function of node:test. Failures are thrown as a ReactiveAssertionError, whose actual and expected values are reported. */
+            node<T extends Function>(it: T): T & MarblesIt;
+        };
+
+        /**
+         * Creates a generator of random but valid sequences of Recorded notification messages for hot or cold test observables,
+         * which are ordered by time and have at most one terminal notification at the end.
+         *
+         * @param {Object} [options] The options of the generated sequences.
+         * @returns {Object} A generator whose generate(random) method returns an array of Recorded messages,
+         * and whose shrink(records) method returns an array of simpler candidates for the given array.
+         */
+        recordedGenerator(options?: RecordedGeneratorOptions): RecordedGenerator;
+
+        /**
+         * Checks a property against many random sequences of Recorded messages, and shrinks the first failing sequences to a minimal counterexample.
+         * The property fails when it returns false or throws. When it fails, throws an Error which has the seed of the failing run, the counterexample and the error of the property.
+         *
+         * @param {Array} generators The generators of each sequence given to the property, as created by ReactiveTest.recordedGenerator.
+         * @param {Function} property Function which is given a new test scheduler and a generated array of Recorded messages for each generator.
+         * @param {Object} [options] An object with the number of runs, 100 by default, the seed of the first run, random by default, and the maximum number of shrinking steps, 1000 by default.
+         */
+        checkProperty(generators: RecordedGenerator[], property: (scheduler: TestScheduler, ...records: Recorded[][]) => any, options?: PropertyOptions): void;
+
+        /**
+         * Checks that two ways of building an observable sequence notify the same messages for many random source sequences, like the map fusion law
+         * source.map(f).map(g) and source.map(function (x) { return g(f(x)); }), and shrinks the first failing sources to a minimal counterexample.
+         *
+         * @param {Array} generators The generators of each source sequence, which is a hot or a cold test observable depending on the generator.
+         * @param {Function} left Function which is given the source sequences and the test scheduler, and returns an observable sequence.
+         * @param {Function} right Function which is given the source sequences and the test scheduler, and returns an observable sequence.
+         * @param {Object} [options] The options of ReactiveTest.checkProperty, and whether messages at the same time may come in any order, false by default.
+         */
+        checkEquivalence(generators: RecordedGenerator[], left: (...sources: any[]) => Observable<any>, right: (...sources: any[]) => Observable<any>, options?: EquivalenceOptions): void;
+    }
+
+    export interface MarblesTest {
+        (name: string, test: (scheduler: TestScheduler, ...args: any[]) => void): any;
+    }
+
+    export interface MarblesIt {
+        marbles: MarblesTest & { only?: MarblesTest; skip?: MarblesTest; };
+    }
+
+    export interface RecordedGeneratorOptions {
+        /** Function which is given a random number generator and returns a value, an integer between 0 and 99 by default. */
+        value?: (random: () => number) => any;
+        /** Function which returns an array of smaller candidates for a value, halving numbers towards 0 by default. */
+        shrinkValue?: (value: any) => any[];
+        /** Maximum number of OnNext notifications, 10 by default. */
+        maxLength?: number;
+        /** Earliest time, 1 for cold and ReactiveTest.subscribed + 1 for hot sequences by default. */
+        minTime?: number;
+        /** Latest time, minTime + 300 by default. */
+        maxTime?: number;
+        /** Whether the times are offsets from the subscription time, false by default. */
+        cold?: boolean;
+        /** The error of OnError notifications, 'error' by default. */
+        error?: any;
+    }
+
+    export interface RecordedGenerator {
+        cold: boolean;
+        generate(random: () => number): Recorded[];
+        shrink(records: Recorded[]): Recorded[][];
+    }
+
+    export interface PropertyOptions {
+        /** Number of runs, 100 by default. */
+        runs?: number;
+        /** Seed of the first run, random by default. */
+        seed?: number;
+        /** Maximum number of shrinking steps, 1000 by default. */
+        maxShrinks?: number;
+    }
+
+    export interface EquivalenceOptions extends PropertyOptions {
+        /** Whether messages at the same time may come in any order, false by default. */
+        ignoreSameTimeOrder?: boolean;
+    }
+
+    export interface ConformanceOptions {
+        /** The three values notified by the source, 1, 2 and 3 by default. */
+        values?: any[];
+        /** The error of the erroring scenarios. */
+        error?: any;
+        /** The names of the scenarios to run, all of ReactiveTest.conformanceScenarios by default. */
+        scenarios?: string[];
+        /** The disposal delay in ticks allowed for operators which dispose upstream through a scheduler, 0 by default. */
+        disposalDelay?: number;
     }
 }
 
@@ -77,6 +246,7 @@ module Rx {
     var n : number = Rx.ReactiveTest.created;
     var n : number = Rx.ReactiveTest.subscribed;
     var n : number = Rx.ReactiveTest.disposed;
+    var b : boolean = Rx.ReactiveTest.failOnLeaks;
 
     var r : Rx.Recorded = Rx.ReactiveTest.onNext(100, 'abc');
     var r : Rx.Recorded = Rx.ReactiveTest.onNext(100, (v: any) => false);
@@ -86,4 +256,29 @@ module Rx {
 
     var s : Rx.Subscription = Rx.ReactiveTest.subscribe(100);
     var s : Rx.Subscription = Rx.ReactiveTest.subscribe(100, 200);
+
+    var n : number = Rx.ReactiveTest.frameTimeFactor;
+    var rs : Rx.Recorded[] = Rx.ReactiveTest.parseMarbles('--a--|');
+    var rs : Rx.Recorded[] = Rx.ReactiveTest.parseMarbles('--a--#', { a: 1 }, new Error(), 0);
+    var s : Rx.Subscription = Rx.ReactiveTest.parseSubscriptionMarbles('^--!');
+    var s : Rx.Subscription = Rx.ReactiveTest.parseSubscriptionMarbles('^--!', 0);
+
+    var ss : string[] = Rx.ReactiveTest.checkConformance((source: Rx.Observable<any>) => source);
+    var ss : string[] = Rx.ReactiveTest.checkConformance((source: Rx.Observable<any>, scheduler: Rx.TestScheduler) => source, { values: ['a', 'b', 'c'], error: new Error(), scenarios: ['asynchronous'], disposalDelay: 1 });
+    var ss : string[] = Rx.ReactiveTest.conformanceScenarios;
+
+    Rx.ReactiveTest.assertEqual([Rx.ReactiveTest.onNext(210, 1)], [Rx.ReactiveTest.onNext(210, 1)]);
+    Rx.ReactiveTest.assertEqual([Rx.ReactiveTest.subscribe(200, 250)], [Rx.ReactiveTest.subscribe(200, 250)]);
+    var fn : (...args: any[]) => void = Rx.ReactiveTest.marbles((scheduler: Rx.TestScheduler) => { scheduler.createHotObservable('-a-|'); });
+    var it : { (name: string, fn: Function): void; } & Rx.MarblesIt = Rx.ReactiveTest.adapters.mocha((name: string, fn: Function) => {});
+    it.marbles('maps', (scheduler: Rx.TestScheduler) => { scheduler.expectObservable(scheduler.createHotObservable('-a-|')).toBe('-a-|'); });
+    Rx.ReactiveTest.adapters.jasmine((name: string, fn: Function) => {}, { fail: (e: any) => {} });
+    Rx.ReactiveTest.adapters.node((name: string, fn: Function) => {});
+
+    var gen : Rx.RecordedGenerator = Rx.ReactiveTest.recordedGenerator();
+    var gen : Rx.RecordedGenerator = Rx.ReactiveTest.recordedGenerator({ maxLength: 5, minTime: 1, maxTime: 100, cold: true, error: new Error(), value: (random: () => number) => random(), shrinkValue: (value: number) => [0] });
+    var rs : Rx.Recorded[] = gen.generate(Rx.internals.createRandom(42));
+    var rss : Rx.Recorded[][] = gen.shrink(rs);
+    Rx.ReactiveTest.checkProperty([gen], (scheduler: Rx.TestScheduler, records: Rx.Recorded[]) => records.length < 5, { runs: 10, seed: 42, maxShrinks: 100 });
+    Rx.ReactiveTest.checkEquivalence([gen, gen], (xs: Rx.Observable<number>, ys: Rx.Observable<number>) => xs.merge(ys), (xs: Rx.Observable<number>, ys: Rx.Observable<number>) => ys.merge(xs), { ignoreSameTimeOrder: true });
 });
@@ -1,9 +1,32 @@
 /// <reference path="../concurrency/virtualtimescheduler.ts" />
 /// <reference path="../observable.ts" />
 /// <reference path="./recorded.ts" />
+/// <reference path="./subscription.ts" />
 /// <reference path="./mockobserver.ts" />
 module Rx {
 
+    export interface TestLeak {
+        /** The hot or cold test observable, or the mock disposable, which is still open. */
+        source: any;
+        /** When the subscription or disposable was opened and closed. */
+        subscription: Subscription;
+        /** The virtual time which was checked. */
+        time: number;
+        /** A description of the leak. */
+        message: string;
+    }
+
+    export interface TestSchedulerSettings {
+        /** Virtual time at which to invoke the factory to create an observable sequence. */
+        created?: number;
+        /** Virtual time at which to subscribe to the created observable sequence. */
+        subscribed?: number;
+        /** Virtual time at which to dispose the subscription. */
+        disposed?: number;
+        /** Whether to throw when a subscription is still open after the disposed time, ReactiveTest.failOnLeaks by default. */
+        failOnLeaks?: boolean;
+    }
+
     export interface TestScheduler extends VirtualTimeScheduler<number, number> {
         /**
          * Creates a cold observable using the specified timestamped notification messages either as an array or arguments.
@@ -11,12 +34,28 @@ module Rx {
          * @return Cold observable sequence that can be used to assert the timing of subscriptions and notifications.
          */
         createColdObservable<T>(...records: Recorded[]): Observable<T>;
+        /**
+         * Creates a cold observable using the specified marble diagram starting at the subscription time.
+         * @param marbles Marble diagram of the notifications to surface through the created sequence.
+         * @param [values] Map from marble characters to values.
+         * @param [error] Error surfaced by the '#' marker.
+         * @return Cold observable sequence that can be used to assert the timing of subscriptions and notifications.
+         */
+        createColdObservable<T>(marbles: string, values?: { [key: string]: T }, error?: any): Observable<T>;
         /**
          * Creates a hot observable using the specified timestamped notification messages either as an array or arguments.
          * @param messages Notifications to surface through the created sequence at their specified absolute virtual times.
          * @return Hot observable sequence that can be used to assert the timing of subscriptions and notifications.
          */
         createHotObservable<T>(...records: Recorded[]): Observable<T>;
+        /**
+         * Creates a hot observable using the specified marble diagram whose '^' marker is at ReactiveTest.subscribed.
+         * @param marbles Marble diagram of the notifications to surface through the created sequence.
+         * @param [values] Map from marble characters to values.
+         * @param [error] Error surfaced by the '#' marker.
+         * @return Hot observable sequence that can be used to assert the timing of subscriptions and notifications.
+         */
+        createHotObservable<T>(marbles: string, values?: { [key: string]: T }, error?: any): Observable<T>;
         /**
          * Creates an observer that records received notification messages and timestamps those.
          * @return Observer that can be used to assert the timing of received notifications.
@@ -64,10 +103,73 @@ module Rx {
          * @return Observer with timestamped recordings of notification messages that were received during the virtual time window when the subscription to the source sequence was active.
          */
         startWithCreate<T>(create: () => Observable<T>): MockObserver<T>;
+        /**
+         * Starts the test scheduler and uses the specified virtual times to invoke the factory function, subscribe to the resulting sequence, and dispose the subscription.
+         *
+         * @param create Factory method to create an observable sequence.
+         * @param settings Virtual times for creation, subscription and disposal, and whether to fail on leaks.
+         * @return Observer with timestamped recordings of notification messages that were received during the virtual time window when the subscription to the source sequence was active,
+         * and with the leaks found after the disposed time.
+         */
+        startScheduler<T>(create: () => Observable<T>, settings?: TestSchedulerSettings): MockObserver<T>;
+
+        /**
+         * Finds the subscriptions to hot and cold test observables and the mock disposables created with this scheduler which were opened at or before the given virtual time and are still open after it.
+         *
+         * @param {Number} [time] Virtual time to check, the current clock by default.
+         * @returns {Array} An array of leaks, each with the leaking source, the Subscription for when it was opened and closed, the virtual time checked and a descriptive message.
+         */
+        getLeaks(time?: number): TestLeak[];
+
+        /**
+         * Subscribes to the observable sequence and records its notifications so they can be checked against a marble diagram when the scheduler is flushed.
+         *
+         * @param {Observable} observable Observable sequence to subscribe to.
+         * @param {String} [unsubscriptionMarbles] Subscription marble diagram for when to subscribe and dispose, subscribing at ReactiveTest.subscribed and never disposing by default.
+         * @returns {Object} An object whose toBe(marbles, [values], [error]) method sets the expected notifications, either as a marble diagram or an array of Recorded messages.
+         */
+        expectObservable<T>(observable: Observable<T>, unsubscriptionMarbles?: string): {
+            toBe(marbles: string, values?: { [key: string]: T }, error?: any): void;
+            toBe(messages: Recorded[]): void;
+        };
+
+        /**
+         * Checks the subscriptions of a hot or cold test observable against subscription marble diagrams when the scheduler is flushed.
+         *
+         * @param {Array} subscriptions The subscriptions array of a hot or cold test observable.
+         * @returns {Object} An object whose toBe(marbles) method sets the expected subscriptions, either as a subscription marble diagram or an array of diagrams or Subscription objects.
+         */
+        expectSubscriptions(subscriptions: Subscription[]): {
+            toBe(marbles: string | (string | Subscription)[]): void;
+        };
+
+        /**
+         * Runs the scheduler until there is no more work scheduled, then checks every expectation set with expectObservable and expectSubscriptions.
+         * Throws an Error describing each expectation which was not met.
+         */
+        flush(): void;
+    }
+
+    export interface TestSchedulerFuzzOptions {
+        /** Number of runs, 100 by default. */
+        runs?: number;
+        /** Seed of the first run, random by default. */
+        seed?: number;
+        /** Maximum relative time by which due times are moved, 0 by default. */
+        jitter?: number;
     }
 
     export var TestScheduler: {
         new (): TestScheduler;
+
+        /**
+         * Runs a test several times, each time with a new test scheduler in shuffle mode with another seed, so that actions due at the same time run in different orders.
+         * When a run fails, throws an Error which has the seed of the failing run, so it can be replayed with new Rx.TestScheduler().shuffle(seed, jitter).
+         *
+         * @param {Function} test Test to run, which is given the test scheduler and the seed of the run.
+         * @param {Object} [options] An object with the number of runs, 100 by default, the seed of the first run, random by default, and the jitter of due times, 0 by default.
+         */
+        fuzz(test: (scheduler: TestScheduler, seed: number) => void, options?: TestSchedulerFuzzOptions): void;
     }
 }
 
@@ -76,6 +178,8 @@ module Rx {
 
     var o : Rx.Observable<string> = ts.createColdObservable<string>(new Rx.Recorded(100, '5'));
     var o : Rx.Observable<string> = ts.createHotObservable<string>(new Rx.Recorded(100, '5'));
+    var o : Rx.Observable<string> = ts.createColdObservable<string>('--a--|', { a: '5' });
+    var o : Rx.Observable<string> = ts.createHotObservable<string>('-^-a--#', { a: '5' }, new Error());
     var ob : Rx.MockObserver<boolean> = ts.createObserver<boolean>();
 
     var p : Rx.Promise<boolean> = ts.createResolvedPromise<boolean>(100, false);
@@ -84,4 +188,18 @@ module Rx {
     var ob = ts.startWithTiming<boolean>(() => Rx.Observable.create<boolean>(<any>null), 100, 200, 300);
     var ob = ts.startWithDispose<boolean>(() => Rx.Observable.create<boolean>(<any>null), 300);
     var ob = ts.startWithCreate<boolean>(() => Rx.Observable.create<boolean>(<any>null));
+
+    ts.expectObservable(o).toBe('--a--|', { a: '5' });
+    ts.expectObservable(o, '^--!').toBe([new Rx.Recorded(100, '5')]);
+    ts.expectSubscriptions([Rx.ReactiveTest.subscribe(200)]).toBe('^--!');
+    ts.expectSubscriptions([Rx.ReactiveTest.subscribe(200)]).toBe(['^--!', Rx.ReactiveTest.subscribe(200)]);
+    ts.flush();
+
+    var ob = ts.startScheduler<boolean>(() => Rx.Observable.create<boolean>(<any>null), { disposed: 500, failOnLeaks: true });
+    var leaks : Rx.TestLeak[] = ts.getLeaks(500);
+    var leaks : Rx.TestLeak[] = ob.leaks;
+    var s : Rx.Subscription = leaks[0].subscription;
+
+    Rx.TestScheduler.fuzz((scheduler: Rx.TestScheduler, seed: number) => { scheduler.flush(); }, { runs: 10, seed: 42, jitter: 5 });
+    Rx.TestScheduler.fuzz((scheduler: Rx.TestScheduler) => { scheduler.flush(); });
 });
@@ -38,6 +38,9 @@ declare module Rx {
         export interface ArgumentOutOfRangeError extends Error { message: string; }
         export interface ArgumentOutOfRangeErrorStatic { new (): ArgumentOutOfRangeError; }
 
+        export interface BufferOverflowError extends Error { message: string; }
+        export interface BufferOverflowErrorStatic { new (): BufferOverflowError; }
+
         export interface NotSupportedError extends Error { message: string; }
         export interface NotSupportedErrorStatic { new (): NotSupportedError; }
 
@@ -368,6 +371,41 @@ declare module Rx {
 
     export var RefCountDisposable : RefCountDisposableStatic;
 
+    /** Provider of the ambient context which schedulers capture when an action is scheduled and restore when it is executed, such as a Node.js AsyncLocalStorage. */
+    export interface ContextProvider {
+        getStore(): any;
+        run<TResult>(store: any, fn: (...args: any[]) => TResult, ...args: any[]): TResult;
+    }
+
+    /**
+     * Store for an ambient context, with the same API as the Node.js AsyncLocalStorage,
+     * which is propagated through the schedulers when it is set as Rx.config.contextProvider.
+     */
+    export interface ContextStorage<T> extends ContextProvider {
+        /**
+         * Gets the current context.
+         * @returns {Any} The current context, or undefined outside of run.
+         */
+        getStore(): T;
+
+        /**
+         * Calls a function with the given context as the current one, and restores the previous context once it returns or throws.
+         * @param {Any} store The context.
+         * @param {Function} fn Function to call, with the rest of the arguments.
+         * @returns {Any} The result of the function.
+         */
+        run<TResult>(store: T, fn: (...args: any[]) => TResult, ...args: any[]): TResult;
+    }
+
+    export var ContextStorage: {
+        new <T>(): ContextStorage<T>;
+    };
+
+    export module config {
+        /** Provider of the ambient context which the schedulers propagate, or null to not propagate it. */
+        export var contextProvider: ContextProvider;
+    }
+
     export interface IScheduler {
         /** Gets the current time according to the local machine's system clock. */
         now(): number;
@@ -429,13 +467,16 @@ declare module Rx {
 
     export interface IScheduler {
         /**
-         * Schedules a periodic piece of work by dynamically discovering the scheduler's capabilities. The periodic task will be scheduled using window.setInterval for the base implementation.
+         * Schedules a periodic piece of work. The due time of each tick is computed from the start time using the scheduler's clock,
+         * so that the work does not drift and runs the same on the default scheduler and on virtual time schedulers.
          * @param {Mixed} state Initial state passed to the action upon the first iteration.
          * @param {Number} period Period for running the work periodically.
          * @param {Function} action Action to be executed, potentially updating the state.
+         * @param {String} [catchUp] What to do with ticks which were missed by a whole period or more, for instance while the process was blocked:
+         * 'coalesce' runs the action once for all of them, 'burst' runs the action once for each of them, and 'skip' drops them and waits for the next tick. 'coalesce' by default.
          * @returns {Disposable} The disposable object used to cancel the scheduled recurring action (best effort).
          */
-        schedulePeriodic<TState>(state: TState, period: number, action: (state: TState) => TState): IDisposable;
+        schedulePeriodic<TState>(state: TState, period: number, action: (state: TState) => TState, catchUp?: string): IDisposable;
     }
 
     export interface IScheduler {
@@ -459,10 +500,72 @@ declare module Rx {
         export var SchedulePeriodicRecursive: SchedulePeriodicRecursiveStatic;
     }
 
+    export interface SchedulerActionInfo {
+        scheduler: IScheduler;
+        scheduledAt: number;
+        dueTime: number;
+        startTime?: number;
+        latency?: number;
+        duration?: number;
+    }
+
+    export interface SchedulerHooks {
+        onSchedule?: (info: SchedulerActionInfo) => void;
+        onExecute?: (info: SchedulerActionInfo) => void;
+        onError?: (error: any, info: SchedulerActionInfo) => void;
+    }
+
+    export interface HistogramStats {
+        count: number;
+        min: number;
+        max: number;
+        mean: number;
+        buckets: { le: number; count: number; }[];
+    }
+
+    export interface SchedulerStats {
+        scheduled: number;
+        executed: number;
+        cancelled: number;
+        errors: number;
+        queueDepth: number;
+        maxQueueDepth: number;
+        latency: HistogramStats;
+        duration: HistogramStats;
+    }
+
+    export interface IScheduler {
+        /**
+         * Instruments the scheduler, so that getStats returns its queue depth, scheduling latency and action duration, and so that the given hooks are called.
+         * @param {Object} [hooks] An object with the optional onSchedule, onExecute and onError hooks.
+         * @returns {Disposable} The disposable object used to remove the instrumentation.
+         */
+        instrument(hooks?: SchedulerHooks): IDisposable;
+
+        /**
+         * Gets the statistics of the scheduler since it was instrumented. Statistics are opt-in: nothing is collected until instrument is called.
+         * @returns {Object} The statistics, which are empty if the scheduler was never instrumented.
+         */
+        getStats(): SchedulerStats;
+    }
+
     export interface SchedulerStatic {
         immediate: IScheduler;
     }
 
+    export interface DeepRecursionInfo {
+        depth: number;
+        stack: string;
+        operators: string[];
+    }
+
+    export module config {
+        /** Number of nested actions on the immediate scheduler past which further actions are queued on a trampoline instead of run on the stack. */
+        export var maxRecursionDepth: number;
+        /** Function called when the immediate scheduler starts queueing actions because of deep recursion, or null. */
+        export var onDeepRecursion: (info: DeepRecursionInfo) => void;
+    }
+
     export interface ICurrentThreadScheduler extends IScheduler {
         scheduleRequired(): boolean;
     }
@@ -474,6 +577,119 @@ declare module Rx {
     export interface SchedulerStatic {
         default: IScheduler;
         async: IScheduler;
+
+        /**
+         * Gets the scheduler used by time based operators when none is specified.
+         * This is Rx.config.schedulerOverride when it is set to a scheduler, such as a virtual time scheduler in tests, otherwise the default scheduler.
+         * @returns {Scheduler} The scheduler to use for time based operations.
+         */
+        getDefault(): IScheduler;
+    }
+
+    export module config {
+        /** Scheduler used by time based operators when none is specified instead of the default scheduler. */
+        export var schedulerOverride: IScheduler;
+    }
+
+    export interface SchedulerStatic {
+        /**
+         * Gets a scheduler that schedules work on the next animation frame, batching all actions due before the frame into one requestAnimationFrame callback.
+         * Falls back to a 16ms timer where requestAnimationFrame is not available.
+         */
+        animationFrame: IScheduler;
+    }
+
+    export interface SchedulerStatic {
+        /**
+         * Gets a scheduler that schedules work as a microtask, after the current synchronous block but before any I/O or timer callback.
+         * Uses queueMicrotask, Promise.resolve().then or process.nextTick, whichever is available first, and falls back to the default scheduler.
+         */
+        asap: IScheduler;
+    }
+
+    export interface PriorityScheduler extends IScheduler {
+        /**
+         * Gets a view of the scheduler whose actions run with the given priority.
+         * @param {String|Number} priority The name of one of PriorityScheduler.levels, or a non-negative priority level where a lower level runs first.
+         * @returns {Scheduler} A scheduler which schedules its actions with the given priority on the current instance.
+         */
+        withPriority(priority: string | number): PriorityScheduler;
+    }
+
+    export interface PrioritySchedulerOptions {
+        /** Time after which a waiting action runs before new actions one priority level higher, 100ms by default. */
+        aging?: number;
+        /** Priority of the actions scheduled on the scheduler itself, 'normal' by default. */
+        priority?: string | number;
+    }
+
+    export var PriorityScheduler: {
+        /**
+         * Creates a scheduler which runs actions by priority on a base scheduler, one action per turn of the base scheduler.
+         * @constructor
+         * @param {Scheduler} [scheduler] Base scheduler to run the actions on, Rx.Scheduler.default if not specified.
+         * @param {Object} [options] An object with the aging time and the priority of the actions scheduled on the scheduler itself.
+         */
+        new (scheduler?: IScheduler, options?: PrioritySchedulerOptions): PriorityScheduler;
+        new (options?: PrioritySchedulerOptions): PriorityScheduler;
+
+        /** Named priority levels, where a lower level runs first. */
+        levels: { userInput: number; normal: number; background: number; };
+    };
+
+    export interface TimeSliceScheduler extends IScheduler {
+    }
+
+    export var TimeSliceScheduler: {
+        /**
+         * Creates a scheduler which runs its actions in slices of the given time budget on turns of a base scheduler.
+         * @constructor
+         * @param {Number} [budget] Time in milliseconds for which to run actions before yielding, 8ms by default.
+         * @param {Scheduler} [scheduler] Base scheduler to yield to and resume on, Rx.Scheduler.default if not specified.
+         */
+        new (budget?: number, scheduler?: IScheduler): TimeSliceScheduler;
+        new (scheduler: IScheduler): TimeSliceScheduler;
+    };
+
+    export interface CronOptions {
+        /** The IANA time zone or 'UTC' to match the expression in, the local time zone by default. */
+        timeZone?: string;
+    }
+
+    export module internals {
+        export interface CronExpression {
+            expression: string;
+
+            /**
+             * Gets the first time after the given time which matches the expression.
+             * @param {Date|Number} after The time to start searching after.
+             * @returns {Date} The first matching time, or null if there is none in the next 30 years.
+             */
+            next(after: Date | number): Date;
+        }
+
+        interface CronExpressionStatic {
+            /**
+             * Parses a cron expression with the minute, hour, day of the month, month and day of the week fields, or one of the @yearly, @monthly, @weekly, @daily and @hourly macros.
+             * @param {String} expression The cron expression.
+             * @param {Object} [options] An object with the IANA time zone or 'UTC' to match the expression in, the local time zone by default.
+             */
+            new (expression: string, options?: CronOptions): CronExpression;
+        }
+
+        export var CronExpression: CronExpressionStatic;
+    }
+
+    export interface IScheduler {
+        /**
+         * Schedules an action to be executed at the first date after the scheduler's current time which matches a cron expression.
+         * @param {Mixed} state State passed to the action to be executed.
+         * @param {String} expression Cron expression with the minute, hour, day of the month, month and day of the week fields, or a macro such as @daily.
+         * @param {Function} action Action to be executed.
+         * @param {Object} [options] An object with the IANA time zone or 'UTC' to match the expression in, the local time zone by default.
+         * @returns {Disposable} The disposable object used to cancel the scheduled action (best effort), which is empty when no date matches in the next 30 years.
+         */
+        scheduleCalendar<TState>(state: TState, expression: string, action: (scheduler: IScheduler, state: TState) => IDisposable | void, options?: CronOptions): IDisposable;
     }
 
     /**
@@ -3273,6 +3489,22 @@ declare module Rx {
         resume(): void;
     }
 
+    // Options of the bounded buffers of controlled and pausableBuffered
+    export interface BufferOptions {
+        bufferSize?: number;
+        overflowStrategy?: string;
+        highWaterMark?: number;
+        lowWaterMark?: number;
+        onHighWaterMark?: (length: number) => void;
+        onLowWaterMark?: (length: number) => void;
+    }
+
+    export interface ControlledOptions extends BufferOptions {
+        scheduler?: IScheduler;
+    }
+
+    export var BufferOverflowError: internals.BufferOverflowErrorStatic;
+
     export interface Observable<T> {
         /**
          * Pauses the underlying observable sequence based upon the observable sequence which yields true/false,
@@ -3281,9 +3513,10 @@ declare module Rx {
          * var pauser = new Rx.Subject();
          * var source = Rx.Observable.interval(100).pausableBuffered(pauser);
          * @param {Observable} pauser The observable sequence used to pause the underlying sequence.
+         * @param {Object} [options] Options of the buffer, as for controlled: bufferSize, overflowStrategy, highWaterMark, lowWaterMark, onHighWaterMark and onLowWaterMark.
          * @returns {Observable} The observable sequence which is paused based upon the pauser.
          */
-        pausableBuffered(pauser?: Observable<boolean>): PausableObservable<T>;
+        pausableBuffered(pauser?: Observable<boolean>, options?: BufferOptions): PausableObservable<T>;
     }
 
     export interface Observable<T> {
@@ -3294,9 +3527,11 @@ declare module Rx {
         * source.request(3); // Reads 3 values
         * @param {bool} enableQueue truthy value to determine if values should be queued pending the next request
         * @param {Scheduler} scheduler determines how the requests will be scheduled
+        * @param {Object} [options] Options of the queue: bufferSize, overflowStrategy, highWaterMark, lowWaterMark, onHighWaterMark and onLowWaterMark.
         * @returns {Observable} The observable sequence which only propagates values on request.
         */
-        controlled(enableQueue?: boolean, scheduler?: IScheduler): ControlledObservable<T>;
+        controlled(enableQueue?: boolean, scheduler?: IScheduler, options?: BufferOptions): ControlledObservable<T>;
+        controlled(options: ControlledOptions): ControlledObservable<T>;
     }
 
     export interface ControlledObservable<T> extends Observable<T> {
@@ -3320,14 +3555,64 @@ declare module Rx {
         windowed(windowSize: number): Observable<T>;
     }
 
+    export interface FromStreamOptions {
+        objectMode?: boolean;
+        finishEventName?: string;
+    }
+
+    export interface ObservableStatic {
+        /**
+         * Converts a Node.js Readable stream to an observable sequence, which emits its chunks, fails with its errors and completes when it ends.
+         * The stream is destroyed when the subscription is disposed before the end of the stream.
+         * When the observer requests values, such as through controlled, the stream is paused once the requested values were emitted, and resumed on the next request.
+         * @param {Stream} stream A Node.js Readable stream.
+         * @param {Object} [options] An object with the objectMode and finishEventName options.
+         * @returns {Observable} An observable sequence of the chunks of the stream.
+         */
+        fromStream<T>(stream: { on: (name: string, cb: (e: any) => any) => any; removeListener: (name: string, cb: (e: any) => any) => any }, options?: FromStreamOptions): Observable<T>;
+        // TODO: Add link to node.d.ts some where
+    }
+
+    export interface ToStreamOptions<T> {
+        objectMode?: boolean;
+        highWaterMark?: number;
+        encoder?: (value: T) => any;
+    }
+
+    export interface Observable<T> {
+        /**
+         * Exposes the observable sequence as a Node.js Readable stream, which reads its values from the sequence as they are needed.
+         * The sequence is subscribed to on the first read, and each read of the stream requests one more value through controlled.
+         * Errors of the sequence destroy the stream with the error, and the stream ends when the sequence completes.
+         * @param {Object} [options] An object with the objectMode, highWaterMark and encoder options.
+         * @returns {Stream} A Node.js Readable stream of the values of the sequence.
+         */
+        toStream(options?: ToStreamOptions<T>): any;
+        // TODO: Add link to node.d.ts some where
+    }
+
+    export interface PipeOptions {
+        end?: boolean;
+    }
+
     export interface Observable<T> {
         /**
         * Pipes the existing Observable sequence into a Node.js Stream.
+        * The subscription is disposed when the destination fails or closes, and errors of the sequence are emitted on the destination.
         * @param {Stream} dest The destination Node.js stream.
+        * @param {Object} [options] An object with the end option, whether the destination is ended when the sequence completes.
         * @returns {Stream} The destination stream.
         */
-        pipe<TDest>(dest: TDest): TDest;
+        pipe<TDest>(dest: TDest, options?: PipeOptions): TDest;
         // TODO: Add link to node.d.ts some where
+
+        /**
+        * Pipes the existing Observable sequence through a chain of Node.js streams, like stream.pipeline.
+        * When the sequence or any of the streams fails, or a stream closes early, the subscription is disposed and every stream is destroyed.
+        * @param {...Stream} streams The streams to pipe the sequence through, followed by the optional options and callback.
+        * @returns {Stream|Promise} The last stream if a callback was given, otherwise a promise which resolves once the last stream finished.
+        */
+        pipeline(...streams: any[]): any;
     }
 
     /**
@@ -4195,6 +4480,111 @@ declare module Rx {
         timestamp(scheduler?: IScheduler): Observable<Timestamp<T>>;
     }
 
+    export interface RecordingCodec<T> {
+        /** Converts a value to a JSON value. */
+        encode(value: T): any;
+        /** Converts a JSON value back to a value. */
+        decode(value: any): T;
+    }
+
+    export interface RecordedNotification {
+        time: number;
+        kind: string;
+        value?: any;
+        error?: { name: string; message: string; };
+    }
+
+    export interface Observable<T> {
+        /**
+        *  Materializes each notification of an observable sequence into a JSON line with the time elapsed since the subscription,
+        *  so that the lines can be written to a file and replayed later with Rx.Observable.replayRecording.
+        *  Errors are recorded as a record, after which the sequence completes.
+        *
+        * @example
+        *  1 - res = source.record(); // produces '{"time":25,"kind":"N","value":42}'
+        *  2 - res = source.record({ encode: function (x) { return x.toISOString(); }, decode: function (s) { return new Date(s); } });
+        *  3 - res = source.record(null, Rx.Scheduler.default);
+        *
+        * @param {Object} [codec] An object with encode and decode functions which convert values to and from JSON values. If not specified, values are stored as they are.
+        * @param {Scheduler} [scheduler] Scheduler used to compute the times. If not specified, the default scheduler is used.
+        * @returns {Observable} An observable sequence of JSON lines, one per notification of the source sequence.
+        */
+        record(codec?: RecordingCodec<T>, scheduler?: IScheduler): Observable<string>;
+        /**
+        *  Materializes each notification of an observable sequence into a JSON line with the time elapsed since the subscription,
+        *  so that the lines can be written to a file and replayed later with Rx.Observable.replayRecording.
+        *  Errors are recorded as a record, after which the sequence completes.
+        *
+        * @example
+        *  1 - res = source.record(); // produces '{"time":25,"kind":"N","value":42}'
+        *  2 - res = source.record({ encode: function (x) { return x.toISOString(); }, decode: function (s) { return new Date(s); } });
+        *  3 - res = source.record(null, Rx.Scheduler.default);
+        *
+        * @param {Scheduler} [scheduler] Scheduler used to compute the times. If not specified, the default scheduler is used.
+        * @returns {Observable} An observable sequence of JSON lines, one per notification of the source sequence.
+        */
+        record(scheduler: IScheduler): Observable<string>;
+    }
+
+    export interface ReplayRecordingOptions<T> {
+        /** The speed factor, which divides the time of each record, 1 by default. */
+        speed?: number;
+        /** The codec which was used for the recording. */
+        codec?: RecordingCodec<T>;
+    }
+
+    export interface ObservableStatic {
+        /**
+         *  Replays a recording made with Rx.Observable.prototype.record, notifying each record at its original time after the subscription, optionally sped up.
+         *  This is meant to reproduce the exact timing of a live sequence with a Rx.HistoricalScheduler or a Rx.TestScheduler.
+         *
+         * @example
+         *  1 - res = Rx.Observable.replayRecording(fs.readFileSync('session.jsonl', 'utf8'), scheduler);
+         *  2 - res = Rx.Observable.replayRecording(lines, scheduler, { speed: 10 });
+         *  3 - res = Rx.Observable.replayRecording([{ time: 10, kind: 'N', value: 42 }, { time: 20, kind: 'C' }], scheduler);
+         *
+         * @param {String|Array} recording The contents of a recording file, which has one JSON line per record, or an array of lines or parsed records.
+         * @param {Scheduler} [scheduler] Scheduler to replay the records on. If not specified, the default scheduler is used.
+         * @param {Object} [options] An object with the speed factor, which divides the time of each record, 1 by default,
+         * and the codec with encode and decode functions which was used for the recording.
+         * @returns {Observable} An observable sequence which replays the recorded notifications.
+         */
+        replayRecording<T>(recording: string | Array<string | RecordedNotification>, scheduler?: IScheduler, options?: ReplayRecordingOptions<T>): Observable<T>;
+        /**
+         *  Replays a recording made with Rx.Observable.prototype.record, notifying each record at its original time after the subscription, optionally sped up.
+         *
+         * @param {String|Array} recording The contents of a recording file, which has one JSON line per record, or an array of lines or parsed records.
+         * @param {Object} [options] An object with the speed factor, which divides the time of each record, 1 by default,
+         * and the codec with encode and decode functions which was used for the recording.
+         * @returns {Observable} An observable sequence which replays the recorded notifications.
+         */
+        replayRecording<T>(recording: string | Array<string | RecordedNotification>, options?: ReplayRecordingOptions<T>): Observable<T>;
+    }
+
+    export interface ObservableStatic {
+        /**
+         *  Returns an observable sequence that produces the date of each occurrence of a cron expression, computed from the scheduler's clock.
+         *
+         * @example
+         *  1 - res = Rx.Observable.cron('0 9 * * 1-5');
+         *  2 - res = Rx.Observable.cron('@daily', { timeZone: 'UTC' }, scheduler);
+         *
+         * @param {String} expression The cron expression.
+         * @param {Object} [options] An object with the IANA time zone or 'UTC' to match the expression in, the local time zone by default.
+         * @param {Scheduler} [scheduler] Scheduler to run the timer on. If not specified, the default scheduler is used.
+         * @returns {Observable} An observable sequence which produces the date of each occurrence, and completes when there is no occurrence in the next 30 years.
+         */
+        cron(expression: string, options?: CronOptions, scheduler?: IScheduler): Observable<Date>;
+        /**
+         *  Returns an observable sequence that produces the date of each occurrence of a cron expression, computed from the scheduler's clock.
+         *
+         * @param {String} expression The cron expression.
+         * @param {Scheduler} scheduler Scheduler to run the timer on.
+         * @returns {Observable} An observable sequence which produces the date of each occurrence, and completes when there is no occurrence in the next 30 years.
+         */
+        cron(expression: string, scheduler: IScheduler): Observable<Date>;
+    }
+
     export interface Observable<T> {
         /**
         *  Samples the observable sequence at each interval.
@@ -4788,6 +5178,15 @@ declare module Rx {
         flatMapWithMaxConcurrent<TOther, TResult>(maxConcurrent: number, selector: _ValueOrSelector<T, ArrayOrIterable<TOther>>, resultSelector: special._FlatMapResultSelector<T, TOther, TResult>, thisArg?: any): Observable<TResult>;
     }
 
+    export module internals {
+        /**
+         * Creates a seeded pseudo random number generator, the Park-Miller minimal standard generator, so that a seed replays the same sequence everywhere.
+         * @param {Number} seed The seed.
+         * @returns {Function} A function which returns the next pseudo random number between 0 and 1.
+         */
+        export var createRandom: (seed: number) => () => number;
+    }
+
     export interface VirtualTimeScheduler<TAbsolute, TRelative> extends IScheduler {
         /**
          * Adds a relative time value to an absolute time value.
@@ -4839,6 +5238,32 @@ declare module Rx {
          */
         sleep(time: TRelative): void;
 
+        /**
+         * Installs the scheduler as Rx.config.schedulerOverride, so that time based operators which are not given a scheduler run on it until uninstall is called.
+         * @returns {VirtualTimeScheduler} The current instance.
+         */
+        install(): VirtualTimeScheduler<TAbsolute, TRelative>;
+
+        /**
+         * Uninstalls the scheduler from Rx.config.schedulerOverride, restoring the override which was set when it was installed.
+         */
+        uninstall(): void;
+
+        /**
+         * Turns on the shuffle mode where actions due at the same time run in a random order instead of the order they were scheduled in,
+         * optionally moving their due time by up to the given jitter, to find ordering bugs which only show up with some interleavings.
+         * The same seed always gives the same interleaving, so a failing run can be reproduced.
+         *
+         * @param {Number} seed Seed of the random interleaving.
+         * @param {Number} [jitter] Maximum relative time by which due times are moved earlier or later, never before the current clock. Defaults to 0.
+         * @returns {VirtualTimeScheduler} The current instance.
+         */
+        shuffle(seed: number, jitter?: number): VirtualTimeScheduler<TAbsolute, TRelative>;
+        /** Seed of the shuffle mode, or null when it is off. */
+        seed: number;
+        /** Maximum relative time by which due times are moved in shuffle mode. */
+        jitter: number;
+
         isEnabled: boolean;
 
         /**
@@ -4927,6 +5352,8 @@ declare module Rx {
         subscribed: number;
         /** Default virtual time used to dispose subscriptions in unit tests. */
         disposed: number;
+        /** Whether startScheduler throws when a test observable subscription or mock disposable is still open after the disposed time. */
+        failOnLeaks: boolean;
 
         /**
          * Factory method for an OnNext notification record at a given time with a given value or a predicate function.
@@ -4988,10 +5415,204 @@ declare module Rx {
          * @return Subscription object.
          */
         subscribe(subscribeAt: number, unsubscribeAt?: number): Subscription;
+
+        /** Number of virtual time ticks represented by a single frame of a marble diagram. */
+        frameTimeFactor: number;
+
+        /**
+         * Parses a marble diagram into the timestamped notification messages consumed by hot and cold test observables.
+         *
+         * 1 - ReactiveTest.parseMarbles('--a--b--|', { a: 1, b: 2 });
+         * 2 - ReactiveTest.parseMarbles('-a-^-(bc)-#', null, new Error());
+         *
+         * @param {String} marbles Marble diagram to parse.
+         * @param {Object} [values] Map from marble characters to the values they stand for.
+         * @param {Any} [error] Error surfaced by the '#' marker, 'error' by default.
+         * @param {Number} [origin] Virtual time of the '^' marker or of the first frame, ReactiveTest.subscribed by default.
+         * @returns {Array} Array of Recorded notification messages.
+         */
+        parseMarbles(marbles: string, values?: { [key: string]: any }, error?: any, origin?: number): Recorded[];
+
+        /**
+         * Parses a subscription marble diagram into a Subscription object.
+         *
+         * 1 - ReactiveTest.parseSubscriptionMarbles('^-----!');
+         * 2 - ReactiveTest.parseSubscriptionMarbles('---^---');
+         *
+         * @param {String} marbles Subscription marble diagram to parse.
+         * @param {Number} [origin] Virtual time of the first frame, ReactiveTest.subscribed by default.
+         * @returns {Subscription} Subscription object with the parsed subscription and unsubscription time.
+         */
+        parseSubscriptionMarbles(marbles: string, origin?: number): Subscription;
+
+        /**
+         * Drives an operator through synchronous, asynchronous, erroring and early disposal scenarios on a test scheduler, and reports each violation of the Rx contract:
+         * notifications which do not follow the onNext* (onError | onCompleted)? grammar, notifications after dispose,
+         * and upstream subscriptions which are still open once the operator terminated or was disposed.
+         *
+         * 1 - ReactiveTest.checkConformance(function (source) { return source.map(function (x) { return x + 1; }); });
+         * 2 - ReactiveTest.checkConformance(function (source, scheduler) { return source.delay(10, scheduler); }, { values: ['a', 'b', 'c'] });
+         *
+         * @param {Function} factory Function which applies the operator to the given source observable and returns the resulting sequence. It is also given the test scheduler of the scenario.
+         * @param {Object} [options] An object with the three values notified by the source, 1, 2 and 3 by default, the error of the erroring scenarios,
+         * the names of the scenarios to run, all of ReactiveTest.conformanceScenarios by default, and the disposal delay in ticks allowed for operators which dispose upstream through a scheduler, 0 by default.
+         * @returns {Array} An array of messages describing each violation, prefixed with the scenario name, which is empty when the operator conforms.
+         */
+        checkConformance(factory: (source: Observable<any>, scheduler: TestScheduler) => Observable<any>, options?: ConformanceOptions): string[];
+
+        /** Names of the scenarios run by ReactiveTest.checkConformance. */
+        conformanceScenarios: string[];
+
+        /**
+         * Checks that the actual Recorded messages or Subscription objects are the expected ones, and throws a ReactiveAssertionError otherwise.
+         * Expected OnNext and OnError messages may be created with predicates.
+         *
+         * @param {Array} actual The actual Recorded messages or Subscription objects.
+         * @param {Array} expected The expected Recorded messages or Subscription objects.
+         */
+        assertEqual(actual: Recorded[], expected: Recorded[]): void;
+        assertEqual(actual: Subscription[], expected: Subscription[]): void;
+
+        /**
+         * Wraps a marble test so that it is given a new test scheduler, which is flushed once the test returns,
+         * so that expectations set with expectObservable and expectSubscriptions are checked without further glue.
+         * The test is also given the arguments of the host test framework, such as the test context of node:test.
+         *
+         * @param {Function} test Function which is given a new test scheduler followed by the arguments of the test framework.
+         * @returns {Function} The test function to register with the test framework.
+         */
+        marbles(test: (scheduler: TestScheduler, ...args: any[]) => void): (...args: any[]) => void;
+
+        /**
+         * Adapters which add a marbles method to the it function of a test framework, along with marbles.only and marbles.skip,
+         * so that it.marbles(name, test) registers ReactiveTest.marbles(test).
+         */
+        adapters: {
+            /** Adds marbles to the it function of Mocha. Failures are thrown as a ReactiveAssertionError, which Mocha shows as a diff. */
+            mocha<T extends Function>(it: T): T & MarblesIt;
+            /** Adds marbles to the it function of Jasmine, using fit and xit for marbles.only and marbles.skip. Failures are reported with the fail function of Jasmine. */
+            jasmine<T extends Function>(it: T, env?: { fit?: Function; xit?: Function; fail: (error: any) => void; }): T & MarblesIt;
+            /** Adds marbles to the it or test function of node:test. Failures are thrown as a ReactiveAssertionError, whose actual and expected values are reported. */
+            node<T extends Function>(it: T): T & MarblesIt;
+        };
+
+        /**
+         * Creates a generator of random but valid sequences of Recorded notification messages for hot or cold test observables,
+         * which are ordered by time and have at most one terminal notification at the end.
+         *
+         * @param {Object} [options] The options of the generated sequences.
+         * @returns {Object} A generator whose generate(random) method returns an array of Recorded messages,
+         * and whose shrink(records) method returns an array of simpler candidates for the given array.
+         */
+        recordedGenerator(options?: RecordedGeneratorOptions): RecordedGenerator;
+
+        /**
+         * Checks a property against many random sequences of Recorded messages, and shrinks the first failing sequences to a minimal counterexample.
+         * The property fails when it returns false or throws. When it fails, throws an Error which has the seed of the failing run, the counterexample and the error of the property.
+         *
+         * @param {Array} generators The generators of each sequence given to the property, as created by ReactiveTest.recordedGenerator.
+         * @param {Function} property Function which is given a new test scheduler and a generated array of Recorded messages for each generator.
+         * @param {Object} [options] An object with the number of runs, 100 by default, the seed of the first run, random by default, and the maximum number of shrinking steps, 1000 by default.
+         */
+        checkProperty(generators: RecordedGenerator[], property: (scheduler: TestScheduler, ...records: Recorded[][]) => any, options?: PropertyOptions): void;
+
+        /**
+         * Checks that two ways of building an observable sequence notify the same messages for many random source sequences, like the map fusion law
+         * source.map(f).map(g) and source.map(function (x) { return g(f(x)); }), and shrinks the first failing sources to a minimal counterexample.
+         *
+         * @param {Array} generators The generators of each source sequence, which is a hot or a cold test observable depending on the generator.
+         * @param {Function} left Function which is given the source sequences and the test scheduler, and returns an observable sequence.
+         * @param {Function} right Function which is given the source sequences and the test scheduler, and returns an observable sequence.
+         * @param {Object} [options] The options of ReactiveTest.checkProperty, and whether messages at the same time may come in any order, false by default.
+         */
+        checkEquivalence(generators: RecordedGenerator[], left: (...sources: any[]) => Observable<any>, right: (...sources: any[]) => Observable<any>, options?: EquivalenceOptions): void;
+    }
+
+    export interface MarblesTest {
+        (name: string, test: (scheduler: TestScheduler, ...args: any[]) => void): any;
+    }
+
+    export interface MarblesIt {
+        marbles: MarblesTest & { only?: MarblesTest; skip?: MarblesTest; };
+    }
+
+    export interface RecordedGeneratorOptions {
+        /** Function which is given a random number generator and returns a value, an integer between 0 and 99 by default. */
+        value?: (random: () => number) => any;
+        /** Function which returns an array of smaller candidates for a value, halving numbers towards 0 by default. */
+        shrinkValue?: (value: any) => any[];
+        /** Maximum number of OnNext notifications, 10 by default. */
+        maxLength?: number;
+        /** Earliest time, 1 for cold and ReactiveTest.subscribed + 1 for hot sequences by default. */
+        minTime?: number;
+        /** Latest time, minTime + 300 by default. */
+        maxTime?: number;
+        /** Whether the times are offsets from the subscription time, false by default. */
+        cold?: boolean;
+        /** The error of OnError notifications, 'error' by default. */
+        error?: any;
+    }
+
+    export interface RecordedGenerator {
+        cold: boolean;
+        generate(random: () => number): Recorded[];
+        shrink(records: Recorded[]): Recorded[][];
+    }
+
+    export interface PropertyOptions {
+        /** Number of runs, 100 by default. */
+        runs?: number;
+        /** Seed of the first run, random by default. */
+        seed?: number;
+        /** Maximum number of shrinking steps, 1000 by default. */
+        maxShrinks?: number;
+    }
+
+    export interface EquivalenceOptions extends PropertyOptions {
+        /** Whether messages at the same time may come in any order, false by default. */
+        ignoreSameTimeOrder?: boolean;
+    }
+
+    export interface ConformanceOptions {
+        /** The three values notified by the source, 1, 2 and 3 by default. */
+        values?: any[];
+        /** The error of the erroring scenarios. */
+        error?: any;
+        /** The names of the scenarios to run, all of ReactiveTest.conformanceScenarios by default. */
+        scenarios?: string[];
+        /** The disposal delay in ticks allowed for operators which dispose upstream through a scheduler, 0 by default. */
+        disposalDelay?: number;
+    }
+
+    export interface ReactiveAssertionError extends Error {
+        message: string;
+        /** The actual Recorded messages or Subscription objects, one per line. */
+        actual: string;
+        /** The expected Recorded messages or Subscription objects, one per line. */
+        expected: string;
+        showDiff: boolean;
+        code: string;
+        operator: string;
+    }
+
+    export interface ReactiveAssertionErrorStatic {
+        /**
+         * Error thrown when recorded messages or subscriptions are not the expected ones.
+         * Its message renders the differences as marble timelines, and its actual and expected properties list one item per line,
+         * so that test frameworks such as Mocha and node:test show them as a diff.
+         *
+         * @constructor
+         * @param {Array} failures An array of objects with the actual and expected arrays of Recorded messages or Subscription objects.
+         */
+        new (failures: { actual: any[]; expected: any[]; }[]): ReactiveAssertionError;
     }
 
+    export var ReactiveAssertionError: ReactiveAssertionErrorStatic;
+
     export interface MockObserver<T> extends Observer<T> {
         messages: Recorded[];
+        /** The leaks found after the disposed time when returned from TestScheduler.prototype.startScheduler. */
+        leaks?: TestLeak[];
     }
 
     interface MockObserverStatic extends ObserverStatic {
@@ -5001,6 +5622,28 @@ declare module Rx {
     export var MockObserver: MockObserverStatic;
 
 
+    export interface TestLeak {
+        /** The hot or cold test observable, or the mock disposable, which is still open. */
+        source: any;
+        /** When the subscription or disposable was opened and closed. */
+        subscription: Subscription;
+        /** The virtual time which was checked. */
+        time: number;
+        /** A description of the leak. */
+        message: string;
+    }
+
+    export interface TestSchedulerSettings {
+        /** Virtual time at which to invoke the factory to create an observable sequence. */
+        created?: number;
+        /** Virtual time at which to subscribe to the created observable sequence. */
+        subscribed?: number;
+        /** Virtual time at which to dispose the subscription. */
+        disposed?: number;
+        /** Whether to throw when a subscription is still open after the disposed time, ReactiveTest.failOnLeaks by default. */
+        failOnLeaks?: boolean;
+    }
+
     export interface TestScheduler extends VirtualTimeScheduler<number, number> {
         /**
          * Creates a cold observable using the specified timestamped notification messages either as an array or arguments.
@@ -5008,12 +5651,28 @@ declare module Rx {
          * @return Cold observable sequence that can be used to assert the timing of subscriptions and notifications.
          */
         createColdObservable<T>(...records: Recorded[]): Observable<T>;
+        /**
+         * Creates a cold observable using the specified marble diagram starting at the subscription time.
+         * @param marbles Marble diagram of the notifications to surface through the created sequence.
+         * @param [values] Map from marble characters to values.
+         * @param [error] Error surfaced by the '#' marker.
+         * @return Cold observable sequence that can be used to assert the timing of subscriptions and notifications.
+         */
+        createColdObservable<T>(marbles: string, values?: { [key: string]: T }, error?: any): Observable<T>;
         /**
          * Creates a hot observable using the specified timestamped notification messages either as an array or arguments.
          * @param messages Notifications to surface through the created sequence at their specified absolute virtual times.
          * @return Hot observable sequence that can be used to assert the timing of subscriptions and notifications.
          */
         createHotObservable<T>(...records: Recorded[]): Observable<T>;
+        /**
+         * Creates a hot observable using the specified marble diagram whose '^' marker is at ReactiveTest.subscribed.
+         * @param marbles Marble diagram of the notifications to surface through the created sequence.
+         * @param [values] Map from marble characters to values.
+         * @param [error] Error surfaced by the '#' marker.
+         * @return Hot observable sequence that can be used to assert the timing of subscriptions and notifications.
+         */
+        createHotObservable<T>(marbles: string, values?: { [key: string]: T }, error?: any): Observable<T>;
         /**
          * Creates an observer that records received notification messages and timestamps those.
          * @return Observer that can be used to assert the timing of received notifications.
@@ -5061,14 +5720,96 @@ declare module Rx {
          * @return Observer with timestamped recordings of notification messages that were received during the virtual time window when the subscription to the source sequence was active.
          */
         startWithCreate<T>(create: () => Observable<T>): MockObserver<T>;
+        /**
+         * Starts the test scheduler and uses the specified virtual times to invoke the factory function, subscribe to the resulting sequence, and dispose the subscription.
+         *
+         * @param create Factory method to create an observable sequence.
+         * @param settings Virtual times for creation, subscription and disposal, and whether to fail on leaks.
+         * @return Observer with timestamped recordings of notification messages that were received during the virtual time window when the subscription to the source sequence was active,
+         * and with the leaks found after the disposed time.
+         */
+        startScheduler<T>(create: () => Observable<T>, settings?: TestSchedulerSettings): MockObserver<T>;
+
+        /**
+         * Finds the subscriptions to hot and cold test observables and the mock disposables created with this scheduler which were opened at or before the given virtual time and are still open after it.
+         *
+         * @param {Number} [time] Virtual time to check, the current clock by default.
+         * @returns {Array} An array of leaks, each with the leaking source, the Subscription for when it was opened and closed, the virtual time checked and a descriptive message.
+         */
+        getLeaks(time?: number): TestLeak[];
+
+        /**
+         * Subscribes to the observable sequence and records its notifications so they can be checked against a marble diagram when the scheduler is flushed.
+         *
+         * @param {Observable} observable Observable sequence to subscribe to.
+         * @param {String} [unsubscriptionMarbles] Subscription marble diagram for when to subscribe and dispose, subscribing at ReactiveTest.subscribed and never disposing by default.
+         * @returns {Object} An object whose toBe(marbles, [values], [error]) method sets the expected notifications, either as a marble diagram or an array of Recorded messages.
+         */
+        expectObservable<T>(observable: Observable<T>, unsubscriptionMarbles?: string): {
+            toBe(marbles: string, values?: { [key: string]: T }, error?: any): void;
+            toBe(messages: Recorded[]): void;
+        };
+
+        /**
+         * Checks the subscriptions of a hot or cold test observable against subscription marble diagrams when the scheduler is flushed.
+         *
+         * @param {Array} subscriptions The subscriptions array of a hot or cold test observable.
+         * @returns {Object} An object whose toBe(marbles) method sets the expected subscriptions, either as a subscription marble diagram or an array of diagrams or Subscription objects.
+         */
+        expectSubscriptions(subscriptions: Subscription[]): {
+            toBe(marbles: string | (string | Subscription)[]): void;
+        };
+
+        /**
+         * Runs the scheduler until there is no more work scheduled, then checks every expectation set with expectObservable and expectSubscriptions.
+         * Throws an Error describing each expectation which was not met.
+         */
+        flush(): void;
+    }
+
+    export interface TestSchedulerFuzzOptions {
+        /** Number of runs, 100 by default. */
+        runs?: number;
+        /** Seed of the first run, random by default. */
+        seed?: number;
+        /** Maximum relative time by which due times are moved, 0 by default. */
+        jitter?: number;
     }
 
     export var TestScheduler: {
         new (): TestScheduler;
+
+        /**
+         * Runs a test several times, each time with a new test scheduler in shuffle mode with another seed, so that actions due at the same time run in different orders.
+         * When a run fails, throws an Error which has the seed of the failing run, so it can be replayed with new Rx.TestScheduler().shuffle(seed, jitter).
+         *
+         * @param {Function} test Test to run, which is given the test scheduler and the seed of the run.
+         * @param {Object} [options] An object with the number of runs, 100 by default, the seed of the first run, random by default, and the jitter of due times, 0 by default.
+         */
+        fuzz(test: (scheduler: TestScheduler, seed: number) => void, options?: TestSchedulerFuzzOptions): void;
     }
 
     export interface AnonymousObservable<T> extends Observable<T> { }
 
+    export module internals {
+        // Producer of the request(n) demand protocol, which observers are given through their setProducer method
+        export interface Producer {
+            request(n: number): void;
+        }
+
+        export var setProducer: <T>(o: IObserver<T>, producer: Producer) => boolean;
+
+        export interface PullProducer<T> extends Producer, IDisposable {
+            start(): PullProducer<T>;
+        }
+
+        interface PullProducerStatic {
+            new <T>(o: IObserver<T>, scheduler: IScheduler, iterator: any, fn?: (value: any, index: number) => T): PullProducer<T>;
+        }
+
+        export var PullProducer: PullProducerStatic;
+    }
+
     export interface GroupedObservable<TKey, TElement> extends Observable<TElement> {
         key: TKey;
         underlyingObservable: Observable<TElement>;
@@ -32,6 +32,22 @@ declare module Rx {
         resume(): void;
     }
 
+    // Options of the bounded buffers of controlled and pausableBuffered
+    export interface BufferOptions {
+        bufferSize?: number;
+        overflowStrategy?: string;
+        highWaterMark?: number;
+        lowWaterMark?: number;
+        onHighWaterMark?: (length: number) => void;
+        onLowWaterMark?: (length: number) => void;
+    }
+
+    export interface ControlledOptions extends BufferOptions {
+        scheduler?: IScheduler;
+    }
+
+    export var BufferOverflowError: internals.BufferOverflowErrorStatic;
+
     export interface Observable<T> {
         /**
          * Pauses the underlying observable sequence based upon the observable sequence which yields true/false,
@@ -40,9 +56,10 @@ declare module Rx {
          * var pauser = new Rx.Subject();
          * var source = Rx.Observable.interval(100).pausableBuffered(pauser);
          * @param {Observable} pauser The observable sequence used to pause the underlying sequence.
+         * @param {Object} [options] Options of the buffer, as for controlled: bufferSize, overflowStrategy, highWaterMark, lowWaterMark, onHighWaterMark and onLowWaterMark.
          * @returns {Observable} The observable sequence which is paused based upon the pauser.
          */
-        pausableBuffered(pauser?: Observable<boolean>): PausableObservable<T>;
+        pausableBuffered(pauser?: Observable<boolean>, options?: BufferOptions): PausableObservable<T>;
     }
 
     export interface Observable<T> {
@@ -53,9 +70,11 @@ declare module Rx {
         * source.request(3); // Reads 3 values
         * @param {bool} enableQueue truthy value to determine if values should be queued pending the next request
         * @param {Scheduler} scheduler determines how the requests will be scheduled
+        * @param {Object} [options] Options of the queue: bufferSize, overflowStrategy, highWaterMark, lowWaterMark, onHighWaterMark and onLowWaterMark.
         * @returns {Observable} The observable sequence which only propagates values on request.
         */
-        controlled(enableQueue?: boolean, scheduler?: IScheduler): ControlledObservable<T>;
+        controlled(enableQueue?: boolean, scheduler?: IScheduler, options?: BufferOptions): ControlledObservable<T>;
+        controlled(options: ControlledOptions): ControlledObservable<T>;
     }
 
     export interface ControlledObservable<T> extends Observable<T> {
@@ -79,14 +98,64 @@ declare module Rx {
         windowed(windowSize: number): Observable<T>;
     }
 
+    export interface FromStreamOptions {
+        objectMode?: boolean;
+        finishEventName?: string;
+    }
+
+    export interface ObservableStatic {
+        /**
+         * Converts a Node.js Readable stream to an observable sequence, which emits its chunks, fails with its errors and completes when it ends.
+         * The stream is destroyed when the subscription is disposed before the end of the stream.
+         * When the observer requests values, such as through controlled, the stream is paused once the requested values were emitted, and resumed on the next request.
+         * @param {Stream} stream A Node.js Readable stream.
+         * @param {Object} [options] An object with the objectMode and finishEventName options.
+         * @returns {Observable} An observable sequence of the chunks of the stream.
+         */
+        fromStream<T>(stream: { on: (name: string, cb: (e: any) => any) => any; removeListener: (name: string, cb: (e: any) => any) => any }, options?: FromStreamOptions): Observable<T>;
+        // TODO: Add link to node.d.ts some where
+    }
+
+    export interface ToStreamOptions<T> {
+        objectMode?: boolean;
+        highWaterMark?: number;
+        encoder?: (value: T) => any;
+    }
+
+    export interface Observable<T> {
+        /**
+         * Exposes the observable sequence as a Node.js Readable stream, which reads its values from the sequence as they are needed.
+         * The sequence is subscribed to on the first read, and each read of the stream requests one more value through controlled.
+         * Errors of the sequence destroy the stream with the error, and the stream ends when the sequence completes.
+         * @param {Object} [options] An object with the objectMode, highWaterMark and encoder options.
+         * @returns {Stream} A Node.js Readable stream of the values of the sequence.
+         */
+        toStream(options?: ToStreamOptions<T>): any;
+        // TODO: Add link to node.d.ts some where
+    }
+
+    export interface PipeOptions {
+        end?: boolean;
+    }
+
     export interface Observable<T> {
         /**
         * Pipes the existing Observable sequence into a Node.js Stream.
+        * The subscription is disposed when the destination fails or closes, and errors of the sequence are emitted on the destination.
         * @param {Stream} dest The destination Node.js stream.
+        * @param {Object} [options] An object with the end option, whether the destination is ended when the sequence completes.
         * @returns {Stream} The destination stream.
         */
-        pipe<TDest>(dest: TDest): TDest;
+        pipe<TDest>(dest: TDest, options?: PipeOptions): TDest;
         // TODO: Add link to node.d.ts some where
+
+        /**
+        * Pipes the existing Observable sequence through a chain of Node.js streams, like stream.pipeline.
+        * When the sequence or any of the streams fails, or a stream closes early, the subscription is disposed and every stream is destroyed.
+        * @param {...Stream} streams The streams to pipe the sequence through, followed by the optional options and callback.
+        * @returns {Stream|Promise} The last stream if a callback was given, otherwise a promise which resolves once the last stream finished.
+        */
+        pipeline(...streams: any[]): any;
     }
 
 }
@@ -41,6 +41,9 @@ declare module Rx {
         export interface ArgumentOutOfRangeError extends Error { message: string; }
         export interface ArgumentOutOfRangeErrorStatic { new (): ArgumentOutOfRangeError; }
 
+        export interface BufferOverflowError extends Error { message: string; }
+        export interface BufferOverflowErrorStatic { new (): BufferOverflowError; }
+
         export interface NotSupportedError extends Error { message: string; }
         export interface NotSupportedErrorStatic { new (): NotSupportedError; }
 
@@ -326,6 +329,41 @@ declare module Rx {
 
     export var RefCountDisposable : RefCountDisposableStatic;
 
+    /** Provider of the ambient context which schedulers capture when an action is scheduled and restore when it is executed, such as a Node.js AsyncLocalStorage. */
+    export interface ContextProvider {
+        getStore(): any;
+        run<TResult>(store: any, fn: (...args: any[]) => TResult, ...args: any[]): TResult;
+    }
+
+    /**
+     * Store for an ambient context, with the same API as the Node.js AsyncLocalStorage,
+     * which is propagated through the schedulers when it is set as Rx.config.contextProvider.
+     */
+    export interface ContextStorage<T> extends ContextProvider {
+        /**
+         * Gets the current context.
+         * @returns {Any} The current context, or undefined outside of run.
+         */
+        getStore(): T;
+
+        /**
+         * Calls a function with the given context as the current one, and restores the previous context once it returns or throws.
+         * @param {Any} store The context.
+         * @param {Function} fn Function to call, with the rest of the arguments.
+         * @returns {Any} The result of the function.
+         */
+        run<TResult>(store: T, fn: (...args: any[]) => TResult, ...args: any[]): TResult;
+    }
+
+    export var ContextStorage: {
+        new <T>(): ContextStorage<T>;
+    };
+
+    export module config {
+        /** Provider of the ambient context which the schedulers propagate, or null to not propagate it. */
+        export var contextProvider: ContextProvider;
+    }
+
     export interface IScheduler {
         /** Gets the current time according to the local machine's system clock. */
         now(): number;
@@ -409,13 +447,16 @@ declare module Rx {
 
     export interface IScheduler {
         /**
-         * Schedules a periodic piece of work by dynamically discovering the scheduler's capabilities. The periodic task will be scheduled using window.setInterval for the base implementation.
+         * Schedules a periodic piece of work. The due time of each tick is computed from the start time using the scheduler's clock,
+         * so that the work does not drift and runs the same on the default scheduler and on virtual time schedulers.
          * @param {Mixed} state Initial state passed to the action upon the first iteration.
          * @param {Number} period Period for running the work periodically.
          * @param {Function} action Action to be executed, potentially updating the state.
+         * @param {String} [catchUp] What to do with ticks which were missed by a whole period or more, for instance while the process was blocked:
+         * 'coalesce' runs the action once for all of them, 'burst' runs the action once for each of them, and 'skip' drops them and waits for the next tick. 'coalesce' by default.
          * @returns {Disposable} The disposable object used to cancel the scheduled recurring action (best effort).
          */
-        schedulePeriodic<TState>(state: TState, period: number, action: (state: TState) => TState): IDisposable;
+        schedulePeriodic<TState>(state: TState, period: number, action: (state: TState) => TState, catchUp?: string): IDisposable;
     }
 
     export interface IScheduler {
@@ -439,10 +480,72 @@ declare module Rx {
         export var SchedulePeriodicRecursive: SchedulePeriodicRecursiveStatic;
     }
 
+    export interface SchedulerActionInfo {
+        scheduler: IScheduler;
+        scheduledAt: number;
+        dueTime: number;
+        startTime?: number;
+        latency?: number;
+        duration?: number;
+    }
+
+    export interface SchedulerHooks {
+        onSchedule?: (info: SchedulerActionInfo) => void;
+        onExecute?: (info: SchedulerActionInfo) => void;
+        onError?: (error: any, info: SchedulerActionInfo) => void;
+    }
+
+    export interface HistogramStats {
+        count: number;
+        min: number;
+        max: number;
+        mean: number;
+        buckets: { le: number; count: number; }[];
+    }
+
+    export interface SchedulerStats {
+        scheduled: number;
+        executed: number;
+        cancelled: number;
+        errors: number;
+        queueDepth: number;
+        maxQueueDepth: number;
+        latency: HistogramStats;
+        duration: HistogramStats;
+    }
+
+    export interface IScheduler {
+        /**
+         * Instruments the scheduler, so that getStats returns its queue depth, scheduling latency and action duration, and so that the given hooks are called.
+         * @param {Object} [hooks] An object with the optional onSchedule, onExecute and onError hooks.
+         * @returns {Disposable} The disposable object used to remove the instrumentation.
+         */
+        instrument(hooks?: SchedulerHooks): IDisposable;
+
+        /**
+         * Gets the statistics of the scheduler since it was instrumented. Statistics are opt-in: nothing is collected until instrument is called.
+         * @returns {Object} The statistics, which are empty if the scheduler was never instrumented.
+         */
+        getStats(): SchedulerStats;
+    }
+
     export interface SchedulerStatic {
         immediate: IScheduler;
     }
 
+    export interface DeepRecursionInfo {
+        depth: number;
+        stack: string;
+        operators: string[];
+    }
+
+    export module config {
+        /** Number of nested actions on the immediate scheduler past which further actions are queued on a trampoline instead of run on the stack. */
+        export var maxRecursionDepth: number;
+        /** Function called when the immediate scheduler starts queueing actions because of deep recursion, or null. */
+        export var onDeepRecursion: (info: DeepRecursionInfo) => void;
+    }
+
     export interface ICurrentThreadScheduler extends IScheduler {
         scheduleRequired(): boolean;
     }
@@ -451,11 +554,6 @@ declare module Rx {
         currentThread: ICurrentThreadScheduler;
     }
 
-    export interface SchedulerStatic {
-        default: IScheduler;
-        async: IScheduler;
-    }
-
     export module internals {
         // Priority Queue for Scheduling
         export interface PriorityQueue<TTime> {
@@ -479,6 +577,124 @@ declare module Rx {
         export var PriorityQueue : PriorityQueueStatic;
     }
 
+    export interface SchedulerStatic {
+        default: IScheduler;
+        async: IScheduler;
+
+        /**
+         * Gets the scheduler used by time based operators when none is specified.
+         * This is Rx.config.schedulerOverride when it is set to a scheduler, such as a virtual time scheduler in tests, otherwise the default scheduler.
+         * @returns {Scheduler} The scheduler to use for time based operations.
+         */
+        getDefault(): IScheduler;
+    }
+
+    export module config {
+        /** Scheduler used by time based operators when none is specified instead of the default scheduler. */
+        export var schedulerOverride: IScheduler;
+    }
+
+    export interface SchedulerStatic {
+        /**
+         * Gets a scheduler that schedules work on the next animation frame, batching all actions due before the frame into one requestAnimationFrame callback.
+         * Falls back to a 16ms timer where requestAnimationFrame is not available.
+         */
+        animationFrame: IScheduler;
+    }
+
+    export interface SchedulerStatic {
+        /**
+         * Gets a scheduler that schedules work as a microtask, after the current synchronous block but before any I/O or timer callback.
+         * Uses queueMicrotask, Promise.resolve().then or process.nextTick, whichever is available first, and falls back to the default scheduler.
+         */
+        asap: IScheduler;
+    }
+
+    export interface PriorityScheduler extends IScheduler {
+        /**
+         * Gets a view of the scheduler whose actions run with the given priority.
+         * @param {String|Number} priority The name of one of PriorityScheduler.levels, or a non-negative priority level where a lower level runs first.
+         * @returns {Scheduler} A scheduler which schedules its actions with the given priority on the current instance.
+         */
+        withPriority(priority: string | number): PriorityScheduler;
+    }
+
+    export interface PrioritySchedulerOptions {
+        /** Time after which a waiting action runs before new actions one priority level higher, 100ms by default. */
+        aging?: number;
+        /** Priority of the actions scheduled on the scheduler itself, 'normal' by default. */
+        priority?: string | number;
+    }
+
+    export var PriorityScheduler: {
+        /**
+         * Creates a scheduler which runs actions by priority on a base scheduler, one action per turn of the base scheduler.
+         * @constructor
+         * @param {Scheduler} [scheduler] Base scheduler to run the actions on, Rx.Scheduler.default if not specified.
+         * @param {Object} [options] An object with the aging time and the priority of the actions scheduled on the scheduler itself.
+         */
+        new (scheduler?: IScheduler, options?: PrioritySchedulerOptions): PriorityScheduler;
+        new (options?: PrioritySchedulerOptions): PriorityScheduler;
+
+        /** Named priority levels, where a lower level runs first. */
+        levels: { userInput: number; normal: number; background: number; };
+    };
+
+    export interface TimeSliceScheduler extends IScheduler {
+    }
+
+    export var TimeSliceScheduler: {
+        /**
+         * Creates a scheduler which runs its actions in slices of the given time budget on turns of a base scheduler.
+         * @constructor
+         * @param {Number} [budget] Time in milliseconds for which to run actions before yielding, 8ms by default.
+         * @param {Scheduler} [scheduler] Base scheduler to yield to and resume on, Rx.Scheduler.default if not specified.
+         */
+        new (budget?: number, scheduler?: IScheduler): TimeSliceScheduler;
+        new (scheduler: IScheduler): TimeSliceScheduler;
+    };
+
+    export interface CronOptions {
+        /** The IANA time zone or 'UTC' to match the expression in, the local time zone by default. */
+        timeZone?: string;
+    }
+
+    export module internals {
+        export interface CronExpression {
+            expression: string;
+
+            /**
+             * Gets the first time after the given time which matches the expression.
+             * @param {Date|Number} after The time to start searching after.
+             * @returns {Date} The first matching time, or null if there is none in the next 30 years.
+             */
+            next(after: Date | number): Date;
+        }
+
+        interface CronExpressionStatic {
+            /**
+             * Parses a cron expression with the minute, hour, day of the month, month and day of the week fields, or one of the @yearly, @monthly, @weekly, @daily and @hourly macros.
+             * @param {String} expression The cron expression.
+             * @param {Object} [options] An object with the IANA time zone or 'UTC' to match the expression in, the local time zone by default.
+             */
+            new (expression: string, options?: CronOptions): CronExpression;
+        }
+
+        export var CronExpression: CronExpressionStatic;
+    }
+
+    export interface IScheduler {
+        /**
+         * Schedules an action to be executed at the first date after the scheduler's current time which matches a cron expression.
+         * @param {Mixed} state State passed to the action to be executed.
+         * @param {String} expression Cron expression with the minute, hour, day of the month, month and day of the week fields, or a macro such as @daily.
+         * @param {Function} action Action to be executed.
+         * @param {Object} [options] An object with the IANA time zone or 'UTC' to match the expression in, the local time zone by default.
+         * @returns {Disposable} The disposable object used to cancel the scheduled action (best effort), which is empty when no date matches in the next 30 years.
+         */
+        scheduleCalendar<TState>(state: TState, expression: string, action: (scheduler: IScheduler, state: TState) => IDisposable | void, options?: CronOptions): IDisposable;
+    }
+
     /**
     * Supports push-style iteration over an observable sequence.
     */
@@ -2607,6 +2823,25 @@ declare module Rx {
 
     export interface AnonymousObservable<T> extends Observable<T> { }
 
+    export module internals {
+        // Producer of the request(n) demand protocol, which observers are given through their setProducer method
+        export interface Producer {
+            request(n: number): void;
+        }
+
+        export var setProducer: <T>(o: IObserver<T>, producer: Producer) => boolean;
+
+        export interface PullProducer<T> extends Producer, IDisposable {
+            start(): PullProducer<T>;
+        }
+
+        interface PullProducerStatic {
+            new <T>(o: IObserver<T>, scheduler: IScheduler, iterator: any, fn?: (value: any, index: number) => T): PullProducer<T>;
+        }
+
+        export var PullProducer: PullProducerStatic;
+    }
+
     /**
      *  Represents an object that is both an observable sequence as well as an observer.
      *  Each notification is broadcasted to all subscribed observers.
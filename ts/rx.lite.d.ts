@@ -41,6 +41,9 @@ declare module Rx {
         export interface ArgumentOutOfRangeError extends Error { message: string; }
         export interface ArgumentOutOfRangeErrorStatic { new (): ArgumentOutOfRangeError; }
 
+        export interface BufferOverflowError extends Error { message: string; }
+        export interface BufferOverflowErrorStatic { new (): BufferOverflowError; }
+
         export interface NotSupportedError extends Error { message: string; }
         export interface NotSupportedErrorStatic { new (): NotSupportedError; }
 
@@ -326,6 +329,41 @@ declare module Rx {
 
     export var RefCountDisposable : RefCountDisposableStatic;
 
+    /** Provider of the ambient context which schedulers capture when an action is scheduled and restore when it is executed, such as a Node.js AsyncLocalStorage. */
+    export interface ContextProvider {
+        getStore(): any;
+        run<TResult>(store: any, fn: (...args: any[]) => TResult, ...args: any[]): TResult;
+    }
+
+    /**
+     * Store for an ambient context, with the same API as the Node.js AsyncLocalStorage,
+     * which is propagated through the schedulers when it is set as Rx.config.contextProvider.
+     */
+    export interface ContextStorage<T> extends ContextProvider {
+        /**
+         * Gets the current context.
+         * @returns {Any} The current context, or undefined outside of run.
+         */
+        getStore(): T;
+
+        /**
+         * Calls a function with the given context as the current one, and restores the previous context once it returns or throws.
+         * @param {Any} store The context.
+         * @param {Function} fn Function to call, with the rest of the arguments.
+         * @returns {Any} The result of the function.
+         */
+        run<TResult>(store: T, fn: (...args: any[]) => TResult, ...args: any[]): TResult;
+    }
+
+    export var ContextStorage: {
+        new <T>(): ContextStorage<T>;
+    };
+
+    export module config {
+        /** Provider of the ambient context which the schedulers propagate, or null to not propagate it. */
+        export var contextProvider: ContextProvider;
+    }
+
     export interface IScheduler {
         /** Gets the current time according to the local machine's system clock. */
         now(): number;
@@ -409,19 +447,35 @@ declare module Rx {
 
     export interface IScheduler {
         /**
-         * Schedules a periodic piece of work by dynamically discovering the scheduler's capabilities. The periodic task will be scheduled using window.setInterval for the base implementation.
+         * Schedules a periodic piece of work. The due time of each tick is computed from the start time using the scheduler's clock,
+         * so that the work does not drift and runs the same on the default scheduler and on virtual time schedulers.
          * @param {Mixed} state Initial state passed to the action upon the first iteration.
          * @param {Number} period Period for running the work periodically.
          * @param {Function} action Action to be executed, potentially updating the state.
+         * @param {String} [catchUp] What to do with ticks which were missed by a whole period or more, for instance while the process was blocked:
+         * 'coalesce' runs the action once for all of them, 'burst' runs the action once for each of them, and 'skip' drops them and waits for the next tick. 'coalesce' by default.
          * @returns {Disposable} The disposable object used to cancel the scheduled recurring action (best effort).
          */
-        schedulePeriodic<TState>(state: TState, period: number, action: (state: TState) => TState): IDisposable;
+        schedulePeriodic<TState>(state: TState, period: number, action: (state: TState) => TState, catchUp?: string): IDisposable;
     }
 
     export interface SchedulerStatic {
         immediate: IScheduler;
     }
 
+    export interface DeepRecursionInfo {
+        depth: number;
+        stack: string;
+        operators: string[];
+    }
+
+    export module config {
+        /** Number of nested actions on the immediate scheduler past which further actions are queued on a trampoline instead of run on the stack. */
+        export var maxRecursionDepth: number;
+        /** Function called when the immediate scheduler starts queueing actions because of deep recursion, or null. */
+        export var onDeepRecursion: (info: DeepRecursionInfo) => void;
+    }
+
     export interface ICurrentThreadScheduler extends IScheduler {
         scheduleRequired(): boolean;
     }
@@ -442,9 +496,53 @@ declare module Rx {
         export var SchedulePeriodicRecursive: SchedulePeriodicRecursiveStatic;
     }
 
-    export interface SchedulerStatic {
-        default: IScheduler;
-        async: IScheduler;
+    export interface SchedulerActionInfo {
+        scheduler: IScheduler;
+        scheduledAt: number;
+        dueTime: number;
+        startTime?: number;
+        latency?: number;
+        duration?: number;
+    }
+
+    export interface SchedulerHooks {
+        onSchedule?: (info: SchedulerActionInfo) => void;
+        onExecute?: (info: SchedulerActionInfo) => void;
+        onError?: (error: any, info: SchedulerActionInfo) => void;
+    }
+
+    export interface HistogramStats {
+        count: number;
+        min: number;
+        max: number;
+        mean: number;
+        buckets: { le: number; count: number; }[];
+    }
+
+    export interface SchedulerStats {
+        scheduled: number;
+        executed: number;
+        cancelled: number;
+        errors: number;
+        queueDepth: number;
+        maxQueueDepth: number;
+        latency: HistogramStats;
+        duration: HistogramStats;
+    }
+
+    export interface IScheduler {
+        /**
+         * Instruments the scheduler, so that getStats returns its queue depth, scheduling latency and action duration, and so that the given hooks are called.
+         * @param {Object} [hooks] An object with the optional onSchedule, onExecute and onError hooks.
+         * @returns {Disposable} The disposable object used to remove the instrumentation.
+         */
+        instrument(hooks?: SchedulerHooks): IDisposable;
+
+        /**
+         * Gets the statistics of the scheduler since it was instrumented. Statistics are opt-in: nothing is collected until instrument is called.
+         * @returns {Object} The statistics, which are empty if the scheduler was never instrumented.
+         */
+        getStats(): SchedulerStats;
     }
 
     export module internals {
@@ -470,6 +568,23 @@ declare module Rx {
         export var PriorityQueue : PriorityQueueStatic;
     }
 
+    export interface SchedulerStatic {
+        default: IScheduler;
+        async: IScheduler;
+
+        /**
+         * Gets the scheduler used by time based operators when none is specified.
+         * This is Rx.config.schedulerOverride when it is set to a scheduler, such as a virtual time scheduler in tests, otherwise the default scheduler.
+         * @returns {Scheduler} The scheduler to use for time based operations.
+         */
+        getDefault(): IScheduler;
+    }
+
+    export module config {
+        /** Scheduler used by time based operators when none is specified instead of the default scheduler. */
+        export var schedulerOverride: IScheduler;
+    }
+
     /**
     * Supports push-style iteration over an observable sequence.
     */
@@ -3086,6 +3201,22 @@ declare module Rx {
         resume(): void;
     }
 
+    // Options of the bounded buffers of controlled and pausableBuffered
+    export interface BufferOptions {
+        bufferSize?: number;
+        overflowStrategy?: string;
+        highWaterMark?: number;
+        lowWaterMark?: number;
+        onHighWaterMark?: (length: number) => void;
+        onLowWaterMark?: (length: number) => void;
+    }
+
+    export interface ControlledOptions extends BufferOptions {
+        scheduler?: IScheduler;
+    }
+
+    export var BufferOverflowError: internals.BufferOverflowErrorStatic;
+
     export interface Observable<T> {
         /**
          * Pauses the underlying observable sequence based upon the observable sequence which yields true/false,
@@ -3094,9 +3225,10 @@ declare module Rx {
          * var pauser = new Rx.Subject();
          * var source = Rx.Observable.interval(100).pausableBuffered(pauser);
          * @param {Observable} pauser The observable sequence used to pause the underlying sequence.
+         * @param {Object} [options] Options of the buffer, as for controlled: bufferSize, overflowStrategy, highWaterMark, lowWaterMark, onHighWaterMark and onLowWaterMark.
          * @returns {Observable} The observable sequence which is paused based upon the pauser.
          */
-        pausableBuffered(pauser?: Observable<boolean>): PausableObservable<T>;
+        pausableBuffered(pauser?: Observable<boolean>, options?: BufferOptions): PausableObservable<T>;
     }
 
     export interface Observable<T> {
@@ -3107,23 +3239,75 @@ declare module Rx {
         * source.request(3); // Reads 3 values
         * @param {bool} enableQueue truthy value to determine if values should be queued pending the next request
         * @param {Scheduler} scheduler determines how the requests will be scheduled
+        * @param {Object} [options] Options of the queue: bufferSize, overflowStrategy, highWaterMark, lowWaterMark, onHighWaterMark and onLowWaterMark.
         * @returns {Observable} The observable sequence which only propagates values on request.
         */
-        controlled(enableQueue?: boolean, scheduler?: IScheduler): ControlledObservable<T>;
+        controlled(enableQueue?: boolean, scheduler?: IScheduler, options?: BufferOptions): ControlledObservable<T>;
+        controlled(options: ControlledOptions): ControlledObservable<T>;
     }
 
     export interface ControlledObservable<T> extends Observable<T> {
         request(numberOfItems?: number): IDisposable;
     }
 
+    export interface FromStreamOptions {
+        objectMode?: boolean;
+        finishEventName?: string;
+    }
+
+    export interface ObservableStatic {
+        /**
+         * Converts a Node.js Readable stream to an observable sequence, which emits its chunks, fails with its errors and completes when it ends.
+         * The stream is destroyed when the subscription is disposed before the end of the stream.
+         * When the observer requests values, such as through controlled, the stream is paused once the requested values were emitted, and resumed on the next request.
+         * @param {Stream} stream A Node.js Readable stream.
+         * @param {Object} [options] An object with the objectMode and finishEventName options.
+         * @returns {Observable} An observable sequence of the chunks of the stream.
+         */
+        fromStream<T>(stream: { on: (name: string, cb: (e: any) => any) => any; removeListener: (name: string, cb: (e: any) => any) => any }, options?: FromStreamOptions): Observable<T>;
+        // TODO: Add link to node.d.ts some where
+    }
+
+    export interface ToStreamOptions<T> {
+        objectMode?: boolean;
+        highWaterMark?: number;
+        encoder?: (value: T) => any;
+    }
+
+    export interface Observable<T> {
+        /**
+         * Exposes the observable sequence as a Node.js Readable stream, which reads its values from the sequence as they are needed.
+         * The sequence is subscribed to on the first read, and each read of the stream requests one more value through controlled.
+         * Errors of the sequence destroy the stream with the error, and the stream ends when the sequence completes.
+         * @param {Object} [options] An object with the objectMode, highWaterMark and encoder options.
+         * @returns {Stream} A Node.js Readable stream of the values of the sequence.
+         */
+        toStream(options?: ToStreamOptions<T>): any;
+        // TODO: Add link to node.d.ts some where
+    }
+
+    export interface PipeOptions {
+        end?: boolean;
+    }
+
     export interface Observable<T> {
         /**
         * Pipes the existing Observable sequence into a Node.js Stream.
+        * The subscription is disposed when the destination fails or closes, and errors of the sequence are emitted on the destination.
         * @param {Stream} dest The destination Node.js stream.
+        * @param {Object} [options] An object with the end option, whether the destination is ended when the sequence completes.
         * @returns {Stream} The destination stream.
         */
-        pipe<TDest>(dest: TDest): TDest;
+        pipe<TDest>(dest: TDest, options?: PipeOptions): TDest;
         // TODO: Add link to node.d.ts some where
+
+        /**
+        * Pipes the existing Observable sequence through a chain of Node.js streams, like stream.pipeline.
+        * When the sequence or any of the streams fails, or a stream closes early, the subscription is disposed and every stream is destroyed.
+        * @param {...Stream} streams The streams to pipe the sequence through, followed by the optional options and callback.
+        * @returns {Stream|Promise} The last stream if a callback was given, otherwise a promise which resolves once the last stream finished.
+        */
+        pipeline(...streams: any[]): any;
     }
 
     export interface Observable<T> {
@@ -3138,6 +3322,25 @@ declare module Rx {
 
     export interface AnonymousObservable<T> extends Observable<T> { }
 
+    export module internals {
+        // Producer of the request(n) demand protocol, which observers are given through their setProducer method
+        export interface Producer {
+            request(n: number): void;
+        }
+
+        export var setProducer: <T>(o: IObserver<T>, producer: Producer) => boolean;
+
+        export interface PullProducer<T> extends Producer, IDisposable {
+            start(): PullProducer<T>;
+        }
+
+        interface PullProducerStatic {
+            new <T>(o: IObserver<T>, scheduler: IScheduler, iterator: any, fn?: (value: any, index: number) => T): PullProducer<T>;
+        }
+
+        export var PullProducer: PullProducerStatic;
+    }
+
     export interface AsyncSubject<T> extends Subject<T> { }
 
     interface AsyncSubjectStatic {
@@ -66,6 +66,8 @@ declare module Rx {
         subscribed: number;
         /** Default virtual time used to dispose subscriptions in unit tests. */
         disposed: number;
+        /** Whether startScheduler throws when a test observable subscription or mock disposable is still open after the disposed time. */
+        failOnLeaks: boolean;
 
         /**
          * Factory method for an OnNext notification record at a given time with a given value or a predicate function.
@@ -127,10 +129,204 @@ declare module Rx {
          * @return Subscription object.
          */
         subscribe(subscribeAt: number, unsubscribeAt?: number): Subscription;
+
+        /** Number of virtual time ticks represented by a single frame of a marble diagram. */
+        frameTimeFactor: number;
+
+        /**
+         * Parses a marble diagram into the timestamped notification messages consumed by hot and cold test observables.
+         *
+         * 1 - ReactiveTest.parseMarbles('--a--b--|', { a: 1, b: 2 });
+         * 2 - ReactiveTest.parseMarbles('-a-^-(bc)-#', null, new Error());
+         *
+         * @param {String} marbles Marble diagram to parse.
+         * @param {Object} [values] Map from marble characters to the values they stand for.
+         * @param {Any} [error] Error surfaced by the '#' marker, 'error' by default.
+         * @param {Number} [origin] Virtual time of the '^' marker or of the first frame, ReactiveTest.subscribed by default.
+         * @returns {Array} Array of Recorded notification messages.
+         */
+        parseMarbles(marbles: string, values?: { [key: string]: any }, error?: any, origin?: number): Recorded[];
+
+        /**
+         * Parses a subscription marble diagram into a Subscription object.
+         *
+         * 1 - ReactiveTest.parseSubscriptionMarbles('^-----!');
+         * 2 - ReactiveTest.parseSubscriptionMarbles('---^---');
+         *
+         * @param {String} marbles Subscription marble diagram to parse.
+         * @param {Number} [origin] Virtual time of the first frame, ReactiveTest.subscribed by default.
+         * @returns {Subscription} Subscription object with the parsed subscription and unsubscription time.
+         */
+        parseSubscriptionMarbles(marbles: string, origin?: number): Subscription;
+
+        /**
+         * Drives an operator through synchronous, asynchronous, erroring and early disposal scenarios on a test scheduler, and reports each violation of the Rx contract:
+         * notifications which do not follow the onNext* (onError | onCompleted)? grammar, notifications after dispose,
+         * and upstream subscriptions which are still open once the operator terminated or was disposed.
+         *
+         * 1 - ReactiveTest.checkConformance(function (source) { return source.map(function (x) { return x + 1; }); });
+         * 2 - ReactiveTest.checkConformance(function (source, scheduler) { return source.delay(10, scheduler); }, { values: ['a', 'b', 'c'] });
+         *
+         * @param {Function} factory Function which applies the operator to the given source observable and returns the resulting sequence. It is also given the test scheduler of the scenario.
+         * @param {Object} [options] An object with the three values notified by the source, 1, 2 and 3 by default, the error of the erroring scenarios,
+         * the names of the scenarios to run, all of ReactiveTest.conformanceScenarios by default, and the disposal delay in ticks allowed for operators which dispose upstream through a scheduler, 0 by default.
+         * @returns {Array} An array of messages describing each violation, prefixed with the scenario name, which is empty when the operator conforms.
+         */
+        checkConformance(factory: (source: Observable<any>, scheduler: TestScheduler) => Observable<any>, options?: ConformanceOptions): string[];
+
+        /** Names of the scenarios run by ReactiveTest.checkConformance. */
+        conformanceScenarios: string[];
+
+        /**
+         * Checks that the actual Recorded messages or Subscription objects are the expected ones, and throws a ReactiveAssertionError otherwise.
+         * Expected OnNext and OnError messages may be created with predicates.
+         *
+         * @param {Array} actual The actual Recorded messages or Subscription objects.
+         * @param {Array} expected The expected Recorded messages or Subscription objects.
+         */
+        assertEqual(actual: Recorded[], expected: Recorded[]): void;
+        assertEqual(actual: Subscription[], expected: Subscription[]): void;
+
+        /**
+         * Wraps a marble test so that it is given a new test scheduler, which is flushed once the test returns,
+         * so that expectations set with expectObservable and expectSubscriptions are checked without further glue.
+         * The test is also given the arguments of the host test framework, such as the test context of node:test.
+         *
+         * @param {Function} test Function which is given a new test scheduler followed by the arguments of the test framework.
+         * @returns {Function} The test function to register with the test framework.
+         */
+        marbles(test: (scheduler: TestScheduler, ...args: any[]) => void): (...args: any[]) => void;
+
+        /**
+         * Adapters which add a marbles method to the it function of a test framework, along with marbles.only and marbles.skip,
+         * so that it.marbles(name, test) registers ReactiveTest.marbles(test).
+         */
+        adapters: {
+            /** Adds marbles to the it function of Mocha. Failures are thrown as a ReactiveAssertionError, which Mocha shows as a diff. */
+            mocha<T extends Function>(it: T): T & MarblesIt;
+            /** Adds marbles to the it function of Jasmine, using fit and xit for marbles.only and marbles.skip. Failures are reported with the fail function of Jasmine. */
+            jasmine<T extends Function>(it: T, env?: { fit?: Function; xit?: Function; fail: (error: any) => void; }): T & MarblesIt;
+            /** Adds marbles to the it or test function of node:test. Failures are thrown as a ReactiveAssertionError, whose actual and expected values are reported. */
+            node<T extends Function>(it: T): T & MarblesIt;
+        };
+
+        /**
+         * Creates a generator of random but valid sequences of Recorded notification messages for hot or cold test observables,
+         * which are ordered by time and have at most one terminal notification at the end.
+         *
+         * @param {Object} [options] The options of the generated sequences.
+         * @returns {Object} A generator whose generate(random) method returns an array of Recorded messages,
+         * and whose shrink(records) method returns an array of simpler candidates for the given array.
+         */
+        recordedGenerator(options?: RecordedGeneratorOptions): RecordedGenerator;
+
+        /**
+         * Checks a property against many random sequences of Recorded messages, and shrinks the first failing sequences to a minimal counterexample.
+         * The property fails when it returns false or throws. When it fails, throws an Error which has the seed of the failing run, the counterexample and the error of the property.
+         *
+         * @param {Array} generators The generators of each sequence given to the property, as created by ReactiveTest.recordedGenerator.
+         * @param {Function} property Function which is given a new test scheduler and a generated array of Recorded messages for each generator.
+         * @param {Object} [options] An object with the number of runs, 100 by default, the seed of the first run, random by default, and the maximum number of shrinking steps, 1000 by default.
+         */
+        checkProperty(generators: RecordedGenerator[], property: (scheduler: TestScheduler, ...records: Recorded[][]) => any, options?: PropertyOptions): void;
+
+        /**
+         * Checks that two ways of building an observable sequence notify the same messages for many random source sequences, like the map fusion law
+         * source.map(f).map(g) and source.map(function (x) { return g(f(x)); }), and shrinks the first failing sources to a minimal counterexample.
+         *
+         * @param {Array} generators The generators of each source sequence, which is a hot or a cold test observable depending on the generator.
+         * @param {Function} left Function which is given the source sequences and the test scheduler, and returns an observable sequence.
+         * @param {Function} right Function which is given the source sequences and the test scheduler, and returns an observable sequence.
+         * @param {Object} [options] The options of ReactiveTest.checkProperty, and whether messages at the same time may come in any order, false by default.
+         */
+        checkEquivalence(generators: RecordedGenerator[], left: (...sources: any[]) => Observable<any>, right: (...sources: any[]) => Observable<any>, options?: EquivalenceOptions): void;
+    }
+
+    export interface MarblesTest {
+        (name: string, test: (scheduler: TestScheduler, ...args: any[]) => void): any;
+    }
+
+    export interface MarblesIt {
+        marbles: MarblesTest & { only?: MarblesTest; skip?: MarblesTest; };
+    }
+
+    export interface RecordedGeneratorOptions {
+        /** Function which is given a random number generator and returns a value, an integer between 0 and 99 by default. */
+        value?: (random: () => number) => any;
+        /** Function which returns an array of smaller candidates for a value, halving numbers towards 0 by default. */
+        shrinkValue?: (value: any) => any[];
+        /** Maximum number of OnNext notifications, 10 by default. */
+        maxLength?: number;
+        /** Earliest time, 1 for cold and ReactiveTest.subscribed + 1 for hot sequences by default. */
+        minTime?: number;
+        /** Latest time, minTime + 300 by default. */
+        maxTime?: number;
+        /** Whether the times are offsets from the subscription time, false by default. */
+        cold?: boolean;
+        /** The error of OnError notifications, 'error' by default. */
+        error?: any;
+    }
+
+    export interface RecordedGenerator {
+        cold: boolean;
+        generate(random: () => number): Recorded[];
+        shrink(records: Recorded[]): Recorded[][];
+    }
+
+    export interface PropertyOptions {
+        /** Number of runs, 100 by default. */
+        runs?: number;
+        /** Seed of the first run, random by default. */
+        seed?: number;
+        /** Maximum number of shrinking steps, 1000 by default. */
+        maxShrinks?: number;
     }
 
+    export interface EquivalenceOptions extends PropertyOptions {
+        /** Whether messages at the same time may come in any order, false by default. */
+        ignoreSameTimeOrder?: boolean;
+    }
+
+    export interface ConformanceOptions {
+        /** The three values notified by the source, 1, 2 and 3 by default. */
+        values?: any[];
+        /** The error of the erroring scenarios. */
+        error?: any;
+        /** The names of the scenarios to run, all of ReactiveTest.conformanceScenarios by default. */
+        scenarios?: string[];
+        /** The disposal delay in ticks allowed for operators which dispose upstream through a scheduler, 0 by default. */
+        disposalDelay?: number;
+    }
+
+    export interface ReactiveAssertionError extends Error {
+        message: string;
+        /** The actual Recorded messages or Subscription objects, one per line. */
+        actual: string;
+        /** The expected Recorded messages or Subscription objects, one per line. */
+        expected: string;
+        showDiff: boolean;
+        code: string;
+        operator: string;
+    }
+
+    export interface ReactiveAssertionErrorStatic {
+        /**
+         * Error thrown when recorded messages or subscriptions are not the expected ones.
+         * Its message renders the differences as marble timelines, and its actual and expected properties list one item per line,
+         * so that test frameworks such as Mocha and node:test show them as a diff.
+         *
+         * @constructor
+         * @param {Array} failures An array of objects with the actual and expected arrays of Recorded messages or Subscription objects.
+         */
+        new (failures: { actual: any[]; expected: any[]; }[]): ReactiveAssertionError;
+    }
+
+    export var ReactiveAssertionError: ReactiveAssertionErrorStatic;
+
     export interface MockObserver<T> extends Observer<T> {
         messages: Recorded[];
+        /** The leaks found after the disposed time when returned from TestScheduler.prototype.startScheduler. */
+        leaks?: TestLeak[];
     }
 
     interface MockObserverStatic extends ObserverStatic {
@@ -140,6 +336,28 @@ declare module Rx {
     export var MockObserver: MockObserverStatic;
 
 
+    export interface TestLeak {
+        /** The hot or cold test observable, or the mock disposable, which is still open. */
+        source: any;
+        /** When the subscription or disposable was opened and closed. */
+        subscription: Subscription;
+        /** The virtual time which was checked. */
+        time: number;
+        /** A description of the leak. */
+        message: string;
+    }
+
+    export interface TestSchedulerSettings {
+        /** Virtual time at which to invoke the factory to create an observable sequence. */
+        created?: number;
+        /** Virtual time at which to subscribe to the created observable sequence. */
+        subscribed?: number;
+        /** Virtual time at which to dispose the subscription. */
+        disposed?: number;
+        /** Whether to throw when a subscription is still open after the disposed time, ReactiveTest.failOnLeaks by default. */
+        failOnLeaks?: boolean;
+    }
+
     export interface TestScheduler extends VirtualTimeScheduler<number, number> {
         /**
          * Creates a cold observable using the specified timestamped notification messages either as an array or arguments.
@@ -147,12 +365,28 @@ declare module Rx {
          * @return Cold observable sequence that can be used to assert the timing of subscriptions and notifications.
          */
         createColdObservable<T>(...records: Recorded[]): Observable<T>;
+        /**
+         * Creates a cold observable using the specified marble diagram starting at the subscription time.
+         * @param marbles Marble diagram of the notifications to surface through the created sequence.
+         * @param [values] Map from marble characters to values.
+         * @param [error] Error surfaced by the '#' marker.
+         * @return Cold observable sequence that can be used to assert the timing of subscriptions and notifications.
+         */
+        createColdObservable<T>(marbles: string, values?: { [key: string]: T }, error?: any): Observable<T>;
         /**
          * Creates a hot observable using the specified timestamped notification messages either as an array or arguments.
          * @param messages Notifications to surface through the created sequence at their specified absolute virtual times.
          * @return Hot observable sequence that can be used to assert the timing of subscriptions and notifications.
          */
         createHotObservable<T>(...records: Recorded[]): Observable<T>;
+        /**
+         * Creates a hot observable using the specified marble diagram whose '^' marker is at ReactiveTest.subscribed.
+         * @param marbles Marble diagram of the notifications to surface through the created sequence.
+         * @param [values] Map from marble characters to values.
+         * @param [error] Error surfaced by the '#' marker.
+         * @return Hot observable sequence that can be used to assert the timing of subscriptions and notifications.
+         */
+        createHotObservable<T>(marbles: string, values?: { [key: string]: T }, error?: any): Observable<T>;
         /**
          * Creates an observer that records received notification messages and timestamps those.
          * @return Observer that can be used to assert the timing of received notifications.
@@ -200,10 +434,73 @@ declare module Rx {
          * @return Observer with timestamped recordings of notification messages that were received during the virtual time window when the subscription to the source sequence was active.
          */
         startWithCreate<T>(create: () => Observable<T>): MockObserver<T>;
+        /**
+         * Starts the test scheduler and uses the specified virtual times to invoke the factory function, subscribe to the resulting sequence, and dispose the subscription.
+         *
+         * @param create Factory method to create an observable sequence.
+         * @param settings Virtual times for creation, subscription and disposal, and whether to fail on leaks.
+         * @return Observer with timestamped recordings of notification messages that were received during the virtual time window when the subscription to the source sequence was active,
+         * and with the leaks found after the disposed time.
+         */
+        startScheduler<T>(create: () => Observable<T>, settings?: TestSchedulerSettings): MockObserver<T>;
+
+        /**
+         * Finds the subscriptions to hot and cold test observables and the mock disposables created with this scheduler which were opened at or before the given virtual time and are still open after it.
+         *
+         * @param {Number} [time] Virtual time to check, the current clock by default.
+         * @returns {Array} An array of leaks, each with the leaking source, the Subscription for when it was opened and closed, the virtual time checked and a descriptive message.
+         */
+        getLeaks(time?: number): TestLeak[];
+
+        /**
+         * Subscribes to the observable sequence and records its notifications so they can be checked against a marble diagram when the scheduler is flushed.
+         *
+         * @param {Observable} observable Observable sequence to subscribe to.
+         * @param {String} [unsubscriptionMarbles] Subscription marble diagram for when to subscribe and dispose, subscribing at ReactiveTest.subscribed and never disposing by default.
+         * @returns {Object} An object whose toBe(marbles, [values], [error]) method sets the expected notifications, either as a marble diagram or an array of Recorded messages.
+         */
+        expectObservable<T>(observable: Observable<T>, unsubscriptionMarbles?: string): {
+            toBe(marbles: string, values?: { [key: string]: T }, error?: any): void;
+            toBe(messages: Recorded[]): void;
+        };
+
+        /**
+         * Checks the subscriptions of a hot or cold test observable against subscription marble diagrams when the scheduler is flushed.
+         *
+         * @param {Array} subscriptions The subscriptions array of a hot or cold test observable.
+         * @returns {Object} An object whose toBe(marbles) method sets the expected subscriptions, either as a subscription marble diagram or an array of diagrams or Subscription objects.
+         */
+        expectSubscriptions(subscriptions: Subscription[]): {
+            toBe(marbles: string | (string | Subscription)[]): void;
+        };
+
+        /**
+         * Runs the scheduler until there is no more work scheduled, then checks every expectation set with expectObservable and expectSubscriptions.
+         * Throws an Error describing each expectation which was not met.
+         */
+        flush(): void;
+    }
+
+    export interface TestSchedulerFuzzOptions {
+        /** Number of runs, 100 by default. */
+        runs?: number;
+        /** Seed of the first run, random by default. */
+        seed?: number;
+        /** Maximum relative time by which due times are moved, 0 by default. */
+        jitter?: number;
     }
 
     export var TestScheduler: {
         new (): TestScheduler;
+
+        /**
+         * Runs a test several times, each time with a new test scheduler in shuffle mode with another seed, so that actions due at the same time run in different orders.
+         * When a run fails, throws an Error which has the seed of the failing run, so it can be replayed with new Rx.TestScheduler().shuffle(seed, jitter).
+         *
+         * @param {Function} test Test to run, which is given the test scheduler and the seed of the run.
+         * @param {Object} [options] An object with the number of runs, 100 by default, the seed of the first run, random by default, and the jitter of due times, 0 by default.
+         */
+        fuzz(test: (scheduler: TestScheduler, seed: number) => void, options?: TestSchedulerFuzzOptions): void;
     }
 
 }
@@ -208,6 +208,111 @@ declare module Rx {
         timestamp(scheduler?: IScheduler): Observable<Timestamp<T>>;
     }
 
+    export interface RecordingCodec<T> {
+        /** Converts a value to a JSON value. */
+        encode(value: T): any;
+        /** Converts a JSON value back to a value. */
+        decode(value: any): T;
+    }
+
+    export interface RecordedNotification {
+        time: number;
+        kind: string;
+        value?: any;
+        error?: { name: string; message: string; };
+    }
+
+    export interface Observable<T> {
+        /**
+        *  Materializes each notification of an observable sequence into a JSON line with the time elapsed since the subscription,
+        *  so that the lines can be written to a file and replayed later with Rx.Observable.replayRecording.
+        *  Errors are recorded as a record, after which the sequence completes.
+        *
+        * @example
+        *  1 - res = source.record(); // produces '{"time":25,"kind":"N","value":42}'
+        *  2 - res = source.record({ encode: function (x) { return x.toISOString(); }, decode: function (s) { return new Date(s); } });
+        *  3 - res = source.record(null, Rx.Scheduler.default);
+        *
+        * @param {Object} [codec] An object with encode and decode functions which convert values to and from JSON values. If not specified, values are stored as they are.
+        * @param {Scheduler} [scheduler] Scheduler used to compute the times. If not specified, the default scheduler is used.
+        * @returns {Observable} An observable sequence of JSON lines, one per notification of the source sequence.
+        */
+        record(codec?: RecordingCodec<T>, scheduler?: IScheduler): Observable<string>;
+        /**
+        *  Materializes each notification of an observable sequence into a JSON line with the time elapsed since the subscription,
+        *  so that the lines can be written to a file and replayed later with Rx.Observable.replayRecording.
+        *  Errors are recorded as a record, after which the sequence completes.
+        *
+        * @example
+        *  1 - res = source.record(); // produces '{"time":25,"kind":"N","value":42}'
+        *  2 - res = source.record({ encode: function (x) { return x.toISOString(); }, decode: function (s) { return new Date(s); } });
+        *  3 - res = source.record(null, Rx.Scheduler.default);
+        *
+        * @param {Scheduler} [scheduler] Scheduler used to compute the times. If not specified, the default scheduler is used.
+        * @returns {Observable} An observable sequence of JSON lines, one per notification of the source sequence.
+        */
+        record(scheduler: IScheduler): Observable<string>;
+    }
+
+    export interface ReplayRecordingOptions<T> {
+        /** The speed factor, which divides the time of each record, 1 by default. */
+        speed?: number;
+        /** The codec which was used for the recording. */
+        codec?: RecordingCodec<T>;
+    }
+
+    export interface ObservableStatic {
+        /**
+         *  Replays a recording made with Rx.Observable.prototype.record, notifying each record at its original time after the subscription, optionally sped up.
+         *  This is meant to reproduce the exact timing of a live sequence with a Rx.HistoricalScheduler or a Rx.TestScheduler.
+         *
+         * @example
+         *  1 - res = Rx.Observable.replayRecording(fs.readFileSync('session.jsonl', 'utf8'), scheduler);
+         *  2 - res = Rx.Observable.replayRecording(lines, scheduler, { speed: 10 });
+         *  3 - res = Rx.Observable.replayRecording([{ time: 10, kind: 'N', value: 42 }, { time: 20, kind: 'C' }], scheduler);
+         *
+         * @param {String|Array} recording The contents of a recording file, which has one JSON line per record, or an array of lines or parsed records.
+         * @param {Scheduler} [scheduler] Scheduler to replay the records on. If not specified, the default scheduler is used.
+         * @param {Object} [options] An object with the speed factor, which divides the time of each record, 1 by default,
+         * and the codec with encode and decode functions which was used for the recording.
+         * @returns {Observable} An observable sequence which replays the recorded notifications.
+         */
+        replayRecording<T>(recording: string | Array<string | RecordedNotification>, scheduler?: IScheduler, options?: ReplayRecordingOptions<T>): Observable<T>;
+        /**
+         *  Replays a recording made with Rx.Observable.prototype.record, notifying each record at its original time after the subscription, optionally sped up.
+         *
+         * @param {String|Array} recording The contents of a recording file, which has one JSON line per record, or an array of lines or parsed records.
+         * @param {Object} [options] An object with the speed factor, which divides the time of each record, 1 by default,
+         * and the codec with encode and decode functions which was used for the recording.
+         * @returns {Observable} An observable sequence which replays the recorded notifications.
+         */
+        replayRecording<T>(recording: string | Array<string | RecordedNotification>, options?: ReplayRecordingOptions<T>): Observable<T>;
+    }
+
+    export interface ObservableStatic {
+        /**
+         *  Returns an observable sequence that produces the date of each occurrence of a cron expression, computed from the scheduler's clock.
+         *
+         * @example
+         *  1 - res = Rx.Observable.cron('0 9 * * 1-5');
+         *  2 - res = Rx.Observable.cron('@daily', { timeZone: 'UTC' }, scheduler);
+         *
+         * @param {String} expression The cron expression.
+         * @param {Object} [options] An object with the IANA time zone or 'UTC' to match the expression in, the local time zone by default.
+         * @param {Scheduler} [scheduler] Scheduler to run the timer on. If not specified, the default scheduler is used.
+         * @returns {Observable} An observable sequence which produces the date of each occurrence, and completes when there is no occurrence in the next 30 years.
+         */
+        cron(expression: string, options?: CronOptions, scheduler?: IScheduler): Observable<Date>;
+        /**
+         *  Returns an observable sequence that produces the date of each occurrence of a cron expression, computed from the scheduler's clock.
+         *
+         * @param {String} expression The cron expression.
+         * @param {Scheduler} scheduler Scheduler to run the timer on.
+         * @returns {Observable} An observable sequence which produces the date of each occurrence, and completes when there is no occurrence in the next 30 years.
+         */
+        cron(expression: string, scheduler: IScheduler): Observable<Date>;
+    }
+
     export interface Observable<T> {
         /**
         *  Samples the observable sequence at each interval.
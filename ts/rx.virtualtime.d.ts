@@ -1,5 +1,14 @@
 declare module Rx {
 
+    export module internals {
+        /**
+         * Creates a seeded pseudo random number generator, the Park-Miller minimal standard generator, so that a seed replays the same sequence everywhere.
+         * @param {Number} seed The seed.
+         * @returns {Function} A function which returns the next pseudo random number between 0 and 1.
+         */
+        export var createRandom: (seed: number) => () => number;
+    }
+
     export interface VirtualTimeScheduler<TAbsolute, TRelative> extends IScheduler {
         /**
          * Adds a relative time value to an absolute time value.
@@ -51,6 +60,32 @@ declare module Rx {
          */
         sleep(time: TRelative): void;
 
+        /**
+         * Installs the scheduler as Rx.config.schedulerOverride, so that time based operators which are not given a scheduler run on it until uninstall is called.
+         * @returns {VirtualTimeScheduler} The current instance.
+         */
+        install(): VirtualTimeScheduler<TAbsolute, TRelative>;
+
+        /**
+         * Uninstalls the scheduler from Rx.config.schedulerOverride, restoring the override which was set when it was installed.
+         */
+        uninstall(): void;
+
+        /**
+         * Turns on the shuffle mode where actions due at the same time run in a random order instead of the order they were scheduled in,
+         * optionally moving their due time by up to the given jitter, to find ordering bugs which only show up with some interleavings.
+         * The same seed always gives the same interleaving, so a failing run can be reproduced.
+         *
+         * @param {Number} seed Seed of the random interleaving.
+         * @param {Number} [jitter] Maximum relative time by which due times are moved earlier or later, never before the current clock. Defaults to 0.
+         * @returns {VirtualTimeScheduler} The current instance.
+         */
+        shuffle(seed: number, jitter?: number): VirtualTimeScheduler<TAbsolute, TRelative>;
+        /** Seed of the shuffle mode, or null when it is off. */
+        seed: number;
+        /** Maximum relative time by which due times are moved in shuffle mode. */
+        jitter: number;
+
         isEnabled: boolean;
 
         /**